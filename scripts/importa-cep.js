@@ -0,0 +1,101 @@
+// Carrega a base de CEPs na tabela cep a partir de um arquivo CSV local.
+//
+// Uso: node scripts/importa-cep.js <arquivo.csv> [<outro.csv> ...]
+//
+// O CSV deve ser separado por ";" com as colunas cep;logradouro;bairro;cidade;uf, com ou sem cabeçalho,
+// em UTF-8 ou Latin-1. CEPs gerais de cidade podem vir sem logradouro e bairro.
+// CEPs já cadastrados são atualizados; nenhum CEP é removido.
+const fs = require("fs");
+const db = require("../src/db");
+
+// Quantidade de linhas gravadas por comando INSERT.
+const LOTE = 500;
+
+// Lê o arquivo como UTF-8 e, se houver caracteres inválidos, como Latin-1.
+function leArquivo(caminho) {
+    const bytes = fs.readFileSync(caminho);
+    const utf8 = bytes.toString("utf8");
+
+    return utf8.includes("\uFFFD") ? bytes.toString("latin1") : utf8;
+}
+
+// Extrai os registros do CSV. Linhas sem CEP de 8 dígitos, cidade ou UF válidos são ignoradas
+// (o cabeçalho, se houver, cai nesse caso).
+function leRegistros(conteudo) {
+    const linhas = conteudo.split(/\r?\n/).filter((linha) => linha.trim() !== "");
+
+    // Mapa por CEP: se o arquivo repetir um CEP, vale a última linha
+    const registros = new Map();
+    const ignoradas = [];
+
+    for (const [i, linha] of linhas.entries()) {
+        const [cep, logradouro, bairro, cidade, uf] = linha.split(";").map((coluna) => coluna?.trim() ?? "");
+        const digitos = (cep ?? "").replace(/\D/g, "");
+        const sigla = (uf ?? "").toUpperCase();
+
+        if (digitos.length === 8 && cidade && /^[A-Z]{2}$/.test(sigla)) {
+            registros.set(digitos, { cep: digitos, logradouro: logradouro || null, bairro: bairro || null, cidade, uf: sigla });
+        } else if (i > 0) {
+            ignoradas.push(i + 1);
+        }
+    }
+
+    return { registros: [...registros.values()], ignoradas };
+}
+
+async function importa(caminhos) {
+    let total = 0;
+
+    await db.transaction(async (conexao) => {
+        for (const caminho of caminhos) {
+            const { registros, ignoradas } = leRegistros(leArquivo(caminho));
+
+            for (let i = 0; i < registros.length; i += LOTE) {
+                const lote = registros.slice(i, i + LOTE);
+
+                await conexao.query(
+                    `INSERT INTO cep(cep, logradouro, bairro, cidade, uf)
+                     SELECT * FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::varchar[], $5::char(2)[])
+                     ON CONFLICT (cep) DO UPDATE
+                        SET logradouro = EXCLUDED.logradouro,
+                            bairro = EXCLUDED.bairro,
+                            cidade = EXCLUDED.cidade,
+                            uf = EXCLUDED.uf`,
+                    [
+                        lote.map((r) => r.cep),
+                        lote.map((r) => r.logradouro),
+                        lote.map((r) => r.bairro),
+                        lote.map((r) => r.cidade),
+                        lote.map((r) => r.uf),
+                    ]
+                );
+            }
+
+            console.log(`${caminho}: ${registros.length} CEPs importados.`);
+            if (ignoradas.length > 0) {
+                console.log(`${caminho}: linhas ignoradas (CEP, cidade ou UF inválidos): ${ignoradas.join(", ")}`);
+            }
+
+            total += registros.length;
+        }
+    });
+
+    return total;
+}
+
+const caminhos = process.argv.slice(2);
+
+if (caminhos.length === 0) {
+    console.error("Uso: node scripts/importa-cep.js <arquivo.csv> [<outro.csv> ...]");
+    process.exit(1);
+}
+
+importa(caminhos)
+    .then((total) => {
+        console.log(`Total: ${total} CEPs importados.`);
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error("Erro ao importar a base de CEPs:", error);
+        process.exit(1);
+    });
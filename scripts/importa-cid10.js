@@ -0,0 +1,101 @@
+// Carrega o catálogo CID-10 na tabela cid10 a partir de um arquivo CSV local.
+//
+// Uso: node scripts/importa-cid10.js <arquivo.csv> [<outro.csv> ...]
+//
+// Aceita os arquivos do DATASUS (CID-10-CATEGORIAS.CSV e CID-10-SUBCATEGORIAS.CSV, separados por ";" e
+// em Latin-1) ou qualquer CSV separado por ";" cujas duas primeiras colunas sejam código e descrição.
+// Códigos já cadastrados têm a descrição atualizada; nenhum código é removido.
+const fs = require("fs");
+const db = require("../src/db");
+const { normalizaCodigoCid } = require("../src/services/cid");
+
+// Quantidade de linhas gravadas por comando INSERT.
+const LOTE = 500;
+
+// Lê o arquivo como UTF-8 e, se houver caracteres inválidos, como Latin-1 (codificação do DATASUS).
+function leArquivo(caminho) {
+    const bytes = fs.readFileSync(caminho);
+    const utf8 = bytes.toString("utf8");
+
+    return utf8.includes("\uFFFD") ? bytes.toString("latin1") : utf8;
+}
+
+// Extrai os pares { codigo, descricao } do CSV. No formato do DATASUS as colunas são identificadas pelo
+// cabeçalho (CAT ou SUBCAT e DESCRICAO); nos demais, usa as duas primeiras colunas.
+function leRegistros(conteudo) {
+    const linhas = conteudo.split(/\r?\n/).filter((linha) => linha.trim() !== "");
+    const cabecalho = linhas[0].split(";").map((coluna) => coluna.trim().toUpperCase());
+
+    let colunaCodigo = cabecalho.findIndex((coluna) => coluna === "SUBCAT" || coluna === "CAT");
+    let colunaDescricao = cabecalho.indexOf("DESCRICAO");
+
+    if (colunaCodigo === -1 || colunaDescricao === -1) {
+        colunaCodigo = 0;
+        colunaDescricao = 1;
+    }
+
+    // Mapa por código: se o arquivo repetir um código, vale a última descrição
+    const registros = new Map();
+    const ignoradas = [];
+
+    for (const [i, linha] of linhas.entries()) {
+        const colunas = linha.split(";");
+        const codigo = normalizaCodigoCid(colunas[colunaCodigo]);
+        const descricao = colunas[colunaDescricao]?.trim();
+
+        if (codigo && descricao) {
+            registros.set(codigo, { codigo, descricao });
+        } else if (i > 0) {
+            ignoradas.push(i + 1);
+        }
+    }
+
+    return { registros: [...registros.values()], ignoradas };
+}
+
+async function importa(caminhos) {
+    let total = 0;
+
+    await db.transaction(async (conexao) => {
+        for (const caminho of caminhos) {
+            const { registros, ignoradas } = leRegistros(leArquivo(caminho));
+
+            for (let i = 0; i < registros.length; i += LOTE) {
+                const lote = registros.slice(i, i + LOTE);
+
+                await conexao.query(
+                    `INSERT INTO cid10(codigo, descricao)
+                     SELECT * FROM unnest($1::varchar[], $2::text[])
+                     ON CONFLICT (codigo) DO UPDATE SET descricao = EXCLUDED.descricao`,
+                    [lote.map((r) => r.codigo), lote.map((r) => r.descricao)]
+                );
+            }
+
+            console.log(`${caminho}: ${registros.length} códigos importados.`);
+            if (ignoradas.length > 0) {
+                console.log(`${caminho}: linhas ignoradas (código ou descrição inválidos): ${ignoradas.join(", ")}`);
+            }
+
+            total += registros.length;
+        }
+    });
+
+    return total;
+}
+
+const caminhos = process.argv.slice(2);
+
+if (caminhos.length === 0) {
+    console.error("Uso: node scripts/importa-cid10.js <arquivo.csv> [<outro.csv> ...]");
+    process.exit(1);
+}
+
+importa(caminhos)
+    .then((total) => {
+        console.log(`Total: ${total} códigos CID-10 importados.`);
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error("Erro ao importar o catálogo CID-10:", error);
+        process.exit(1);
+    });
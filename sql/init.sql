@@ -1,15 +1,134 @@
+-- Extensão usada pela restrição de exclusão de horários (permite "id_medico WITH =" em índices GiST)
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Remoção de acentos nas buscas textuais. f_unaccent é a versão IMMUTABLE, utilizável em índices.
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+CREATE FUNCTION f_unaccent(text) RETURNS text
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+    AS $$ SELECT public.unaccent('public.unaccent', $1) $$;
+
+-- Similaridade por trigramas, usada na busca de pacientes por nome
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- Tabela: paciente
 CREATE TABLE paciente (
     id_paciente     SERIAL,
     nome            VARCHAR(200) NOT NULL,
-    cpf             VARCHAR(14) NOT NULL,
+    nome_social     VARCHAR(200),
+    cpf             VARCHAR(11) NOT NULL,
     data_nascimento DATE,
+    sexo            VARCHAR(20),
+    identidade_genero VARCHAR(30),
+    -- Endereço em texto, como é impresso; montado a partir dos campos abaixo quando o endereço é estruturado
     endereco        TEXT,
+    cep             VARCHAR(8),
+    logradouro      VARCHAR(200),
+    numero          VARCHAR(20),
+    complemento     VARCHAR(100),
+    bairro          VARCHAR(100),
+    cidade          VARCHAR(100),
+    uf              CHAR(2),
 
     CONSTRAINT pk_paciente PRIMARY KEY (id_paciente),
+    -- CPF gravado apenas com os dígitos, para que a unicidade não dependa da pontuação digitada
+    CONSTRAINT ck_paciente_cpf CHECK (cpf ~ '^[0-9]{11}$'),
+    CONSTRAINT ck_paciente_sexo CHECK (sexo IN ('feminino', 'masculino', 'intersexo')),
+    CONSTRAINT ck_paciente_identidade_genero CHECK (identidade_genero IN ('mulher_cisgenero', 'homem_cisgenero', 'mulher_transgenero',
+                                                                          'homem_transgenero', 'nao_binario', 'outro')),
+    CONSTRAINT ck_paciente_cep CHECK (cep ~ '^[0-9]{8}$'),
+    CONSTRAINT ck_paciente_uf CHECK (uf IN ('AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+                                            'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO')),
     CONSTRAINT uq_paciente_cpf UNIQUE (cpf)
 );
 
+-- Busca de pacientes por trecho do nome, sem acentos e sem diferenciar maiúsculas (GET /paciente/busca)
+CREATE INDEX ix_paciente_nome_trgm ON paciente USING GIN (f_unaccent(lower(nome)) gin_trgm_ops);
+CREATE INDEX ix_paciente_data_nascimento ON paciente (data_nascimento);
+
+-- Tabela: paciente_contato (canais usados para enviar notificações ao paciente)
+CREATE TABLE paciente_contato (
+    id_contato      SERIAL,
+    id_paciente     INT NOT NULL,
+    -- sms: celular, que pode receber notificações; telefone: fixo ou sem SMS, apenas para contato
+    tipo            VARCHAR(10) NOT NULL,
+    valor           VARCHAR(200) NOT NULL,
+    recebe_notificacoes BOOLEAN NOT NULL DEFAULT TRUE,
+    preferencial    BOOLEAN NOT NULL DEFAULT FALSE,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_contato PRIMARY KEY (id_contato),
+    CONSTRAINT ck_paciente_contato_tipo CHECK (tipo IN ('email', 'sms', 'telefone')),
+    CONSTRAINT ck_paciente_contato_notificacao CHECK (tipo <> 'telefone' OR NOT recebe_notificacoes),
+    CONSTRAINT uq_paciente_contato UNIQUE (id_paciente, tipo, valor),
+    CONSTRAINT fk_paciente_contato_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE
+);
+
+-- Um e-mail e um telefone (sms ou telefone) preferenciais por paciente
+CREATE UNIQUE INDEX uq_paciente_contato_preferencial ON paciente_contato (id_paciente, (tipo = 'email')) WHERE preferencial;
+
+-- Tabela: paciente_contato_emergencia (pessoas a avisar em caso de emergência)
+CREATE TABLE paciente_contato_emergencia (
+    id_contato_emergencia SERIAL,
+    id_paciente     INT NOT NULL,
+    nome            VARCHAR(200) NOT NULL,
+    parentesco      VARCHAR(50),
+    telefone        VARCHAR(20) NOT NULL,
+    observacoes     TEXT,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_contato_emergencia PRIMARY KEY (id_contato_emergencia),
+    CONSTRAINT fk_paciente_contato_emergencia_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE
+);
+
+-- Tabela: paciente_responsavel (responsáveis legais de pacientes menores de idade ou dependentes).
+-- O responsável é outro paciente (id_paciente_responsavel) ou uma pessoa sem cadastro, identificada por nome e CPF.
+CREATE TABLE paciente_responsavel (
+    id_responsavel  SERIAL,
+    id_paciente     INT NOT NULL,
+    id_paciente_responsavel INT,
+    nome            VARCHAR(200),
+    cpf             VARCHAR(11),
+    parentesco      VARCHAR(50) NOT NULL,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_responsavel PRIMARY KEY (id_responsavel),
+    CONSTRAINT fk_paciente_responsavel_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    -- Um paciente responsável por outro não pode ser removido enquanto o vínculo existir
+    CONSTRAINT fk_paciente_responsavel_responsavel FOREIGN KEY (id_paciente_responsavel)
+        REFERENCES paciente (id_paciente)
+        ON DELETE RESTRICT,
+    CONSTRAINT ck_paciente_responsavel_identificacao CHECK (
+        (id_paciente_responsavel IS NOT NULL AND nome IS NULL AND cpf IS NULL)
+        OR (id_paciente_responsavel IS NULL AND nome IS NOT NULL AND cpf IS NOT NULL)
+    ),
+    CONSTRAINT ck_paciente_responsavel_cpf CHECK (cpf ~ '^[0-9]{11}$'),
+    CONSTRAINT ck_paciente_responsavel_proprio CHECK (id_paciente_responsavel <> id_paciente),
+    CONSTRAINT uq_paciente_responsavel_paciente UNIQUE (id_paciente, id_paciente_responsavel),
+    CONSTRAINT uq_paciente_responsavel_cpf UNIQUE (id_paciente, cpf)
+);
+
+CREATE INDEX ix_paciente_responsavel_responsavel ON paciente_responsavel (id_paciente_responsavel);
+CREATE INDEX ix_paciente_responsavel_cpf ON paciente_responsavel (cpf);
+
+-- Tabela: cep (base local de CEPs, usada para completar e conferir endereços; carregada por scripts/importa-cep.js)
+CREATE TABLE cep (
+    cep             VARCHAR(8),
+    logradouro      VARCHAR(200),
+    bairro          VARCHAR(100),
+    cidade          VARCHAR(100) NOT NULL,
+    uf              CHAR(2) NOT NULL,
+
+    CONSTRAINT pk_cep PRIMARY KEY (cep),
+    CONSTRAINT ck_cep_formato CHECK (cep ~ '^[0-9]{8}$')
+);
+
 -- Tabela: departamento
 CREATE TABLE departamento (
     id_departamento     SERIAL,
@@ -36,6 +155,129 @@ CREATE TABLE medico (
     CONSTRAINT uq_medico_crm UNIQUE (crm)
 );
 
+-- Tabela: medico_horario (jornada semanal de atendimento do médico)
+CREATE TABLE medico_horario (
+    id_horario       SERIAL,
+    id_medico        INT NOT NULL,
+    dia_semana       SMALLINT NOT NULL, -- 0 = domingo ... 6 = sábado
+    hora_inicio      TIME NOT NULL,
+    hora_fim         TIME NOT NULL,
+    duracao_slot_min INT NOT NULL,
+
+    CONSTRAINT pk_medico_horario PRIMARY KEY (id_horario),
+    CONSTRAINT fk_medico_horario_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT ck_medico_horario_dia CHECK (dia_semana BETWEEN 0 AND 6),
+    CONSTRAINT ck_medico_horario_faixa CHECK (hora_fim > hora_inicio),
+    CONSTRAINT ck_medico_horario_slot CHECK (duracao_slot_min > 0),
+    -- Faixas do mesmo médico no mesmo dia da semana não podem se sobrepor
+    CONSTRAINT ex_medico_horario_faixa EXCLUDE USING gist (
+        id_medico WITH =,
+        dia_semana WITH =,
+        tsrange(DATE '2000-01-01' + hora_inicio, DATE '2000-01-01' + hora_fim) WITH &&
+    )
+);
+
+
+-- Tabela: convenio (operadoras de planos de saúde atendidas pelo hospital)
+CREATE TABLE convenio (
+    id_convenio     SERIAL,
+    nome            VARCHAR(100) NOT NULL,
+    -- Registro da operadora na ANS (6 dígitos)
+    registro_ans    VARCHAR(6),
+    -- Convênios inativos não podem ser usados em novas consultas
+    ativo           BOOLEAN NOT NULL DEFAULT TRUE,
+
+    CONSTRAINT pk_convenio PRIMARY KEY (id_convenio),
+    CONSTRAINT uq_convenio_nome UNIQUE (nome),
+    CONSTRAINT uq_convenio_registro_ans UNIQUE (registro_ans),
+    CONSTRAINT ck_convenio_registro_ans CHECK (registro_ans ~ '^[0-9]{6}$')
+);
+
+-- Tabela: plano (planos oferecidos por cada convênio)
+CREATE TABLE plano (
+    id_plano        SERIAL,
+    id_convenio     INT NOT NULL,
+    nome            VARCHAR(100) NOT NULL,
+    ativo           BOOLEAN NOT NULL DEFAULT TRUE,
+
+    CONSTRAINT pk_plano PRIMARY KEY (id_plano),
+    CONSTRAINT fk_plano_convenio FOREIGN KEY (id_convenio)
+        REFERENCES convenio (id_convenio),
+    CONSTRAINT uq_plano_nome UNIQUE (id_convenio, nome)
+);
+
+-- Tabela: plano_aceite (médicos e departamentos que atendem pelo plano; o aceite do departamento vale
+-- para todos os médicos dele)
+CREATE TABLE plano_aceite (
+    id_aceite       SERIAL,
+    id_plano        INT NOT NULL,
+    id_departamento INT,
+    id_medico       INT,
+
+    CONSTRAINT pk_plano_aceite PRIMARY KEY (id_aceite),
+    CONSTRAINT fk_plano_aceite_plano FOREIGN KEY (id_plano)
+        REFERENCES plano (id_plano)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_plano_aceite_departamento FOREIGN KEY (id_departamento)
+        REFERENCES departamento (id_departamento)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_plano_aceite_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT ck_plano_aceite_destino CHECK ((id_departamento IS NULL) <> (id_medico IS NULL)),
+    CONSTRAINT uq_plano_aceite_departamento UNIQUE (id_plano, id_departamento),
+    CONSTRAINT uq_plano_aceite_medico UNIQUE (id_plano, id_medico)
+);
+
+-- Tabela: paciente_plano (carteirinhas dos pacientes; validade_fim nula para planos sem data de término)
+CREATE TABLE paciente_plano (
+    id_paciente_plano SERIAL,
+    id_paciente     INT NOT NULL,
+    id_plano        INT NOT NULL,
+    numero_carteirinha VARCHAR(30) NOT NULL,
+    validade_inicio DATE NOT NULL,
+    validade_fim    DATE,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_plano PRIMARY KEY (id_paciente_plano),
+    CONSTRAINT fk_paciente_plano_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_paciente_plano_plano FOREIGN KEY (id_plano)
+        REFERENCES plano (id_plano),
+    CONSTRAINT uq_paciente_plano_carteirinha UNIQUE (id_plano, numero_carteirinha),
+    CONSTRAINT ck_paciente_plano_validade CHECK (validade_fim >= validade_inicio)
+);
+
+CREATE INDEX ix_paciente_plano_paciente ON paciente_plano (id_paciente);
+
+-- Tabela: consulta_serie (regra de recorrência de consultas de acompanhamento)
+CREATE TABLE consulta_serie (
+    id_serie        SERIAL,
+    id_paciente     INT NOT NULL,
+    id_medico       INT NOT NULL,
+    frequencia      VARCHAR(10) NOT NULL,
+    data_inicio     DATE NOT NULL,
+    hora_inicio     TIME NOT NULL,
+    duracao_min     INT NOT NULL,
+    data_fim        DATE,
+    quantidade      INT,
+    observacoes     TEXT,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_consulta_serie PRIMARY KEY (id_serie),
+    CONSTRAINT ck_serie_frequencia CHECK (frequencia IN ('semanal', 'quinzenal', 'mensal')),
+    CONSTRAINT ck_serie_termino CHECK (data_fim IS NOT NULL OR quantidade IS NOT NULL),
+    CONSTRAINT fk_serie_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_serie_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE
+);
+
 
 -- Tabela: consulta
 CREATE TABLE consulta (
@@ -43,20 +285,708 @@ CREATE TABLE consulta (
     id_paciente		INT NOT NULL,
     id_medico       INT NOT NULL,
     data_consulta   DATE NOT NULL,
-    duracao_min     INT,
+    hora_inicio     TIME NOT NULL,
+    duracao_min     INT NOT NULL,
     diagnostico     TEXT,
     observacoes     TEXT,
+    status          VARCHAR(20) NOT NULL DEFAULT 'agendada',
+    id_serie        INT,
+    -- Incrementada a cada alteração (SEQUENCE dos eventos no feed iCalendar)
+    versao          INT NOT NULL DEFAULT 0,
+    atualizado_em   TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    -- Quem paga a consulta e, no convênio, a carteirinha do paciente usada
+    pagador         VARCHAR(20) NOT NULL DEFAULT 'particular',
+    id_paciente_plano INT,
+    -- Intervalo [inicio, inicio + duracao_min) ocupado pela consulta na agenda do médico
+    periodo         TSRANGE GENERATED ALWAYS AS (
+                        tsrange(data_consulta + hora_inicio,
+                                data_consulta + hora_inicio + duracao_min * INTERVAL '1 minute')
+                    ) STORED,
 
     CONSTRAINT pk_consulta PRIMARY KEY (id_consulta),
-    CONSTRAINT uq_consulta_unica UNIQUE (id_paciente, id_medico, data_consulta),
+    CONSTRAINT ck_consulta_duracao CHECK (duracao_min > 0),
+    CONSTRAINT ck_consulta_status CHECK (status IN ('agendada', 'confirmada', 'em_atendimento', 'realizada', 'cancelada', 'faltou')),
+    -- Consultas canceladas liberam o horário do médico
+    CONSTRAINT ex_consulta_medico_horario EXCLUDE USING gist (id_medico WITH =, periodo WITH &&) WHERE (status <> 'cancelada'),
     CONSTRAINT fk_consulta_paciente FOREIGN KEY (id_paciente)
         REFERENCES paciente (id_paciente)
         ON DELETE CASCADE,
     CONSTRAINT fk_consulta_medico FOREIGN KEY (id_medico)
         REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_consulta_serie FOREIGN KEY (id_serie)
+        REFERENCES consulta_serie (id_serie)
+        ON DELETE SET NULL,
+    CONSTRAINT ck_consulta_pagador CHECK (pagador IN ('sus', 'particular', 'convenio')),
+    CONSTRAINT ck_consulta_pagador_plano CHECK ((pagador = 'convenio') = (id_paciente_plano IS NOT NULL)),
+    -- Carteirinhas usadas em consultas não podem ser removidas (ver DELETE /paciente/{id}/planos)
+    CONSTRAINT fk_consulta_paciente_plano FOREIGN KEY (id_paciente_plano)
+        REFERENCES paciente_plano (id_paciente_plano)
+);
+
+-- Mesmo paciente com o mesmo médico apenas uma vez por dia, desconsiderando consultas canceladas
+CREATE UNIQUE INDEX uq_consulta_unica ON consulta (id_paciente, id_medico, data_consulta) WHERE status <> 'cancelada';
+
+CREATE FUNCTION fn_consulta_versao() RETURNS trigger AS $$
+BEGIN
+    NEW.versao := OLD.versao + 1;
+    NEW.atualizado_em := LOCALTIMESTAMP;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tg_consulta_versao
+    BEFORE UPDATE ON consulta
+    FOR EACH ROW EXECUTE FUNCTION fn_consulta_versao();
+
+
+-- Tabela: agenda_token (token secreto que protege o feed iCalendar de um médico ou departamento)
+CREATE TABLE agenda_token (
+    id_token        SERIAL,
+    id_medico       INT,
+    id_departamento INT,
+    token           VARCHAR(64) NOT NULL,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_agenda_token PRIMARY KEY (id_token),
+    CONSTRAINT ck_agenda_token_dono CHECK ((id_medico IS NULL) <> (id_departamento IS NULL)),
+    CONSTRAINT uq_agenda_token_medico UNIQUE (id_medico),
+    CONSTRAINT uq_agenda_token_departamento UNIQUE (id_departamento),
+    CONSTRAINT fk_agenda_token_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_agenda_token_departamento FOREIGN KEY (id_departamento)
+        REFERENCES departamento (id_departamento)
+        ON DELETE CASCADE
+);
+
+
+-- Tabela: cid10 (catálogo da Classificação Internacional de Doenças, carregado por scripts/importa-cid10.js)
+CREATE TABLE cid10 (
+    codigo          VARCHAR(6),
+    descricao       TEXT NOT NULL,
+
+    CONSTRAINT pk_cid10 PRIMARY KEY (codigo),
+    CONSTRAINT ck_cid10_codigo CHECK (codigo ~ '^[A-Z][0-9]{2}(\.[0-9])?$')
+);
+
+
+-- Tabela: consulta_cid (diagnósticos codificados da consulta: um principal e quantos secundários forem necessários)
+CREATE TABLE consulta_cid (
+    id_consulta     INT NOT NULL,
+    codigo          VARCHAR(6) NOT NULL,
+    principal       BOOLEAN NOT NULL DEFAULT FALSE,
+
+    CONSTRAINT pk_consulta_cid PRIMARY KEY (id_consulta, codigo),
+    CONSTRAINT fk_consulta_cid_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_consulta_cid_cid10 FOREIGN KEY (codigo)
+        REFERENCES cid10 (codigo)
+);
+
+CREATE UNIQUE INDEX uq_consulta_cid_principal ON consulta_cid (id_consulta) WHERE principal;
+CREATE INDEX ix_consulta_cid_codigo ON consulta_cid (codigo);
+
+
+-- Tabela: medicamento (catálogo local usado nas receitas)
+CREATE TABLE medicamento (
+    id_medicamento      SERIAL,
+    nome                VARCHAR(200) NOT NULL,
+    concentracao        VARCHAR(100),
+    forma_farmaceutica  VARCHAR(100) NOT NULL,
+    -- Classe usada na verificação de alergias (alergia a "penicilina" alerta para amoxicilina)
+    classe_terapeutica  VARCHAR(100),
+    controlado          BOOLEAN NOT NULL DEFAULT FALSE,
+    ativo               BOOLEAN NOT NULL DEFAULT TRUE,
+
+    CONSTRAINT pk_medicamento PRIMARY KEY (id_medicamento),
+    CONSTRAINT uq_medicamento UNIQUE NULLS NOT DISTINCT (nome, concentracao, forma_farmaceutica)
+);
+
+
+-- Tabela: receita (prescrição emitida pelo médico da consulta; imutável depois de assinada)
+CREATE TABLE receita (
+    id_receita      SERIAL,
+    id_consulta     INT NOT NULL,
+    id_medico       INT NOT NULL,
+    status          VARCHAR(20) NOT NULL DEFAULT 'rascunho',
+    observacoes     TEXT,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    assinada_em     TIMESTAMP,
+
+    CONSTRAINT pk_receita PRIMARY KEY (id_receita),
+    CONSTRAINT ck_receita_status CHECK (status IN ('rascunho', 'assinada')),
+    CONSTRAINT ck_receita_assinatura CHECK ((status = 'assinada') = (assinada_em IS NOT NULL)),
+    CONSTRAINT fk_receita_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    -- Receitas fazem parte do prontuário, mesmo em rascunho: o médico que as emitiu não pode ser removido
+    CONSTRAINT fk_receita_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE RESTRICT
+);
+
+
+-- Tabela: receita_item (medicamentos prescritos)
+CREATE TABLE receita_item (
+    id_item         SERIAL,
+    id_receita      INT NOT NULL,
+    id_medicamento  INT NOT NULL,
+    dose            VARCHAR(100) NOT NULL,
+    via             VARCHAR(20) NOT NULL,
+    frequencia      VARCHAR(100) NOT NULL,
+    -- NULL indica uso contínuo
+    duracao_dias    INT,
+    quantidade      VARCHAR(100) NOT NULL,
+    orientacoes     TEXT,
+
+    CONSTRAINT pk_receita_item PRIMARY KEY (id_item),
+    CONSTRAINT ck_receita_item_via CHECK (via IN ('oral', 'sublingual', 'topica', 'transdermica', 'inalatoria', 'nasal',
+                                                  'oftalmica', 'otologica', 'retal', 'vaginal',
+                                                  'intramuscular', 'intravenosa', 'subcutanea')),
+    CONSTRAINT ck_receita_item_duracao CHECK (duracao_dias > 0),
+    CONSTRAINT fk_receita_item_receita FOREIGN KEY (id_receita)
+        REFERENCES receita (id_receita)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_receita_item_medicamento FOREIGN KEY (id_medicamento)
+        REFERENCES medicamento (id_medicamento)
+);
+
+-- Receitas assinadas não podem ser alteradas nem removidas, assim como os seus itens.
+-- A única alteração aceita é a própria assinatura (rascunho -> assinada).
+CREATE FUNCTION fn_receita_imutavel() RETURNS trigger AS $$
+BEGIN
+    IF OLD.status = 'assinada' THEN
+        RAISE EXCEPTION 'A receita % já foi assinada e não pode ser alterada.', OLD.id_receita
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tg_receita_imutavel
+    BEFORE UPDATE OR DELETE ON receita
+    FOR EACH ROW EXECUTE FUNCTION fn_receita_imutavel();
+
+CREATE FUNCTION fn_receita_item_imutavel() RETURNS trigger AS $$
+DECLARE
+    v_id_receita INT := CASE WHEN TG_OP = 'INSERT' THEN NEW.id_receita ELSE OLD.id_receita END;
+BEGIN
+    IF EXISTS (SELECT 1 FROM receita WHERE id_receita = v_id_receita AND status = 'assinada') THEN
+        RAISE EXCEPTION 'A receita % já foi assinada e não pode ser alterada.', v_id_receita
+            USING ERRCODE = 'object_not_in_prerequisite_state';
+    END IF;
+
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tg_receita_item_imutavel
+    BEFORE INSERT OR UPDATE OR DELETE ON receita_item
+    FOR EACH ROW EXECUTE FUNCTION fn_receita_item_imutavel();
+
+
+-- Tabela: paciente_alergia (alergias registradas, verificadas ao emitir receitas e registrar consultas)
+CREATE TABLE paciente_alergia (
+    id_alergia      SERIAL,
+    id_paciente     INT NOT NULL,
+    -- Substância ou classe (ex.: "dipirona", "penicilina", "látex")
+    substancia      VARCHAR(200) NOT NULL,
+    -- Medicamento do catálogo, quando a alergia é a um medicamento específico
+    id_medicamento  INT,
+    gravidade       VARCHAR(20) NOT NULL,
+    reacao          TEXT,
+    registrado_em   TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_alergia PRIMARY KEY (id_alergia),
+    CONSTRAINT ck_paciente_alergia_gravidade CHECK (gravidade IN ('leve', 'moderada', 'grave')),
+    CONSTRAINT fk_paciente_alergia_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_paciente_alergia_medicamento FOREIGN KEY (id_medicamento)
+        REFERENCES medicamento (id_medicamento)
+);
+
+CREATE UNIQUE INDEX uq_paciente_alergia ON paciente_alergia (id_paciente, f_unaccent(lower(substancia)));
+
+
+-- Tabela: paciente_condicao (condições crônicas)
+CREATE TABLE paciente_condicao (
+    id_condicao     SERIAL,
+    id_paciente     INT NOT NULL,
+    descricao       VARCHAR(200) NOT NULL,
+    cid_codigo      VARCHAR(5),
+    desde           DATE,
+    ativa           BOOLEAN NOT NULL DEFAULT TRUE,
+    observacoes     TEXT,
+
+    CONSTRAINT pk_paciente_condicao PRIMARY KEY (id_condicao),
+    CONSTRAINT fk_paciente_condicao_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_paciente_condicao_cid FOREIGN KEY (cid_codigo)
+        REFERENCES cid10 (codigo)
+);
+
+
+-- Tabela: paciente_medicamento_uso (medicamentos de uso contínuo, do catálogo ou descritos livremente)
+CREATE TABLE paciente_medicamento_uso (
+    id_uso          SERIAL,
+    id_paciente     INT NOT NULL,
+    id_medicamento  INT,
+    descricao       VARCHAR(200),
+    posologia       VARCHAR(200),
+    desde           DATE,
+    ativo           BOOLEAN NOT NULL DEFAULT TRUE,
+
+    CONSTRAINT pk_paciente_medicamento_uso PRIMARY KEY (id_uso),
+    CONSTRAINT ck_paciente_medicamento_uso_identificacao CHECK (id_medicamento IS NOT NULL OR descricao IS NOT NULL),
+    CONSTRAINT fk_paciente_medicamento_uso_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_paciente_medicamento_uso_medicamento FOREIGN KEY (id_medicamento)
+        REFERENCES medicamento (id_medicamento)
+);
+
+
+-- Tabela: sinal_vital (aferição de sinais vitais na consulta, sempre nas unidades canônicas:
+-- mmHg, bpm, °C, %, kg e cm). As faixas descartam valores fisiologicamente impossíveis.
+CREATE TABLE sinal_vital (
+    id_afericao         SERIAL,
+    id_consulta         INT NOT NULL,
+    medido_em           TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    responsavel         VARCHAR(200) NOT NULL,
+    pressao_sistolica   INT,
+    pressao_diastolica  INT,
+    frequencia_cardiaca INT,
+    temperatura         NUMERIC(4,1),
+    saturacao_o2        INT,
+    peso                NUMERIC(5,2),
+    altura              NUMERIC(4,1),
+    criado_em           TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_sinal_vital PRIMARY KEY (id_afericao),
+    CONSTRAINT ck_sinal_vital_pressao CHECK ((pressao_sistolica IS NULL) = (pressao_diastolica IS NULL)
+                                             AND pressao_sistolica BETWEEN 50 AND 300
+                                             AND pressao_diastolica BETWEEN 20 AND 200
+                                             AND pressao_sistolica > pressao_diastolica),
+    CONSTRAINT ck_sinal_vital_frequencia CHECK (frequencia_cardiaca BETWEEN 20 AND 250),
+    CONSTRAINT ck_sinal_vital_temperatura CHECK (temperatura BETWEEN 30 AND 45),
+    CONSTRAINT ck_sinal_vital_saturacao CHECK (saturacao_o2 BETWEEN 50 AND 100),
+    CONSTRAINT ck_sinal_vital_peso CHECK (peso BETWEEN 0.3 AND 500),
+    CONSTRAINT ck_sinal_vital_altura CHECK (altura BETWEEN 20 AND 260),
+    CONSTRAINT ck_sinal_vital_alguma_medida CHECK (num_nonnulls(pressao_sistolica, frequencia_cardiaca, temperatura,
+                                                               saturacao_o2, peso, altura) > 0),
+    CONSTRAINT fk_sinal_vital_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX ix_sinal_vital_consulta ON sinal_vital (id_consulta, medido_em);
+
+
+-- Tabela: exame (pedido de exame feito na consulta e o seu andamento até o laudo)
+CREATE TABLE exame (
+    id_exame        SERIAL,
+    id_consulta     INT NOT NULL,
+    -- Médico solicitante (o médico da consulta)
+    id_medico       INT NOT NULL,
+    tipo            VARCHAR(20) NOT NULL,
+    nome            VARCHAR(200) NOT NULL,
+    urgencia        VARCHAR(20) NOT NULL DEFAULT 'rotina',
+    justificativa   TEXT,
+    status          VARCHAR(20) NOT NULL DEFAULT 'solicitado',
+    agendado_para   TIMESTAMP,
+    coletado_em     TIMESTAMP,
+    laudado_em      TIMESTAMP,
+    laudo           TEXT,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_exame PRIMARY KEY (id_exame),
+    CONSTRAINT ck_exame_tipo CHECK (tipo IN ('laboratorial', 'imagem', 'funcional', 'anatomopatologico', 'outro')),
+    CONSTRAINT ck_exame_urgencia CHECK (urgencia IN ('rotina', 'urgente', 'emergencia')),
+    CONSTRAINT ck_exame_status CHECK (status IN ('solicitado', 'agendado', 'coletado', 'laudado')),
+    CONSTRAINT fk_exame_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    -- Exames solicitados fazem parte do prontuário: o médico solicitante não pode ser removido
+    CONSTRAINT fk_exame_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE RESTRICT
+);
+
+CREATE INDEX ix_exame_consulta ON exame (id_consulta);
+
+
+-- Tabela: exame_resultado (valores numéricos do laudo com a faixa de referência)
+CREATE TABLE exame_resultado (
+    id_resultado    SERIAL,
+    id_exame        INT NOT NULL,
+    parametro       VARCHAR(100) NOT NULL,
+    valor           NUMERIC NOT NULL,
+    unidade         VARCHAR(30),
+    referencia_min  NUMERIC,
+    referencia_max  NUMERIC,
+    -- Fora da faixa de referência; um limite ausente não é verificado
+    anormal         BOOLEAN GENERATED ALWAYS AS (COALESCE(valor < referencia_min, FALSE) OR COALESCE(valor > referencia_max, FALSE)) STORED,
+
+    CONSTRAINT pk_exame_resultado PRIMARY KEY (id_resultado),
+    CONSTRAINT uq_exame_resultado UNIQUE (id_exame, parametro),
+    CONSTRAINT ck_exame_resultado_referencia CHECK (referencia_min <= referencia_max),
+    CONSTRAINT fk_exame_resultado_exame FOREIGN KEY (id_exame)
+        REFERENCES exame (id_exame)
+        ON DELETE CASCADE
+);
+
+
+-- Tabela: anexo (arquivos do paciente, opcionalmente ligados a uma consulta; o conteúdo fica no armazenamento
+-- configurado em services/armazenamento.js, sob "chave")
+CREATE TABLE anexo (
+    id_anexo        SERIAL,
+    id_paciente     INT NOT NULL,
+    id_consulta     INT,
+    nome_arquivo    VARCHAR(255) NOT NULL,
+    tipo_mime       VARCHAR(100) NOT NULL,
+    tamanho_bytes   BIGINT NOT NULL,
+    sha256          CHAR(64) NOT NULL,
+    chave           VARCHAR(200) NOT NULL,
+    descricao       TEXT,
+    enviado_por     VARCHAR(200) NOT NULL,
+    enviado_em      TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    -- Remoção lógica: o registro e o arquivo são mantidos, mas o anexo deixa de ser listado e baixado
+    removido_em     TIMESTAMP,
+    removido_por    VARCHAR(200),
+    motivo_remocao  TEXT,
+
+    CONSTRAINT pk_anexo PRIMARY KEY (id_anexo),
+    CONSTRAINT uq_anexo_chave UNIQUE (chave),
+    CONSTRAINT ck_anexo_tamanho CHECK (tamanho_bytes > 0),
+    CONSTRAINT ck_anexo_sha256 CHECK (sha256 ~ '^[0-9a-f]{64}$'),
+    CONSTRAINT ck_anexo_remocao CHECK ((removido_em IS NULL) = (removido_por IS NULL) AND (removido_em IS NULL) = (motivo_remocao IS NULL)),
+    CONSTRAINT fk_anexo_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_anexo_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX ix_anexo_paciente ON anexo (id_paciente) WHERE removido_em IS NULL;
+CREATE INDEX ix_anexo_consulta ON anexo (id_consulta) WHERE removido_em IS NULL;
+
+
+-- Tabela: documento (resumos e atestados emitidos em PDF). Cada documento recebe um número sequencial
+-- por ano e um código de verificação; o PDF emitido fica no armazenamento de anexos, sob "chave".
+CREATE TABLE documento (
+    id_documento        SERIAL,
+    tipo                VARCHAR(20) NOT NULL,
+    ano                 INT NOT NULL,
+    numero              INT NOT NULL,
+    codigo_verificacao  VARCHAR(14) NOT NULL,
+    id_consulta         INT NOT NULL,
+    id_paciente         INT NOT NULL,
+    id_medico           INT NOT NULL,
+    -- Conteúdo impresso no documento, no momento da emissão
+    dados               JSONB NOT NULL,
+    sha256              CHAR(64) NOT NULL,
+    chave               VARCHAR(200) NOT NULL,
+    emitido_por         VARCHAR(200),
+    emitido_em          TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_documento PRIMARY KEY (id_documento),
+    CONSTRAINT ck_documento_tipo CHECK (tipo IN ('resumo', 'atestado')),
+    CONSTRAINT uq_documento_numero UNIQUE (ano, numero),
+    CONSTRAINT uq_documento_codigo UNIQUE (codigo_verificacao),
+    CONSTRAINT fk_documento_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_documento_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_documento_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE
+);
+
+CREATE INDEX ix_documento_consulta ON documento (id_consulta);
+
+
+-- Tabela: encaminhamento (paciente encaminhado, a partir de uma consulta, a outro departamento ou médico)
+CREATE TABLE encaminhamento (
+    id_encaminhamento       SERIAL,
+    id_consulta_origem      INT NOT NULL,
+    id_paciente             INT NOT NULL,
+    id_medico_origem        INT NOT NULL,
+    -- Destino: um departamento, um médico ou um médico do departamento
+    id_departamento_destino INT,
+    id_medico_destino       INT,
+    prioridade              VARCHAR(20) NOT NULL DEFAULT 'rotina',
+    justificativa           TEXT NOT NULL,
+    status                  VARCHAR(20) NOT NULL DEFAULT 'pendente',
+    criado_em               TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    aceito_por              VARCHAR(200),
+    aceito_em               TIMESTAMP,
+    -- Recusa ou cancelamento
+    encerrado_por           VARCHAR(200),
+    encerrado_em            TIMESTAMP,
+    motivo_encerramento     TEXT,
+    -- Consulta agendada a partir do encaminhamento aceito
+    id_consulta_agendada    INT,
+
+    CONSTRAINT pk_encaminhamento PRIMARY KEY (id_encaminhamento),
+    CONSTRAINT ck_encaminhamento_destino CHECK (id_departamento_destino IS NOT NULL OR id_medico_destino IS NOT NULL),
+    CONSTRAINT ck_encaminhamento_prioridade CHECK (prioridade IN ('rotina', 'prioritario', 'urgente')),
+    CONSTRAINT ck_encaminhamento_status CHECK (status IN ('pendente', 'aceito', 'recusado', 'cancelado', 'agendado')),
+    -- A consulta agendada pode deixar de existir (ON DELETE SET NULL); o encaminhamento continua 'agendado'
+    CONSTRAINT ck_encaminhamento_agendado CHECK (id_consulta_agendada IS NULL OR status = 'agendado'),
+    CONSTRAINT uq_encaminhamento_consulta_agendada UNIQUE (id_consulta_agendada),
+    CONSTRAINT fk_encaminhamento_consulta_origem FOREIGN KEY (id_consulta_origem)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_encaminhamento_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_encaminhamento_medico_origem FOREIGN KEY (id_medico_origem)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_encaminhamento_departamento_destino FOREIGN KEY (id_departamento_destino)
+        REFERENCES departamento (id_departamento)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_encaminhamento_medico_destino FOREIGN KEY (id_medico_destino)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_encaminhamento_consulta_agendada FOREIGN KEY (id_consulta_agendada)
+        REFERENCES consulta (id_consulta)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX ix_encaminhamento_departamento_pendente ON encaminhamento (id_departamento_destino) WHERE status = 'pendente';
+CREATE INDEX ix_encaminhamento_medico_pendente ON encaminhamento (id_medico_destino) WHERE status = 'pendente';
+CREATE INDEX ix_encaminhamento_paciente ON encaminhamento (id_paciente);
+
+
+-- Tabela: consulta_status_historico (transições de status das consultas)
+CREATE TABLE consulta_status_historico (
+    id_historico    SERIAL,
+    id_consulta     INT NOT NULL,
+    status_anterior VARCHAR(20) NOT NULL,
+    status_novo     VARCHAR(20) NOT NULL,
+    responsavel     VARCHAR(200) NOT NULL,
+    motivo          TEXT,
+    alterado_em     TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_consulta_status_historico PRIMARY KEY (id_historico),
+    CONSTRAINT fk_status_historico_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE
+);
+
+
+-- Tabela: consulta_nota_versao (versões do diagnóstico e das observações da consulta; somente inclusão)
+-- A consulta guarda a versão atual; cada alteração desses textos gera uma nova versão pelo gatilho abaixo.
+CREATE TABLE consulta_nota_versao (
+    id_versao           SERIAL,
+    id_consulta         INT NOT NULL,
+    numero              INT NOT NULL,
+    id_versao_anterior  INT,
+    diagnostico         TEXT,
+    observacoes         TEXT,
+    autor               VARCHAR(200) NOT NULL,
+    motivo              TEXT,
+    criado_em           TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_consulta_nota_versao PRIMARY KEY (id_versao),
+    CONSTRAINT uq_consulta_nota_versao_numero UNIQUE (id_consulta, numero),
+    CONSTRAINT uq_consulta_nota_versao_anterior UNIQUE (id_versao_anterior),
+    CONSTRAINT ck_consulta_nota_versao_encadeamento CHECK ((numero = 1) = (id_versao_anterior IS NULL)),
+    CONSTRAINT fk_consulta_nota_versao_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_consulta_nota_versao_anterior FOREIGN KEY (id_versao_anterior)
+        REFERENCES consulta_nota_versao (id_versao)
+);
+
+-- Autor e motivo vêm das configurações app.nota_autor e app.nota_motivo da transação
+-- (ver services/nota.js); sem autor informado, a versão é atribuída ao médico da consulta.
+CREATE FUNCTION fn_consulta_nota_versao() RETURNS trigger AS $$
+DECLARE
+    v_anterior consulta_nota_versao%ROWTYPE;
+BEGIN
+    IF TG_OP = 'INSERT' AND NEW.diagnostico IS NULL AND NEW.observacoes IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF TG_OP = 'UPDATE' AND NEW.diagnostico IS NOT DISTINCT FROM OLD.diagnostico
+                        AND NEW.observacoes IS NOT DISTINCT FROM OLD.observacoes THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT * INTO v_anterior
+      FROM consulta_nota_versao
+     WHERE id_consulta = NEW.id_consulta
+     ORDER BY numero DESC
+     LIMIT 1;
+
+    INSERT INTO consulta_nota_versao (id_consulta, numero, id_versao_anterior, diagnostico, observacoes, autor, motivo)
+    VALUES (NEW.id_consulta, COALESCE(v_anterior.numero, 0) + 1, v_anterior.id_versao, NEW.diagnostico, NEW.observacoes,
+            COALESCE(NULLIF(current_setting('app.nota_autor', true), ''), (SELECT nome FROM medico WHERE id_medico = NEW.id_medico)),
+            NULLIF(current_setting('app.nota_motivo', true), ''));
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tg_consulta_nota_versao
+    AFTER INSERT OR UPDATE OF diagnostico, observacoes ON consulta
+    FOR EACH ROW EXECUTE FUNCTION fn_consulta_nota_versao();
+
+-- Versões não podem ser alteradas; só são removidas junto com a consulta (ON DELETE CASCADE).
+CREATE FUNCTION fn_consulta_nota_versao_imutavel() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM consulta WHERE id_consulta = OLD.id_consulta) THEN
+        RETURN OLD;
+    END IF;
+
+    RAISE EXCEPTION 'As versões da nota da consulta % não podem ser alteradas nem removidas.', OLD.id_consulta
+        USING ERRCODE = 'object_not_in_prerequisite_state';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tg_consulta_nota_versao_imutavel
+    BEFORE UPDATE OR DELETE ON consulta_nota_versao
+    FOR EACH ROW EXECUTE FUNCTION fn_consulta_nota_versao_imutavel();
+
+
+-- Tabela: lista_espera (pacientes aguardando vaga com um médico ou uma especialidade)
+CREATE TABLE lista_espera (
+    id_espera       SERIAL,
+    id_paciente     INT NOT NULL,
+    id_medico       INT,
+    especialidade   VARCHAR(100),
+    data_inicio     DATE NOT NULL,
+    data_fim        DATE NOT NULL,
+    prioridade      SMALLINT NOT NULL DEFAULT 0,
+    status          VARCHAR(20) NOT NULL DEFAULT 'aguardando',
+    observacoes     TEXT,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_lista_espera PRIMARY KEY (id_espera),
+    CONSTRAINT ck_espera_alvo CHECK (id_medico IS NOT NULL OR especialidade IS NOT NULL),
+    CONSTRAINT ck_espera_periodo CHECK (data_fim >= data_inicio),
+    CONSTRAINT ck_espera_status CHECK (status IN ('aguardando', 'ofertado', 'atendido', 'cancelado')),
+    CONSTRAINT fk_espera_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_espera_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE
+);
+
+
+-- Tabela: oferta_vaga (reserva provisória de um horário liberado para um paciente da lista de espera)
+CREATE TABLE oferta_vaga (
+    id_oferta          SERIAL,
+    id_espera          INT NOT NULL,
+    id_consulta_origem INT,
+    id_medico          INT NOT NULL,
+    data_consulta      DATE NOT NULL,
+    hora_inicio        TIME NOT NULL,
+    duracao_min        INT NOT NULL,
+    status             VARCHAR(20) NOT NULL DEFAULT 'pendente',
+    expira_em          TIMESTAMP NOT NULL,
+    id_consulta        INT,
+    criado_em          TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    respondido_em      TIMESTAMP,
+    periodo            TSRANGE GENERATED ALWAYS AS (
+                           tsrange(data_consulta + hora_inicio,
+                                   data_consulta + hora_inicio + duracao_min * INTERVAL '1 minute')
+                       ) STORED,
+
+    CONSTRAINT pk_oferta_vaga PRIMARY KEY (id_oferta),
+    CONSTRAINT ck_oferta_status CHECK (status IN ('pendente', 'aceita', 'recusada', 'expirada')),
+    -- Um mesmo horário do médico só pode estar reservado para um paciente por vez
+    CONSTRAINT ex_oferta_pendente EXCLUDE USING gist (id_medico WITH =, periodo WITH &&) WHERE (status = 'pendente'),
+    CONSTRAINT fk_oferta_espera FOREIGN KEY (id_espera)
+        REFERENCES lista_espera (id_espera)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_oferta_consulta_origem FOREIGN KEY (id_consulta_origem)
+        REFERENCES consulta (id_consulta)
+        ON DELETE SET NULL,
+    CONSTRAINT fk_oferta_medico FOREIGN KEY (id_medico)
+        REFERENCES medico (id_medico)
+        ON DELETE CASCADE,
+    CONSTRAINT fk_oferta_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE SET NULL
+);
+
+
+-- Tabela: notificacao (fila de saída de mensagens ao paciente, processada em segundo plano)
+CREATE TABLE notificacao (
+    id_notificacao  SERIAL,
+    id_consulta     INT,
+    id_contato      INT,
+    evento          VARCHAR(20) NOT NULL,
+    canal           VARCHAR(10) NOT NULL,
+    destino         VARCHAR(200) NOT NULL,
+    assunto         VARCHAR(200) NOT NULL,
+    mensagem        TEXT NOT NULL,
+    status          VARCHAR(20) NOT NULL DEFAULT 'pendente',
+    tentativas      INT NOT NULL DEFAULT 0,
+    -- Próximo envio: data do lembrete, da nova tentativa após falha ou fim do prazo de processamento
+    enviar_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+    ultimo_erro     TEXT,
+    enviada_em      TIMESTAMP,
+    criado_em       TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_notificacao PRIMARY KEY (id_notificacao),
+    CONSTRAINT ck_notificacao_evento CHECK (evento IN ('agendada', 'remarcada', 'cancelada', 'lembrete')),
+    CONSTRAINT ck_notificacao_canal CHECK (canal IN ('email', 'sms')),
+    CONSTRAINT ck_notificacao_status CHECK (status IN ('pendente', 'enviada', 'falhou', 'descartada')),
+    CONSTRAINT fk_notificacao_consulta FOREIGN KEY (id_consulta)
+        REFERENCES consulta (id_consulta)
+        ON DELETE SET NULL,
+    CONSTRAINT fk_notificacao_contato FOREIGN KEY (id_contato)
+        REFERENCES paciente_contato (id_contato)
+        ON DELETE SET NULL
+);
+
+CREATE INDEX ix_notificacao_pendente ON notificacao (enviar_em) WHERE status = 'pendente';
+
+
+-- Tabela: paciente_mesclagem (auditoria das mesclagens de cadastros duplicados de paciente)
+-- O cadastro removido fica guardado em paciente_removido; registros_movidos traz a quantidade de registros
+-- transferidos por tabela e descartados, os contatos e alergias repetidos e as consultas canceladas na mesclagem.
+CREATE TABLE paciente_mesclagem (
+    id_mesclagem            SERIAL,
+    id_paciente             INT NOT NULL,
+    id_paciente_removido    INT NOT NULL,
+    paciente_removido       JSONB NOT NULL,
+    registros_movidos       JSONB NOT NULL,
+    descartados             JSONB NOT NULL,
+    responsavel             VARCHAR(200) NOT NULL,
+    motivo                  TEXT,
+    mesclado_em             TIMESTAMP NOT NULL DEFAULT LOCALTIMESTAMP,
+
+    CONSTRAINT pk_paciente_mesclagem PRIMARY KEY (id_mesclagem),
+    CONSTRAINT uq_paciente_mesclagem_removido UNIQUE (id_paciente_removido),
+    CONSTRAINT fk_paciente_mesclagem_paciente FOREIGN KEY (id_paciente)
+        REFERENCES paciente (id_paciente)
         ON DELETE CASCADE
 );
 
+CREATE INDEX ix_paciente_mesclagem_paciente ON paciente_mesclagem (id_paciente);
+
 
 -- Valores para teste:
 
@@ -65,17 +995,144 @@ VALUES  ('Cardiologia', 'Bloco A - 1º Andar'),
         ('Pediatria', 'Bloco B - 2º Andar'),
         ('Ortopedia', 'Bloco C - Térreo');
 
-INSERT INTO paciente (nome, cpf, data_nascimento, endereco)
-VALUES  ('João da Silva', '123.456.789-00', '1985-04-23', 'Rua das Flores, 123'),
-        ('Maria Oliveira', '987.654.321-00', '1992-11-10', 'Av. Paulista, 999'),
-        ('Carlos Santos', '555.222.111-33', '1978-06-15', 'Rua Central, 45');
+-- Amostra da base de CEPs para desenvolvimento; a base completa é carregada com scripts/importa-cep.js
+INSERT INTO cep (cep, logradouro, bairro, cidade, uf)
+VALUES  ('01310100', 'Avenida Paulista', 'Bela Vista', 'São Paulo', 'SP'),
+        ('01001000', 'Praça da Sé', 'Sé', 'São Paulo', 'SP'),
+        ('20040020', 'Rua da Assembleia', 'Centro', 'Rio de Janeiro', 'RJ'),
+        ('30130000', NULL, NULL, 'Belo Horizonte', 'MG');
+
+INSERT INTO paciente (nome, cpf, data_nascimento, sexo, endereco)
+VALUES  ('João da Silva', '12345678900', '1985-04-23', 'masculino', 'Rua das Flores, 123'),
+        ('Maria Oliveira', '98765432100', '1992-11-10', 'feminino', 'Avenida Paulista, 999 - Bela Vista, São Paulo/SP, CEP 01310-100'),
+        ('Carlos Santos', '55522211133', '1978-06-15', 'masculino', 'Rua Central, 45'),
+        -- Cadastro em duplicidade do paciente 1, feito pela recepção com o nome sem acento
+        ('Joao da Silva', '11144477735', '1985-04-23', 'masculino', 'R. das Flores, 123'),
+        ('Pedro Oliveira', '52998224725', '2016-03-02', 'masculino', 'Avenida Paulista, 999 - Bela Vista, São Paulo/SP, CEP 01310-100');
+
+UPDATE paciente
+   SET cep = '01310100', logradouro = 'Avenida Paulista', numero = '999', bairro = 'Bela Vista', cidade = 'São Paulo', uf = 'SP'
+ WHERE id_paciente IN (2, 5);
+
+INSERT INTO paciente_contato (id_paciente, tipo, valor, recebe_notificacoes, preferencial)
+VALUES  (1, 'email', 'joao.silva@example.com', TRUE, TRUE),
+        (1, 'sms', '+5511988887777', TRUE, TRUE),
+        (1, 'telefone', '1133334444', FALSE, FALSE),
+        (2, 'email', 'maria.oliveira@example.com', TRUE, TRUE),
+        (4, 'email', 'joao.silva@example.com', TRUE, TRUE);
+
+INSERT INTO paciente_contato_emergencia (id_paciente, nome, parentesco, telefone)
+VALUES  (1, 'Ana da Silva', 'cônjuge', '11977776666'),
+        (2, 'José Oliveira', 'pai', '11966665555');
+
+INSERT INTO paciente_responsavel (id_paciente, id_paciente_responsavel, nome, cpf, parentesco)
+VALUES  (5, 2, NULL, NULL, 'mãe'),
+        (5, NULL, 'José Oliveira', '39053344705', 'pai');
 
 INSERT INTO medico (nome, crm, especialidade, data_contratacao, id_departamento)
 VALUES  ('Dra. Ana Souza', 'CRM12345', 'Cardiologista', '2020-01-10', 1),
         ('Dr. Pedro Lima', 'CRM67890', 'Pediatra', '2018-07-22', 2),
         ('Dr. Lucas Pereira', 'CRM54321', 'Ortopedista', '2021-03-05', 3);
 
-INSERT INTO consulta (id_paciente, id_medico, data_consulta, duracao_min, diagnostico, observacoes)
-VALUES  (1, 1, '2025-11-01', 30, 'Hipertensão controlada', 'Paciente em bom estado.'),
-        (2, 2, '2025-11-03', 20, 'Gripe leve', 'Receitado antigripal.'),
-        (3, 3, '2025-11-05', 40, 'Dor no joelho', 'Solicitado exame de imagem.');
+INSERT INTO convenio (nome, registro_ans)
+VALUES  ('Saúde Total', '312345'),
+        ('Vida Plena', '418765');
+
+INSERT INTO plano (id_convenio, nome)
+VALUES  (1, 'Básico'),
+        (1, 'Executivo'),
+        (2, 'Enfermaria');
+
+-- Cardiologia atende o Saúde Total Básico e o Executivo; o Vida Plena Enfermaria só pelo Dr. Pedro Lima
+INSERT INTO plano_aceite (id_plano, id_departamento, id_medico)
+VALUES  (1, 1, NULL),
+        (2, 1, NULL),
+        (3, NULL, 2);
+
+INSERT INTO paciente_plano (id_paciente, id_plano, numero_carteirinha, validade_inicio, validade_fim)
+VALUES  (1, 1, '0001234567890', '2024-01-01', NULL),
+        (2, 3, '7788990011', '2023-01-01', '2024-12-31');
+
+INSERT INTO medico_horario (id_medico, dia_semana, hora_inicio, hora_fim, duracao_slot_min)
+VALUES  (1, 1, '08:00', '12:00', 30),
+        (1, 3, '08:00', '12:00', 30),
+        (1, 5, '13:00', '17:00', 30),
+        (2, 1, '09:00', '12:00', 20),
+        (2, 2, '09:00', '12:00', 20),
+        (2, 4, '14:00', '18:00', 20),
+        (3, 3, '13:00', '18:00', 40),
+        (3, 6, '08:00', '12:00', 40);
+
+INSERT INTO medicamento (nome, concentracao, forma_farmaceutica, classe_terapeutica, controlado)
+VALUES  ('Losartana potássica', '50 mg', 'comprimido', 'antagonistas da angiotensina II', FALSE),
+        ('Hidroclorotiazida', '25 mg', 'comprimido', 'diuréticos tiazídicos', FALSE),
+        ('Metformina', '850 mg', 'comprimido', 'biguanidas', FALSE),
+        ('Paracetamol', '750 mg', 'comprimido', 'analgésicos', FALSE),
+        ('Dipirona sódica', '500 mg/mL', 'solução oral (gotas)', 'pirazolonas', FALSE),
+        ('Ibuprofeno', '600 mg', 'comprimido', 'anti-inflamatórios não esteroides (AINEs)', FALSE),
+        ('Amoxicilina', '500 mg', 'cápsula', 'penicilinas', FALSE),
+        ('Oseltamivir', '75 mg', 'cápsula', 'antivirais', FALSE),
+        ('Clonazepam', '2 mg', 'comprimido', 'benzodiazepínicos', TRUE);
+
+-- Amostra do catálogo CID-10 para desenvolvimento; o catálogo completo é carregado com scripts/importa-cid10.js
+INSERT INTO cid10 (codigo, descricao)
+VALUES  ('E11', 'Diabetes mellitus não-insulino-dependente'),
+        ('E11.9', 'Diabetes mellitus não-insulino-dependente - sem complicações'),
+        ('G43', 'Enxaqueca'),
+        ('G43.9', 'Enxaqueca, sem especificação'),
+        ('I10', 'Hipertensão essencial (primária)'),
+        ('J06.9', 'Infecção aguda das vias aéreas superiores não especificada'),
+        ('J11', 'Influenza (gripe) devida a vírus não identificado'),
+        ('J11.1', 'Influenza (gripe) com outras manifestações respiratórias, devida a vírus não identificado'),
+        ('M17', 'Gonartrose (artrose do joelho)'),
+        ('M25.5', 'Dor articular'),
+        ('R51', 'Cefaléia');
+
+INSERT INTO paciente_alergia (id_paciente, substancia, id_medicamento, gravidade, reacao)
+VALUES  (2, 'Dipirona', 5, 'grave', 'Anafilaxia'),
+        (3, 'Penicilina', NULL, 'moderada', 'Urticária generalizada');
+
+INSERT INTO paciente_condicao (id_paciente, descricao, cid_codigo, desde)
+VALUES  (1, 'Hipertensão arterial sistêmica', 'I10', '2018-03-01');
+
+INSERT INTO paciente_medicamento_uso (id_paciente, id_medicamento, posologia, desde)
+VALUES  (1, 1, '1 comprimido a cada 12 horas', '2018-03-01');
+
+INSERT INTO consulta (id_paciente, id_medico, data_consulta, hora_inicio, duracao_min, diagnostico, observacoes, status)
+VALUES  (1, 1, '2025-11-01', '08:00', 30, 'Hipertensão controlada', 'Paciente em bom estado.', 'realizada'),
+        (2, 2, '2025-11-03', '09:30', 20, 'Gripe leve', 'Receitado antigripal.', 'realizada'),
+        (3, 3, '2025-11-05', '14:00', 40, 'Dor no joelho', 'Solicitado exame de imagem.', 'realizada'),
+        (1, 1, '2025-08-01', '08:00', 30, 'Hipertensão não controlada', 'Iniciada losartana.', 'realizada'),
+        (1, 1, '2025-09-01', '08:00', 30, 'Hipertensão em ajuste', 'Mantida losartana.', 'realizada'),
+        (1, 1, '2025-10-01', '08:00', 30, 'Hipertensão em ajuste', 'Orientada dieta hipossódica.', 'realizada');
+
+INSERT INTO consulta_cid (id_consulta, codigo, principal)
+VALUES  (1, 'I10', TRUE),
+        (2, 'J11.1', TRUE),
+        (3, 'M25.5', TRUE),
+        (4, 'I10', TRUE),
+        (5, 'I10', TRUE),
+        (6, 'I10', TRUE);
+
+-- Série de pressão arterial do paciente hipertenso (consultas 4, 5, 6 e 1)
+INSERT INTO sinal_vital (id_consulta, medido_em, responsavel, pressao_sistolica, pressao_diastolica, frequencia_cardiaca, temperatura, saturacao_o2, peso, altura)
+VALUES  (4, '2025-08-01 07:50', 'Enf. Marta Alves', 158, 98, 84, 36.5, 97, 86.0, 172.0),
+        (5, '2025-09-01 07:50', 'Enf. Marta Alves', 146, 92, 80, 36.7, 98, 85.2, NULL),
+        (6, '2025-10-01 07:50', 'Enf. Marta Alves', 138, 88, 76, 36.4, 98, 84.1, NULL),
+        (1, '2025-11-01 07:50', 'Enf. Marta Alves', 128, 82, 72, 36.6, 98, 83.0, NULL);
+
+INSERT INTO exame (id_consulta, id_medico, tipo, nome, urgencia, justificativa, status, coletado_em, laudado_em, laudo, criado_em)
+VALUES  (1, 1, 'laboratorial', 'Função renal e eletrólitos', 'rotina', 'Controle de hipertensão em uso de anti-hipertensivo.', 'laudado',
+         '2025-11-04 07:30', '2025-11-05 10:00', 'Potássio discretamente elevado; demais valores normais.', '2025-11-01 08:25'),
+        (3, 3, 'imagem', 'Radiografia do joelho direito (AP e perfil)', 'rotina', 'Dor articular no joelho direito.', 'solicitado',
+         NULL, NULL, NULL, '2025-11-05 14:35');
+
+INSERT INTO exame_resultado (id_exame, parametro, valor, unidade, referencia_min, referencia_max)
+VALUES  (1, 'Creatinina', 0.9, 'mg/dL', 0.7, 1.3),
+        (1, 'Ureia', 32, 'mg/dL', 15, 45),
+        (1, 'Potássio', 5.4, 'mEq/L', 3.5, 5.1),
+        (1, 'Sódio', 140, 'mEq/L', 135, 145);
+
+-- Paciente hipertenso encaminhado da cardiologia para a ortopedia
+INSERT INTO encaminhamento (id_consulta_origem, id_paciente, id_medico_origem, id_departamento_destino, prioridade, justificativa)
+VALUES  (1, 1, 1, 3, 'rotina', 'Dor no joelho direito aos esforços há 3 meses. Solicito avaliação ortopédica.');
@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
 
-const pool = new Pool({
+// DATABASE_URL, quando definida, tem precedência (os testes a usam para apontar para um banco descartável).
+const pool = new Pool(process.env.DATABASE_URL ? { connectionString: process.env.DATABASE_URL } : {
     user: 'usuario',
     host: 'database',
     database: 'bancodados',
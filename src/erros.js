@@ -0,0 +1,26 @@
+// Erro lançado dentro de db.transaction para abortar a operação (ROLLBACK) e devolver
+// ao cliente o status HTTP e a mensagem informados. Campos extras vão em "detalhes".
+class ErroHttp extends Error {
+    constructor(status, msg, detalhes = {}) {
+        super(msg);
+        this.status = status;
+        this.detalhes = detalhes;
+    }
+}
+
+// Status devolvido para cada violação de restrição tratada: chave estrangeira inexistente (23503) é erro
+// nos dados enviados; valor único já usado (23505) e remoção de registro ainda referenciado por uma
+// chave ON DELETE RESTRICT (23001) são conflitos com registros existentes.
+const STATUS_RESTRICAO = { "23001": 409, "23503": 400, "23505": 409 };
+
+// Converte a violação de restrição do PostgreSQL em ErroHttp, usando a mensagem cadastrada em
+// "mensagens" para o nome da restrição. Retorna null se o erro não for uma violação conhecida.
+function erroDeRestricao(error, mensagens) {
+    const status = STATUS_RESTRICAO[error.code];
+
+    if (!status || !Object.hasOwn(mensagens, error.constraint)) return null;
+
+    return new ErroHttp(status, mensagens[error.constraint]);
+}
+
+module.exports = { ErroHttp, erroDeRestricao };
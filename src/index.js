@@ -6,8 +6,25 @@ const port = process.env.PORT || 3000;
 const medico = require("./routes/medico");
 const app = express();
 const paciente = require("./routes/paciente");
+const mesclagem = require("./routes/mesclagem");
 const departamento = require("./routes/departamento");
 const consulta = require("./routes/consulta");
+const serie = require("./routes/serie");
+const listaEspera = require("./routes/listaEspera");
+const notificacao = require("./routes/notificacao");
+const cid = require("./routes/cid");
+const medicamento = require("./routes/medicamento");
+const receita = require("./routes/receita");
+const exame = require("./routes/exame");
+const sinalVital = require("./routes/sinalVital");
+const anexo = require("./routes/anexo");
+const documento = require("./routes/documento");
+const antecedente = require("./routes/antecedente");
+const prontuario = require("./routes/prontuario");
+const encaminhamento = require("./routes/encaminhamento");
+const convenio = require("./routes/convenio");
+const { expiraOfertas } = require("./services/listaEspera");
+const { processaNotificacoes } = require("./services/notificacao");
   
 app.use(express.json());
 app.use(cors());
@@ -27,9 +44,38 @@ app.get("/", (req, res) => {
 });
 
 app.use("/medico", medico);
+// Antes do roteador de paciente, cujo GET /:id capturaria GET /paciente/duplicados.
+app.use("/paciente", mesclagem);
 app.use("/paciente", paciente);
+app.use("/paciente", antecedente);
+app.use("/paciente", prontuario);
 app.use("/departamento", departamento);
+// Rotas de receita, exame, sinais vitais, anexos, documentos, encaminhamentos e convênios usam caminhos completos (/consulta/:id/receitas, /paciente/:id/exames, /convenio...) e
+// precisam vir antes do roteador de consulta, cujo POST /:id/:acao capturaria POST /consulta/:id/receitas.
+app.use("/", receita);
+app.use("/", exame);
+app.use("/", sinalVital);
+app.use("/", anexo);
+app.use("/", documento);
+app.use("/", encaminhamento);
+app.use("/", convenio);
+app.use("/consulta/serie", serie);
 app.use("/consulta", consulta);
+app.use("/lista-espera", listaEspera);
+app.use("/notificacao", notificacao);
+app.use("/cid", cid);
+app.use("/medicamento", medicamento);
+
+// Expira periodicamente as reservas da lista de espera não respondidas no prazo, repassando o horário ao próximo paciente.
+setInterval(() => {
+  expiraOfertas().catch((error) => console.error("Erro ao expirar ofertas de vaga:", error));
+}, 60 * 1000);
+
+// Envia as notificações da fila de saída (avisos e lembretes de consulta).
+const INTERVALO_NOTIFICACOES_MS = Number(process.env.NOTIFICACAO_INTERVALO_MS) || 30 * 1000;
+setInterval(() => {
+  processaNotificacoes().catch((error) => console.error("Erro ao processar notificações:", error));
+}, INTERVALO_NOTIFICACOES_MS);
 
 app.listen(port, () => {
   console.log(`Servidor executando em http://localhost:${port}`);
@@ -0,0 +1,35 @@
+const LIMITE_PADRAO = 50;
+const LIMITE_MAXIMO = 200;
+
+// Lê os parâmetros de paginação e ordenação da query string (limit, offset, ordenar, direcao).
+// "campos" mapeia cada nome aceito em "ordenar" para as colunas SQL correspondentes, de modo que
+// nenhum texto enviado pelo cliente seja interpolado na consulta.
+// Retorna { erro } ou { limit, offset, ordem }, onde "ordem" é o trecho pronto para o ORDER BY.
+function lePaginacao(query, campos, campoPadrao) {
+    const limit = query.limit === undefined ? LIMITE_PADRAO : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+    const campo = query.ordenar ?? campoPadrao;
+    const direcao = String(query.direcao ?? "asc").toLowerCase();
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > LIMITE_MAXIMO) {
+        return { erro: `limit deve ser um número inteiro entre 1 e ${LIMITE_MAXIMO}.` };
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { erro: "offset deve ser um número inteiro maior ou igual a zero." };
+    }
+
+    if (!Object.hasOwn(campos, campo)) {
+        return { erro: `ordenar deve ser um dos campos: ${Object.keys(campos).join(", ")}.` };
+    }
+
+    if (direcao !== "asc" && direcao !== "desc") {
+        return { erro: "direcao deve ser asc ou desc." };
+    }
+
+    const ordem = campos[campo].map((coluna) => `${coluna} ${direcao.toUpperCase()}`).join(", ");
+
+    return { limit, offset, ordem };
+}
+
+module.exports = { lePaginacao, LIMITE_PADRAO, LIMITE_MAXIMO };
@@ -0,0 +1,116 @@
+// Rotas do feed iCalendar e do token de publicação, compartilhadas pelos routers de médico e de
+// departamento. Cada handler recebe o tipo do dono do feed ("medico" ou "departamento").
+const db = require("../db");
+const { montaCalendario, buscaConsultasAgenda, geraToken, tokenConfere } = require("../services/ical");
+
+// Donos de feed: tabela e coluna (também a de agenda_token), caminho da rota e textos das respostas.
+const DONOS = {
+    medico: { tabela: "medico", coluna: "id_medico", caminho: "/medico", nome: "médico", naoCadastrado: "Médico não cadastrado no banco." },
+    departamento: { tabela: "departamento", coluna: "id_departamento", caminho: "/departamento", nome: "departamento", naoCadastrado: "Departamento não cadastrado no banco." },
+};
+
+function leIdDono(req, res, dono) {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        res.status(400).json({ msg: `Informe um ${dono.coluna} válido.` });
+        return null;
+    }
+
+    return id;
+}
+
+// GET /:id/agenda.ics do médico ou do departamento ("medico" ou "departamento"). O feed só é enviado
+// com o token cadastrado em /:id/agenda-token; sem token, a agenda não é publicada.
+async function enviaAgenda(req, res, tipo) {
+    const dono = DONOS[tipo];
+    const id = leIdDono(req, res, dono);
+    if (id === null) return;
+
+    try {
+        const busca = await db.query(
+            `SELECT d.nome, t.token
+               FROM ${dono.tabela} d
+               LEFT JOIN agenda_token t ON t.${dono.coluna} = d.${dono.coluna}
+              WHERE d.${dono.coluna} = $1`,
+            [id]
+        );
+
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: dono.naoCadastrado });
+        }
+
+        const { nome, token } = busca.rows[0];
+
+        if (!token) {
+            return res.status(403).json({ msg: `A agenda não foi publicada. Gere o token em POST ${dono.caminho}/${id}/agenda-token e use o link retornado.` });
+        }
+
+        if (!tokenConfere(token, req.query.token)) {
+            return res.status(403).json({ msg: "Token da agenda inválido." });
+        }
+
+        const consultas = await buscaConsultasAgenda(tipo, id);
+
+        res.set("Content-Type", "text/calendar; charset=utf-8");
+        res.set("Content-Disposition", `inline; filename="agenda-${tipo}-${id}.ics"`);
+
+        return res.status(200).send(montaCalendario(`Agenda - ${nome}`, consultas));
+    } catch (error) {
+        console.error(`Erro ao gerar agenda do ${dono.nome}:`, error);
+        return res.status(500).json({ msg: `Erro interno ao gerar a agenda do ${dono.nome}.` });
+    }
+}
+
+// POST /:id/agenda-token: cria ou substitui o token do feed.
+async function criaTokenAgenda(req, res, tipo) {
+    const dono = DONOS[tipo];
+    const id = leIdDono(req, res, dono);
+    if (id === null) return;
+
+    try {
+        const busca = await db.query(`SELECT 1 FROM ${dono.tabela} WHERE ${dono.coluna} = $1`, [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: dono.naoCadastrado });
+        }
+
+        const token = geraToken();
+
+        await db.query(
+            `INSERT INTO agenda_token(${dono.coluna}, token) VALUES ($1, $2)
+             ON CONFLICT (${dono.coluna}) DO UPDATE SET token = EXCLUDED.token, criado_em = LOCALTIMESTAMP`,
+            [id, token]
+        );
+
+        return res.status(201).json({ msg: { token, url: `${dono.caminho}/${id}/agenda.ics?token=${token}` } });
+    } catch (error) {
+        console.error("Erro ao gerar token da agenda:", error);
+        return res.status(500).json({ msg: "Erro interno ao gerar token da agenda." });
+    }
+}
+
+// DELETE /:id/agenda-token: remove o token do feed.
+async function removeTokenAgenda(req, res, tipo) {
+    const dono = DONOS[tipo];
+    const id = leIdDono(req, res, dono);
+    if (id === null) return;
+
+    try {
+        const busca = await db.query(`SELECT 1 FROM ${dono.tabela} WHERE ${dono.coluna} = $1`, [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: dono.naoCadastrado });
+        }
+
+        const remocao = await db.query(`DELETE FROM agenda_token WHERE ${dono.coluna} = $1`, [id]);
+        if (remocao.rowCount === 0) {
+            return res.status(404).json({ msg: `O ${dono.nome} não possui token de agenda.` });
+        }
+
+        return res.status(200).json({ msg: "Token da agenda removido." });
+    } catch (error) {
+        console.error("Erro ao remover token da agenda:", error);
+        return res.status(500).json({ msg: "Erro interno ao remover token da agenda." });
+    }
+}
+
+module.exports = { enviaAgenda, criaTokenAgenda, removeTokenAgenda };
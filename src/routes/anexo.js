@@ -0,0 +1,725 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const multer = require("multer");
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { armazenamentoDeAnexos } = require("../services/armazenamento");
+
+const TAMANHO_MAXIMO_MB = Number(process.env.ANEXOS_TAMANHO_MAXIMO_MB) || 10;
+
+// Tipos aceitos e a assinatura (primeiros bytes) que o conteúdo de cada um deve ter. O tipo é
+// identificado pelo conteúdo, não pela extensão ou pelo Content-Type enviado pelo cliente.
+const TIPOS_ANEXO = {
+    "application/pdf": (b) => b.subarray(0, 5).toString("latin1") === "%PDF-",
+    "image/jpeg": (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+    "image/png": (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    "image/tiff": (b) => ["49492a00", "4d4d002a"].includes(b.subarray(0, 4).toString("hex")),
+};
+
+// Campos aceitos em "ordenar" na listagem de anexos do paciente.
+const ORDENACAO_ANEXO = {
+    enviado_em: ["a.enviado_em", "a.id_anexo"],
+    nome_arquivo: ["a.nome_arquivo", "a.id_anexo"],
+    tamanho_bytes: ["a.tamanho_bytes", "a.id_anexo"],
+};
+
+// Colunas devolvidas pela API (a chave no armazenamento é interna).
+const COLUNAS_ANEXO = `a.id_anexo, a.id_paciente, a.id_consulta, a.nome_arquivo, a.tipo_mime, a.tamanho_bytes::int AS tamanho_bytes,
+                       a.sha256, a.descricao, a.enviado_por, a.enviado_em, a.removido_em, a.removido_por, a.motivo_remocao`;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: TAMANHO_MAXIMO_MB * 1024 * 1024, files: 1 },
+});
+
+// Lê o arquivo do campo "arquivo" do corpo multipart, respondendo 413/400 nos erros do upload.
+function recebeArquivo(req, res, next) {
+    upload.single("arquivo")(req, res, (error) => {
+        if (!error) return next();
+
+        if (error.code === "LIMIT_FILE_SIZE") {
+            return res.status(413).json({ msg: `O arquivo excede o tamanho máximo de ${TAMANHO_MAXIMO_MB} MB.` });
+        }
+
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ msg: "Envie um único arquivo no campo 'arquivo' (multipart/form-data)." });
+        }
+
+        return next(error);
+    });
+}
+
+// Valida o arquivo e os campos do upload. Retorna { erro } ou { anexo } com os dados a gravar.
+function leUpload(req) {
+    const { enviado_por, descricao } = req.body ?? {};
+    const arquivo = req.file;
+
+    if (!arquivo || arquivo.size === 0) {
+        return { erro: "Envie o arquivo no campo 'arquivo' (multipart/form-data)." };
+    }
+
+    if (!enviado_por || String(enviado_por).trim() === "") {
+        return { erro: "Informe quem está enviando o arquivo (enviado_por)." };
+    }
+
+    const tipo_mime = Object.keys(TIPOS_ANEXO).find((tipo) => TIPOS_ANEXO[tipo](arquivo.buffer));
+    if (!tipo_mime) {
+        return { erro: `Tipo de arquivo não aceito. Envie um destes: ${Object.keys(TIPOS_ANEXO).join(", ")}.` };
+    }
+
+    if (arquivo.mimetype !== "application/octet-stream" && arquivo.mimetype !== tipo_mime) {
+        return { erro: `O conteúdo do arquivo (${tipo_mime}) não corresponde ao tipo informado (${arquivo.mimetype}).` };
+    }
+
+    // O nome vem em latin1 do multipart; nomes com acentos chegam em UTF-8
+    const nome_arquivo = Buffer.from(arquivo.originalname, "latin1").toString("utf8").slice(0, 255);
+
+    return {
+        anexo: {
+            nome_arquivo,
+            tipo_mime,
+            conteudo: arquivo.buffer,
+            sha256: crypto.createHash("sha256").update(arquivo.buffer).digest("hex"),
+            enviado_por: String(enviado_por).trim(),
+            descricao: descricao ? String(descricao).trim() : null,
+        },
+    };
+}
+
+// Grava o conteúdo no armazenamento e os metadados no banco. Se o INSERT falhar, o arquivo é apagado.
+async function gravaAnexo(id_paciente, id_consulta, anexo) {
+    const armazenamento = armazenamentoDeAnexos();
+    const chave = crypto.randomUUID();
+
+    await armazenamento.salva(chave, anexo.conteudo);
+
+    try {
+        const insert = await db.query(
+            `INSERT INTO anexo(id_paciente, id_consulta, nome_arquivo, tipo_mime, tamanho_bytes, sha256, chave, descricao, enviado_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+             RETURNING id_anexo`,
+            [id_paciente, id_consulta, anexo.nome_arquivo, anexo.tipo_mime, anexo.conteudo.length, anexo.sha256, chave, anexo.descricao, anexo.enviado_por]
+        );
+
+        return await buscaAnexo(insert.rows[0].id_anexo);
+    } catch (error) {
+        await armazenamento.remove(chave).catch((erroRemocao) => console.error("Erro ao apagar arquivo de anexo não gravado:", erroRemocao));
+        throw error;
+    }
+}
+
+async function buscaAnexo(id_anexo, comChave = false) {
+    const result = await db.query(`SELECT ${COLUNAS_ANEXO}${comChave ? ", a.chave" : ""} FROM anexo a WHERE a.id_anexo = $1`, [id_anexo]);
+    return result.rows[0] ?? null;
+}
+
+function leId(valor) {
+    const id = Number(valor);
+    return Number.isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Anexo:
+ *       type: object
+ *       properties:
+ *         id_anexo:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         id_consulta:
+ *           type: integer
+ *           nullable: true
+ *           description: Consulta do anexo. Nulo para anexos enviados diretamente ao paciente.
+ *           example: 1
+ *         nome_arquivo:
+ *           type: string
+ *           example: "ecg-2025-11-01.png"
+ *         tipo_mime:
+ *           type: string
+ *           example: "image/png"
+ *         tamanho_bytes:
+ *           type: integer
+ *           example: 482113
+ *         sha256:
+ *           type: string
+ *           description: Hash SHA-256 do conteúdo, em hexadecimal. Também enviado no ETag do download.
+ *           example: "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08"
+ *         descricao:
+ *           type: string
+ *           nullable: true
+ *           example: "ECG de repouso"
+ *         enviado_por:
+ *           type: string
+ *           example: "Enf. Marta Alves"
+ *         enviado_em:
+ *           type: string
+ *           example: "2025-11-01T08:10:00.000Z"
+ *         removido_em:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         removido_por:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         motivo_remocao:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *     AnexoUpload:
+ *       type: object
+ *       required:
+ *         - arquivo
+ *         - enviado_por
+ *       properties:
+ *         arquivo:
+ *           type: string
+ *           format: binary
+ *           description: PDF, JPEG, PNG ou TIFF. O tipo é identificado pelo conteúdo do arquivo.
+ *         enviado_por:
+ *           type: string
+ *           example: "Enf. Marta Alves"
+ *         descricao:
+ *           type: string
+ *           example: "Carta de encaminhamento digitalizada"
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/anexos:
+ *   get:
+ *     summary: Lista os anexos da consulta.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: incluir_removidos
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           example: false
+ *     responses:
+ *       200:
+ *         description: Anexos da consulta, do mais antigo ao mais recente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Anexo'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       500:
+ *         description: Erro interno ao buscar anexos.
+ */
+
+router.get("/consulta/:id/anexos", async (req, res) => {
+    const id = leId(req.params.id);
+    const incluirRemovidos = req.query.incluir_removidos === "true";
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const consulta = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const anexos = await db.query(
+            `SELECT ${COLUNAS_ANEXO}
+               FROM anexo a
+              WHERE a.id_consulta = $1 AND ($2 OR a.removido_em IS NULL)
+              ORDER BY a.enviado_em, a.id_anexo`,
+            [id, incluirRemovidos]
+        );
+
+        return res.status(200).json({ data: anexos.rows });
+    } catch (error) {
+        console.error("Erro ao buscar anexos:", error);
+        return res.status(500).json({ msg: "Erro ao buscar anexos." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/anexos:
+ *   post:
+ *     summary: Anexa um arquivo à consulta.
+ *     description: Recebe o arquivo em multipart/form-data. São aceitos PDF, JPEG, PNG e TIFF de até 10 MB (configurável em ANEXOS_TAMANHO_MAXIMO_MB). O anexo também aparece entre os anexos do paciente da consulta.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AnexoUpload'
+ *     responses:
+ *       201:
+ *         description: Arquivo anexado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Anexo'
+ *       400:
+ *         description: Arquivo ausente, tipo não aceito ou enviado_por não informado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Tipo de arquivo não aceito. Envie um destes: application/pdf, image/jpeg, image/png, image/tiff."
+ *       404:
+ *         description: Consulta não encontrada.
+ *       413:
+ *         description: Arquivo maior que o tamanho máximo.
+ *       500:
+ *         description: Erro interno ao gravar o anexo.
+ */
+
+router.post("/consulta/:id/anexos", recebeArquivo, async (req, res) => {
+    const id = leId(req.params.id);
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    const lido = leUpload(req);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const consulta = await db.query("SELECT id_paciente FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const anexo = await gravaAnexo(consulta.rows[0].id_paciente, id, lido.anexo);
+
+        return res.status(201).json({ data: anexo });
+    } catch (error) {
+        console.error("Erro ao gravar anexo:", error);
+        return res.status(500).json({ msg: "Erro ao gravar anexo." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/anexos:
+ *   get:
+ *     summary: Lista os anexos do paciente.
+ *     description: Inclui os anexos enviados diretamente ao paciente e os das suas consultas (com id_consulta preenchido).
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: incluir_removidos
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           example: false
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão enviado_em).
+ *         schema:
+ *           type: string
+ *           enum: [enviado_em, nome_arquivo, tamanho_bytes]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Anexos do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Anexo'
+ *                 total:
+ *                   type: integer
+ *                   example: 3
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: ID ou paginação inválidos.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar anexos.
+ */
+
+router.get("/paciente/:id/anexos", async (req, res) => {
+    const id = leId(req.params.id);
+    const incluirRemovidos = req.query.incluir_removidos === "true";
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_ANEXO, "enviado_em");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const filtro = "a.id_paciente = $1 AND ($2 OR a.removido_em IS NULL)";
+
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM anexo a WHERE ${filtro}`, [id, incluirRemovidos]);
+
+        const anexos = await db.query(
+            `SELECT ${COLUNAS_ANEXO}
+               FROM anexo a
+              WHERE ${filtro}
+              ORDER BY ${paginacao.ordem}
+              LIMIT $3 OFFSET $4`,
+            [id, incluirRemovidos, paginacao.limit, paginacao.offset]
+        );
+
+        return res.status(200).json({ data: anexos.rows, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        console.error("Erro ao buscar anexos:", error);
+        return res.status(500).json({ msg: "Erro ao buscar anexos." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/anexos:
+ *   post:
+ *     summary: Anexa um arquivo ao paciente, sem ligá-lo a uma consulta.
+ *     description: Para documentos externos, como cartas de encaminhamento e exames de outras instituições. Mesmas regras de tipo e tamanho do anexo de consulta.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/AnexoUpload'
+ *     responses:
+ *       201:
+ *         description: Arquivo anexado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Anexo'
+ *       400:
+ *         description: Arquivo ausente, tipo não aceito ou enviado_por não informado.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       413:
+ *         description: Arquivo maior que o tamanho máximo.
+ *       500:
+ *         description: Erro interno ao gravar o anexo.
+ */
+
+router.post("/paciente/:id/anexos", recebeArquivo, async (req, res) => {
+    const id = leId(req.params.id);
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    const lido = leUpload(req);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const anexo = await gravaAnexo(id, null, lido.anexo);
+
+        return res.status(201).json({ data: anexo });
+    } catch (error) {
+        console.error("Erro ao gravar anexo:", error);
+        return res.status(500).json({ msg: "Erro ao gravar anexo." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /anexo/{id}:
+ *   get:
+ *     summary: Retorna os metadados de um anexo.
+ *     description: Também retorna anexos removidos, com quem removeu, quando e por quê.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Anexo encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Anexo'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Anexo não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar o anexo.
+ */
+
+router.get("/anexo/:id", async (req, res) => {
+    const id = leId(req.params.id);
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_anexo válido." });
+    }
+
+    try {
+        const anexo = await buscaAnexo(id);
+
+        if (!anexo) {
+            return res.status(404).json({ msg: "Anexo não encontrado." });
+        }
+
+        return res.status(200).json({ data: anexo });
+    } catch (error) {
+        console.error("Erro ao buscar anexo:", error);
+        return res.status(500).json({ msg: "Erro ao buscar anexo." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /anexo/{id}/download:
+ *   get:
+ *     summary: Baixa o conteúdo de um anexo.
+ *     description: Devolve o arquivo com o Content-Type registrado e o SHA-256 no ETag. O conteúdo é conferido com o hash gravado no envio antes de ser entregue.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Conteúdo do arquivo.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Anexo não encontrado.
+ *       410:
+ *         description: Anexo removido.
+ *       500:
+ *         description: Arquivo ausente ou corrompido no armazenamento, ou erro interno.
+ */
+
+router.get("/anexo/:id/download", async (req, res) => {
+    const id = leId(req.params.id);
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_anexo válido." });
+    }
+
+    try {
+        const anexo = await buscaAnexo(id, true);
+
+        if (!anexo) {
+            return res.status(404).json({ msg: "Anexo não encontrado." });
+        }
+
+        if (anexo.removido_em) {
+            return res.status(410).json({ msg: "Anexo removido.", removido_em: anexo.removido_em, removido_por: anexo.removido_por });
+        }
+
+        const conteudo = await armazenamentoDeAnexos().le(anexo.chave);
+
+        if (crypto.createHash("sha256").update(conteudo).digest("hex") !== anexo.sha256) {
+            console.error(`Anexo ${id} não confere com o SHA-256 registrado.`);
+            return res.status(500).json({ msg: "O arquivo armazenado não confere com o original." });
+        }
+
+        res.set({
+            "Content-Type": anexo.tipo_mime,
+            "Content-Length": conteudo.length,
+            "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(anexo.nome_arquivo)}`,
+            ETag: `"${anexo.sha256}"`,
+        });
+
+        return res.status(200).send(conteudo);
+    } catch (error) {
+        console.error("Erro ao baixar anexo:", error);
+        return res.status(500).json({ msg: "Erro ao baixar anexo." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /anexo/{id}:
+ *   delete:
+ *     summary: Remove um anexo.
+ *     description: A remoção é lógica. O anexo deixa de ser listado e baixado, mas o registro (com responsável, data/hora e motivo) e o arquivo são mantidos.
+ *     tags: [Anexos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responsavel
+ *               - motivo
+ *             properties:
+ *               responsavel:
+ *                 type: string
+ *                 example: "Enf. Marta Alves"
+ *               motivo:
+ *                 type: string
+ *                 example: "Arquivo de outro paciente."
+ *     responses:
+ *       200:
+ *         description: Anexo removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Anexo'
+ *       400:
+ *         description: ID inválido ou responsável/motivo não informados.
+ *       404:
+ *         description: Anexo não encontrado.
+ *       409:
+ *         description: Anexo já removido.
+ *       500:
+ *         description: Erro interno ao remover o anexo.
+ */
+
+router.delete("/anexo/:id", async (req, res) => {
+    const id = leId(req.params.id);
+    const { responsavel, motivo } = req.body ?? {};
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_anexo válido." });
+    }
+
+    if (!responsavel || String(responsavel).trim() === "" || !motivo || String(motivo).trim() === "") {
+        return res.status(400).json({ msg: "Informe o responsável e o motivo da remoção." });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE anexo
+                SET removido_em = LOCALTIMESTAMP, removido_por = $2, motivo_remocao = $3
+              WHERE id_anexo = $1 AND removido_em IS NULL
+              RETURNING id_anexo`,
+            [id, String(responsavel).trim(), String(motivo).trim()]
+        );
+
+        if (update.rowCount === 0) {
+            const anexo = await buscaAnexo(id);
+
+            return anexo
+                ? res.status(409).json({ msg: "Anexo já removido." })
+                : res.status(404).json({ msg: "Anexo não encontrado." });
+        }
+
+        return res.status(200).json({ data: await buscaAnexo(id) });
+    } catch (error) {
+        console.error("Erro ao remover anexo:", error);
+        return res.status(500).json({ msg: "Erro ao remover anexo." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1143 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { erroDeRestricao } = require("../erros");
+const { normalizaCodigoCid } = require("../services/cid");
+const { verificaAlergias } = require("../services/alergia");
+
+const GRAVIDADES_ALERGIA = ["leve", "moderada", "grave"];
+
+// Mensagens das violações de restrição dos antecedentes clínicos (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    uq_paciente_alergia: "Alergia a essa substância já registrada para o paciente.",
+    fk_paciente_alergia_medicamento: "id_medicamento informado não existe.",
+    fk_paciente_condicao_cid: "Código CID-10 não encontrado no catálogo.",
+    fk_paciente_medicamento_uso_medicamento: "id_medicamento informado não existe.",
+};
+
+function isValidISODate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+// Lê os IDs da URL; "campo" é o nome do ID do antecedente (ausente nas rotas de listagem e cadastro).
+function leIds(params, campo) {
+    const id = Number(params.id);
+    const idItem = campo ? Number(params[campo]) : 1;
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(idItem) || idItem <= 0) {
+        return { erro: campo ? `Informe id_paciente e ${campo} válidos.` : "Informe um id_paciente válido." };
+    }
+
+    return { id, idItem };
+}
+
+async function pacienteExiste(id) {
+    const busca = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+    return busca.rowCount > 0;
+}
+
+function respondeErro(res, error, contexto) {
+    const erro = erroDeRestricao(error, MENSAGENS_RESTRICAO);
+    if (erro) {
+        return res.status(erro.status).json({ msg: erro.message });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+// Valida o corpo de cadastro/alteração de alergia. Retorna { erro } ou { valores } na ordem das colunas.
+function leAlergia(body) {
+    const { substancia, id_medicamento, gravidade, reacao } = body ?? {};
+
+    if (!substancia || String(substancia).trim() === "" || !gravidade) {
+        return { erro: "Campos obrigatórios ausentes. Envie substancia e gravidade." };
+    }
+
+    if (!GRAVIDADES_ALERGIA.includes(gravidade)) {
+        return { erro: `gravidade inválida. Use: ${GRAVIDADES_ALERGIA.join(", ")}.` };
+    }
+
+    if (id_medicamento !== undefined && id_medicamento !== null && (!Number.isInteger(id_medicamento) || id_medicamento <= 0)) {
+        return { erro: "id_medicamento deve ser um número inteiro positivo." };
+    }
+
+    return { valores: [String(substancia).trim(), id_medicamento ?? null, gravidade, reacao || null] };
+}
+
+function leCondicao(body) {
+    const { descricao, cid_codigo, desde, ativa, observacoes } = body ?? {};
+
+    if (!descricao || String(descricao).trim() === "") {
+        return { erro: "Informe a descricao da condição." };
+    }
+
+    const cid = cid_codigo ? normalizaCodigoCid(cid_codigo) : null;
+    if (cid_codigo && !cid) {
+        return { erro: "Código CID-10 em formato inválido. Use, por exemplo, I10 ou J11.1." };
+    }
+
+    if (desde && !isValidISODate(desde)) {
+        return { erro: "desde deve estar no formato YYYY-MM-DD." };
+    }
+
+    if (ativa !== undefined && typeof ativa !== "boolean") {
+        return { erro: "ativa deve ser true ou false." };
+    }
+
+    return { valores: [String(descricao).trim(), cid, desde || null, ativa ?? true, observacoes || null] };
+}
+
+function leMedicamentoUso(body) {
+    const { id_medicamento, descricao, posologia, desde, ativo } = body ?? {};
+
+    if (!id_medicamento && (!descricao || String(descricao).trim() === "")) {
+        return { erro: "Informe id_medicamento (catálogo) ou descricao." };
+    }
+
+    if (id_medicamento !== undefined && id_medicamento !== null && (!Number.isInteger(id_medicamento) || id_medicamento <= 0)) {
+        return { erro: "id_medicamento deve ser um número inteiro positivo." };
+    }
+
+    if (desde && !isValidISODate(desde)) {
+        return { erro: "desde deve estar no formato YYYY-MM-DD." };
+    }
+
+    if (ativo !== undefined && typeof ativo !== "boolean") {
+        return { erro: "ativo deve ser true ou false." };
+    }
+
+    return { valores: [id_medicamento ?? null, descricao ? String(descricao).trim() : null, posologia || null, desde || null, ativo ?? true] };
+}
+
+// Medicamentos em uso com o nome do catálogo; "filtro" é o trecho do WHERE.
+async function buscaMedicamentosUso(filtro, params) {
+    const result = await db.query(
+        `SELECT u.id_uso, u.id_paciente, u.id_medicamento, m.nome AS medicamento, u.descricao, u.posologia, u.desde, u.ativo
+           FROM paciente_medicamento_uso u
+           LEFT JOIN medicamento m ON m.id_medicamento = u.id_medicamento
+          WHERE ${filtro}
+          ORDER BY u.id_uso`,
+        params
+    );
+
+    return result.rows;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PacienteAlergia:
+ *       type: object
+ *       properties:
+ *         id_alergia:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 2
+ *         substancia:
+ *           type: string
+ *           description: Substância ou classe; é comparada com o nome e a classe terapêutica dos medicamentos e com os textos da consulta.
+ *           example: "Dipirona"
+ *         id_medicamento:
+ *           type: integer
+ *           nullable: true
+ *           description: Medicamento do catálogo, quando a alergia é a um medicamento específico.
+ *           example: 5
+ *         gravidade:
+ *           type: string
+ *           enum: [leve, moderada, grave]
+ *           example: "grave"
+ *         reacao:
+ *           type: string
+ *           nullable: true
+ *           example: "Anafilaxia"
+ *         registrado_em:
+ *           type: string
+ *           example: "2025-10-01T10:00:00"
+ *     PacienteAlergiaEntrada:
+ *       type: object
+ *       required:
+ *         - substancia
+ *         - gravidade
+ *       properties:
+ *         substancia:
+ *           type: string
+ *           example: "Dipirona"
+ *         id_medicamento:
+ *           type: integer
+ *           example: 5
+ *         gravidade:
+ *           type: string
+ *           enum: [leve, moderada, grave]
+ *           example: "grave"
+ *         reacao:
+ *           type: string
+ *           example: "Anafilaxia"
+ *     AlertaAlergia:
+ *       type: object
+ *       properties:
+ *         id_alergia:
+ *           type: integer
+ *           example: 1
+ *         substancia:
+ *           type: string
+ *           example: "Dipirona"
+ *         gravidade:
+ *           type: string
+ *           enum: [leve, moderada, grave]
+ *           example: "grave"
+ *         reacao:
+ *           type: string
+ *           nullable: true
+ *           example: "Anafilaxia"
+ *         origem:
+ *           type: string
+ *           description: Campo em que o conflito foi encontrado.
+ *           example: "itens[0]"
+ *         medicamento:
+ *           type: string
+ *           nullable: true
+ *           description: Medicamento do catálogo que conflita com a alergia (null quando o conflito está em texto livre).
+ *           example: "Dipirona sódica"
+ *         motivo:
+ *           type: string
+ *           example: "Paciente com alergia grave a Dipirona (Anafilaxia): conflito com Dipirona sódica em itens[0]."
+ *     PacienteCondicao:
+ *       type: object
+ *       properties:
+ *         id_condicao:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         descricao:
+ *           type: string
+ *           example: "Hipertensão arterial sistêmica"
+ *         cid_codigo:
+ *           type: string
+ *           nullable: true
+ *           example: "I10"
+ *         desde:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "2018-03-01"
+ *         ativa:
+ *           type: boolean
+ *           example: true
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *     PacienteCondicaoEntrada:
+ *       type: object
+ *       required:
+ *         - descricao
+ *       properties:
+ *         descricao:
+ *           type: string
+ *           example: "Diabetes mellitus tipo 2"
+ *         cid_codigo:
+ *           type: string
+ *           example: "E11"
+ *         desde:
+ *           type: string
+ *           format: date
+ *           example: "2020-06-01"
+ *         ativa:
+ *           type: boolean
+ *           default: true
+ *         observacoes:
+ *           type: string
+ *     PacienteMedicamentoUso:
+ *       type: object
+ *       properties:
+ *         id_uso:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         id_medicamento:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         medicamento:
+ *           type: string
+ *           nullable: true
+ *           description: Nome do medicamento no catálogo.
+ *           example: "Losartana potássica"
+ *         descricao:
+ *           type: string
+ *           nullable: true
+ *           description: Descrição livre, para medicamentos fora do catálogo.
+ *           example: null
+ *         posologia:
+ *           type: string
+ *           nullable: true
+ *           example: "1 comprimido a cada 12 horas"
+ *         desde:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "2018-03-01"
+ *         ativo:
+ *           type: boolean
+ *           example: true
+ *     PacienteMedicamentoUsoEntrada:
+ *       type: object
+ *       description: Informe id_medicamento (catálogo) ou descricao.
+ *       properties:
+ *         id_medicamento:
+ *           type: integer
+ *           example: 3
+ *         descricao:
+ *           type: string
+ *           example: "Fitoterápico à base de valeriana"
+ *         posologia:
+ *           type: string
+ *           example: "1 comprimido após o café da manhã"
+ *         desde:
+ *           type: string
+ *           format: date
+ *           example: "2021-01-15"
+ *         ativo:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /paciente/{id}/alergias:
+ *   get:
+ *     summary: Lista as alergias do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Alergias registradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PacienteAlergia'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar alergias.
+ *   post:
+ *     summary: Registra uma alergia do paciente.
+ *     description: A partir do registro, receitas e consultas do paciente que mencionem a substância geram alerta; alergias graves bloqueiam a operação até que o médico confirme com `confirmar_alergias`.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteAlergiaEntrada'
+ *     responses:
+ *       201:
+ *         description: Alergia registrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteAlergia'
+ *       400:
+ *         description: Dados inválidos ou id_medicamento inexistente.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       409:
+ *         description: Alergia à mesma substância já registrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Alergia a essa substância já registrada para o paciente."
+ *       500:
+ *         description: Erro interno ao registrar alergia.
+ */
+
+router.get("/:id/alergias", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const result = await db.query("SELECT * FROM paciente_alergia WHERE id_paciente = $1 ORDER BY id_alergia", [ids.id]);
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar alergias");
+    }
+});
+
+router.post("/:id/alergias", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const alergia = leAlergia(req.body);
+    if (alergia.erro) {
+        return res.status(400).json({ msg: alergia.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO paciente_alergia(id_paciente, substancia, id_medicamento, gravidade, reacao)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [ids.id, ...alergia.valores]
+        );
+
+        return res.status(201).json({ data: insert.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "registrar alergia");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/alergias/verificar:
+ *   post:
+ *     summary: Verifica medicamentos e textos contra as alergias do paciente.
+ *     description: Faz a mesma verificação aplicada às receitas e consultas, sem gravar nada. Útil para avisar o médico antes de prescrever.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_medicamentos:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [5, 4]
+ *               texto:
+ *                 type: string
+ *                 example: "Dipirona se dor."
+ *     responses:
+ *       200:
+ *         description: Conflitos encontrados (lista vazia se não houver).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao verificar alergias.
+ */
+
+router.post("/:id/alergias/verificar", async (req, res) => {
+    const ids = leIds(req.params);
+    const { id_medicamentos, texto } = req.body ?? {};
+
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    if (id_medicamentos !== undefined && (!Array.isArray(id_medicamentos) || !id_medicamentos.every((m) => Number.isInteger(m) && m > 0))) {
+        return res.status(400).json({ msg: "id_medicamentos deve ser uma lista de IDs." });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const alertas = await verificaAlergias(db, ids.id, {
+            medicamentos: (id_medicamentos ?? []).map((id_medicamento, i) => ({ id_medicamento, origem: `id_medicamentos[${i}]` })),
+            textos: { texto },
+        });
+
+        return res.status(200).json({ data: alertas });
+    } catch (error) {
+        return respondeErro(res, error, "verificar alergias");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/alergias/{id_alergia}:
+ *   put:
+ *     summary: Altera uma alergia do paciente.
+ *     description: Substitui todos os dados da alergia.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *       - in: path
+ *         name: id_alergia
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteAlergiaEntrada'
+ *     responses:
+ *       200:
+ *         description: Alergia alterada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteAlergia'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Alergia não encontrada para o paciente.
+ *       409:
+ *         description: Alergia à mesma substância já registrada.
+ *       500:
+ *         description: Erro interno ao alterar alergia.
+ *   delete:
+ *     summary: Remove uma alergia do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *       - in: path
+ *         name: id_alergia
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Alergia removida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteAlergia'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Alergia não encontrada para o paciente.
+ *       500:
+ *         description: Erro interno ao remover alergia.
+ */
+
+router.put("/:id/alergias/:id_alergia", async (req, res) => {
+    const ids = leIds(req.params, "id_alergia");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const alergia = leAlergia(req.body);
+    if (alergia.erro) {
+        return res.status(400).json({ msg: alergia.erro });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE paciente_alergia SET substancia = $3, id_medicamento = $4, gravidade = $5, reacao = $6
+              WHERE id_alergia = $1 AND id_paciente = $2 RETURNING *`,
+            [ids.idItem, ids.id, ...alergia.valores]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Alergia não cadastrada para este paciente." });
+        }
+
+        return res.status(200).json({ data: update.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "alterar alergia");
+    }
+});
+
+router.delete("/:id/alergias/:id_alergia", async (req, res) => {
+    const ids = leIds(req.params, "id_alergia");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        const del = await db.query("DELETE FROM paciente_alergia WHERE id_alergia = $1 AND id_paciente = $2 RETURNING *", [ids.idItem, ids.id]);
+
+        if (del.rowCount === 0) {
+            return res.status(404).json({ msg: "Alergia não cadastrada para este paciente." });
+        }
+
+        return res.status(200).json({ data: del.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "remover alergia");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/condicoes:
+ *   get:
+ *     summary: Lista as condições crônicas do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: ativa
+ *         required: false
+ *         description: true para listar apenas as condições ativas.
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Condições registradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PacienteCondicao'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar condições.
+ *   post:
+ *     summary: Registra uma condição crônica do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteCondicaoEntrada'
+ *     responses:
+ *       201:
+ *         description: Condição registrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteCondicao'
+ *       400:
+ *         description: Dados inválidos ou CID-10 fora do catálogo.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao registrar condição.
+ */
+
+router.get("/:id/condicoes", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const result = await db.query(
+            "SELECT * FROM paciente_condicao WHERE id_paciente = $1 AND (NOT $2 OR ativa) ORDER BY id_condicao",
+            [ids.id, req.query.ativa === "true"]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar condições");
+    }
+});
+
+router.post("/:id/condicoes", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const condicao = leCondicao(req.body);
+    if (condicao.erro) {
+        return res.status(400).json({ msg: condicao.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO paciente_condicao(id_paciente, descricao, cid_codigo, desde, ativa, observacoes)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [ids.id, ...condicao.valores]
+        );
+
+        return res.status(201).json({ data: insert.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "registrar condição");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/condicoes/{id_condicao}:
+ *   put:
+ *     summary: Altera uma condição crônica do paciente.
+ *     description: Substitui todos os dados da condição. Para registrar que a condição foi resolvida, envie `ativa` igual a false.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_condicao
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteCondicaoEntrada'
+ *     responses:
+ *       200:
+ *         description: Condição alterada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteCondicao'
+ *       400:
+ *         description: Dados inválidos ou CID-10 fora do catálogo.
+ *       404:
+ *         description: Condição não encontrada para o paciente.
+ *       500:
+ *         description: Erro interno ao alterar condição.
+ *   delete:
+ *     summary: Remove uma condição crônica do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_condicao
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Condição removida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteCondicao'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Condição não encontrada para o paciente.
+ *       500:
+ *         description: Erro interno ao remover condição.
+ */
+
+router.put("/:id/condicoes/:id_condicao", async (req, res) => {
+    const ids = leIds(req.params, "id_condicao");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const condicao = leCondicao(req.body);
+    if (condicao.erro) {
+        return res.status(400).json({ msg: condicao.erro });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE paciente_condicao SET descricao = $3, cid_codigo = $4, desde = $5, ativa = $6, observacoes = $7
+              WHERE id_condicao = $1 AND id_paciente = $2 RETURNING *`,
+            [ids.idItem, ids.id, ...condicao.valores]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Condição não cadastrada para este paciente." });
+        }
+
+        return res.status(200).json({ data: update.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "alterar condição");
+    }
+});
+
+router.delete("/:id/condicoes/:id_condicao", async (req, res) => {
+    const ids = leIds(req.params, "id_condicao");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        const del = await db.query("DELETE FROM paciente_condicao WHERE id_condicao = $1 AND id_paciente = $2 RETURNING *", [ids.idItem, ids.id]);
+
+        if (del.rowCount === 0) {
+            return res.status(404).json({ msg: "Condição não cadastrada para este paciente." });
+        }
+
+        return res.status(200).json({ data: del.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "remover condição");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/medicamentos-em-uso:
+ *   get:
+ *     summary: Lista os medicamentos de uso contínuo do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: ativo
+ *         required: false
+ *         description: true para listar apenas os medicamentos ainda em uso.
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Medicamentos registrados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PacienteMedicamentoUso'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar medicamentos em uso.
+ *   post:
+ *     summary: Registra um medicamento de uso contínuo do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteMedicamentoUsoEntrada'
+ *     responses:
+ *       201:
+ *         description: Medicamento registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteMedicamentoUso'
+ *       400:
+ *         description: Dados inválidos ou id_medicamento inexistente.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao registrar medicamento em uso.
+ */
+
+router.get("/:id/medicamentos-em-uso", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const medicamentos = await buscaMedicamentosUso("u.id_paciente = $1 AND (NOT $2 OR u.ativo)", [ids.id, req.query.ativo === "true"]);
+
+        return res.status(200).json({ data: medicamentos });
+    } catch (error) {
+        return respondeErro(res, error, "buscar medicamentos em uso");
+    }
+});
+
+router.post("/:id/medicamentos-em-uso", async (req, res) => {
+    const ids = leIds(req.params);
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const uso = leMedicamentoUso(req.body);
+    if (uso.erro) {
+        return res.status(400).json({ msg: uso.erro });
+    }
+
+    try {
+        if (!(await pacienteExiste(ids.id))) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO paciente_medicamento_uso(id_paciente, id_medicamento, descricao, posologia, desde, ativo)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id_uso`,
+            [ids.id, ...uso.valores]
+        );
+
+        const [criado] = await buscaMedicamentosUso("u.id_uso = $1", [insert.rows[0].id_uso]);
+
+        return res.status(201).json({ data: criado });
+    } catch (error) {
+        return respondeErro(res, error, "registrar medicamento em uso");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/medicamentos-em-uso/{id_uso}:
+ *   put:
+ *     summary: Altera um medicamento de uso contínuo do paciente.
+ *     description: Substitui todos os dados do registro. Para registrar a suspensão do medicamento, envie `ativo` igual a false.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_uso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PacienteMedicamentoUsoEntrada'
+ *     responses:
+ *       200:
+ *         description: Registro alterado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteMedicamentoUso'
+ *       400:
+ *         description: Dados inválidos ou id_medicamento inexistente.
+ *       404:
+ *         description: Registro não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao alterar medicamento em uso.
+ *   delete:
+ *     summary: Remove um medicamento de uso contínuo do paciente.
+ *     tags: [Antecedentes clínicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_uso
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Registro removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PacienteMedicamentoUso'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Registro não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao remover medicamento em uso.
+ */
+
+router.put("/:id/medicamentos-em-uso/:id_uso", async (req, res) => {
+    const ids = leIds(req.params, "id_uso");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    const uso = leMedicamentoUso(req.body);
+    if (uso.erro) {
+        return res.status(400).json({ msg: uso.erro });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE paciente_medicamento_uso SET id_medicamento = $3, descricao = $4, posologia = $5, desde = $6, ativo = $7
+              WHERE id_uso = $1 AND id_paciente = $2 RETURNING id_uso`,
+            [ids.idItem, ids.id, ...uso.valores]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Medicamento em uso não cadastrado para este paciente." });
+        }
+
+        const [alterado] = await buscaMedicamentosUso("u.id_uso = $1", [ids.idItem]);
+
+        return res.status(200).json({ data: alterado });
+    } catch (error) {
+        return respondeErro(res, error, "alterar medicamento em uso");
+    }
+});
+
+router.delete("/:id/medicamentos-em-uso/:id_uso", async (req, res) => {
+    const ids = leIds(req.params, "id_uso");
+    if (ids.erro) {
+        return res.status(400).json({ msg: ids.erro });
+    }
+
+    try {
+        const [removido] = await buscaMedicamentosUso("u.id_uso = $1 AND u.id_paciente = $2", [ids.idItem, ids.id]);
+
+        if (!removido) {
+            return res.status(404).json({ msg: "Medicamento em uso não cadastrado para este paciente." });
+        }
+
+        await db.query("DELETE FROM paciente_medicamento_uso WHERE id_uso = $1", [ids.idItem]);
+
+        return res.status(200).json({ data: removido });
+    } catch (error) {
+        return respondeErro(res, error, "remover medicamento em uso");
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { normalizaCodigoCid } = require("../services/cid");
+
+// Quantidade padrão e máxima de resultados da busca no catálogo.
+const LIMITE_BUSCA_PADRAO = 20;
+const LIMITE_BUSCA_MAXIMO = 100;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cid10:
+ *       type: object
+ *       properties:
+ *         codigo:
+ *           type: string
+ *           example: "I10"
+ *         descricao:
+ *           type: string
+ *           example: "Hipertensão essencial (primária)"
+ */
+
+/**
+ * @swagger
+ * /cid:
+ *   get:
+ *     summary: Busca no catálogo CID-10.
+ *     description: Procura pelo código (prefixo, com ou sem ponto) ou por trecho da descrição, sem diferenciar maiúsculas, minúsculas e acentos. Códigos que começam com o termo aparecem primeiro.
+ *     tags: [CID-10]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         description: Código ou trecho da descrição (mínimo de 2 caracteres).
+ *         schema:
+ *           type: string
+ *           example: "hipertensao"
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Quantidade máxima de resultados (1 a 100, padrão 20).
+ *         schema:
+ *           type: integer
+ *           example: 20
+ *     responses:
+ *       200:
+ *         description: Códigos encontrados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Cid10'
+ *       400:
+ *         description: Termo de busca ausente ou limite inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe ao menos 2 caracteres no parâmetro q."
+ *       500:
+ *         description: Erro interno ao buscar no catálogo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar no catálogo CID-10."
+ */
+
+router.get("/", async (req, res) => {
+    const q = String(req.query.q ?? "").trim();
+    const limite = req.query.limit === undefined ? LIMITE_BUSCA_PADRAO : Number(req.query.limit);
+
+    if (q.length < 2) {
+        return res.status(400).json({ msg: "Informe ao menos 2 caracteres no parâmetro q." });
+    }
+
+    if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_BUSCA_MAXIMO) {
+        return res.status(400).json({ msg: `limit deve ser um número inteiro entre 1 e ${LIMITE_BUSCA_MAXIMO}.` });
+    }
+
+    // Prefixo do código sem o ponto ("j111" encontra J11.1)
+    const prefixoCodigo = q.toUpperCase().replace(".", "");
+
+    try {
+        const result = await db.query(
+            `SELECT codigo, descricao
+               FROM cid10
+              WHERE replace(codigo, '.', '') LIKE $1 || '%'
+                 OR f_unaccent(lower(descricao)) LIKE '%' || f_unaccent(lower($2)) || '%'
+              ORDER BY (replace(codigo, '.', '') LIKE $1 || '%') DESC, codigo
+              LIMIT $3`,
+            [prefixoCodigo, q, limite]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        console.error("Erro ao buscar no catálogo CID-10:", error);
+        return res.status(500).json({ msg: "Erro ao buscar no catálogo CID-10." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /cid/{codigo}:
+ *   get:
+ *     summary: Retorna um código do catálogo CID-10.
+ *     tags: [CID-10]
+ *     parameters:
+ *       - in: path
+ *         name: codigo
+ *         required: true
+ *         description: Código CID-10, com ou sem ponto.
+ *         schema:
+ *           type: string
+ *           example: "J11.1"
+ *     responses:
+ *       200:
+ *         description: Código encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Cid10'
+ *       400:
+ *         description: Código em formato inválido.
+ *       404:
+ *         description: Código não encontrado no catálogo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Código CID-10 não encontrado no catálogo."
+ *       500:
+ *         description: Erro interno ao buscar no catálogo.
+ */
+
+router.get("/:codigo", async (req, res) => {
+    const codigo = normalizaCodigoCid(req.params.codigo);
+
+    if (!codigo) {
+        return res.status(400).json({ msg: "Código CID-10 em formato inválido. Use, por exemplo, I10 ou J11.1." });
+    }
+
+    try {
+        const result = await db.query("SELECT codigo, descricao FROM cid10 WHERE codigo = $1", [codigo]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ msg: "Código CID-10 não encontrado no catálogo." });
+        }
+
+        return res.status(200).json({ data: result.rows[0] });
+    } catch (error) {
+        console.error("Erro ao buscar no catálogo CID-10:", error);
+        return res.status(500).json({ msg: "Erro ao buscar no catálogo CID-10." });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp, erroDeRestricao } = require("../erros");
+const { ofertaVagaDaConsulta, buscaReservasAtivas } = require("../services/listaEspera");
+const { enfileiraNotificacoes } = require("../services/notificacao");
+const { normalizaCodigoCid, validaCids, gravaCids, buscaCidsConsulta } = require("../services/cid");
+const { verificaAlergias, bloqueiaAlergiasGraves } = require("../services/alergia");
+const { identificaAlteracaoNota, buscaVersaoAtual, buscaHistoricoNota } = require("../services/nota");
+const { exigeResponsavel } = require("../services/responsavel");
+const { lePagador, validaPlanoConsulta } = require("../services/convenio");
+const { MSG_CONFLITO_PACIENTE, buscaConflitosPaciente } = require("../services/agenda");
 
 function isValidISODate(dateStr) {
     
@@ -16,13 +26,295 @@ function isValidISODate(dateStr) {
     return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
 }
 
+function isValidHora(horaStr) {
+    if (!/^\d{2}:\d{2}$/.test(horaStr)) return false;
+
+    const [h, m] = horaStr.split(":").map(Number);
+
+    return h < 24 && m < 60;
+}
+
+// Busca as consultas do médico cujo intervalo [inicio, inicio + duracao_min) se sobrepõe ao informado.
+// A restrição ex_consulta_medico_horario garante a regra no banco; esta busca serve para detalhar o conflito.
+async function buscaConflitosMedico(conexao, id_medico, data_consulta, hora_inicio, duracao_min, idIgnorado = null) {
+    const result = await conexao.query(
+        `SELECT id_consulta, id_paciente, data_consulta, hora_inicio, duracao_min
+           FROM consulta
+          WHERE id_medico = $1
+            AND periodo && tsrange($2::date + $3::time, $2::date + $3::time + $4 * INTERVAL '1 minute')
+            AND ($5::int IS NULL OR id_consulta <> $5)
+            AND status <> 'cancelada'
+          ORDER BY data_consulta, hora_inicio`,
+        [id_medico, data_consulta, hora_inicio, duracao_min, idIgnorado]
+    );
+
+    return result.rows;
+}
+
+// Bloqueia as linhas do paciente e do médico até o fim da transação. Agendamentos simultâneos do mesmo
+// paciente ou médico passam a ser verificados um de cada vez, e nenhum dos dois pode ser removido entre as
+// verificações e a gravação. O bloqueio não impede a inserção de consultas que apenas referenciam as linhas.
+async function bloqueiaPacienteMedico(conexao, id_paciente, id_medico) {
+    const paciente = await conexao.query("SELECT 1 FROM paciente WHERE id_paciente = $1 FOR NO KEY UPDATE", [id_paciente]);
+    if (paciente.rowCount === 0) {
+        throw new ErroHttp(400, "id_paciente informado não existe.");
+    }
+
+    const medico = await conexao.query("SELECT 1 FROM medico WHERE id_medico = $1 FOR NO KEY UPDATE", [id_medico]);
+    if (medico.rowCount === 0) {
+        throw new ErroHttp(400, "id_medico informado não existe.");
+    }
+}
+
+// Mensagens das violações de restrição de consulta (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    fk_consulta_paciente: "id_paciente informado não existe.",
+    fk_consulta_medico: "id_medico informado não existe.",
+    uq_consulta_unica: "Já existe uma consulta para esse paciente com esse médico na mesma data.",
+};
+
+const STATUS_CONSULTA = ["agendada", "confirmada", "em_atendimento", "realizada", "cancelada", "faltou"];
+
+// Transições de status permitidas a partir de cada status.
+const TRANSICOES_STATUS = {
+    agendada: ["confirmada", "em_atendimento", "cancelada", "faltou"],
+    confirmada: ["em_atendimento", "cancelada", "faltou"],
+    em_atendimento: ["realizada"],
+    realizada: [],
+    cancelada: [],
+    faltou: [],
+};
+
+// Ações expostas em POST /consulta/:id/:acao e o status resultante de cada uma.
+const ACOES_STATUS = {
+    confirmar: "confirmada",
+    iniciar: "em_atendimento",
+    concluir: "realizada",
+    cancelar: "cancelada",
+    "registrar-falta": "faltou",
+};
+
+// Status em que o diagnóstico pode ser registrado ou alterado.
+const STATUS_PERMITE_DIAGNOSTICO = ["em_atendimento", "realizada"];
+
+// Aplica uma transição de status validando-a contra TRANSICOES_STATUS e registra no histórico quem,
+// quando e por quê. No cancelamento, o horário liberado é oferecido à lista de espera.
+// Retorna o status HTTP e o corpo da resposta.
+async function alteraStatusConsulta(id, novoStatus, responsavel, motivo) {
+    return db.transaction(async (conexao) => {
+        const busca = await conexao.query("SELECT status FROM consulta WHERE id_consulta = $1 FOR UPDATE", [id]);
+
+        if (busca.rowCount === 0) {
+            return { status: 404, body: { msg: "Consulta não cadastrada no banco" } };
+        }
+
+        const statusAtual = busca.rows[0].status;
+
+        if (!TRANSICOES_STATUS[statusAtual].includes(novoStatus)) {
+            return { status: 409, body: { msg: `Não é permitido alterar o status da consulta de '${statusAtual}' para '${novoStatus}'.` } };
+        }
+
+        const update = await conexao.query("UPDATE consulta SET status = $1 WHERE id_consulta = $2 RETURNING *", [novoStatus, id]);
+
+        await conexao.query(
+            `INSERT INTO consulta_status_historico(id_consulta, status_anterior, status_novo, responsavel, motivo)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [id, statusAtual, novoStatus, responsavel, motivo ?? null]
+        );
+
+        if (novoStatus === "cancelada") {
+            await enfileiraNotificacoes(conexao, id, "cancelada");
+
+            const oferta = await ofertaVagaDaConsulta(conexao, id);
+            return { status: 200, body: { data: update.rows[0], oferta_lista_espera: oferta } };
+        }
+
+        return { status: 200, body: { data: update.rows[0] } };
+    });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Consulta:
+ *       type: object
+ *       properties:
+ *         id_consulta:
+ *           type: integer
+ *           example: 4
+ *         id_paciente:
+ *           type: integer
+ *           example: 3
+ *         id_medico:
+ *           type: integer
+ *           example: 2
+ *         data_consulta:
+ *           type: string
+ *           example: "2025-11-10"
+ *         hora_inicio:
+ *           type: string
+ *           example: "08:30:00"
+ *         duracao_min:
+ *           type: integer
+ *           example: 45
+ *         diagnostico:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         observacoes:
+ *           type: string
+ *           example: "Paciente deve fazer exames adicionais."
+ *         status:
+ *           type: string
+ *           enum: [agendada, confirmada, em_atendimento, realizada, cancelada, faltou]
+ *           example: "agendada"
+ *         id_serie:
+ *           type: integer
+ *           nullable: true
+ *           description: Série de consultas recorrentes à qual a consulta pertence.
+ *           example: null
+ *         pagador:
+ *           type: string
+ *           enum: [sus, particular, convenio]
+ *           example: "convenio"
+ *         id_paciente_plano:
+ *           type: integer
+ *           nullable: true
+ *           description: Carteirinha do paciente usada quando o pagador é o convênio.
+ *           example: 1
+ *         versao:
+ *           type: integer
+ *           readOnly: true
+ *           description: Incrementada a cada alteração da consulta.
+ *           example: 0
+ *         atualizado_em:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           example: "2025-11-01T08:00:00"
+ *     ConsultaCid:
+ *       type: object
+ *       description: Diagnóstico codificado da consulta (catálogo CID-10).
+ *       properties:
+ *         codigo:
+ *           type: string
+ *           example: "I10"
+ *         descricao:
+ *           type: string
+ *           example: "Hipertensão essencial (primária)"
+ *         principal:
+ *           type: boolean
+ *           example: true
+ *     ConflitoPaciente:
+ *       type: object
+ *       description: Consulta do mesmo paciente, com qualquer médico, que se sobrepõe ao horário informado.
+ *       properties:
+ *         id_consulta:
+ *           type: integer
+ *           example: 5
+ *         id_medico:
+ *           type: integer
+ *           example: 3
+ *         nome_medico:
+ *           type: string
+ *           example: "Dr. Carlos Mendes"
+ *         data_consulta:
+ *           type: string
+ *           example: "2025-11-10"
+ *         hora_inicio:
+ *           type: string
+ *           example: "08:15:00"
+ *         duracao_min:
+ *           type: integer
+ *           example: 30
+ *         status:
+ *           type: string
+ *           example: "confirmada"
+ *     TransicaoStatusConsulta:
+ *       type: object
+ *       required:
+ *         - responsavel
+ *       properties:
+ *         responsavel:
+ *           type: string
+ *           description: Quem realizou a alteração.
+ *           example: "Recepção - Carla"
+ *         motivo:
+ *           type: string
+ *           description: Justificativa da alteração (obrigatória no cancelamento).
+ *           example: "Paciente solicitou remarcação."
+ */
+
 /**
  * @swagger
  * /consulta:
  *   get:
- *     summary: Retorna todas as consultas cadastradas.
- *     description: Busca todos os registros da tabela de consultas.
+ *     summary: Retorna as consultas cadastradas.
+ *     description: Busca as consultas de forma paginada, com filtros opcionais e ordenação. A resposta inclui o total de registros que atendem aos filtros.
  *     tags: [Consultas]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Um ou mais status separados por vírgula (agendada, confirmada, em_atendimento, realizada, cancelada, faltou).
+ *         schema:
+ *           type: string
+ *           example: "agendada,confirmada"
+ *       - in: query
+ *         name: id_medico
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_paciente
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         description: Departamento do médico da consulta.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: de
+ *         required: false
+ *         description: Data inicial (YYYY-MM-DD), inclusive.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ate
+ *         required: false
+ *         description: Data final (YYYY-MM-DD), inclusive.
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         description: Trecho do diagnóstico (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "hipertensão"
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão data).
+ *         schema:
+ *           type: string
+ *           enum: [data, id_consulta, id_paciente, id_medico, duracao_min, status]
+ *       - in: query
+ *         name: cid
+ *         required: false
+ *         description: Código CID-10 (ou prefixo, como I1) entre os diagnósticos codificados da consulta, principal ou secundários.
+ *         schema:
+ *           type: string
+ *           example: "I10"
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
  *     responses:
  *       200:
  *         description: Lista de consultas retornada com sucesso.
@@ -48,6 +340,9 @@ function isValidISODate(dateStr) {
  *                       data_consulta:
  *                         type: string
  *                         example: "2025-11-10"
+ *                       hora_inicio:
+ *                         type: string
+ *                         example: "08:30"
  *                       duracao_min:
  *                         type: integer
  *                         example: 45
@@ -57,6 +352,29 @@ function isValidISODate(dateStr) {
  *                       observacoes:
  *                         type: string
  *                         example: "Paciente orientado a retornar em 30 dias."
+ *                       status:
+ *                         type: string
+ *                         example: "agendada"
+ *                 total:
+ *                   type: integer
+ *                   description: Total de consultas que atendem aos filtros.
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro, ordenação ou paginação inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "limit deve ser um número inteiro entre 1 e 200."
  *       500:
  *         description: Erro interno ao buscar consultas.
  *         content:
@@ -70,16 +388,78 @@ function isValidISODate(dateStr) {
  */
 
 
+// Campos aceitos em "ordenar" na listagem de consultas.
+const ORDENACAO_CONSULTA = {
+    data: ["c.data_consulta", "c.hora_inicio"],
+    id_consulta: ["c.id_consulta"],
+    id_paciente: ["c.id_paciente"],
+    id_medico: ["c.id_medico"],
+    duracao_min: ["c.duracao_min"],
+    status: ["c.status"],
+};
+
 router.get("/", async (req, res) => {
+    const { id_medico, id_paciente, id_departamento, de, ate, q, cid } = req.query;
+    const status = req.query.status ? String(req.query.status).split(",") : null;
+
+    if (status && status.some((s) => !STATUS_CONSULTA.includes(s))) {
+        return res.status(400).json({ msg: `status inválido. Valores aceitos: ${STATUS_CONSULTA.join(", ")}.` });
+    }
+
+    if ([id_medico, id_paciente, id_departamento].some((id) => id !== undefined && !(Number.isInteger(Number(id)) && Number(id) > 0))) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    if ((de && !isValidISODate(String(de))) || (ate && !isValidISODate(String(ate)))) {
+        return res.status(400).json({ msg: "Data inválida. Use o formato YYYY-MM-DD." });
+    }
+
+    if (cid !== undefined && !/^[A-Z]\d{0,3}$/.test(String(cid).trim().toUpperCase().replace(".", ""))) {
+        return res.status(400).json({ msg: "cid inválido. Informe um código CID-10 ou o início dele, como I10 ou J11.1." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_CONSULTA, "data");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtros = `
+              WHERE ($1::varchar[] IS NULL OR c.status = ANY($1))
+                AND ($2::int IS NULL OR c.id_medico = $2)
+                AND ($3::int IS NULL OR c.id_paciente = $3)
+                AND ($4::int IS NULL OR m.id_departamento = $4)
+                AND ($5::date IS NULL OR c.data_consulta >= $5)
+                AND ($6::date IS NULL OR c.data_consulta <= $6)
+                AND ($7::text IS NULL OR c.diagnostico ILIKE '%' || $7 || '%')
+                AND ($8::text IS NULL OR EXISTS (SELECT 1
+                                                  FROM consulta_cid cc
+                                                 WHERE cc.id_consulta = c.id_consulta
+                                                   AND replace(cc.codigo, '.', '') LIKE $8 || '%'))`;
+    const prefixoCid = cid === undefined ? null : String(cid).trim().toUpperCase().replace(".", "");
+    const params = [status, id_medico ?? null, id_paciente ?? null, id_departamento ?? null, de ?? null, ate ?? null, q || null, prefixoCid];
+
     try {
-        const result = await db.query("SELECT id_consulta, id_paciente, id_medico, data_consulta, duracao_min, diagnostico, observacoes FROM consulta");
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM consulta c JOIN medico m ON m.id_medico = c.id_medico ${filtros}`, params);
+
+        const result = await db.query(
+            `SELECT c.id_consulta, c.id_paciente, c.id_medico, c.data_consulta, c.hora_inicio, c.duracao_min, c.diagnostico, c.observacoes, c.status, c.id_serie
+               FROM consulta c
+               JOIN medico m ON m.id_medico = c.id_medico
+               ${filtros}
+              ORDER BY ${paginacao.ordem}, c.id_consulta
+              LIMIT $9 OFFSET $10`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        const pagina = { total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset };
 
         if (result.rows.length === 0) {
-            return res.status(200).json({ msg: "Nenhuma consulta encontrada", data: [] });
+            return res.status(200).json({ msg: "Nenhuma consulta encontrada", data: [], ...pagina });
         }
 
-        res.status(200).json({ data: result.rows });
+        res.status(200).json({ data: result.rows, ...pagina });
     } catch (error) {
+        console.error("Erro ao buscar consultas:", error);
         res.status(500).json({ msg: "Erro ao buscar consultas." });
     }
 });
@@ -89,7 +469,7 @@ router.get("/", async (req, res) => {
  * /consulta/{id}:
  *   get:
  *     summary: Retorna uma consulta específica.
- *     description: Busca uma consulta pelo seu ID.
+ *     description: Busca uma consulta pelo seu ID. Diagnóstico e observações são os da versão atual da nota, descrita em `nota` (o histórico completo está em /consulta/{id}/historico).
  *     tags: [Consultas]
  *     parameters:
  *       - in: path
@@ -122,6 +502,9 @@ router.get("/", async (req, res) => {
  *                     data_consulta:
  *                       type: string
  *                       example: "2025-11-10"
+ *                     hora_inicio:
+ *                       type: string
+ *                       example: "08:30"
  *                     duracao_min:
  *                       type: integer
  *                       example: 45
@@ -131,6 +514,34 @@ router.get("/", async (req, res) => {
  *                     observacoes:
  *                       type: string
  *                       example: "Paciente orientado a retornar em 30 dias."
+ *                     status:
+ *                       type: string
+ *                       example: "agendada"
+ *                     cids:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConsultaCid'
+ *                     nota:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Versão atual do diagnóstico e das observações, ou null se ainda não houver texto registrado.
+ *                       properties:
+ *                         id_versao:
+ *                           type: integer
+ *                           example: 7
+ *                         numero:
+ *                           type: integer
+ *                           example: 2
+ *                         autor:
+ *                           type: string
+ *                           example: "Dra. Ana Souza"
+ *                         motivo:
+ *                           type: string
+ *                           nullable: true
+ *                           example: "Correção da conduta registrada."
+ *                         criado_em:
+ *                           type: string
+ *                           example: "2025-11-01T09:10:00.000Z"
  *       400:
  *         description: ID inválido fornecido pelo cliente.
  *         content:
@@ -175,7 +586,10 @@ router.get("/:id", async (req, res) => {
             return res.status(404).json({ msg: "Consulta não encontrada" });
         }
 
-        res.status(200).json({ data: result.rows[0] });
+        const cids = await buscaCidsConsulta(db, id);
+        const nota = await buscaVersaoAtual(db, id);
+
+        res.status(200).json({ data: { ...result.rows[0], cids, nota } });
     } catch (error) {
         res.status(500).json({ msg: "Erro ao consultar o banco." });
     }
@@ -187,7 +601,7 @@ router.get("/:id", async (req, res) => {
  * /consulta:
  *   post:
  *     summary: Cadastra uma nova consulta.
- *     description: Insere uma nova consulta na tabela. A data deve estar no formato YYYY-MM-DD e ser válida. O id_paciente e id_medico devem existir no banco. Não permite duplicidade de consulta para o mesmo paciente com o mesmo médico na mesma data. O campo `duracao_min` deve ser um número inteiro positivo.
+ *     description: Insere uma nova consulta na tabela. A data deve estar no formato YYYY-MM-DD e ser válida, e o horário de início no formato HH:MM. O id_paciente e id_medico devem existir no banco. Não permite duplicidade de consulta para o mesmo paciente com o mesmo médico na mesma data. O campo `duracao_min` deve ser um número inteiro positivo. O intervalo da consulta não pode se sobrepor a outra consulta do mesmo médico nem a um horário reservado para a lista de espera. Também é recusada a sobreposição com outra consulta do mesmo paciente (com qualquer médico), salvo quando `permitir_sobreposicao` for enviado como true. A consulta é criada com status `agendada`, por isso o diagnóstico (texto ou CIDs) não é aceito no cadastro. As observações são confrontadas com as alergias do paciente. Menção a substância com alergia grave bloqueia o cadastro até ser confirmada com `confirmar_alergias`, e os demais conflitos voltam em `alertas`. Pacientes menores de 18 anos na data da consulta precisam ter um responsável legal cadastrado. O pagador padrão é `particular`; no convênio, a carteirinha (`id_paciente_plano`) precisa ser do paciente, estar vigente na data da consulta e o plano ser aceito pelo médico ou pelo departamento dele.
  *     tags: [Consultas]
  *     requestBody:
  *       required: true
@@ -199,6 +613,7 @@ router.get("/:id", async (req, res) => {
  *               - id_paciente
  *               - id_medico
  *               - data_consulta
+ *               - hora_inicio
  *               - duracao_min
  *             properties:
  *               id_paciente:
@@ -211,16 +626,34 @@ router.get("/:id", async (req, res) => {
  *                 type: string
  *                 format: date
  *                 example: "2025-11-10"
+ *               hora_inicio:
+ *                 type: string
+ *                 example: "08:30"
  *               duracao_min:
  *                 type: integer
  *                 minimum: 1
  *                 example: 45
- *               diagnostico:
- *                 type: string
- *                 example: "Hipertensão leve"
  *               observacoes:
  *                 type: string
  *                 example: "Paciente deve fazer exames adicionais."
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Permite agendar mesmo que o paciente já tenha outra consulta (com outro médico) em horário sobreposto.
+ *                 example: false
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Confirma o registro mesmo com conflito com alergia grave do paciente.
+ *               pagador:
+ *                 type: string
+ *                 enum: [sus, particular, convenio]
+ *                 default: particular
+ *                 example: "convenio"
+ *               id_paciente_plano:
+ *                 type: integer
+ *                 description: Obrigatório quando o pagador é o convênio (ver /paciente/{id}/planos).
+ *                 example: 1
  *     responses:
  *       201:
  *         description: Consulta cadastrada com sucesso.
@@ -245,6 +678,9 @@ router.get("/:id", async (req, res) => {
  *                       type: string
  *                       format: date
  *                       example: "2025-11-10"
+ *                     hora_inicio:
+ *                       type: string
+ *                       example: "08:30"
  *                     duracao_min:
  *                       type: integer
  *                       example: 45
@@ -254,8 +690,15 @@ router.get("/:id", async (req, res) => {
  *                     observacoes:
  *                       type: string
  *                       example: "Paciente deve fazer exames adicionais."
+ *                     status:
+ *                       type: string
+ *                       example: "agendada"
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
  *       400:
- *         description: Parâmetros inválidos, IDs de paciente/médico inexistentes, consulta duplicada ou duração inválida.
+ *         description: Parâmetros inválidos, IDs de paciente/médico inexistentes ou duração inválida.
  *         content:
  *           application/json:
  *             schema:
@@ -276,9 +719,39 @@ router.get("/:id", async (req, res) => {
  *               duracao_invalida:
  *                 value:
  *                   msg: "duracao_min deve ser um número inteiro positivo."
- *               consulta_duplicada:
+ *               diagnostico_no_cadastro:
  *                 value:
- *                   msg: "Já existe uma consulta para esse paciente com esse médico na mesma data."
+ *                   msg: "O diagnóstico só pode ser registrado com a consulta em atendimento ou realizada."
+ *       409:
+ *         description: O médico ou o paciente já possui outra consulta cujo intervalo [hora_inicio, hora_inicio + duracao_min) se sobrepõe ao informado (no conflito do paciente, os itens de `conflitos` seguem o schema ConflitoPaciente), já existe consulta do paciente com o mesmo médico na mesma data, as observações conflitam com alergia grave não confirmada (detalhes em `alertas`), o paciente é menor de idade e não tem responsável legal cadastrado, ou a carteirinha do convênio não vale para a consulta (plano inativo, fora da validade ou não aceito pelo médico).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "O médico já possui consulta nesse horário."
+ *                 conflitos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id_consulta:
+ *                         type: integer
+ *                         example: 7
+ *                       id_paciente:
+ *                         type: integer
+ *                         example: 1
+ *                       data_consulta:
+ *                         type: string
+ *                         example: "2025-11-10"
+ *                       hora_inicio:
+ *                         type: string
+ *                         example: "08:00:00"
+ *                       duracao_min:
+ *                         type: integer
+ *                         example: 60
  *       500:
  *         description: Erro interno ao cadastrar consulta.
  *         content:
@@ -295,9 +768,9 @@ router.get("/:id", async (req, res) => {
  */
 
 router.post("/", async (req, res) => {
-    const { id_paciente, id_medico, data_consulta, duracao_min, diagnostico, observacoes } = req.body;
+    const { id_paciente, id_medico, data_consulta, hora_inicio, duracao_min, diagnostico, observacoes, permitir_sobreposicao, cid_principal, cids_secundarios, confirmar_alergias, pagador, id_paciente_plano } = req.body;
 
-    if (!id_paciente || !id_medico || !data_consulta || !duracao_min) {
+    if (!id_paciente || !id_medico || !data_consulta || !hora_inicio || !duracao_min) {
         return res.status(400).json({ msg: "Parâmetros obrigatórios ausentes" });
     }
 
@@ -306,7 +779,7 @@ router.post("/", async (req, res) => {
         return res.status(400).json({ msg: "IDs devem ser números" });
     }
 
-    if (isNaN(Number(duracao_min)) || Number(duracao_min) <= 0) {
+    if (!Number.isInteger(Number(duracao_min)) || Number(duracao_min) <= 0) {
         return res.status(400).json({ msg: "duracao_min deve ser um número inteiro positivo." });
     }
 
@@ -314,29 +787,70 @@ router.post("/", async (req, res) => {
         return res.status(400).json({ msg: "Data inválida. Use o formato YYYY-MM-DD." });
     }
 
+    if (!isValidHora(String(hora_inicio))) {
+        return res.status(400).json({ msg: "Horário inválido. Use o formato HH:MM." });
+    }
+
+    if (diagnostico || cid_principal || cids_secundarios?.length) {
+        return res.status(400).json({ msg: "O diagnóstico só pode ser registrado com a consulta em atendimento ou realizada." });
+    }
+
+    const pagamento = lePagador({ pagador, id_paciente_plano });
+    if (pagamento.erro) {
+        return res.status(400).json({ msg: pagamento.erro });
+    }
+
     try {
-        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id_paciente]);
-        if (paciente.rowCount === 0) {
-            return res.status(400).json({ msg: "id_paciente informado não existe." });
-        }
+        const { consulta, alertas } = await db.transaction(async (conexao) => {
+            await bloqueiaPacienteMedico(conexao, id_paciente, id_medico);
+            await exigeResponsavel(conexao, id_paciente, data_consulta);
 
-        const medico = await db.query("SELECT 1 FROM medico WHERE id_medico = $1", [id_medico]);
-        if (medico.rowCount === 0) {
-            return res.status(400).json({ msg: "id_medico informado não existe." });
-        }
+            if (pagamento.pagador === "convenio") {
+                await validaPlanoConsulta(conexao, { id_paciente_plano: pagamento.id_paciente_plano, id_paciente, id_medico, data_consulta });
+            }
 
-        const result = await db.query(
-            `INSERT INTO consulta(id_paciente, id_medico, data_consulta, duracao_min, diagnostico, observacoes)
-             VALUES ($1, $2, $3, $4, $5, $6)
-             RETURNING *`,
-            [id_paciente, id_medico, data_consulta, Number(duracao_min), diagnostico ?? null, observacoes ?? null]
-        );
+            const alertas = await verificaAlergias(conexao, id_paciente, { textos: { observacoes } });
+            bloqueiaAlergiasGraves(alertas, confirmar_alergias);
+
+            const conflitos = await buscaConflitosMedico(conexao, id_medico, data_consulta, hora_inicio, Number(duracao_min));
+            if (conflitos.length > 0) {
+                throw new ErroHttp(409, "O médico já possui consulta nesse horário.", { conflitos });
+            }
+
+            if (permitir_sobreposicao !== true) {
+                const conflitosPaciente = await buscaConflitosPaciente(conexao, id_paciente, data_consulta, hora_inicio, Number(duracao_min));
+                if (conflitosPaciente.length > 0) {
+                    throw new ErroHttp(409, MSG_CONFLITO_PACIENTE, { conflitos: conflitosPaciente });
+                }
+            }
 
-        return res.status(201).json({ data: result.rows[0] });
+            const reservas = await buscaReservasAtivas(conexao, id_medico, data_consulta, hora_inicio, Number(duracao_min));
+            if (reservas.length > 0) {
+                throw new ErroHttp(409, "Horário reservado para um paciente da lista de espera.", { reservas });
+            }
+
+            const result = await conexao.query(
+                `INSERT INTO consulta(id_paciente, id_medico, data_consulta, hora_inicio, duracao_min, diagnostico, observacoes, pagador, id_paciente_plano)
+                 VALUES ($1, $2, $3, $4, $5, NULL, $6, $7, $8)
+                 RETURNING *`,
+                [id_paciente, id_medico, data_consulta, hora_inicio, Number(duracao_min), observacoes ?? null, pagamento.pagador, pagamento.id_paciente_plano]
+            );
+
+            await enfileiraNotificacoes(conexao, result.rows[0].id_consulta, "agendada");
+
+            return { consulta: result.rows[0], alertas };
+        });
+
+        return res.status(201).json({ data: consulta, alertas });
 
     } catch (error) {
-        if (error.code === "23505") {
-            return res.status(400).json({ msg: "Já existe uma consulta para esse paciente com esse médico na mesma data." });
+        const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message, ...erro.detalhes });
+        }
+
+        if (error.code === "23P01") {
+            return res.status(409).json({ msg: "O médico já possui consulta nesse horário." });
         }
 
         console.error("Erro ao inserir consulta:", error);
@@ -349,51 +863,263 @@ router.post("/", async (req, res) => {
  * @swagger
  * /consulta/{id}:
  *   delete:
- *     summary: Remove uma consulta existente.
- *     description: Exclui uma consulta do sistema com base no ID informado pela URL.
+ *     summary: Cancela uma consulta existente.
+ *     description: Consultas não são mais removidas fisicamente, para preservar o histórico. A exclusão equivale a `POST /consulta/{id}/cancelar`, alterando o status para `cancelada` e registrando a transição no histórico. O horário liberado é reservado automaticamente para o paciente mais adequado da lista de espera.
  *     tags: [Consultas]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
- *         description: ID da consulta que será removida.
+ *         description: ID da consulta que será cancelada.
  *         schema:
  *           type: integer
  *           example: 4
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransicaoStatusConsulta'
  *     responses:
  *       200:
- *         description: Consulta removida com sucesso.
+ *         description: Consulta cancelada com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Consulta'
+ *                 oferta_lista_espera:
+ *                   description: Presente apenas no cancelamento. Reserva criada para o paciente da lista de espera que recebeu o horário liberado, ou null se não houver candidato.
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/OfertaVaga'
+ *       400:
+ *         description: ID inválido ou responsável/motivo não informados.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 msg:
- *                   type: object
- *                   properties:
- *                     id_consulta:
- *                       type: integer
- *                       example: 4
- *                     id_paciente:
- *                       type: integer
- *                       example: 3
- *                     id_medico:
- *                       type: integer
- *                       example: 2
- *                     data_consulta:
- *                       type: string
- *                       example: "2025-11-10"
- *                     duracao_min:
- *                       type: integer
- *                       example: 45
- *                     diagnostico:
- *                       type: string
- *                       example: "Infecção respiratória"
- *                     observacoes:
- *                       type: string
- *                       example: "Paciente apresentava sintomas leves."
+ *                   type: string
+ *                   example: "Informe o motivo do cancelamento."
+ *       404:
+ *         description: Consulta não cadastrada no banco.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Consulta não cadastrada no banco"
+ *       409:
+ *         description: A consulta já está em um status que não permite cancelamento.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Não é permitido alterar o status da consulta de 'realizada' para 'cancelada'."
+ *       500:
+ *         description: Erro ao cancelar consulta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao alterar o status da consulta."
+ */
+
+router.delete("/:id", (req, res) => {
+    req.params.acao = "cancelar";
+    return transicaoStatus(req, res);
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/{acao}:
+ *   post:
+ *     summary: Altera o status de uma consulta.
+ *     description: |
+ *       Aplica uma transição no ciclo de vida da consulta, registrando o responsável, a data/hora e o motivo no histórico.
+ *       Transições permitidas:
+ *       - `confirmar`: agendada → confirmada
+ *       - `iniciar`: agendada/confirmada → em_atendimento
+ *       - `concluir`: em_atendimento → realizada
+ *       - `cancelar`: agendada/confirmada → cancelada (motivo obrigatório)
+ *       - `registrar-falta`: agendada/confirmada → faltou
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da consulta.
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *       - in: path
+ *         name: acao
+ *         required: true
+ *         description: Ação de mudança de status.
+ *         schema:
+ *           type: string
+ *           enum: [confirmar, iniciar, concluir, cancelar, registrar-falta]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TransicaoStatusConsulta'
+ *     responses:
+ *       200:
+ *         description: Status alterado com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Consulta'
+ *                 oferta_lista_espera:
+ *                   description: Presente apenas no cancelamento. Reserva criada para o paciente da lista de espera que recebeu o horário liberado, ou null se não houver candidato.
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/OfertaVaga'
  *       400:
- *         description: ID inválido fornecido.
+ *         description: ID inválido ou responsável/motivo não informados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe o responsável pela alteração."
+ *       404:
+ *         description: Consulta ou ação inexistente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Consulta não cadastrada no banco"
+ *       409:
+ *         description: Transição não permitida a partir do status atual.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Não é permitido alterar o status da consulta de 'cancelada' para 'confirmada'."
+ *       500:
+ *         description: Erro ao alterar o status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao alterar o status da consulta."
+ */
+
+async function transicaoStatus(req, res) {
+    const id = Number(req.params.id);
+    const novoStatus = ACOES_STATUS[req.params.acao];
+    const { responsavel, motivo } = req.body ?? {};
+
+    if (!novoStatus) {
+        return res.status(404).json({ msg: `Ação inexistente. Use: ${Object.keys(ACOES_STATUS).join(", ")}.` });
+    }
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!responsavel || String(responsavel).trim() === "") {
+        return res.status(400).json({ msg: "Informe o responsável pela alteração." });
+    }
+
+    if (novoStatus === "cancelada" && (!motivo || String(motivo).trim() === "")) {
+        return res.status(400).json({ msg: "Informe o motivo do cancelamento." });
+    }
+
+    try {
+        const resultado = await alteraStatusConsulta(id, novoStatus, String(responsavel).trim(), motivo);
+
+        return res.status(resultado.status).json(resultado.body);
+    } catch (error) {
+        console.error("Erro ao alterar status da consulta:", error);
+        return res.status(500).json({ msg: "Erro ao alterar o status da consulta." });
+    }
+}
+
+router.post("/:id/:acao", transicaoStatus);
+
+
+/**
+ * @swagger
+ * /consulta/{id}/historico-status:
+ *   get:
+ *     summary: Retorna o histórico de status de uma consulta.
+ *     description: Lista, em ordem cronológica, as transições de status da consulta com responsável, data/hora e motivo.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da consulta.
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *     responses:
+ *       200:
+ *         description: Histórico retornado com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id_historico:
+ *                         type: integer
+ *                         example: 1
+ *                       id_consulta:
+ *                         type: integer
+ *                         example: 4
+ *                       status_anterior:
+ *                         type: string
+ *                         example: "agendada"
+ *                       status_novo:
+ *                         type: string
+ *                         example: "cancelada"
+ *                       responsavel:
+ *                         type: string
+ *                         example: "Recepção - Carla"
+ *                       motivo:
+ *                         type: string
+ *                         example: "Paciente solicitou remarcação."
+ *                       alterado_em:
+ *                         type: string
+ *                         example: "2025-11-08T10:15:00.000Z"
+ *       400:
+ *         description: ID inválido.
  *         content:
  *           application/json:
  *             schema:
@@ -413,7 +1139,7 @@ router.post("/", async (req, res) => {
  *                   type: string
  *                   example: "Consulta não cadastrada no banco"
  *       500:
- *         description: Erro ao remover consulta.
+ *         description: Erro ao buscar o histórico.
  *         content:
  *           application/json:
  *             schema:
@@ -421,10 +1147,10 @@ router.post("/", async (req, res) => {
  *               properties:
  *                 msg:
  *                   type: string
- *                   example: "Erro interno ao excluir consulta."
+ *                   example: "Erro ao buscar histórico de status."
  */
 
-router.delete("/:id", async (req, res) => {
+router.get("/:id/historico-status", async (req, res) => {
     const id = Number(req.params.id);
 
     if (Number.isNaN(id) || id <= 0) {
@@ -432,17 +1158,280 @@ router.delete("/:id", async (req, res) => {
     }
 
     try {
-        const busca = await db.query("SELECT * FROM consulta WHERE id_consulta = $1", [id]);
+        const busca = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const historico = await db.query("SELECT * FROM consulta_status_historico WHERE id_consulta = $1 ORDER BY alterado_em, id_historico", [id]);
+
+        return res.status(200).json({ data: historico.rows });
+    } catch (error) {
+        console.error("Erro ao buscar histórico de status:", error);
+        return res.status(500).json({ msg: "Erro ao buscar histórico de status." });
+    }
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TrechoDiff:
+ *       type: object
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           enum: [igual, removido, inserido]
+ *           example: "inserido"
+ *         texto:
+ *           type: string
+ *           example: "Mantida losartana 50 mg."
+ *     AlteracaoNota:
+ *       type: object
+ *       properties:
+ *         anterior:
+ *           type: string
+ *           nullable: true
+ *           example: "Paciente em bom estado."
+ *         atual:
+ *           type: string
+ *           nullable: true
+ *           example: "Paciente em bom estado. Mantida losartana 50 mg."
+ *         diff:
+ *           type: array
+ *           description: Diferença palavra a palavra, em ordem. Concatenar os trechos iguais e removidos reconstrói o texto anterior; os iguais e inseridos, o atual.
+ *           items:
+ *             $ref: '#/components/schemas/TrechoDiff'
+ *     VersaoNota:
+ *       type: object
+ *       properties:
+ *         id_versao:
+ *           type: integer
+ *           example: 7
+ *         id_consulta:
+ *           type: integer
+ *           example: 1
+ *         numero:
+ *           type: integer
+ *           example: 2
+ *         id_versao_anterior:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         diagnostico:
+ *           type: string
+ *           nullable: true
+ *           example: "Hipertensão controlada"
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *           example: "Paciente em bom estado. Mantida losartana 50 mg."
+ *         autor:
+ *           type: string
+ *           example: "Dra. Ana Souza"
+ *         motivo:
+ *           type: string
+ *           nullable: true
+ *           example: "Conduta não registrada na primeira versão."
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-01T09:10:00.000Z"
+ *         alteracoes:
+ *           type: object
+ *           description: Campos alterados em relação à versão anterior (na primeira versão, em relação ao texto vazio).
+ *           properties:
+ *             diagnostico:
+ *               $ref: '#/components/schemas/AlteracaoNota'
+ *             observacoes:
+ *               $ref: '#/components/schemas/AlteracaoNota'
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/historico:
+ *   get:
+ *     summary: Retorna todas as versões do diagnóstico e das observações da consulta.
+ *     description: Os textos clínicos da consulta não são sobrescritos. Cada alteração gera uma nova versão que referencia a anterior, com autor, data/hora e motivo. As versões voltam em ordem, cada uma com a diferença em relação à anterior.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da consulta.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Versões retornadas com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VersaoNota'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não cadastrada no banco.
+ *       500:
+ *         description: Erro ao buscar o histórico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar histórico da consulta."
+ */
+
+router.get("/:id/historico", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
 
+    try {
+        const busca = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
         if (busca.rowCount === 0) {
             return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
         }
 
-        const del = await db.query("DELETE FROM consulta WHERE id_consulta = $1 RETURNING *", [id]);
+        const versoes = await buscaHistoricoNota(db, id);
 
-        return res.status(200).json({ msg: del.rows[0] });
+        return res.status(200).json({ data: versoes });
     } catch (error) {
-        return res.status(500).json({ msg: error.message });
+        console.error("Erro ao buscar histórico da consulta:", error);
+        return res.status(500).json({ msg: "Erro ao buscar histórico da consulta." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/pagador:
+ *   put:
+ *     summary: Define quem paga a consulta.
+ *     description: Troca o pagador da consulta entre SUS, particular e convênio. No convênio, a carteirinha (`id_paciente_plano`) precisa ser do paciente, de plano ativo, estar vigente na data da consulta e o plano ser aceito pelo médico ou pelo departamento dele. Não se aplica a consultas canceladas.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pagador
+ *             properties:
+ *               pagador:
+ *                 type: string
+ *                 enum: [sus, particular, convenio]
+ *                 example: "convenio"
+ *               id_paciente_plano:
+ *                 type: integer
+ *                 description: Obrigatório quando o pagador é o convênio.
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Pagador atualizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Consulta'
+ *       400:
+ *         description: Pagador inválido, carteirinha ausente ou de outro paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe em id_paciente_plano a carteirinha do paciente usada na consulta."
+ *       404:
+ *         description: Consulta não cadastrada no banco.
+ *       409:
+ *         description: Consulta cancelada, ou plano inativo, carteirinha fora da validade na data da consulta ou plano não aceito pelo médico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "A carteirinha 7788990011 do plano Vida Plena Enfermaria não é válida na data da consulta (validade de 01/01/2023 a 31/12/2024)."
+ *       500:
+ *         description: Erro interno ao atualizar o pagador.
+ */
+
+router.put("/:id/pagador", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!req.body?.pagador) {
+        return res.status(400).json({ msg: "Informe o pagador: sus, particular ou convenio." });
+    }
+
+    const pagamento = lePagador(req.body);
+    if (pagamento.erro) {
+        return res.status(400).json({ msg: pagamento.erro });
+    }
+
+    try {
+        const consulta = await db.transaction(async (conexao) => {
+            const busca = await conexao.query(
+                "SELECT id_paciente, id_medico, to_char(data_consulta, 'YYYY-MM-DD') AS data_consulta, status FROM consulta WHERE id_consulta = $1 FOR UPDATE",
+                [id]
+            );
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Consulta não cadastrada no banco");
+            }
+
+            const atual = busca.rows[0];
+
+            if (atual.status === "cancelada") {
+                throw new ErroHttp(409, "Consultas canceladas não podem ter o pagador alterado.");
+            }
+
+            if (pagamento.pagador === "convenio") {
+                await validaPlanoConsulta(conexao, { ...atual, id_paciente_plano: pagamento.id_paciente_plano });
+            }
+
+            const update = await conexao.query(
+                "UPDATE consulta SET pagador = $1, id_paciente_plano = $2 WHERE id_consulta = $3 RETURNING *",
+                [pagamento.pagador, pagamento.id_paciente_plano, id]
+            );
+
+            return update.rows[0];
+        });
+
+        return res.status(200).json({ data: consulta });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao atualizar o pagador da consulta:", error);
+        return res.status(500).json({ msg: "Erro ao atualizar o pagador da consulta." });
     }
 });
 
@@ -452,7 +1441,7 @@ router.delete("/:id", async (req, res) => {
  * /consulta/{id}:
  *   put:
  *     summary: Atualiza uma consulta existente.
- *     description: Atualiza as informações de uma consulta já cadastrada. O ID da consulta deve ser informado na URL. Os IDs de paciente e médico devem existir no banco. Não permite duplicidade de consulta para o mesmo paciente com o mesmo médico na mesma data.
+ *     description: Atualiza as informações de uma consulta já cadastrada. O ID da consulta deve ser informado na URL. Os IDs de paciente e médico devem existir no banco. Não permite duplicidade de consulta para o mesmo paciente com o mesmo médico na mesma data, nem sobreposição de horário com outra consulta do mesmo médico. Consultas canceladas ou com falta não podem ser alteradas; em consultas em atendimento ou realizadas apenas diagnóstico e observações podem mudar. O diagnóstico, em texto ou codificado (um CID-10 principal e opcionalmente secundários, validados no catálogo), só é aceito com a consulta em atendimento ou realizada. Diagnóstico e observações alterados são confrontados com as alergias do paciente, como no cadastro. Esses textos não são sobrescritos. Cada alteração gera uma nova versão da nota (ver /consulta/{id}/historico), e corrigir um texto já registrado exige `responsavel` e `motivo`. O pagador é alterado em /consulta/{id}/pagador; ao remarcar uma consulta do convênio, a carteirinha é conferida de novo.
  *     tags: [Consultas]
  *     parameters:
  *       - in: path
@@ -472,6 +1461,7 @@ router.delete("/:id", async (req, res) => {
  *               - id_paciente
  *               - id_medico
  *               - data_consulta
+ *               - hora_inicio
  *               - duracao_min
  *             properties:
  *               id_paciente:
@@ -483,15 +1473,46 @@ router.delete("/:id", async (req, res) => {
  *               data_consulta:
  *                 type: string
  *                 example: "2025-11-12"
+ *               hora_inicio:
+ *                 type: string
+ *                 example: "08:30"
  *               duracao_min:
  *                 type: integer
  *                 example: 60
  *               diagnostico:
  *                 type: string
  *                 example: "Enxaqueca crônica"
+ *               cid_principal:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Código CID-10 do diagnóstico principal. Enviar null remove os CIDs da consulta; omitir mantém os atuais.
+ *                 example: "G43.9"
+ *               cids_secundarios:
+ *                 type: array
+ *                 description: Códigos CID-10 secundários. Exigem cid_principal.
+ *                 items:
+ *                   type: string
+ *                 example: ["R51"]
  *               observacoes:
  *                 type: string
  *                 example: "Paciente em acompanhamento."
+ *               responsavel:
+ *                 type: string
+ *                 description: Autor da nova versão da nota. Obrigatório ao corrigir diagnóstico ou observações já registrados; no primeiro registro, o padrão é o médico da consulta.
+ *                 example: "Dra. Ana Souza"
+ *               motivo:
+ *                 type: string
+ *                 description: Motivo da correção. Obrigatório ao corrigir diagnóstico ou observações já registrados.
+ *                 example: "Conduta não registrada na primeira versão."
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Permite agendar mesmo que o paciente já tenha outra consulta (com outro médico) em horário sobreposto.
+ *                 example: false
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Confirma o registro mesmo com conflito com alergia grave do paciente.
  *     responses:
  *       200:
  *         description: Consulta atualizada com sucesso.
@@ -515,6 +1536,9 @@ router.delete("/:id", async (req, res) => {
  *                     data_consulta:
  *                       type: string
  *                       example: "2025-11-12"
+ *                     hora_inicio:
+ *                       type: string
+ *                       example: "08:30"
  *                     duracao_min:
  *                       type: integer
  *                       example: 60
@@ -524,8 +1548,15 @@ router.delete("/:id", async (req, res) => {
  *                     observacoes:
  *                       type: string
  *                       example: "Paciente em acompanhamento."
+ *                     status:
+ *                       type: string
+ *                       example: "agendada"
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
  *       400:
- *         description: Parâmetros inválidos, IDs de paciente/médico inexistentes ou tentativa de duplicidade.
+ *         description: Parâmetros inválidos, IDs de paciente/médico inexistentes, códigos CID-10 inválidos (listados em `invalidos` ou `inexistentes`) ou correção da nota sem responsável e motivo.
  *         content:
  *           application/json:
  *             schema:
@@ -533,7 +1564,7 @@ router.delete("/:id", async (req, res) => {
  *               properties:
  *                 msg:
  *                   type: string
- *                   example: "Já existe uma consulta para esse paciente com esse médico na mesma data."
+ *                   example: "id_paciente informado não existe."
  *       404:
  *         description: Consulta não cadastrada no banco.
  *         content:
@@ -544,6 +1575,36 @@ router.delete("/:id", async (req, res) => {
  *                 msg:
  *                   type: string
  *                   example: "Consulta não cadastrada no banco"
+ *       409:
+ *         description: Sobreposição com outra consulta do médico ou do paciente, consulta duplicada do paciente com o mesmo médico na mesma data, alteração não permitida pelo status atual da consulta, conflito com alergia grave não confirmado (detalhes em `alertas`), ou, na remarcação de uma consulta do convênio, carteirinha que não vale para a nova data ou o novo médico. No conflito do paciente, os itens de `conflitos` seguem o schema ConflitoPaciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "O médico já possui consulta nesse horário."
+ *                 conflitos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id_consulta:
+ *                         type: integer
+ *                         example: 7
+ *                       id_paciente:
+ *                         type: integer
+ *                         example: 1
+ *                       data_consulta:
+ *                         type: string
+ *                         example: "2025-11-10"
+ *                       hora_inicio:
+ *                         type: string
+ *                         example: "08:00:00"
+ *                       duracao_min:
+ *                         type: integer
+ *                         example: 60
  *       500:
  *         description: Erro interno ao atualizar consulta.
  *         content:
@@ -568,10 +1629,10 @@ router.put("/:id", async (req, res) => {
         return res.status(400).json({ msg: "Informe um id_consulta válido." });
     }
 
-    const { id_paciente,  id_medico,  data_consulta, duracao_min, diagnostico, observacoes } = body;
+    const { id_paciente,  id_medico,  data_consulta, hora_inicio, duracao_min, diagnostico, observacoes, permitir_sobreposicao, cid_principal, cids_secundarios, confirmar_alergias, responsavel, motivo } = body;
 
-    if (!id_paciente || !id_medico || !data_consulta || !duracao_min) {
-        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie id_paciente, id_medico, data_consulta, duracao_min." });
+    if (!id_paciente || !id_medico || !data_consulta || !hora_inicio || !duracao_min) {
+        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie id_paciente, id_medico, data_consulta, hora_inicio, duracao_min." });
     }
 
     if (isNaN(Number(id_paciente)) || Number(id_paciente) <= 0) {
@@ -586,32 +1647,124 @@ router.put("/:id", async (req, res) => {
         return res.status(400).json({ msg: "Data inválida. Use YYYY-MM-DD." });
     }
 
-    if (isNaN(Number(duracao_min)) || Number(duracao_min) <= 0) {
+    if (!isValidHora(String(hora_inicio))) {
+        return res.status(400).json({ msg: "Horário inválido. Use HH:MM." });
+    }
+
+    if (!Number.isInteger(Number(duracao_min)) || Number(duracao_min) <= 0) {
         return res.status(400).json({ msg: "duracao_min deve ser um número inteiro positivo." });
     }
 
     try {
-        const buscaConsulta = await db.query("SELECT * FROM consulta WHERE id_consulta = $1", [id]);
-        if (buscaConsulta.rowCount === 0) {
-            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
-        }
+        const { consulta, alertas } = await db.transaction(async (conexao) => {
+            const buscaConsulta = await conexao.query(
+                `SELECT status, diagnostico, observacoes, pagador, id_paciente_plano,
+                        (id_paciente = $2 AND id_medico = $3 AND data_consulta = $4::date
+                         AND hora_inicio = $5::time AND duracao_min = $6) AS mesmo_agendamento
+                   FROM consulta
+                  WHERE id_consulta = $1
+                    FOR UPDATE`,
+                [id, id_paciente, id_medico, data_consulta, hora_inicio, Number(duracao_min)]
+            );
+            if (buscaConsulta.rowCount === 0) {
+                throw new ErroHttp(404, "Consulta não cadastrada no banco");
+            }
 
-        const buscaPaciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id_paciente]);
-        if (buscaPaciente.rowCount === 0) {
-            return res.status(400).json({ msg: "id_paciente informado não existe." });
-        }
+            const atual = buscaConsulta.rows[0];
 
-        const buscaMedico = await db.query("SELECT 1 FROM medico WHERE id_medico = $1", [id_medico]);
-        if (buscaMedico.rowCount === 0) {
-            return res.status(400).json({ msg: "id_medico informado não existe." });
-        }
+            if (atual.status === "cancelada" || atual.status === "faltou") {
+                throw new ErroHttp(409, `Consultas com status '${atual.status}' não podem ser alteradas.`);
+            }
+
+            if (!atual.mesmo_agendamento && !["agendada", "confirmada"].includes(atual.status)) {
+                throw new ErroHttp(409, "Paciente, médico, data e horário só podem ser alterados em consultas agendadas ou confirmadas.");
+            }
+
+            if ((diagnostico ?? null) !== atual.diagnostico && !STATUS_PERMITE_DIAGNOSTICO.includes(atual.status)) {
+                throw new ErroHttp(409, "O diagnóstico só pode ser registrado com a consulta em atendimento ou realizada.");
+            }
+
+            // CIDs só são alterados quando enviados; reenviar os mesmos códigos não conta como alteração.
+            let cids = null;
+            if (cid_principal !== undefined || cids_secundarios !== undefined) {
+                cids = await validaCids(conexao, cid_principal, cids_secundarios);
+
+                const atuais = await buscaCidsConsulta(conexao, id);
+                const mesmosCids = JSON.stringify(atuais.map((c) => c.codigo)) === JSON.stringify([cids.principal, ...[...cids.secundarios].sort()].filter(Boolean));
 
-        const update = await db.query("UPDATE consulta SET id_paciente = $1, id_medico = $2, data_consulta = $3, duracao_min = $4, diagnostico = $5, observacoes = $6 WHERE id_consulta = $7 RETURNING *", [id_paciente, id_medico, data_consulta, Number(duracao_min), diagnostico ?? null, observacoes ?? null, id]);
+                if (mesmosCids) {
+                    cids = null;
+                } else if (!STATUS_PERMITE_DIAGNOSTICO.includes(atual.status)) {
+                    throw new ErroHttp(409, "O diagnóstico só pode ser registrado com a consulta em atendimento ou realizada.");
+                }
+            }
 
-        return res.status(200).json({ msg: update.rows[0] });
+            await bloqueiaPacienteMedico(conexao, id_paciente, id_medico);
+
+            // Remarcar uma consulta do convênio confere de novo a carteirinha na nova data e com o novo médico
+            if (!atual.mesmo_agendamento && atual.pagador === "convenio") {
+                await validaPlanoConsulta(conexao, { id_paciente_plano: atual.id_paciente_plano, id_paciente, id_medico, data_consulta });
+            }
+
+            // Apenas os textos alterados são confrontados com as alergias, para não bloquear de novo o que já foi confirmado
+            const textos = {};
+            if ((observacoes ?? null) !== atual.observacoes) textos.observacoes = observacoes;
+            if ((diagnostico ?? null) !== atual.diagnostico) textos.diagnostico = diagnostico;
+
+            const alertas = await verificaAlergias(conexao, id_paciente, { textos });
+            bloqueiaAlergiasGraves(alertas, confirmar_alergias);
+
+            // Corrigir um texto já registrado gera uma nova versão da nota, que precisa de autor e motivo
+            if (Object.keys(textos).length > 0) {
+                const corrigeNota = await buscaVersaoAtual(conexao, id) !== null;
+                if (corrigeNota && (!responsavel || String(responsavel).trim() === "" || !motivo || String(motivo).trim() === "")) {
+                    throw new ErroHttp(400, "Informe responsavel e motivo para corrigir o diagnóstico ou as observações da consulta.");
+                }
+
+                await identificaAlteracaoNota(conexao, responsavel, motivo);
+            }
+
+            const conflitos = await buscaConflitosMedico(conexao, id_medico, data_consulta, hora_inicio, Number(duracao_min), id);
+            if (conflitos.length > 0) {
+                throw new ErroHttp(409, "O médico já possui consulta nesse horário.", { conflitos });
+            }
+
+            if (!atual.mesmo_agendamento && permitir_sobreposicao !== true) {
+                const conflitosPaciente = await buscaConflitosPaciente(conexao, id_paciente, data_consulta, hora_inicio, Number(duracao_min), id);
+                if (conflitosPaciente.length > 0) {
+                    throw new ErroHttp(409, MSG_CONFLITO_PACIENTE, { conflitos: conflitosPaciente });
+                }
+            }
+
+            if (!atual.mesmo_agendamento) {
+                const reservas = await buscaReservasAtivas(conexao, id_medico, data_consulta, hora_inicio, Number(duracao_min));
+                if (reservas.length > 0) {
+                    throw new ErroHttp(409, "Horário reservado para um paciente da lista de espera.", { reservas });
+                }
+            }
+
+            const update = await conexao.query("UPDATE consulta SET id_paciente = $1, id_medico = $2, data_consulta = $3, hora_inicio = $4, duracao_min = $5, diagnostico = $6, observacoes = $7 WHERE id_consulta = $8 RETURNING *", [id_paciente, id_medico, data_consulta, hora_inicio, Number(duracao_min), diagnostico ?? null, observacoes ?? null, id]);
+
+            if (cids) {
+                await gravaCids(conexao, id, cids);
+            }
+
+            if (!atual.mesmo_agendamento) {
+                await enfileiraNotificacoes(conexao, id, "remarcada");
+            }
+
+            return { consulta: { ...update.rows[0], cids: await buscaCidsConsulta(conexao, id) }, alertas };
+        });
+
+        return res.status(200).json({ msg: consulta, alertas });
     } catch (error) {
-        if (error.code === "23505") {
-            return res.status(400).json({ msg: "Já existe uma consulta para esse paciente com esse médico na mesma data." });
+        const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message, ...erro.detalhes });
+        }
+
+        if (error.code === "23P01") {
+            return res.status(409).json({ msg: "O médico já possui consulta nesse horário." });
         }
 
         console.error("Erro ao atualizar consulta:", error);
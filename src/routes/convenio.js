@@ -0,0 +1,1056 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { ErroHttp, erroDeRestricao } = require("../erros");
+
+// Mensagens das violações de restrição de convênios, planos, aceites e carteirinhas (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    uq_convenio_nome: "Já existe um convênio com esse nome.",
+    uq_convenio_registro_ans: "Já existe um convênio com esse registro na ANS.",
+    uq_plano_nome: "O convênio já tem um plano com esse nome.",
+    fk_plano_convenio: "Convênio não cadastrado no banco.",
+    uq_plano_aceite_departamento: "O departamento já aceita esse plano.",
+    uq_plano_aceite_medico: "O médico já aceita esse plano.",
+    fk_plano_aceite_departamento: "id_departamento informado não existe.",
+    fk_plano_aceite_medico: "id_medico informado não existe.",
+    fk_paciente_plano_plano: "id_plano informado não existe.",
+    uq_paciente_plano_carteirinha: "Carteirinha já cadastrada nesse plano.",
+};
+
+function isValidISODate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+function respondeErro(res, error, contexto) {
+    const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+    if (erro) {
+        return res.status(erro.status).json({ msg: erro.message });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+// Lê um ID positivo da URL. Retorna o número ou null se inválido.
+function leId(valor) {
+    const id = Number(valor);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Valida nome e registro ANS do convênio. Retorna { erro } ou { valores } na ordem das colunas.
+function leConvenio({ nome, registro_ans, ativo = true } = {}) {
+    if (!nome || typeof nome !== "string" || nome.trim() === "") {
+        return { erro: "Informe o nome do convênio." };
+    }
+
+    if (registro_ans !== undefined && registro_ans !== null && !/^\d{6}$/.test(String(registro_ans))) {
+        return { erro: "registro_ans deve ter 6 dígitos." };
+    }
+
+    if (typeof ativo !== "boolean") {
+        return { erro: "ativo deve ser true ou false." };
+    }
+
+    return { valores: [nome.trim(), registro_ans ? String(registro_ans) : null, ativo] };
+}
+
+// Valida número e validade da carteirinha. Retorna { erro } ou { valores } na ordem das colunas.
+function leCarteirinha({ numero_carteirinha, validade_inicio, validade_fim } = {}) {
+    if (!numero_carteirinha || !validade_inicio) {
+        return { erro: "Campos obrigatórios ausentes. Envie numero_carteirinha e validade_inicio." };
+    }
+
+    const numero = String(numero_carteirinha).replace(/[\s.-]/g, "");
+    if (!/^[0-9A-Za-z]{1,30}$/.test(numero)) {
+        return { erro: "numero_carteirinha deve ter até 30 letras ou dígitos." };
+    }
+
+    if (!isValidISODate(String(validade_inicio))) {
+        return { erro: "validade_inicio inválida. Use YYYY-MM-DD." };
+    }
+
+    if (validade_fim !== undefined && validade_fim !== null && (!isValidISODate(String(validade_fim)) || validade_fim < validade_inicio)) {
+        return { erro: "validade_fim inválida. Use YYYY-MM-DD, igual ou posterior a validade_inicio." };
+    }
+
+    return { valores: [numero.toUpperCase(), validade_inicio, validade_fim ?? null] };
+}
+
+// Carteirinhas com o plano e o convênio, e se valem hoje.
+const SQL_CARTEIRINHAS = `
+    SELECT pp.*, pl.nome AS plano, c.id_convenio, c.nome AS convenio,
+           pl.ativo AND c.ativo AND CURRENT_DATE BETWEEN pp.validade_inicio AND COALESCE(pp.validade_fim, 'infinity') AS vigente
+      FROM paciente_plano pp
+      JOIN plano pl ON pl.id_plano = pp.id_plano
+      JOIN convenio c ON c.id_convenio = pl.id_convenio`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Convenio:
+ *       type: object
+ *       properties:
+ *         id_convenio:
+ *           type: integer
+ *           example: 1
+ *         nome:
+ *           type: string
+ *           example: "Saúde Total"
+ *         registro_ans:
+ *           type: string
+ *           nullable: true
+ *           description: Registro da operadora na ANS.
+ *           example: "312345"
+ *         ativo:
+ *           type: boolean
+ *           description: Convênios e planos inativos não podem ser usados em novas consultas.
+ *           example: true
+ *         planos:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Plano'
+ *     Plano:
+ *       type: object
+ *       properties:
+ *         id_plano:
+ *           type: integer
+ *           example: 1
+ *         id_convenio:
+ *           type: integer
+ *           example: 1
+ *         nome:
+ *           type: string
+ *           example: "Básico"
+ *         ativo:
+ *           type: boolean
+ *           example: true
+ *     PlanoAceite:
+ *       type: object
+ *       description: Médico ou departamento que atende pelo plano. O aceite do departamento vale para todos os médicos dele.
+ *       properties:
+ *         id_aceite:
+ *           type: integer
+ *           example: 1
+ *         id_plano:
+ *           type: integer
+ *           example: 1
+ *         id_departamento:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         id_medico:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *         nome:
+ *           type: string
+ *           description: Nome do departamento ou do médico.
+ *           example: "Cardiologia"
+ *     Carteirinha:
+ *       type: object
+ *       properties:
+ *         id_paciente_plano:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         id_plano:
+ *           type: integer
+ *           example: 1
+ *         numero_carteirinha:
+ *           type: string
+ *           example: "0001234567890"
+ *         validade_inicio:
+ *           type: string
+ *           example: "2024-01-01"
+ *         validade_fim:
+ *           type: string
+ *           nullable: true
+ *           description: Nula para planos sem data de término.
+ *           example: null
+ *         plano:
+ *           type: string
+ *           example: "Básico"
+ *         id_convenio:
+ *           type: integer
+ *           example: 1
+ *         convenio:
+ *           type: string
+ *           example: "Saúde Total"
+ *         vigente:
+ *           type: boolean
+ *           description: Carteirinha dentro da validade hoje, de plano e convênio ativos.
+ *           example: true
+ *         criado_em:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-11-01T08:00:00"
+ */
+
+/**
+ * @swagger
+ * /convenio:
+ *   get:
+ *     summary: Lista os convênios e seus planos.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: query
+ *         name: incluir_inativos
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           example: false
+ *     responses:
+ *       200:
+ *         description: Convênios em ordem alfabética, com os planos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Convenio'
+ *       500:
+ *         description: Erro interno ao buscar convênios.
+ *   post:
+ *     summary: Cadastra um convênio.
+ *     tags: [Convênios]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Bem Estar Saúde"
+ *               registro_ans:
+ *                 type: string
+ *                 example: "354321"
+ *     responses:
+ *       201:
+ *         description: Convênio cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Convenio'
+ *       400:
+ *         description: Nome ausente ou registro ANS inválido.
+ *       409:
+ *         description: Nome ou registro ANS já cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Já existe um convênio com esse nome."
+ *       500:
+ *         description: Erro interno ao cadastrar convênio.
+ */
+
+router.get("/convenio", async (req, res) => {
+    const incluirInativos = req.query.incluir_inativos === "true";
+
+    try {
+        const result = await db.query(
+            `SELECT c.*,
+                    COALESCE(json_agg(pl ORDER BY pl.nome) FILTER (WHERE pl.id_plano IS NOT NULL), '[]') AS planos
+               FROM convenio c
+               LEFT JOIN plano pl ON pl.id_convenio = c.id_convenio AND ($1 OR pl.ativo)
+              WHERE $1 OR c.ativo
+              GROUP BY c.id_convenio
+              ORDER BY c.nome`,
+            [incluirInativos]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar convênios");
+    }
+});
+
+router.post("/convenio", async (req, res) => {
+    const lido = leConvenio(req.body);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const insert = await db.query(
+            "INSERT INTO convenio(nome, registro_ans, ativo) VALUES ($1, $2, $3) RETURNING *",
+            lido.valores
+        );
+
+        return res.status(201).json({ data: { ...insert.rows[0], planos: [] } });
+    } catch (error) {
+        return respondeErro(res, error, "cadastrar convênio");
+    }
+});
+
+
+/**
+ * @swagger
+ * /convenio/{id}:
+ *   put:
+ *     summary: Atualiza um convênio.
+ *     description: Desativar o convênio impede seu uso em novas consultas, sem alterar as já registradas.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Saúde Total"
+ *               registro_ans:
+ *                 type: string
+ *                 example: "312345"
+ *               ativo:
+ *                 type: boolean
+ *                 default: true
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Convênio atualizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Convenio'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Convênio não encontrado.
+ *       409:
+ *         description: Nome ou registro ANS já usado por outro convênio.
+ *       500:
+ *         description: Erro interno ao atualizar convênio.
+ */
+
+router.put("/convenio/:id", async (req, res) => {
+    const id = leId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_convenio válido." });
+    }
+
+    const lido = leConvenio(req.body);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const update = await db.query(
+            "UPDATE convenio SET nome = $1, registro_ans = $2, ativo = $3 WHERE id_convenio = $4 RETURNING *",
+            [...lido.valores, id]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Convênio não cadastrado no banco." });
+        }
+
+        const planos = await db.query("SELECT * FROM plano WHERE id_convenio = $1 ORDER BY nome", [id]);
+
+        return res.status(200).json({ data: { ...update.rows[0], planos: planos.rows } });
+    } catch (error) {
+        return respondeErro(res, error, "atualizar convênio");
+    }
+});
+
+
+/**
+ * @swagger
+ * /convenio/{id}/planos:
+ *   post:
+ *     summary: Cadastra um plano do convênio.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Premium"
+ *     responses:
+ *       201:
+ *         description: Plano cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Plano'
+ *       400:
+ *         description: Nome ausente ou convênio inexistente.
+ *       409:
+ *         description: O convênio já tem um plano com esse nome.
+ *       500:
+ *         description: Erro interno ao cadastrar plano.
+ */
+
+router.post("/convenio/:id/planos", async (req, res) => {
+    const id = leId(req.params.id);
+    const { nome } = req.body ?? {};
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_convenio válido." });
+    }
+
+    if (!nome || typeof nome !== "string" || nome.trim() === "") {
+        return res.status(400).json({ msg: "Informe o nome do plano." });
+    }
+
+    try {
+        const insert = await db.query(
+            "INSERT INTO plano(id_convenio, nome) VALUES ($1, $2) RETURNING *",
+            [id, nome.trim()]
+        );
+
+        return res.status(201).json({ data: insert.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "cadastrar plano");
+    }
+});
+
+
+/**
+ * @swagger
+ * /plano/{id}:
+ *   put:
+ *     summary: Renomeia, ativa ou desativa um plano.
+ *     description: Planos inativos não podem ser usados em novas consultas; as já registradas não mudam.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Básico"
+ *               ativo:
+ *                 type: boolean
+ *                 default: true
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Plano atualizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Plano'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Plano não encontrado.
+ *       409:
+ *         description: O convênio já tem outro plano com esse nome.
+ *       500:
+ *         description: Erro interno ao atualizar plano.
+ */
+
+router.put("/plano/:id", async (req, res) => {
+    const id = leId(req.params.id);
+    const { nome, ativo = true } = req.body ?? {};
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_plano válido." });
+    }
+
+    if (!nome || typeof nome !== "string" || nome.trim() === "") {
+        return res.status(400).json({ msg: "Informe o nome do plano." });
+    }
+
+    if (typeof ativo !== "boolean") {
+        return res.status(400).json({ msg: "ativo deve ser true ou false." });
+    }
+
+    try {
+        const update = await db.query(
+            "UPDATE plano SET nome = $1, ativo = $2 WHERE id_plano = $3 RETURNING *",
+            [nome.trim(), ativo, id]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Plano não cadastrado no banco." });
+        }
+
+        return res.status(200).json({ data: update.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "atualizar plano");
+    }
+});
+
+
+/**
+ * @swagger
+ * /plano/{id}/aceites:
+ *   get:
+ *     summary: Lista os médicos e departamentos que aceitam o plano.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Departamentos e médicos que atendem pelo plano.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlanoAceite'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Plano não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar aceites.
+ *   post:
+ *     summary: Registra que um médico ou departamento aceita o plano.
+ *     description: Informe id_medico ou id_departamento. O aceite do departamento vale para todos os médicos dele.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 example: 3
+ *               id_departamento:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Aceite registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PlanoAceite'
+ *       400:
+ *         description: Nenhum ou ambos os destinos informados, ou médico/departamento inexistente.
+ *       404:
+ *         description: Plano não encontrado.
+ *       409:
+ *         description: O médico ou departamento já aceita o plano.
+ *       500:
+ *         description: Erro interno ao registrar aceite.
+ */
+
+// Aceites com o nome do departamento ou do médico.
+const SQL_ACEITES = `
+    SELECT a.*, COALESCE(d.nome, m.nome) AS nome
+      FROM plano_aceite a
+      LEFT JOIN departamento d ON d.id_departamento = a.id_departamento
+      LEFT JOIN medico m ON m.id_medico = a.id_medico`;
+
+router.get("/plano/:id/aceites", async (req, res) => {
+    const id = leId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_plano válido." });
+    }
+
+    try {
+        const plano = await db.query("SELECT 1 FROM plano WHERE id_plano = $1", [id]);
+        if (plano.rowCount === 0) {
+            return res.status(404).json({ msg: "Plano não cadastrado no banco." });
+        }
+
+        const result = await db.query(`${SQL_ACEITES} WHERE a.id_plano = $1 ORDER BY a.id_medico NULLS FIRST, nome`, [id]);
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar aceites do plano");
+    }
+});
+
+router.post("/plano/:id/aceites", async (req, res) => {
+    const id = leId(req.params.id);
+    const { id_medico, id_departamento } = req.body ?? {};
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_plano válido." });
+    }
+
+    const informados = [id_medico, id_departamento].filter((valor) => valor !== undefined && valor !== null);
+    if (informados.length !== 1 || !informados.every((valor) => Number.isInteger(valor) && valor > 0)) {
+        return res.status(400).json({ msg: "Informe id_medico ou id_departamento (apenas um deles)." });
+    }
+
+    try {
+        const plano = await db.query("SELECT 1 FROM plano WHERE id_plano = $1", [id]);
+        if (plano.rowCount === 0) {
+            return res.status(404).json({ msg: "Plano não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            "INSERT INTO plano_aceite(id_plano, id_departamento, id_medico) VALUES ($1, $2, $3) RETURNING id_aceite",
+            [id, id_departamento ?? null, id_medico ?? null]
+        );
+
+        const aceite = await db.query(`${SQL_ACEITES} WHERE a.id_aceite = $1`, [insert.rows[0].id_aceite]);
+
+        return res.status(201).json({ data: aceite.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "registrar aceite do plano");
+    }
+});
+
+
+/**
+ * @swagger
+ * /plano/{id}/aceites/{id_aceite}:
+ *   delete:
+ *     summary: Remove o aceite do plano por um médico ou departamento.
+ *     description: Consultas já registradas pelo plano não são alteradas.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_aceite
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Aceite removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/PlanoAceite'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Aceite não encontrado para o plano.
+ *       500:
+ *         description: Erro interno ao remover aceite.
+ */
+
+router.delete("/plano/:id/aceites/:id_aceite", async (req, res) => {
+    const id = leId(req.params.id);
+    const id_aceite = leId(req.params.id_aceite);
+
+    if (!id || !id_aceite) {
+        return res.status(400).json({ msg: "Informe id_plano e id_aceite válidos." });
+    }
+
+    try {
+        const remocao = await db.query("DELETE FROM plano_aceite WHERE id_aceite = $1 AND id_plano = $2 RETURNING *", [id_aceite, id]);
+
+        if (remocao.rowCount === 0) {
+            return res.status(404).json({ msg: "Aceite não cadastrado para este plano." });
+        }
+
+        return res.status(200).json({ data: remocao.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "remover aceite do plano");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/planos:
+ *   get:
+ *     summary: Lista as carteirinhas de convênio do paciente.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Carteirinhas do paciente, das vigentes para as demais.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Carteirinha'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar carteirinhas.
+ *   post:
+ *     summary: Cadastra uma carteirinha de convênio do paciente.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_plano
+ *               - numero_carteirinha
+ *               - validade_inicio
+ *             properties:
+ *               id_plano:
+ *                 type: integer
+ *                 example: 2
+ *               numero_carteirinha:
+ *                 type: string
+ *                 description: Espaços, pontos e hífens são descartados.
+ *                 example: "0009.8765.4321"
+ *               validade_inicio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-01-01"
+ *               validade_fim:
+ *                 type: string
+ *                 format: date
+ *                 description: Omitir para planos sem data de término.
+ *                 example: "2026-12-31"
+ *     responses:
+ *       201:
+ *         description: Carteirinha cadastrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Carteirinha'
+ *       400:
+ *         description: Dados inválidos ou plano inexistente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "validade_fim inválida. Use YYYY-MM-DD, igual ou posterior a validade_inicio."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       409:
+ *         description: Carteirinha já cadastrada nesse plano.
+ *       500:
+ *         description: Erro interno ao cadastrar carteirinha.
+ */
+
+router.get("/paciente/:id/planos", async (req, res) => {
+    const id = leId(req.params.id);
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const result = await db.query(
+            `SELECT * FROM (${SQL_CARTEIRINHAS} WHERE pp.id_paciente = $1) c
+              ORDER BY vigente DESC, validade_inicio DESC, id_paciente_plano`,
+            [id]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar carteirinhas do paciente");
+    }
+});
+
+router.post("/paciente/:id/planos", async (req, res) => {
+    const id = leId(req.params.id);
+    const { id_plano } = req.body ?? {};
+
+    if (!id) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (!Number.isInteger(id_plano) || id_plano <= 0) {
+        return res.status(400).json({ msg: "Informe um id_plano válido." });
+    }
+
+    const lido = leCarteirinha(req.body);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO paciente_plano(id_paciente, id_plano, numero_carteirinha, validade_inicio, validade_fim)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id_paciente_plano`,
+            [id, id_plano, ...lido.valores]
+        );
+
+        const carteirinha = await db.query(`${SQL_CARTEIRINHAS} WHERE pp.id_paciente_plano = $1`, [insert.rows[0].id_paciente_plano]);
+
+        return res.status(201).json({ data: carteirinha.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "cadastrar carteirinha do paciente");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/planos/{id_paciente_plano}:
+ *   put:
+ *     summary: Atualiza o número ou a validade de uma carteirinha.
+ *     description: O plano não muda; para trocar de plano, cadastre uma nova carteirinha. Consultas já registradas com a carteirinha não são conferidas de novo.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_paciente_plano
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - numero_carteirinha
+ *               - validade_inicio
+ *             properties:
+ *               numero_carteirinha:
+ *                 type: string
+ *                 example: "0001234567890"
+ *               validade_inicio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2024-01-01"
+ *               validade_fim:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-12-31"
+ *     responses:
+ *       200:
+ *         description: Carteirinha atualizada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Carteirinha'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Carteirinha não encontrada para o paciente.
+ *       409:
+ *         description: Carteirinha já cadastrada nesse plano.
+ *       500:
+ *         description: Erro interno ao atualizar carteirinha.
+ *   delete:
+ *     summary: Remove uma carteirinha do paciente.
+ *     description: Carteirinhas usadas em consultas não podem ser removidas; encerre a validade com validade_fim.
+ *     tags: [Convênios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_paciente_plano
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Carteirinha removida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Carteirinha'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Carteirinha não encontrada para o paciente.
+ *       409:
+ *         description: Carteirinha usada em consultas.
+ *       500:
+ *         description: Erro interno ao remover carteirinha.
+ */
+
+router.put("/paciente/:id/planos/:id_paciente_plano", async (req, res) => {
+    const id = leId(req.params.id);
+    const id_paciente_plano = leId(req.params.id_paciente_plano);
+
+    if (!id || !id_paciente_plano) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_paciente_plano válidos." });
+    }
+
+    const lido = leCarteirinha(req.body);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE paciente_plano
+                SET numero_carteirinha = $1, validade_inicio = $2, validade_fim = $3
+              WHERE id_paciente_plano = $4 AND id_paciente = $5`,
+            [...lido.valores, id_paciente_plano, id]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Carteirinha não cadastrada para este paciente." });
+        }
+
+        const carteirinha = await db.query(`${SQL_CARTEIRINHAS} WHERE pp.id_paciente_plano = $1`, [id_paciente_plano]);
+
+        return res.status(200).json({ data: carteirinha.rows[0] });
+    } catch (error) {
+        return respondeErro(res, error, "atualizar carteirinha do paciente");
+    }
+});
+
+router.delete("/paciente/:id/planos/:id_paciente_plano", async (req, res) => {
+    const id = leId(req.params.id);
+    const id_paciente_plano = leId(req.params.id_paciente_plano);
+
+    if (!id || !id_paciente_plano) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_paciente_plano válidos." });
+    }
+
+    try {
+        const remocao = await db.query(
+            "DELETE FROM paciente_plano WHERE id_paciente_plano = $1 AND id_paciente = $2 RETURNING *",
+            [id_paciente_plano, id]
+        );
+
+        if (remocao.rowCount === 0) {
+            return res.status(404).json({ msg: "Carteirinha não cadastrada para este paciente." });
+        }
+
+        return res.status(200).json({ data: remocao.rows[0] });
+    } catch (error) {
+        if (error.constraint === "fk_consulta_paciente_plano") {
+            return res.status(409).json({ msg: "Carteirinha usada em consultas não pode ser removida. Encerre a validade com validade_fim." });
+        }
+
+        return respondeErro(res, error, "remover carteirinha do paciente");
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,41 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { enviaAgenda, criaTokenAgenda, removeTokenAgenda } = require("./agendaIcs");
 
 /**
  * @swagger
  * /departamento:
  *   get:
- *     summary: Retorna todos os departamentos cadastrados.
- *     description: Busca todos os registros da tabela de departamentos. Retorna uma mensagem caso não haja departamentos cadastrados.
+ *     summary: Retorna os departamentos cadastrados.
+ *     description: Busca os registros da tabela de departamentos de forma paginada, com filtros opcionais e ordenação. Retorna uma mensagem caso nenhum departamento atenda aos filtros. A resposta inclui o total de registros encontrados.
  *     tags: [Departamentos]
+ *     parameters:
+ *       - in: query
+ *         name: nome
+ *         required: false
+ *         description: Trecho do nome (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "cardio"
+ *       - in: query
+ *         name: localizacao
+ *         required: false
+ *         description: Trecho da localização (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "Bloco A"
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão id_departamento).
+ *         schema:
+ *           type: string
+ *           enum: [id_departamento, nome, localizacao]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
  *     responses:
  *       200:
  *         description: Lista de departamentos retornada com sucesso.
@@ -20,7 +47,7 @@ const db = require("../db");
  *                 msg:
  *                   oneOf:
  *                     - type: string
- *                       example: "Nenhum departamento cadastrado."
+ *                       example: "Nenhum departamento encontrado."
  *                     - type: array
  *                       items:
  *                         type: object
@@ -34,6 +61,26 @@ const db = require("../db");
  *                           localizacao:
  *                             type: string
  *                             example: "Bloco A"
+ *                 total:
+ *                   type: integer
+ *                   description: Total de registros que atendem aos filtros.
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro, ordenação ou paginação inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "direcao deve ser asc ou desc."
  *       500:
  *         description: Erro interno ao buscar departamentos.
  *         content:
@@ -46,15 +93,41 @@ const db = require("../db");
  *                   example: "Erro de conexão com o banco de dados."
  */
 
+// Campos aceitos em "ordenar" na listagem de departamentos.
+const ORDENACAO_DEPARTAMENTO = {
+    id_departamento: ["id_departamento"],
+    nome: ["nome"],
+    localizacao: ["localizacao"],
+};
+
 router.get("/", async (req, res) => {
+    const { nome, localizacao } = req.query;
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_DEPARTAMENTO, "id_departamento");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtros = `
+              WHERE ($1::text IS NULL OR nome ILIKE '%' || $1 || '%')
+                AND ($2::text IS NULL OR localizacao ILIKE '%' || $2 || '%')`;
+    const params = [nome || null, localizacao || null];
+
     try {
-        const result = await db.query("SELECT * FROM departamento ORDER BY id_departamento");
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM departamento ${filtros}`, params);
+
+        const result = await db.query(
+            `SELECT * FROM departamento ${filtros} ORDER BY ${paginacao.ordem}, id_departamento LIMIT $3 OFFSET $4`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        const pagina = { total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset };
 
         if (result.rowCount === 0) {
-            return res.status(200).json({ msg: "Nenhum departamento cadastrado." });
+            return res.status(200).json({ msg: "Nenhum departamento encontrado.", ...pagina });
         }
 
-        return res.status(200).json({ msg: result.rows });
+        return res.status(200).json({ msg: result.rows, ...pagina });
     } catch (error) {
         console.error("Erro ao buscar departamentos:", error);
         return res.status(500).json({ msg: "Erro ao buscar departamentos no banco." });
@@ -436,5 +509,155 @@ router.put("/:id", async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /departamento/{id}/agenda.ics:
+ *   get:
+ *     summary: Feed iCalendar com a agenda de todos os médicos do departamento.
+ *     description: |
+ *       Retorna as consultas dos médicos do departamento (a partir de 30 dias atrás) no formato iCalendar (RFC 5545), para assinatura em aplicativos de calendário.
+ *       Cada consulta gera um evento com UID estável, de modo que alterações substituem o evento existente; consultas canceladas são enviadas com STATUS:CANCELLED.
+ *       O feed só é acessível com o token gerado em /departamento/{id}/agenda-token, informado no parâmetro token.
+ *       Os eventos trazem apenas horário, médico e status; o nome do paciente e as observações da consulta não são publicados.
+ *     tags: [Departamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do departamento.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         description: Token secreto da agenda.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendário no formato iCalendar.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_departamento válido."
+ *       403:
+ *         description: Token ausente, inválido ou ainda não gerado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Token da agenda inválido."
+ *       404:
+ *         description: Departamento não encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Departamento não cadastrado no banco."
+ *       500:
+ *         description: Erro interno ao gerar a agenda.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro interno ao gerar a agenda do departamento."
+ */
+
+router.get("/:id/agenda.ics", (req, res) => enviaAgenda(req, res, "departamento"));
+
+/**
+ * @swagger
+ * /departamento/{id}/agenda-token:
+ *   post:
+ *     summary: Gera um novo token para o feed iCalendar do departamento.
+ *     description: Cria ou substitui o token secreto da agenda. O feed só é acessível com o token informado na URL; ao gerar um novo, os links antigos deixam de funcionar.
+ *     tags: [Departamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do departamento.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       201:
+ *         description: Token gerado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: "9f1c2a7d0e6b4c3a8f5e2d1c0b9a8f7e6d5c4b3a2f1e0d9c"
+ *                     url:
+ *                       type: string
+ *                       example: "/departamento/1/agenda.ics?token=9f1c2a7d0e6b4c3a8f5e2d1c0b9a8f7e6d5c4b3a2f1e0d9c"
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Departamento não encontrado.
+ *       500:
+ *         description: Erro interno ao gerar o token.
+ *   delete:
+ *     summary: Remove o token do feed iCalendar do departamento.
+ *     description: Revoga o acesso ao feed iCalendar. A agenda deixa de ser publicada até que um novo token seja gerado.
+ *     tags: [Departamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do departamento.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Token removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Token da agenda removido."
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Departamento ou token não encontrado.
+ *       500:
+ *         description: Erro interno ao remover o token.
+ */
+
+router.post("/:id/agenda-token", (req, res) => criaTokenAgenda(req, res, "departamento"));
+
+router.delete("/:id/agenda-token", (req, res) => removeTokenAgenda(req, res, "departamento"));
+
+
 module.exports = router;
     
\ No newline at end of file
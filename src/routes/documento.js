@@ -0,0 +1,290 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { ErroHttp } = require("../erros");
+const { emiteDocumento, normalizaCodigoVerificacao, formataNumero } = require("../services/documento");
+
+// Envia o PDF emitido, com o número e o código de verificação também nos cabeçalhos.
+function enviaPdf(res, status, documento, nomeArquivo) {
+    res.set({
+        "Content-Type": "application/pdf",
+        "Content-Length": documento.conteudo.length,
+        "Content-Disposition": `inline; filename="${nomeArquivo}"`,
+        "X-Documento-Numero": documento.numero,
+        "X-Codigo-Verificacao": documento.codigo_verificacao,
+    });
+
+    return res.status(status).send(documento.conteudo);
+}
+
+function respondeErro(res, error, contexto) {
+    if (error instanceof ErroHttp) {
+        return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+// CPF com apenas os dígitos centrais visíveis, para a página pública de verificação.
+function mascaraCpf(cpf) {
+    const digitos = String(cpf ?? "").replace(/\D/g, "");
+    return digitos.length === 11 ? `***.${digitos.slice(3, 6)}.${digitos.slice(6, 9)}-**` : null;
+}
+
+/**
+ * @swagger
+ * /consulta/{id}/resumo.pdf:
+ *   get:
+ *     summary: Emite o resumo da consulta em PDF.
+ *     description: Gera no servidor o resumo com o cabeçalho do hospital, departamento, médico e CRM, paciente e CPF, data, duração, diagnóstico e observações. Cada chamada emite um novo documento, numerado e registrado com um código de verificação (devolvidos também nos cabeçalhos X-Documento-Numero e X-Codigo-Verificacao). Apenas consultas em atendimento ou realizadas.
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: emitido_por
+ *         required: false
+ *         description: Quem está emitindo o documento.
+ *         schema:
+ *           type: string
+ *           example: "Recepção - Carla"
+ *     responses:
+ *       200:
+ *         description: PDF do resumo.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Consulta ainda não atendida, cancelada ou com falta.
+ *       500:
+ *         description: Erro interno ao emitir o documento.
+ */
+
+router.get("/consulta/:id/resumo.pdf", async (req, res) => {
+    const id = Number(req.params.id);
+    const emitido_por = req.query.emitido_por ? String(req.query.emitido_por).trim() : null;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const documento = await db.transaction((conexao) => emiteDocumento(conexao, "resumo", id, {}, emitido_por));
+
+        return enviaPdf(res, 200, documento, `resumo-consulta-${id}.pdf`);
+    } catch (error) {
+        return respondeErro(res, error, "emitir resumo da consulta");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/atestado:
+ *   post:
+ *     summary: Emite um atestado médico da consulta em PDF.
+ *     description: Atesta o comparecimento do paciente (data, horário e duração do atendimento) e, opcionalmente, o afastamento em dias. O diagnóstico só é impresso com `incluir_diagnostico`, mediante autorização do paciente. O atestado é numerado e registrado com um código de verificação, como o resumo. Apenas consultas em atendimento ou realizadas.
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dias_afastamento:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 365
+ *                 default: 0
+ *                 example: 2
+ *               incluir_diagnostico:
+ *                 type: boolean
+ *                 default: false
+ *                 example: false
+ *               emitido_por:
+ *                 type: string
+ *                 example: "Dra. Ana Souza"
+ *     responses:
+ *       201:
+ *         description: PDF do atestado.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: ID ou dias de afastamento inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "dias_afastamento deve ser um número inteiro entre 0 e 365."
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Consulta ainda não atendida, cancelada ou com falta.
+ *       500:
+ *         description: Erro interno ao emitir o documento.
+ */
+
+router.post("/consulta/:id/atestado", async (req, res) => {
+    const id = Number(req.params.id);
+    const { dias_afastamento = 0, incluir_diagnostico = false, emitido_por } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!Number.isInteger(dias_afastamento) || dias_afastamento < 0 || dias_afastamento > 365) {
+        return res.status(400).json({ msg: "dias_afastamento deve ser um número inteiro entre 0 e 365." });
+    }
+
+    if (typeof incluir_diagnostico !== "boolean") {
+        return res.status(400).json({ msg: "incluir_diagnostico deve ser true ou false." });
+    }
+
+    try {
+        const documento = await db.transaction((conexao) => emiteDocumento(
+            conexao,
+            "atestado",
+            id,
+            { dias_afastamento, incluir_diagnostico },
+            emitido_por ? String(emitido_por).trim() : null
+        ));
+
+        return enviaPdf(res, 201, documento, `atestado-consulta-${id}.pdf`);
+    } catch (error) {
+        return respondeErro(res, error, "emitir atestado");
+    }
+});
+
+
+/**
+ * @swagger
+ * /documentos/verificar/{codigo}:
+ *   get:
+ *     summary: Confere a autenticidade de um documento emitido.
+ *     description: Recebe o código de verificação impresso no rodapé do PDF (com ou sem hífens) e devolve os dados do documento emitido. O sha256 permite conferir se o arquivo apresentado é o original. O CPF do paciente volta mascarado.
+ *     tags: [Documentos]
+ *     parameters:
+ *       - in: path
+ *         name: codigo
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "K7QM-3XPA-9RTD"
+ *     responses:
+ *       200:
+ *         description: Documento autêntico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tipo:
+ *                       type: string
+ *                       enum: [resumo, atestado]
+ *                       example: "atestado"
+ *                     numero:
+ *                       type: string
+ *                       example: "2025/000042"
+ *                     codigo_verificacao:
+ *                       type: string
+ *                       example: "K7QM-3XPA-9RTD"
+ *                     emitido_em:
+ *                       type: string
+ *                       example: "2025-11-01T09:15:00.000Z"
+ *                     nome_paciente:
+ *                       type: string
+ *                       example: "João da Silva"
+ *                     cpf_paciente:
+ *                       type: string
+ *                       example: "***.456.789-**"
+ *                     nome_medico:
+ *                       type: string
+ *                       example: "Dra. Ana Souza"
+ *                     crm:
+ *                       type: string
+ *                       example: "CRM12345"
+ *                     data_consulta:
+ *                       type: string
+ *                       example: "01/11/2025"
+ *                     dias_afastamento:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Apenas em atestados.
+ *                       example: 2
+ *                     sha256:
+ *                       type: string
+ *                       example: "3a7bd3e2360a3d29eea436fcfb7e44c735d117c42d1c1835420b6b9942dd4f1b"
+ *       400:
+ *         description: Código em formato inválido.
+ *       404:
+ *         description: Nenhum documento emitido com esse código.
+ *       500:
+ *         description: Erro interno ao verificar o documento.
+ */
+
+router.get("/documentos/verificar/:codigo", async (req, res) => {
+    const codigo = normalizaCodigoVerificacao(req.params.codigo);
+
+    if (!codigo) {
+        return res.status(400).json({ msg: "Código de verificação inválido. Use o formato XXXX-XXXX-XXXX." });
+    }
+
+    try {
+        const result = await db.query("SELECT * FROM documento WHERE codigo_verificacao = $1", [codigo]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ msg: "Nenhum documento foi emitido com esse código." });
+        }
+
+        const documento = result.rows[0];
+
+        return res.status(200).json({
+            data: {
+                tipo: documento.tipo,
+                numero: formataNumero(documento.ano, documento.numero),
+                codigo_verificacao: documento.codigo_verificacao,
+                emitido_em: documento.emitido_em,
+                nome_paciente: documento.dados.nome_paciente,
+                cpf_paciente: mascaraCpf(documento.dados.cpf),
+                nome_medico: documento.dados.nome_medico,
+                crm: documento.dados.crm,
+                data_consulta: documento.dados.data_consulta,
+                dias_afastamento: documento.tipo === "atestado" ? documento.dados.dias_afastamento : null,
+                sha256: documento.sha256,
+            },
+        });
+    } catch (error) {
+        console.error("Erro ao verificar documento:", error);
+        return res.status(500).json({ msg: "Erro ao verificar documento." });
+    }
+});
+
+module.exports = router;
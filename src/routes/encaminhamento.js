@@ -0,0 +1,850 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp, erroDeRestricao } = require("../erros");
+const { buscaReservasAtivas } = require("../services/listaEspera");
+const { enfileiraNotificacoes } = require("../services/notificacao");
+const { exigeResponsavel } = require("../services/responsavel");
+const { MSG_CONFLITO_PACIENTE, buscaConflitosPaciente } = require("../services/agenda");
+
+const PRIORIDADES = ["rotina", "prioritario", "urgente"];
+const STATUS_ENCAMINHAMENTO = ["pendente", "aceito", "recusado", "cancelado", "agendado"];
+
+// Transições de status permitidas a partir de cada status.
+const TRANSICOES_ENCAMINHAMENTO = {
+    pendente: ["aceito", "recusado", "cancelado"],
+    aceito: ["agendado", "cancelado"],
+    recusado: [],
+    cancelado: [],
+    agendado: [],
+};
+
+// Ações expostas em POST /encaminhamento/:id/:acao e o status resultante de cada uma.
+const ACOES_ENCAMINHAMENTO = {
+    aceitar: "aceito",
+    recusar: "recusado",
+    cancelar: "cancelado",
+    agendar: "agendado",
+};
+
+// Campos aceitos em "ordenar" nas caixas de entrada. "prioridade" traz os urgentes primeiro e,
+// na mesma prioridade, os mais antigos.
+const ORDENACAO_ENCAMINHAMENTO = {
+    prioridade: ["array_position(ARRAY['urgente', 'prioritario', 'rotina']::varchar[], e.prioridade)", "e.criado_em", "e.id_encaminhamento"],
+    criado_em: ["e.criado_em", "e.id_encaminhamento"],
+};
+
+// Mensagens das violações de restrição de encaminhamento (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    fk_encaminhamento_departamento_destino: "id_departamento_destino informado não existe.",
+    fk_encaminhamento_medico_destino: "id_medico_destino informado não existe.",
+    uq_consulta_unica: "Já existe uma consulta para esse paciente com esse médico na mesma data.",
+};
+
+function isValidISODate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+function isValidHora(horaStr) {
+    if (!/^\d{2}:\d{2}$/.test(horaStr)) return false;
+
+    const [h, m] = horaStr.split(":").map(Number);
+
+    return h < 24 && m < 60;
+}
+
+// Encaminhamentos com os nomes do paciente, do médico de origem e do destino. "filtro" é o trecho do WHERE.
+async function buscaEncaminhamentos(conexao, filtro, params, sufixo = "ORDER BY e.criado_em, e.id_encaminhamento") {
+    const result = await conexao.query(
+        `SELECT e.*, p.nome AS nome_paciente, mo.nome AS nome_medico_origem,
+                d.nome AS nome_departamento_destino, md.nome AS nome_medico_destino
+           FROM encaminhamento e
+           JOIN paciente p ON p.id_paciente = e.id_paciente
+           JOIN medico mo ON mo.id_medico = e.id_medico_origem
+           LEFT JOIN departamento d ON d.id_departamento = e.id_departamento_destino
+           LEFT JOIN medico md ON md.id_medico = e.id_medico_destino
+          WHERE ${filtro}
+          ${sufixo}`,
+        params
+    );
+
+    return result.rows;
+}
+
+function respondeErro(res, error, contexto) {
+    const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+    if (erro) {
+        return res.status(erro.status).json({ msg: erro.message, ...erro.detalhes });
+    }
+
+    if (error.code === "23P01") {
+        return res.status(409).json({ msg: "O médico já possui consulta nesse horário." });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+// Lista a caixa de entrada de um departamento ou médico. "filtroDestino" usa $1 como o ID do dono da caixa.
+async function listaCaixaDeEntrada(req, res, filtroDestino) {
+    const id = Number(req.params.id);
+    const status = req.query.status ? String(req.query.status).split(",") : ["pendente"];
+    const { prioridade } = req.query;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (status.some((s) => !STATUS_ENCAMINHAMENTO.includes(s))) {
+        return res.status(400).json({ msg: `status inválido. Valores aceitos: ${STATUS_ENCAMINHAMENTO.join(", ")}.` });
+    }
+
+    if (prioridade && !PRIORIDADES.includes(prioridade)) {
+        return res.status(400).json({ msg: `prioridade inválida. Valores aceitos: ${PRIORIDADES.join(", ")}.` });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_ENCAMINHAMENTO, "prioridade");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtro = `(${filtroDestino}) AND e.status = ANY($2) AND ($3::varchar IS NULL OR e.prioridade = $3)`;
+    const params = [id, status, prioridade ?? null];
+
+    try {
+        const total = await db.query(
+            `SELECT COUNT(*)::int AS total
+               FROM encaminhamento e
+               LEFT JOIN medico md ON md.id_medico = e.id_medico_destino
+              WHERE ${filtro}`,
+            params
+        );
+
+        const encaminhamentos = await buscaEncaminhamentos(
+            db,
+            filtro,
+            [...params, paginacao.limit, paginacao.offset],
+            `ORDER BY ${paginacao.ordem} LIMIT $4 OFFSET $5`
+        );
+
+        return res.status(200).json({ data: encaminhamentos, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        return respondeErro(res, error, "buscar encaminhamentos");
+    }
+}
+
+// Cria a consulta do encaminhamento aceito, com as mesmas verificações de agenda do cadastro de consulta.
+async function agendaConsulta(conexao, encaminhamento, { id_medico, data_consulta, hora_inicio, duracao_min, permitir_sobreposicao }) {
+    const medico = await conexao.query("SELECT id_departamento FROM medico WHERE id_medico = $1 FOR NO KEY UPDATE", [id_medico]);
+    if (medico.rowCount === 0) {
+        throw new ErroHttp(400, "id_medico informado não existe.");
+    }
+
+    if (encaminhamento.id_medico_destino && encaminhamento.id_medico_destino !== id_medico) {
+        throw new ErroHttp(400, "O encaminhamento é para outro médico. Agende com o médico de destino.");
+    }
+
+    if (encaminhamento.id_departamento_destino && medico.rows[0].id_departamento !== encaminhamento.id_departamento_destino) {
+        throw new ErroHttp(400, "O médico informado não pertence ao departamento de destino do encaminhamento.");
+    }
+
+    await conexao.query("SELECT 1 FROM paciente WHERE id_paciente = $1 FOR NO KEY UPDATE", [encaminhamento.id_paciente]);
+    await exigeResponsavel(conexao, encaminhamento.id_paciente, data_consulta);
+
+    if (permitir_sobreposicao !== true) {
+        const conflitos = await buscaConflitosPaciente(conexao, encaminhamento.id_paciente, data_consulta, hora_inicio, duracao_min);
+        if (conflitos.length > 0) {
+            throw new ErroHttp(409, MSG_CONFLITO_PACIENTE, { conflitos });
+        }
+    }
+
+    const reservas = await buscaReservasAtivas(conexao, id_medico, data_consulta, hora_inicio, duracao_min);
+    if (reservas.length > 0) {
+        throw new ErroHttp(409, "Horário reservado para um paciente da lista de espera.", { reservas });
+    }
+
+    const consulta = await conexao.query(
+        `INSERT INTO consulta(id_paciente, id_medico, data_consulta, hora_inicio, duracao_min)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [encaminhamento.id_paciente, id_medico, data_consulta, hora_inicio, duracao_min]
+    );
+
+    await enfileiraNotificacoes(conexao, consulta.rows[0].id_consulta, "agendada");
+
+    return consulta.rows[0];
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Encaminhamento:
+ *       type: object
+ *       properties:
+ *         id_encaminhamento:
+ *           type: integer
+ *           example: 1
+ *         id_consulta_origem:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         nome_paciente:
+ *           type: string
+ *           example: "João da Silva"
+ *         id_medico_origem:
+ *           type: integer
+ *           example: 1
+ *         nome_medico_origem:
+ *           type: string
+ *           example: "Dra. Ana Souza"
+ *         id_departamento_destino:
+ *           type: integer
+ *           nullable: true
+ *           example: 3
+ *         nome_departamento_destino:
+ *           type: string
+ *           nullable: true
+ *           example: "Ortopedia"
+ *         id_medico_destino:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *         nome_medico_destino:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         prioridade:
+ *           type: string
+ *           enum: [rotina, prioritario, urgente]
+ *           example: "rotina"
+ *         justificativa:
+ *           type: string
+ *           example: "Dor no joelho direito aos esforços há 3 meses. Solicito avaliação ortopédica."
+ *         status:
+ *           type: string
+ *           enum: [pendente, aceito, recusado, cancelado, agendado]
+ *           example: "pendente"
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-01T08:40:00.000Z"
+ *         aceito_por:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         aceito_em:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         encerrado_por:
+ *           type: string
+ *           nullable: true
+ *           description: Quem recusou ou cancelou o encaminhamento.
+ *           example: null
+ *         encerrado_em:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         motivo_encerramento:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         id_consulta_agendada:
+ *           type: integer
+ *           nullable: true
+ *           description: Consulta criada a partir do encaminhamento aceito.
+ *           example: null
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/encaminhamentos:
+ *   get:
+ *     summary: Lista os encaminhamentos feitos na consulta.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Encaminhamentos da consulta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Encaminhamento'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       500:
+ *         description: Erro interno ao buscar encaminhamentos.
+ */
+
+router.get("/consulta/:id/encaminhamentos", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const consulta = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const encaminhamentos = await buscaEncaminhamentos(db, "e.id_consulta_origem = $1", [id]);
+
+        return res.status(200).json({ data: encaminhamentos });
+    } catch (error) {
+        return respondeErro(res, error, "buscar encaminhamentos");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/encaminhamentos:
+ *   post:
+ *     summary: Encaminha o paciente da consulta a outro departamento ou médico.
+ *     description: Informe o departamento, o médico ou ambos (o médico precisa pertencer ao departamento). Apenas consultas em atendimento ou realizadas podem gerar encaminhamentos. O encaminhamento começa pendente e aparece na caixa de entrada do destino.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - justificativa
+ *             properties:
+ *               id_departamento_destino:
+ *                 type: integer
+ *                 example: 3
+ *               id_medico_destino:
+ *                 type: integer
+ *                 example: 3
+ *               prioridade:
+ *                 type: string
+ *                 enum: [rotina, prioritario, urgente]
+ *                 default: rotina
+ *               justificativa:
+ *                 type: string
+ *                 example: "Dor no joelho direito aos esforços há 3 meses. Solicito avaliação ortopédica."
+ *     responses:
+ *       201:
+ *         description: Encaminhamento registrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Encaminhamento'
+ *       400:
+ *         description: Destino ausente ou inexistente, médico fora do departamento, prioridade inválida ou justificativa ausente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe id_departamento_destino ou id_medico_destino."
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Consulta ainda não atendida, cancelada ou com falta.
+ *       500:
+ *         description: Erro interno ao registrar o encaminhamento.
+ */
+
+router.post("/consulta/:id/encaminhamentos", async (req, res) => {
+    const id = Number(req.params.id);
+    const { id_departamento_destino, id_medico_destino, prioridade = "rotina", justificativa } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!id_departamento_destino && !id_medico_destino) {
+        return res.status(400).json({ msg: "Informe id_departamento_destino ou id_medico_destino." });
+    }
+
+    if ([id_departamento_destino, id_medico_destino].some((valor) => valor !== undefined && valor !== null && !(Number.isInteger(valor) && valor > 0))) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!PRIORIDADES.includes(prioridade)) {
+        return res.status(400).json({ msg: `prioridade inválida. Valores aceitos: ${PRIORIDADES.join(", ")}.` });
+    }
+
+    if (!justificativa || String(justificativa).trim() === "") {
+        return res.status(400).json({ msg: "Informe a justificativa clínica do encaminhamento." });
+    }
+
+    try {
+        const encaminhamento = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT id_paciente, id_medico, status FROM consulta WHERE id_consulta = $1", [id]);
+
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Consulta não cadastrada no banco");
+            }
+
+            const consulta = busca.rows[0];
+
+            if (!["em_atendimento", "realizada"].includes(consulta.status)) {
+                throw new ErroHttp(409, `Encaminhamentos só podem ser feitos em consultas em atendimento ou realizadas (status atual: '${consulta.status}').`);
+            }
+
+            if (id_medico_destino) {
+                if (id_medico_destino === consulta.id_medico) {
+                    throw new ErroHttp(400, "O médico de destino deve ser diferente do médico da consulta.");
+                }
+
+                const medico = await conexao.query("SELECT id_departamento FROM medico WHERE id_medico = $1", [id_medico_destino]);
+                if (medico.rowCount === 0) {
+                    throw new ErroHttp(400, "id_medico_destino informado não existe.");
+                }
+
+                if (id_departamento_destino && medico.rows[0].id_departamento !== id_departamento_destino) {
+                    throw new ErroHttp(400, "O médico de destino não pertence ao departamento de destino.");
+                }
+            }
+
+            const insert = await conexao.query(
+                `INSERT INTO encaminhamento(id_consulta_origem, id_paciente, id_medico_origem, id_departamento_destino, id_medico_destino, prioridade, justificativa)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING id_encaminhamento`,
+                [id, consulta.id_paciente, consulta.id_medico, id_departamento_destino ?? null, id_medico_destino ?? null, prioridade, String(justificativa).trim()]
+            );
+
+            const [criado] = await buscaEncaminhamentos(conexao, "e.id_encaminhamento = $1", [insert.rows[0].id_encaminhamento]);
+            return criado;
+        });
+
+        return res.status(201).json({ data: encaminhamento });
+    } catch (error) {
+        return respondeErro(res, error, "registrar encaminhamento");
+    }
+});
+
+
+/**
+ * @swagger
+ * /encaminhamento/{id}:
+ *   get:
+ *     summary: Retorna um encaminhamento.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Encaminhamento encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Encaminhamento'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Encaminhamento não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar o encaminhamento.
+ */
+
+router.get("/encaminhamento/:id", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_encaminhamento válido." });
+    }
+
+    try {
+        const [encaminhamento] = await buscaEncaminhamentos(db, "e.id_encaminhamento = $1", [id]);
+
+        if (!encaminhamento) {
+            return res.status(404).json({ msg: "Encaminhamento não encontrado." });
+        }
+
+        return res.status(200).json({ data: encaminhamento });
+    } catch (error) {
+        return respondeErro(res, error, "buscar encaminhamento");
+    }
+});
+
+
+/**
+ * @swagger
+ * /encaminhamento/{id}/{acao}:
+ *   post:
+ *     summary: Altera o status de um encaminhamento.
+ *     description: |
+ *       Transições permitidas:
+ *       - `aceitar`: pendente → aceito
+ *       - `recusar`: pendente → recusado (motivo obrigatório)
+ *       - `cancelar`: pendente/aceito → cancelado (motivo obrigatório)
+ *       - `agendar`: aceito → agendado, criando a consulta do paciente com o médico de destino
+ *
+ *       No agendamento, `id_medico` pode ser omitido quando o encaminhamento é para um médico; quando é para um departamento, o médico escolhido precisa pertencer a ele. A consulta passa pelas mesmas verificações de agenda do cadastro de consultas.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: acao
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [aceitar, recusar, cancelar, agendar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responsavel
+ *             properties:
+ *               responsavel:
+ *                 type: string
+ *                 example: "Dr. Lucas Pereira"
+ *               motivo:
+ *                 type: string
+ *                 description: Obrigatório ao recusar ou cancelar.
+ *                 example: "Caso pode ser acompanhado na atenção básica."
+ *               id_medico:
+ *                 type: integer
+ *                 description: Médico da consulta, no agendamento.
+ *                 example: 3
+ *               data_consulta:
+ *                 type: string
+ *                 description: Obrigatório no agendamento (YYYY-MM-DD).
+ *                 example: "2025-11-20"
+ *               hora_inicio:
+ *                 type: string
+ *                 description: Obrigatório no agendamento (HH:MM).
+ *                 example: "14:00"
+ *               duracao_min:
+ *                 type: integer
+ *                 description: Obrigatório no agendamento.
+ *                 example: 40
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Status alterado. No agendamento, a consulta criada vem em `consulta`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Encaminhamento'
+ *                 consulta:
+ *                   $ref: '#/components/schemas/Consulta'
+ *       400:
+ *         description: Parâmetros inválidos, responsável/motivo ausentes ou médico incompatível com o destino.
+ *       404:
+ *         description: Encaminhamento ou ação inexistente.
+ *       409:
+ *         description: Transição não permitida, conflito de agenda na consulta criada ou paciente menor de idade sem responsável legal cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Não é permitido alterar o status do encaminhamento de 'pendente' para 'agendado'."
+ *       500:
+ *         description: Erro interno ao alterar o encaminhamento.
+ */
+
+router.post("/encaminhamento/:id/:acao", async (req, res) => {
+    const id = Number(req.params.id);
+    const novoStatus = ACOES_ENCAMINHAMENTO[req.params.acao];
+    const { responsavel, motivo, id_medico, data_consulta, hora_inicio, duracao_min, permitir_sobreposicao } = req.body ?? {};
+
+    if (!novoStatus) {
+        return res.status(404).json({ msg: `Ação inexistente. Use: ${Object.keys(ACOES_ENCAMINHAMENTO).join(", ")}.` });
+    }
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_encaminhamento válido." });
+    }
+
+    if (!responsavel || String(responsavel).trim() === "") {
+        return res.status(400).json({ msg: "Informe o responsável pela alteração." });
+    }
+
+    if (["recusado", "cancelado"].includes(novoStatus) && (!motivo || String(motivo).trim() === "")) {
+        return res.status(400).json({ msg: "Informe o motivo." });
+    }
+
+    if (novoStatus === "agendado") {
+        if (!data_consulta || !hora_inicio || !duracao_min) {
+            return res.status(400).json({ msg: "Informe data_consulta, hora_inicio e duracao_min para agendar." });
+        }
+
+        if (id_medico !== undefined && !(Number.isInteger(id_medico) && id_medico > 0)) {
+            return res.status(400).json({ msg: "id_medico inválido." });
+        }
+
+        if (!isValidISODate(String(data_consulta))) {
+            return res.status(400).json({ msg: "Data inválida. Use o formato YYYY-MM-DD." });
+        }
+
+        if (!isValidHora(String(hora_inicio))) {
+            return res.status(400).json({ msg: "Horário inválido. Use o formato HH:MM." });
+        }
+
+        if (!Number.isInteger(Number(duracao_min)) || Number(duracao_min) <= 0) {
+            return res.status(400).json({ msg: "duracao_min deve ser um número inteiro positivo." });
+        }
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT * FROM encaminhamento WHERE id_encaminhamento = $1 FOR UPDATE", [id]);
+
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Encaminhamento não encontrado.");
+            }
+
+            const encaminhamento = busca.rows[0];
+
+            if (!TRANSICOES_ENCAMINHAMENTO[encaminhamento.status].includes(novoStatus)) {
+                throw new ErroHttp(409, `Não é permitido alterar o status do encaminhamento de '${encaminhamento.status}' para '${novoStatus}'.`);
+            }
+
+            let consulta;
+
+            if (novoStatus === "aceito") {
+                await conexao.query(
+                    "UPDATE encaminhamento SET status = 'aceito', aceito_por = $2, aceito_em = LOCALTIMESTAMP WHERE id_encaminhamento = $1",
+                    [id, String(responsavel).trim()]
+                );
+            } else if (novoStatus === "agendado") {
+                const medico = id_medico ?? encaminhamento.id_medico_destino;
+                if (!medico) {
+                    throw new ErroHttp(400, "Informe id_medico: o encaminhamento é para um departamento.");
+                }
+
+                consulta = await agendaConsulta(conexao, encaminhamento, {
+                    id_medico: medico,
+                    data_consulta,
+                    hora_inicio,
+                    duracao_min: Number(duracao_min),
+                    permitir_sobreposicao,
+                });
+
+                await conexao.query(
+                    "UPDATE encaminhamento SET status = 'agendado', id_consulta_agendada = $2 WHERE id_encaminhamento = $1",
+                    [id, consulta.id_consulta]
+                );
+            } else {
+                await conexao.query(
+                    `UPDATE encaminhamento
+                        SET status = $2, encerrado_por = $3, encerrado_em = LOCALTIMESTAMP, motivo_encerramento = $4
+                      WHERE id_encaminhamento = $1`,
+                    [id, novoStatus, String(responsavel).trim(), String(motivo).trim()]
+                );
+            }
+
+            const [alterado] = await buscaEncaminhamentos(conexao, "e.id_encaminhamento = $1", [id]);
+            return consulta ? { data: alterado, consulta } : { data: alterado };
+        });
+
+        return res.status(200).json(resultado);
+    } catch (error) {
+        return respondeErro(res, error, "alterar o encaminhamento");
+    }
+});
+
+
+/**
+ * @swagger
+ * /departamento/{id}/encaminhamentos:
+ *   get:
+ *     summary: Caixa de entrada de encaminhamentos do departamento.
+ *     description: Encaminhamentos destinados ao departamento ou a um dos seus médicos, por padrão apenas os pendentes, com os urgentes primeiro.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 3
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Um ou mais status separados por vírgula (padrão pendente).
+ *         schema:
+ *           type: string
+ *           example: "pendente,aceito"
+ *       - in: query
+ *         name: prioridade
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [rotina, prioritario, urgente]
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão prioridade).
+ *         schema:
+ *           type: string
+ *           enum: [prioridade, criado_em]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Encaminhamentos da caixa de entrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Encaminhamento'
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro ou paginação inválidos.
+ *       500:
+ *         description: Erro interno ao buscar encaminhamentos.
+ */
+
+router.get("/departamento/:id/encaminhamentos", (req, res) =>
+    listaCaixaDeEntrada(req, res, "e.id_departamento_destino = $1 OR md.id_departamento = $1")
+);
+
+
+/**
+ * @swagger
+ * /medico/{id}/encaminhamentos:
+ *   get:
+ *     summary: Caixa de entrada de encaminhamentos do médico.
+ *     description: Encaminhamentos destinados ao médico e os destinados ao departamento dele sem médico definido, por padrão apenas os pendentes, com os urgentes primeiro.
+ *     tags: [Encaminhamentos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 3
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         description: Um ou mais status separados por vírgula (padrão pendente).
+ *         schema:
+ *           type: string
+ *           example: "pendente"
+ *       - in: query
+ *         name: prioridade
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [rotina, prioritario, urgente]
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão prioridade).
+ *         schema:
+ *           type: string
+ *           enum: [prioridade, criado_em]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Encaminhamentos da caixa de entrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Encaminhamento'
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro ou paginação inválidos.
+ *       500:
+ *         description: Erro interno ao buscar encaminhamentos.
+ */
+
+router.get("/medico/:id/encaminhamentos", (req, res) =>
+    listaCaixaDeEntrada(
+        req,
+        res,
+        `e.id_medico_destino = $1
+         OR (e.id_medico_destino IS NULL
+             AND e.id_departamento_destino = (SELECT m.id_departamento FROM medico m WHERE m.id_medico = $1))`
+    )
+);
+
+module.exports = router;
@@ -0,0 +1,817 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp } = require("../erros");
+
+const TIPOS_EXAME = ["laboratorial", "imagem", "funcional", "anatomopatologico", "outro"];
+
+const URGENCIAS_EXAME = ["rotina", "urgente", "emergencia"];
+
+const STATUS_EXAME = ["solicitado", "agendado", "coletado", "laudado"];
+
+// Transições de status permitidas a partir de cada status. Exames sem agendamento (coleta no
+// laboratório por ordem de chegada) podem ir direto de solicitado para coletado.
+const TRANSICOES_EXAME = {
+    solicitado: ["agendado", "coletado"],
+    agendado: ["agendado", "coletado"],
+    coletado: ["laudado"],
+    laudado: [],
+};
+
+// Ações expostas em POST /exame/:id/:acao e o status resultante de cada uma.
+const ACOES_EXAME = {
+    agendar: "agendado",
+    coletar: "coletado",
+    laudar: "laudado",
+};
+
+// Exames só podem ser pedidos durante o atendimento ou depois dele.
+const STATUS_PERMITE_PEDIDO = ["em_atendimento", "realizada"];
+
+// Campos aceitos em "ordenar" na listagem de exames do paciente.
+const ORDENACAO_EXAME = {
+    criado_em: ["e.criado_em", "e.id_exame"],
+    laudado_em: ["e.laudado_em", "e.id_exame"],
+    id_exame: ["e.id_exame"],
+};
+
+// Data e hora no formato AAAA-MM-DDTHH:MM (ou com espaço no lugar do T).
+function isValidDataHora(valor) {
+    const partes = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/.exec(valor ?? "");
+    if (!partes) return false;
+
+    const [y, m, d, h, min] = partes.slice(1).map(Number);
+    const data = new Date(y, m - 1, d);
+
+    return data.getFullYear() === y && data.getMonth() + 1 === m && data.getDate() === d && h < 24 && min < 60;
+}
+
+// Valida os resultados numéricos do laudo e devolve-os normalizados, ou { erro } com a mensagem.
+function leResultados(resultados) {
+    if (!Array.isArray(resultados)) {
+        return { erro: "resultados deve ser uma lista." };
+    }
+
+    const normalizados = [];
+
+    for (const [i, resultado] of resultados.entries()) {
+        const { parametro, valor, unidade, referencia_min, referencia_max } = resultado ?? {};
+
+        if (!parametro || String(parametro).trim() === "") {
+            return { erro: `resultados[${i}]: informe o parametro.` };
+        }
+
+        if (typeof valor !== "number" || !Number.isFinite(valor)) {
+            return { erro: `resultados[${i}]: valor deve ser numérico.` };
+        }
+
+        for (const [campo, limite] of [["referencia_min", referencia_min], ["referencia_max", referencia_max]]) {
+            if (limite !== undefined && limite !== null && (typeof limite !== "number" || !Number.isFinite(limite))) {
+                return { erro: `resultados[${i}]: ${campo} deve ser numérico.` };
+            }
+        }
+
+        if (typeof referencia_min === "number" && typeof referencia_max === "number" && referencia_min > referencia_max) {
+            return { erro: `resultados[${i}]: referencia_min não pode ser maior que referencia_max.` };
+        }
+
+        normalizados.push({
+            parametro: String(parametro).trim(),
+            valor,
+            unidade: unidade || null,
+            referencia_min: referencia_min ?? null,
+            referencia_max: referencia_max ?? null,
+        });
+    }
+
+    const parametros = normalizados.map((r) => r.parametro.toLowerCase());
+    if (new Set(parametros).size !== parametros.length) {
+        return { erro: "O mesmo parametro foi informado mais de uma vez nos resultados." };
+    }
+
+    return { resultados: normalizados };
+}
+
+// Exames com o nome do médico solicitante e os resultados. "filtro" é o trecho do WHERE.
+async function buscaExames(conexao, filtro, params, sufixo = "ORDER BY e.criado_em, e.id_exame") {
+    const result = await conexao.query(
+        `SELECT e.*, m.nome AS nome_medico, c.id_paciente, c.data_consulta,
+                EXISTS (SELECT 1 FROM exame_resultado r WHERE r.id_exame = e.id_exame AND r.anormal) AS possui_anormal,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                               'id_resultado', r.id_resultado,
+                               'parametro', r.parametro,
+                               'valor', r.valor,
+                               'unidade', r.unidade,
+                               'referencia_min', r.referencia_min,
+                               'referencia_max', r.referencia_max,
+                               'anormal', r.anormal
+                           ) ORDER BY r.id_resultado)
+                      FROM exame_resultado r
+                     WHERE r.id_exame = e.id_exame
+                ), '[]') AS resultados
+           FROM exame e
+           JOIN consulta c ON c.id_consulta = e.id_consulta
+           JOIN medico m ON m.id_medico = e.id_medico
+          WHERE ${filtro}
+          ${sufixo}`,
+        params
+    );
+
+    return result.rows;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExameResultado:
+ *       type: object
+ *       properties:
+ *         id_resultado:
+ *           type: integer
+ *           example: 3
+ *         parametro:
+ *           type: string
+ *           example: "Potássio"
+ *         valor:
+ *           type: number
+ *           example: 5.4
+ *         unidade:
+ *           type: string
+ *           nullable: true
+ *           example: "mEq/L"
+ *         referencia_min:
+ *           type: number
+ *           nullable: true
+ *           example: 3.5
+ *         referencia_max:
+ *           type: number
+ *           nullable: true
+ *           example: 5.1
+ *         anormal:
+ *           type: boolean
+ *           description: Valor fora da faixa de referência. Calculado pelo banco; um limite ausente não é verificado.
+ *           example: true
+ *     ExameResultadoEntrada:
+ *       type: object
+ *       required:
+ *         - parametro
+ *         - valor
+ *       properties:
+ *         parametro:
+ *           type: string
+ *           example: "Potássio"
+ *         valor:
+ *           type: number
+ *           example: 5.4
+ *         unidade:
+ *           type: string
+ *           example: "mEq/L"
+ *         referencia_min:
+ *           type: number
+ *           example: 3.5
+ *         referencia_max:
+ *           type: number
+ *           example: 5.1
+ *     Exame:
+ *       type: object
+ *       properties:
+ *         id_exame:
+ *           type: integer
+ *           example: 1
+ *         id_consulta:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         data_consulta:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-01"
+ *         id_medico:
+ *           type: integer
+ *           description: Médico solicitante.
+ *           example: 1
+ *         nome_medico:
+ *           type: string
+ *           example: "Dra. Ana Souza"
+ *         tipo:
+ *           type: string
+ *           enum: [laboratorial, imagem, funcional, anatomopatologico, outro]
+ *           example: "laboratorial"
+ *         nome:
+ *           type: string
+ *           example: "Função renal e eletrólitos"
+ *         urgencia:
+ *           type: string
+ *           enum: [rotina, urgente, emergencia]
+ *           example: "rotina"
+ *         justificativa:
+ *           type: string
+ *           nullable: true
+ *           example: "Controle de hipertensão em uso de anti-hipertensivo."
+ *         status:
+ *           type: string
+ *           enum: [solicitado, agendado, coletado, laudado]
+ *           example: "laudado"
+ *         agendado_para:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         coletado_em:
+ *           type: string
+ *           nullable: true
+ *           example: "2025-11-04T07:30:00"
+ *         laudado_em:
+ *           type: string
+ *           nullable: true
+ *           example: "2025-11-05T10:00:00"
+ *         laudo:
+ *           type: string
+ *           nullable: true
+ *           example: "Potássio discretamente elevado; demais valores normais."
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-01T08:20:00"
+ *         possui_anormal:
+ *           type: boolean
+ *           description: Algum resultado está fora da faixa de referência.
+ *           example: true
+ *         resultados:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ExameResultado'
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/exames:
+ *   get:
+ *     summary: Lista os exames pedidos em uma consulta.
+ *     tags: [Exames]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Exames da consulta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Exame'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       500:
+ *         description: Erro interno ao buscar exames.
+ */
+
+router.get("/consulta/:id/exames", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const consulta = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const exames = await buscaExames(db, "e.id_consulta = $1", [id]);
+
+        return res.status(200).json({ data: exames });
+    } catch (error) {
+        console.error("Erro ao buscar exames:", error);
+        return res.status(500).json({ msg: "Erro ao buscar exames." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/exames:
+ *   post:
+ *     summary: Pede um exame na consulta.
+ *     description: Apenas o médico da consulta pode pedir exames, e somente com a consulta em atendimento ou realizada. O exame começa com status `solicitado`.
+ *     tags: [Exames]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 3
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_medico
+ *               - tipo
+ *               - nome
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 description: Médico solicitante; deve ser o médico da consulta.
+ *                 example: 3
+ *               tipo:
+ *                 type: string
+ *                 enum: [laboratorial, imagem, funcional, anatomopatologico, outro]
+ *                 example: "imagem"
+ *               nome:
+ *                 type: string
+ *                 example: "Ressonância magnética do joelho direito"
+ *               urgencia:
+ *                 type: string
+ *                 enum: [rotina, urgente, emergencia]
+ *                 default: rotina
+ *               justificativa:
+ *                 type: string
+ *                 example: "Dor persistente após 4 semanas de tratamento."
+ *     responses:
+ *       201:
+ *         description: Exame pedido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Exame'
+ *       400:
+ *         description: Dados inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "tipo inválido. Use um dos tipos: laboratorial, imagem, funcional, anatomopatologico, outro."
+ *       403:
+ *         description: O médico informado não é o médico da consulta.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Status da consulta não permite pedir exames.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Exames só podem ser pedidos com a consulta em atendimento ou realizada."
+ *       500:
+ *         description: Erro interno ao pedir exame.
+ */
+
+router.post("/consulta/:id/exames", async (req, res) => {
+    const id = Number(req.params.id);
+    const { id_medico, tipo, nome, urgencia, justificativa } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!Number.isInteger(id_medico) || id_medico <= 0) {
+        return res.status(400).json({ msg: "Informe o id_medico solicitante." });
+    }
+
+    if (!tipo || !nome || String(nome).trim() === "") {
+        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie tipo e nome." });
+    }
+
+    if (!TIPOS_EXAME.includes(tipo)) {
+        return res.status(400).json({ msg: `tipo inválido. Use um dos tipos: ${TIPOS_EXAME.join(", ")}.` });
+    }
+
+    if (urgencia !== undefined && !URGENCIAS_EXAME.includes(urgencia)) {
+        return res.status(400).json({ msg: `urgencia inválida. Use uma das opções: ${URGENCIAS_EXAME.join(", ")}.` });
+    }
+
+    try {
+        const exame = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT id_medico, status FROM consulta WHERE id_consulta = $1 FOR NO KEY UPDATE", [id]);
+
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Consulta não cadastrada no banco");
+            }
+
+            if (busca.rows[0].id_medico !== id_medico) {
+                throw new ErroHttp(403, "Apenas o médico da consulta pode pedir exames para ela.");
+            }
+
+            if (!STATUS_PERMITE_PEDIDO.includes(busca.rows[0].status)) {
+                throw new ErroHttp(409, "Exames só podem ser pedidos com a consulta em atendimento ou realizada.");
+            }
+
+            const insert = await conexao.query(
+                `INSERT INTO exame(id_consulta, id_medico, tipo, nome, urgencia, justificativa)
+                 VALUES ($1, $2, $3, $4, $5, $6) RETURNING id_exame`,
+                [id, id_medico, tipo, String(nome).trim(), urgencia ?? "rotina", justificativa || null]
+            );
+
+            const [criado] = await buscaExames(conexao, "e.id_exame = $1", [insert.rows[0].id_exame]);
+            return criado;
+        });
+
+        return res.status(201).json({ data: exame });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao pedir exame:", error);
+        return res.status(500).json({ msg: "Erro ao pedir exame." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /exame/{id}:
+ *   get:
+ *     summary: Retorna um exame com os resultados.
+ *     tags: [Exames]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Exame encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Exame'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Exame não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar exame.
+ */
+
+router.get("/exame/:id", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_exame válido." });
+    }
+
+    try {
+        const [exame] = await buscaExames(db, "e.id_exame = $1", [id]);
+
+        if (!exame) {
+            return res.status(404).json({ msg: "Exame não encontrado." });
+        }
+
+        return res.status(200).json({ data: exame });
+    } catch (error) {
+        console.error("Erro ao buscar exame:", error);
+        return res.status(500).json({ msg: "Erro ao buscar exame." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /exame/{id}/{acao}:
+ *   post:
+ *     summary: Avança o exame no fluxo solicitado → agendado → coletado → laudado.
+ *     description: |
+ *       - `agendar`: exige `agendado_para`; pode ser repetido para remarcar enquanto o exame não for coletado.
+ *       - `coletar`: registra a coleta (ou a realização, em exames de imagem). `coletado_em` é opcional; o padrão é o momento atual. Exames sem agendamento podem ser coletados direto do status solicitado.
+ *       - `laudar`: registra o laudo em texto e/ou os resultados numéricos; é preciso enviar ao menos um dos dois. Cada resultado é marcado como anormal quando o valor está fora da faixa de referência.
+ *     tags: [Exames]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *       - in: path
+ *         name: acao
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [agendar, coletar, laudar]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               agendado_para:
+ *                 type: string
+ *                 description: Obrigatório em agendar (AAAA-MM-DDTHH:MM).
+ *                 example: "2025-11-10T08:00"
+ *               coletado_em:
+ *                 type: string
+ *                 description: Opcional em coletar (AAAA-MM-DDTHH:MM).
+ *                 example: "2025-11-10T08:10"
+ *               laudo:
+ *                 type: string
+ *                 example: "Redução do espaço articular medial, compatível com gonartrose."
+ *               resultados:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ExameResultadoEntrada'
+ *     responses:
+ *       200:
+ *         description: Status alterado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Exame'
+ *       400:
+ *         description: Dados inválidos para a ação.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe o laudo ou os resultados do exame."
+ *       404:
+ *         description: Exame ou ação inexistente.
+ *       409:
+ *         description: Transição não permitida a partir do status atual.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Não é permitido alterar o status do exame de 'laudado' para 'coletado'."
+ *       500:
+ *         description: Erro interno ao alterar o status do exame.
+ */
+
+router.post("/exame/:id/:acao", async (req, res) => {
+    const id = Number(req.params.id);
+    const novoStatus = ACOES_EXAME[req.params.acao];
+    const { agendado_para, coletado_em, laudo, resultados } = req.body ?? {};
+
+    if (!novoStatus) {
+        return res.status(404).json({ msg: `Ação inexistente. Use: ${Object.keys(ACOES_EXAME).join(", ")}.` });
+    }
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_exame válido." });
+    }
+
+    if (novoStatus === "agendado" && !isValidDataHora(agendado_para)) {
+        return res.status(400).json({ msg: "Informe agendado_para no formato AAAA-MM-DDTHH:MM." });
+    }
+
+    if (novoStatus === "coletado" && coletado_em !== undefined && !isValidDataHora(coletado_em)) {
+        return res.status(400).json({ msg: "coletado_em deve estar no formato AAAA-MM-DDTHH:MM." });
+    }
+
+    let lidos = { resultados: [] };
+    if (novoStatus === "laudado") {
+        if (resultados !== undefined) {
+            lidos = leResultados(resultados);
+            if (lidos.erro) {
+                return res.status(400).json({ msg: lidos.erro });
+            }
+        }
+
+        if ((!laudo || String(laudo).trim() === "") && lidos.resultados.length === 0) {
+            return res.status(400).json({ msg: "Informe o laudo ou os resultados do exame." });
+        }
+    }
+
+    try {
+        const exame = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT status FROM exame WHERE id_exame = $1 FOR UPDATE", [id]);
+
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Exame não encontrado.");
+            }
+
+            const statusAtual = busca.rows[0].status;
+
+            if (!TRANSICOES_EXAME[statusAtual].includes(novoStatus)) {
+                throw new ErroHttp(409, `Não é permitido alterar o status do exame de '${statusAtual}' para '${novoStatus}'.`);
+            }
+
+            if (novoStatus === "agendado") {
+                await conexao.query(
+                    "UPDATE exame SET status = 'agendado', agendado_para = $2::timestamp WHERE id_exame = $1",
+                    [id, agendado_para]
+                );
+            } else if (novoStatus === "coletado") {
+                await conexao.query(
+                    "UPDATE exame SET status = 'coletado', coletado_em = COALESCE($2::timestamp, LOCALTIMESTAMP) WHERE id_exame = $1",
+                    [id, coletado_em ?? null]
+                );
+            } else {
+                await conexao.query(
+                    "UPDATE exame SET status = 'laudado', laudo = $2, laudado_em = LOCALTIMESTAMP WHERE id_exame = $1",
+                    [id, laudo || null]
+                );
+
+                for (const r of lidos.resultados) {
+                    await conexao.query(
+                        `INSERT INTO exame_resultado(id_exame, parametro, valor, unidade, referencia_min, referencia_max)
+                         VALUES ($1, $2, $3, $4, $5, $6)`,
+                        [id, r.parametro, r.valor, r.unidade, r.referencia_min, r.referencia_max]
+                    );
+                }
+            }
+
+            const [alterado] = await buscaExames(conexao, "e.id_exame = $1", [id]);
+            return alterado;
+        });
+
+        return res.status(200).json({ data: exame });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao alterar status do exame:", error);
+        return res.status(500).json({ msg: "Erro ao alterar o status do exame." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/exames:
+ *   get:
+ *     summary: Histórico de exames de um paciente.
+ *     description: Reúne os exames pedidos em todas as consultas do paciente, com os resultados. Use `pendentes=true` para ver apenas os que ainda não foram laudados e `id_medico` para os pedidos de um médico solicitante.
+ *     tags: [Exames]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [solicitado, agendado, coletado, laudado]
+ *       - in: query
+ *         name: pendentes
+ *         required: false
+ *         description: true para listar apenas exames ainda não laudados.
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: anormal
+ *         required: false
+ *         description: true para listar apenas exames com algum resultado fora da faixa de referência.
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: id_medico
+ *         required: false
+ *         description: Médico solicitante.
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tipo
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [laboratorial, imagem, funcional, anatomopatologico, outro]
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão criado_em).
+ *         schema:
+ *           type: string
+ *           enum: [criado_em, laudado_em, id_exame]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Exames do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Exame'
+ *                 total:
+ *                   type: integer
+ *                   example: 2
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: ID ou filtro inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar exames.
+ */
+
+router.get("/paciente/:id/exames", async (req, res) => {
+    const id = Number(req.params.id);
+    const { status, tipo, id_medico } = req.query;
+    const pendentes = req.query.pendentes === "true";
+    const anormal = req.query.anormal === "true";
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (status && !STATUS_EXAME.includes(status)) {
+        return res.status(400).json({ msg: "status inválido." });
+    }
+
+    if (tipo && !TIPOS_EXAME.includes(tipo)) {
+        return res.status(400).json({ msg: "tipo inválido." });
+    }
+
+    if (id_medico !== undefined && !(Number.isInteger(Number(id_medico)) && Number(id_medico) > 0)) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_EXAME, "criado_em");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtro = `c.id_paciente = $1
+            AND ($2::varchar IS NULL OR e.status = $2)
+            AND ($3::varchar IS NULL OR e.tipo = $3)
+            AND ($4::int IS NULL OR e.id_medico = $4)
+            AND (NOT $5 OR e.status <> 'laudado')
+            AND (NOT $6 OR EXISTS (SELECT 1 FROM exame_resultado r WHERE r.id_exame = e.id_exame AND r.anormal))`;
+    const params = [id, status ?? null, tipo ?? null, id_medico ?? null, pendentes, anormal];
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const total = await db.query(
+            `SELECT COUNT(*)::int AS total FROM exame e JOIN consulta c ON c.id_consulta = e.id_consulta WHERE ${filtro}`,
+            params
+        );
+
+        const exames = await buscaExames(
+            db,
+            filtro,
+            [...params, paginacao.limit, paginacao.offset],
+            `ORDER BY ${paginacao.ordem} LIMIT $7 OFFSET $8`
+        );
+
+        return res.status(200).json({ data: exames, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        console.error("Erro ao buscar exames:", error);
+        return res.status(500).json({ msg: "Erro ao buscar exames." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,806 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { ErroHttp } = require("../erros");
+const { repassaOferta, expiraOfertas } = require("../services/listaEspera");
+const { MSG_CONFLITO_PACIENTE, buscaConflitosPaciente } = require("../services/agenda");
+const { enfileiraNotificacoes } = require("../services/notificacao");
+const { exigeResponsavel } = require("../services/responsavel");
+
+function isValidISODate(dateStr) {
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+const STATUS_ESPERA = ["aguardando", "ofertado", "atendido", "cancelado"];
+
+const STATUS_OFERTA = ["pendente", "aceita", "recusada", "expirada"];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ListaEspera:
+ *       type: object
+ *       properties:
+ *         id_espera:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 2
+ *         id_medico:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *         especialidade:
+ *           type: string
+ *           nullable: true
+ *           example: "Cardiologista"
+ *         data_inicio:
+ *           type: string
+ *           example: "2025-11-10"
+ *         data_fim:
+ *           type: string
+ *           example: "2025-11-30"
+ *         prioridade:
+ *           type: integer
+ *           example: 0
+ *         status:
+ *           type: string
+ *           enum: [aguardando, ofertado, atendido, cancelado]
+ *           example: "aguardando"
+ *         observacoes:
+ *           type: string
+ *           example: "Prefere horários pela manhã."
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-01T09:00:00.000Z"
+ *     OfertaVaga:
+ *       type: object
+ *       properties:
+ *         id_oferta:
+ *           type: integer
+ *           example: 1
+ *         id_espera:
+ *           type: integer
+ *           example: 1
+ *         id_consulta_origem:
+ *           type: integer
+ *           description: Consulta cancelada que liberou o horário.
+ *           example: 4
+ *         id_medico:
+ *           type: integer
+ *           example: 1
+ *         data_consulta:
+ *           type: string
+ *           example: "2025-11-12"
+ *         hora_inicio:
+ *           type: string
+ *           example: "08:00:00"
+ *         duracao_min:
+ *           type: integer
+ *           example: 30
+ *         status:
+ *           type: string
+ *           enum: [pendente, aceita, recusada, expirada]
+ *           example: "pendente"
+ *         expira_em:
+ *           type: string
+ *           example: "2025-11-10T12:00:00.000Z"
+ *         id_consulta:
+ *           type: integer
+ *           nullable: true
+ *           description: Consulta criada quando a oferta é aceita.
+ *           example: null
+ */
+
+/**
+ * @swagger
+ * /lista-espera:
+ *   get:
+ *     summary: Lista as inscrições da lista de espera.
+ *     description: Retorna as inscrições em ordem de atendimento (médico específico antes de especialidade, maior prioridade e inscrição mais antiga primeiro), com filtros opcionais.
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [aguardando, ofertado, atendido, cancelado]
+ *       - in: query
+ *         name: id_medico
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_paciente
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: especialidade
+ *         required: false
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inscrições encontradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ListaEspera'
+ *       400:
+ *         description: Filtro inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "status inválido."
+ *       500:
+ *         description: Erro interno ao buscar a lista de espera.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar lista de espera."
+ */
+
+router.get("/", async (req, res) => {
+    const { status, id_medico, id_paciente, especialidade } = req.query;
+
+    if (status && !STATUS_ESPERA.includes(status)) {
+        return res.status(400).json({ msg: "status inválido." });
+    }
+
+    if ([id_medico, id_paciente].some((id) => id !== undefined && !(Number.isInteger(Number(id)) && Number(id) > 0))) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    try {
+        const result = await db.query(
+            `SELECT *
+               FROM lista_espera
+              WHERE ($1::varchar IS NULL OR status = $1)
+                AND ($2::int IS NULL OR id_medico = $2)
+                AND ($3::int IS NULL OR id_paciente = $3)
+                AND ($4::varchar IS NULL OR lower(especialidade) = lower($4))
+              ORDER BY (id_medico IS NOT NULL) DESC, prioridade DESC, criado_em, id_espera`,
+            [status ?? null, id_medico ?? null, id_paciente ?? null, especialidade ?? null]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        console.error("Erro ao buscar lista de espera:", error);
+        return res.status(500).json({ msg: "Erro ao buscar lista de espera." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /lista-espera:
+ *   post:
+ *     summary: Inscreve um paciente na lista de espera.
+ *     description: Registra o interesse do paciente em uma vaga com um médico específico (`id_medico`) ou com qualquer médico de uma especialidade (`especialidade`), dentro do período desejado. Quando uma consulta compatível for cancelada, o horário é reservado para o paciente e pode ser aceito ou recusado em `/lista-espera/ofertas`.
+ *     tags: [Lista de espera]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_paciente
+ *               - data_inicio
+ *               - data_fim
+ *             properties:
+ *               id_paciente:
+ *                 type: integer
+ *                 example: 2
+ *               id_medico:
+ *                 type: integer
+ *                 example: 1
+ *               especialidade:
+ *                 type: string
+ *                 example: "Cardiologista"
+ *               data_inicio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-10"
+ *               data_fim:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-30"
+ *               prioridade:
+ *                 type: integer
+ *                 description: Quanto maior, antes o paciente recebe ofertas.
+ *                 example: 0
+ *               observacoes:
+ *                 type: string
+ *                 example: "Prefere horários pela manhã."
+ *     responses:
+ *       201:
+ *         description: Paciente inscrito na lista de espera.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ListaEspera'
+ *       400:
+ *         description: Parâmetros inválidos ou paciente/médico inexistente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *             examples:
+ *               sem_alvo:
+ *                 value:
+ *                   msg: "Informe id_medico ou especialidade."
+ *               periodo:
+ *                 value:
+ *                   msg: "Período inválido. Use YYYY-MM-DD, com data_fim igual ou posterior a data_inicio."
+ *       500:
+ *         description: Erro interno ao inscrever o paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao inserir paciente na lista de espera."
+ */
+
+router.post("/", async (req, res) => {
+    const { id_paciente, id_medico, especialidade, data_inicio, data_fim, prioridade, observacoes } = req.body ?? {};
+
+    if (!id_paciente || !data_inicio || !data_fim) {
+        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie id_paciente, data_inicio e data_fim." });
+    }
+
+    if (!id_medico && !especialidade) {
+        return res.status(400).json({ msg: "Informe id_medico ou especialidade." });
+    }
+
+    if (isNaN(Number(id_paciente)) || (id_medico && isNaN(Number(id_medico)))) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!isValidISODate(String(data_inicio)) || !isValidISODate(String(data_fim)) || data_fim < data_inicio) {
+        return res.status(400).json({ msg: "Período inválido. Use YYYY-MM-DD, com data_fim igual ou posterior a data_inicio." });
+    }
+
+    if (prioridade !== undefined && !Number.isInteger(prioridade)) {
+        return res.status(400).json({ msg: "prioridade deve ser um número inteiro." });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id_paciente]);
+        if (paciente.rowCount === 0) {
+            return res.status(400).json({ msg: "id_paciente informado não existe." });
+        }
+
+        if (id_medico) {
+            const medico = await db.query("SELECT 1 FROM medico WHERE id_medico = $1", [id_medico]);
+            if (medico.rowCount === 0) {
+                return res.status(400).json({ msg: "id_medico informado não existe." });
+            }
+        }
+
+        const insert = await db.query(
+            `INSERT INTO lista_espera(id_paciente, id_medico, especialidade, data_inicio, data_fim, prioridade, observacoes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [id_paciente, id_medico ?? null, id_medico ? null : especialidade, data_inicio, data_fim, prioridade ?? 0, observacoes ?? null]
+        );
+
+        return res.status(201).json({ data: insert.rows[0] });
+    } catch (error) {
+        console.error("Erro ao inserir paciente na lista de espera:", error);
+        return res.status(500).json({ msg: "Erro ao inserir paciente na lista de espera." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /lista-espera/{id}:
+ *   delete:
+ *     summary: Retira um paciente da lista de espera.
+ *     description: Marca a inscrição como `cancelado`. Se houver uma reserva pendente para ela, a reserva é recusada e o horário é repassado ao próximo paciente.
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da inscrição.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Inscrição cancelada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ListaEspera'
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_espera válido."
+ *       404:
+ *         description: Inscrição não encontrada ou já encerrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Inscrição não encontrada ou já encerrada."
+ *       500:
+ *         description: Erro interno ao cancelar a inscrição.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao remover paciente da lista de espera."
+ */
+
+router.delete("/:id", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_espera válido." });
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const cancelada = await conexao.query(
+                "UPDATE lista_espera SET status = 'cancelado' WHERE id_espera = $1 AND status IN ('aguardando', 'ofertado') RETURNING *",
+                [id]
+            );
+            if (cancelada.rowCount === 0) {
+                throw new ErroHttp(404, "Inscrição não encontrada ou já encerrada.");
+            }
+
+            const pendentes = await conexao.query(
+                `UPDATE oferta_vaga
+                    SET status = 'recusada', respondido_em = LOCALTIMESTAMP
+                  WHERE id_espera = $1 AND status = 'pendente'
+                  RETURNING id_espera, id_consulta_origem, id_medico, to_char(data_consulta, 'YYYY-MM-DD') AS data_consulta, hora_inicio, duracao_min`,
+                [id]
+            );
+
+            for (const oferta of pendentes.rows) {
+                await repassaOferta(conexao, oferta);
+            }
+
+            return cancelada.rows[0];
+        });
+
+        return res.status(200).json({ data: resultado });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao remover paciente da lista de espera:", error);
+        return res.status(500).json({ msg: "Erro ao remover paciente da lista de espera." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /lista-espera/ofertas:
+ *   get:
+ *     summary: Lista as reservas de horário oferecidas à lista de espera.
+ *     description: Antes de listar, expira as reservas pendentes cujo prazo acabou e repassa os horários ao próximo paciente.
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pendente, aceita, recusada, expirada]
+ *       - in: query
+ *         name: id_paciente
+ *         required: false
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservas encontradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OfertaVaga'
+ *       400:
+ *         description: Filtro inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "status inválido."
+ *       500:
+ *         description: Erro interno ao buscar as reservas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar ofertas de vaga."
+ */
+
+router.get("/ofertas", async (req, res) => {
+    const { status, id_paciente } = req.query;
+
+    if (status && !STATUS_OFERTA.includes(status)) {
+        return res.status(400).json({ msg: "status inválido." });
+    }
+
+    if (id_paciente !== undefined && !(Number.isInteger(Number(id_paciente)) && Number(id_paciente) > 0)) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    try {
+        await expiraOfertas();
+
+        const result = await db.query(
+            `SELECT o.id_oferta, o.id_espera, le.id_paciente, o.id_consulta_origem, o.id_medico, o.data_consulta,
+                    o.hora_inicio, o.duracao_min, o.status, o.expira_em, o.id_consulta, o.criado_em, o.respondido_em
+               FROM oferta_vaga o
+               JOIN lista_espera le ON le.id_espera = o.id_espera
+              WHERE ($1::varchar IS NULL OR o.status = $1)
+                AND ($2::int IS NULL OR le.id_paciente = $2)
+              ORDER BY o.criado_em DESC, o.id_oferta DESC`,
+            [status ?? null, id_paciente ?? null]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        console.error("Erro ao buscar ofertas de vaga:", error);
+        return res.status(500).json({ msg: "Erro ao buscar ofertas de vaga." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /lista-espera/ofertas/{id}/aceitar:
+ *   post:
+ *     summary: Aceita uma reserva de horário.
+ *     description: Confirma a reserva pendente, criando a consulta agendada para o paciente da lista de espera e encerrando sua inscrição como `atendido`. Reservas com prazo vencido são expiradas e repassadas ao próximo paciente. Se o paciente tiver agendado outra consulta em horário sobreposto desde a oferta, a reserva só é aceita com `permitir_sobreposicao`.
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da oferta.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Reserva aceita e consulta criada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     oferta:
+ *                       $ref: '#/components/schemas/OfertaVaga'
+ *                     consulta:
+ *                       $ref: '#/components/schemas/Consulta'
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_oferta válido."
+ *       404:
+ *         description: Oferta não encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Oferta não encontrada."
+ *       409:
+ *         description: A oferta já foi respondida, o horário foi ocupado, o paciente já tem consulta em horário sobreposto ou é menor de idade na data da consulta e não tem responsável legal cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "A oferta já está com status 'recusada'."
+ *       410:
+ *         description: O prazo da reserva expirou.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "O prazo da oferta expirou."
+ *       500:
+ *         description: Erro interno ao aceitar a oferta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao aceitar oferta de vaga."
+ */
+
+router.post("/ofertas/:id/aceitar", async (req, res) => {
+    const id = Number(req.params.id);
+    const { permitir_sobreposicao } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_oferta válido." });
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const busca = await conexao.query(
+                `SELECT o.*, le.id_paciente, to_char(o.data_consulta, 'YYYY-MM-DD') AS data_iso, o.expira_em <= LOCALTIMESTAMP AS vencida
+                   FROM oferta_vaga o
+                   JOIN lista_espera le ON le.id_espera = o.id_espera
+                  WHERE o.id_oferta = $1
+                    FOR UPDATE OF o`,
+                [id]
+            );
+
+            if (busca.rowCount === 0) {
+                return { status: 404, body: { msg: "Oferta não encontrada." } };
+            }
+
+            const oferta = busca.rows[0];
+
+            if (oferta.status !== "pendente") {
+                return { status: 409, body: { msg: `A oferta já está com status '${oferta.status}'.` } };
+            }
+
+            if (oferta.vencida) {
+                await conexao.query("UPDATE oferta_vaga SET status = 'expirada', respondido_em = LOCALTIMESTAMP WHERE id_oferta = $1", [id]);
+                await repassaOferta(conexao, { ...oferta, data_consulta: oferta.data_iso });
+                return { status: 410, body: { msg: "O prazo da oferta expirou." } };
+            }
+
+            await conexao.query("SELECT 1 FROM paciente WHERE id_paciente = $1 FOR NO KEY UPDATE", [oferta.id_paciente]);
+            await exigeResponsavel(conexao, oferta.id_paciente, oferta.data_iso);
+
+            if (permitir_sobreposicao !== true) {
+                const conflitos = await buscaConflitosPaciente(conexao, oferta.id_paciente, oferta.data_iso, oferta.hora_inicio, oferta.duracao_min);
+                if (conflitos.length > 0) {
+                    return { status: 409, body: { msg: MSG_CONFLITO_PACIENTE, conflitos } };
+                }
+            }
+
+            await conexao.query("UPDATE oferta_vaga SET status = 'aceita', respondido_em = LOCALTIMESTAMP WHERE id_oferta = $1", [id]);
+
+            const consulta = await conexao.query(
+                `INSERT INTO consulta(id_paciente, id_medico, data_consulta, hora_inicio, duracao_min)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+                [oferta.id_paciente, oferta.id_medico, oferta.data_iso, oferta.hora_inicio, oferta.duracao_min]
+            );
+
+            await enfileiraNotificacoes(conexao, consulta.rows[0].id_consulta, "agendada");
+
+            const aceita = await conexao.query("UPDATE oferta_vaga SET id_consulta = $1 WHERE id_oferta = $2 RETURNING *", [consulta.rows[0].id_consulta, id]);
+            await conexao.query("UPDATE lista_espera SET status = 'atendido' WHERE id_espera = $1", [oferta.id_espera]);
+
+            return { status: 201, body: { data: { oferta: aceita.rows[0], consulta: consulta.rows[0] } } };
+        });
+
+        return res.status(resultado.status).json(resultado.body);
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        if (error.code === "23P01" || error.code === "23505") {
+            return res.status(409).json({ msg: "O horário oferecido não está mais disponível." });
+        }
+
+        console.error("Erro ao aceitar oferta de vaga:", error);
+        return res.status(500).json({ msg: "Erro ao aceitar oferta de vaga." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /lista-espera/ofertas/{id}/recusar:
+ *   post:
+ *     summary: Recusa uma reserva de horário.
+ *     description: Marca a reserva como recusada, devolve o paciente à lista de espera (ele não volta a receber o mesmo horário) e repassa o horário ao próximo paciente.
+ *     tags: [Lista de espera]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da oferta.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Reserva recusada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/OfertaVaga'
+ *                 proxima_oferta:
+ *                   description: Reserva criada para o próximo paciente, ou null se não houver candidato.
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/OfertaVaga'
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_oferta válido."
+ *       404:
+ *         description: Oferta não encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Oferta não encontrada."
+ *       409:
+ *         description: A oferta já foi respondida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "A oferta já está com status 'aceita'."
+ *       500:
+ *         description: Erro interno ao recusar a oferta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao recusar oferta de vaga."
+ */
+
+router.post("/ofertas/:id/recusar", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_oferta válido." });
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT status FROM oferta_vaga WHERE id_oferta = $1 FOR UPDATE", [id]);
+
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Oferta não encontrada.");
+            }
+
+            if (busca.rows[0].status !== "pendente") {
+                throw new ErroHttp(409, `A oferta já está com status '${busca.rows[0].status}'.`);
+            }
+
+            const recusada = await conexao.query(
+                `UPDATE oferta_vaga
+                    SET status = 'recusada', respondido_em = LOCALTIMESTAMP
+                  WHERE id_oferta = $1
+                  RETURNING *, to_char(data_consulta, 'YYYY-MM-DD') AS data_iso`,
+                [id]
+            );
+
+            const { data_iso, ...oferta } = recusada.rows[0];
+            const proxima = await repassaOferta(conexao, { ...oferta, data_consulta: data_iso });
+
+            return { oferta, proxima };
+        });
+
+        return res.status(200).json({ data: resultado.oferta, proxima_oferta: resultado.proxima });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao recusar oferta de vaga:", error);
+        return res.status(500).json({ msg: "Erro ao recusar oferta de vaga." });
+    }
+});
+
+module.exports = router;
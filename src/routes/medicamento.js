@@ -0,0 +1,207 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { erroDeRestricao } = require("../erros");
+
+// Mensagens das violações de restrição de medicamento (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    uq_medicamento: "Medicamento já cadastrado com essa concentração e forma farmacêutica.",
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Medicamento:
+ *       type: object
+ *       properties:
+ *         id_medicamento:
+ *           type: integer
+ *           example: 1
+ *         nome:
+ *           type: string
+ *           example: "Losartana potássica"
+ *         concentracao:
+ *           type: string
+ *           nullable: true
+ *           example: "50 mg"
+ *         forma_farmaceutica:
+ *           type: string
+ *           example: "comprimido"
+ *         classe_terapeutica:
+ *           type: string
+ *           nullable: true
+ *           description: Usada na verificação de alergias, junto com o nome.
+ *           example: "antagonistas da angiotensina II"
+ *         controlado:
+ *           type: boolean
+ *           description: Medicamento sujeito a controle especial.
+ *           example: false
+ *         ativo:
+ *           type: boolean
+ *           description: Medicamentos inativos continuam nas receitas antigas, mas não podem ser prescritos.
+ *           example: true
+ */
+
+/**
+ * @swagger
+ * /medicamento:
+ *   get:
+ *     summary: Busca no catálogo de medicamentos.
+ *     description: Lista os medicamentos ativos, opcionalmente filtrando por trecho do nome sem diferenciar maiúsculas, minúsculas e acentos.
+ *     tags: [Medicamentos]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "losartana"
+ *       - in: query
+ *         name: incluir_inativos
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           example: false
+ *     responses:
+ *       200:
+ *         description: Medicamentos encontrados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Medicamento'
+ *       500:
+ *         description: Erro interno ao buscar medicamentos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar medicamentos."
+ */
+
+router.get("/", async (req, res) => {
+    const q = req.query.q ? String(req.query.q).trim() : null;
+    const incluirInativos = req.query.incluir_inativos === "true";
+
+    try {
+        const result = await db.query(
+            `SELECT *
+               FROM medicamento
+              WHERE ($1::text IS NULL OR f_unaccent(lower(nome)) LIKE '%' || f_unaccent(lower($1)) || '%')
+                AND ($2 OR ativo)
+              ORDER BY nome, concentracao, forma_farmaceutica`,
+            [q, incluirInativos]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        console.error("Erro ao buscar medicamentos:", error);
+        return res.status(500).json({ msg: "Erro ao buscar medicamentos." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /medicamento:
+ *   post:
+ *     summary: Cadastra um medicamento no catálogo.
+ *     tags: [Medicamentos]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - forma_farmaceutica
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Atenolol"
+ *               concentracao:
+ *                 type: string
+ *                 example: "25 mg"
+ *               forma_farmaceutica:
+ *                 type: string
+ *                 example: "comprimido"
+ *               classe_terapeutica:
+ *                 type: string
+ *                 example: "betabloqueadores"
+ *               controlado:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Medicamento cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Medicamento'
+ *       400:
+ *         description: Campos obrigatórios ausentes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Campos obrigatórios ausentes. Envie nome e forma_farmaceutica."
+ *       409:
+ *         description: Medicamento já cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Medicamento já cadastrado com essa concentração e forma farmacêutica."
+ *       500:
+ *         description: Erro interno ao cadastrar medicamento.
+ */
+
+router.post("/", async (req, res) => {
+    const { nome, concentracao, forma_farmaceutica, classe_terapeutica, controlado } = req.body ?? {};
+
+    if (!nome || !forma_farmaceutica) {
+        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie nome e forma_farmaceutica." });
+    }
+
+    if (controlado !== undefined && typeof controlado !== "boolean") {
+        return res.status(400).json({ msg: "controlado deve ser true ou false." });
+    }
+
+    try {
+        const insert = await db.query(
+            `INSERT INTO medicamento(nome, concentracao, forma_farmaceutica, classe_terapeutica, controlado)
+             VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+            [nome, concentracao || null, forma_farmaceutica, classe_terapeutica || null, controlado ?? false]
+        );
+
+        return res.status(201).json({ data: insert.rows[0] });
+    } catch (error) {
+        const erro = erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
+        console.error("Erro ao cadastrar medicamento:", error);
+        return res.status(500).json({ msg: "Erro ao cadastrar medicamento." });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { lePaginacao, LIMITE_MAXIMO } = require("../paginacao");
+const { erroDeRestricao } = require("../erros");
+const { enviaAgenda, criaTokenAgenda, removeTokenAgenda } = require("./agendaIcs");
 
 function isValidISODate(dateStr) {
     
@@ -16,13 +19,178 @@ function isValidISODate(dateStr) {
     return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
 }
 
+function isValidHora(horaStr) {
+    if (!/^\d{2}:\d{2}$/.test(horaStr)) return false;
+
+    const [h, m] = horaStr.split(":").map(Number);
+
+    return h < 24 && m < 60;
+}
+
+// Mensagens das violações de restrição de médico (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    fk_medico_setor: "id_departamento informado não existe.",
+    uq_medico_crm: "CRM informado já está cadastrado para outro médico.",
+    fk_exame_medico: "Médico possui exames solicitados e não pode ser removido.",
+    fk_receita_medico: "Médico possui receitas emitidas e não pode ser removido.",
+};
+
+// Período máximo, em dias, aceito nas buscas de horários livres.
+const MAX_DIAS_BUSCA = 31;
+
+// Valida os parâmetros "de" e "ate" da busca de horários livres. Retorna a mensagem de erro ou null.
+function validaPeriodoBusca(de, ate) {
+    if (!de || !ate) return "Informe o período da busca com os parâmetros de e ate (YYYY-MM-DD).";
+
+    if (!isValidISODate(String(de)) || !isValidISODate(String(ate))) return "Datas inválidas. Use YYYY-MM-DD.";
+
+    const dias = (new Date(ate) - new Date(de)) / 86400000;
+
+    if (dias < 0) return "A data inicial deve ser anterior ou igual à data final.";
+
+    if (dias >= MAX_DIAS_BUSCA) return `O período da busca não pode ultrapassar ${MAX_DIAS_BUSCA} dias.`;
+
+    return null;
+}
+
+// Gera os slots da jornada semanal dos médicos filtrados no período [de, ate] e remove
+// os que já passaram, que se sobrepõem a alguma consulta não cancelada do médico ou que estão
+// reservados para a lista de espera.
+async function buscaHorariosLivres({ id_medico = null, especialidade = null, id_departamento = null, de, ate, limite = null }) {
+    const result = await db.query(
+        `SELECT m.id_medico,
+                m.nome,
+                m.especialidade,
+                m.id_departamento,
+                to_char(s.inicio, 'YYYY-MM-DD') AS data_consulta,
+                to_char(s.inicio, 'HH24:MI') AS hora_inicio,
+                h.duracao_slot_min AS duracao_min
+           FROM medico m
+           JOIN medico_horario h ON h.id_medico = m.id_medico
+           JOIN generate_series($4::date, $5::date, INTERVAL '1 day') AS dia ON EXTRACT(DOW FROM dia) = h.dia_semana
+           CROSS JOIN LATERAL generate_series(
+                    dia::date + h.hora_inicio,
+                    dia::date + h.hora_fim - h.duracao_slot_min * INTERVAL '1 minute',
+                    h.duracao_slot_min * INTERVAL '1 minute') AS s(inicio)
+          WHERE ($1::int IS NULL OR m.id_medico = $1)
+            AND ($2::text IS NULL OR lower(m.especialidade) = lower($2))
+            AND ($3::int IS NULL OR m.id_departamento = $3)
+            AND s.inicio >= LOCALTIMESTAMP
+            AND NOT EXISTS (
+                    SELECT 1
+                      FROM consulta c
+                     WHERE c.id_medico = m.id_medico
+                       AND c.status <> 'cancelada'
+                       AND c.periodo && tsrange(s.inicio, s.inicio + h.duracao_slot_min * INTERVAL '1 minute'))
+            AND NOT EXISTS (
+                    SELECT 1
+                      FROM oferta_vaga o
+                     WHERE o.id_medico = m.id_medico
+                       AND o.status = 'pendente'
+                       AND o.expira_em > LOCALTIMESTAMP
+                       AND o.periodo && tsrange(s.inicio, s.inicio + h.duracao_slot_min * INTERVAL '1 minute'))
+          ORDER BY s.inicio, m.id_medico
+          LIMIT $6`,
+        [id_medico, especialidade, id_departamento, de, ate, limite]
+    );
+
+    return result.rows;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MedicoHorario:
+ *       type: object
+ *       properties:
+ *         id_horario:
+ *           type: integer
+ *           example: 1
+ *         id_medico:
+ *           type: integer
+ *           example: 1
+ *         dia_semana:
+ *           type: integer
+ *           description: 0 = domingo ... 6 = sábado.
+ *           example: 1
+ *         hora_inicio:
+ *           type: string
+ *           example: "08:00:00"
+ *         hora_fim:
+ *           type: string
+ *           example: "12:00:00"
+ *         duracao_slot_min:
+ *           type: integer
+ *           example: 30
+ *     HorarioLivre:
+ *       type: object
+ *       properties:
+ *         id_medico:
+ *           type: integer
+ *           example: 1
+ *         nome:
+ *           type: string
+ *           example: "Dra. Ana Souza"
+ *         especialidade:
+ *           type: string
+ *           example: "Cardiologista"
+ *         id_departamento:
+ *           type: integer
+ *           example: 1
+ *         data_consulta:
+ *           type: string
+ *           example: "2025-11-10"
+ *         hora_inicio:
+ *           type: string
+ *           example: "08:00"
+ *         duracao_min:
+ *           type: integer
+ *           example: 30
+ */
+
 /**
  * @swagger
  * /medico:
  *   get:
- *     summary: Retorna todos os médicos cadastrados.
- *     description: Busca todos os registros da tabela MEDICO.
+ *     summary: Retorna os médicos cadastrados.
+ *     description: Busca os registros da tabela MEDICO de forma paginada, com filtros opcionais e ordenação. A resposta inclui o total de registros que atendem aos filtros.
  *     tags: [Médicos]
+ *     parameters:
+ *       - in: query
+ *         name: nome
+ *         required: false
+ *         description: Trecho do nome (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "souza"
+ *       - in: query
+ *         name: especialidade
+ *         required: false
+ *         description: Especialidade (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "Cardiologista"
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: crm
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão id_medico).
+ *         schema:
+ *           type: string
+ *           enum: [id_medico, nome, especialidade, data_contratacao]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
  *     responses:
  *       200:
  *         description: Lista de médicos retornada com sucesso.
@@ -35,6 +203,16 @@ function isValidISODate(dateStr) {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Medico'
+ *                 total:
+ *                   type: integer
+ *                   description: Total de registros que atendem aos filtros.
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
  *             examples:
  *               com_medicos:
  *                 value:
@@ -47,7 +225,17 @@ function isValidISODate(dateStr) {
  *                       id_departamento: 2
  *               vazio:
  *                 value:
- *                   msg: []
+ *                   msg: "Nenhum médico encontrado."
+ *       400:
+ *         description: Filtro, ordenação ou paginação inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "limit deve ser um número inteiro entre 1 e 200."
  *       500:
  *         description: Erro ao buscar médicos.
  *         content:
@@ -64,21 +252,177 @@ function isValidISODate(dateStr) {
  */
 
 
+// Campos aceitos em "ordenar" na listagem de médicos.
+const ORDENACAO_MEDICO = {
+    id_medico: ["id_medico"],
+    nome: ["nome"],
+    especialidade: ["especialidade"],
+    data_contratacao: ["data_contratacao"],
+};
+
 router.get("/", async (req, res) => {
+    const { nome, especialidade, id_departamento, crm } = req.query;
+
+    if (id_departamento !== undefined && !(Number.isInteger(Number(id_departamento)) && Number(id_departamento) > 0)) {
+        return res.status(400).json({ msg: "id_departamento deve ser um número inteiro positivo." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_MEDICO, "id_medico");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtros = `
+              WHERE ($1::text IS NULL OR nome ILIKE '%' || $1 || '%')
+                AND ($2::text IS NULL OR lower(especialidade) = lower($2))
+                AND ($3::int IS NULL OR id_departamento = $3)
+                AND ($4::text IS NULL OR crm = $4)`;
+    const params = [nome || null, especialidade || null, id_departamento ?? null, crm || null];
+
     try {
-        const result = await db.query("SELECT * FROM medico ORDER BY id_medico");
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM medico ${filtros}`, params);
+
+        const result = await db.query(
+            `SELECT * FROM medico ${filtros} ORDER BY ${paginacao.ordem}, id_medico LIMIT $5 OFFSET $6`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        const pagina = { total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset };
 
         if (result.rowCount === 0) {
-            return res.status(200).json({ msg: "Nenhum médico cadastrado." });
+            return res.status(200).json({ msg: "Nenhum médico encontrado.", ...pagina });
         }
 
-        return res.status(200).json({ msg: result.rows });
+        return res.status(200).json({ msg: result.rows, ...pagina });
     } catch (error) {
         console.error("Erro ao buscar médicos:", error);
         return res.status(500).json({ msg: "Erro interno ao buscar médicos." });
     }
 });
 
+/**
+ * @swagger
+ * /medico/horarios-livres:
+ *   get:
+ *     summary: Busca os primeiros horários livres entre vários médicos.
+ *     description: Calcula os horários livres de todos os médicos que atendem aos filtros, a partir da jornada semanal de cada um, descontando as consultas já agendadas. Os resultados são ordenados pelo horário, permitindo oferecer, por exemplo, "o primeiro cardiologista disponível". O período não pode ultrapassar 31 dias.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: query
+ *         name: de
+ *         required: true
+ *         description: Data inicial da busca (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-10"
+ *       - in: query
+ *         name: ate
+ *         required: true
+ *         description: Data final da busca (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-14"
+ *       - in: query
+ *         name: especialidade
+ *         required: false
+ *         description: Especialidade do médico (comparação sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "Cardiologista"
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         description: Departamento do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         description: Quantidade máxima de horários retornados (padrão 20, máximo 200).
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *     responses:
+ *       200:
+ *         description: Horários livres encontrados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HorarioLivre'
+ *             examples:
+ *               exemplo:
+ *                 value:
+ *                   msg:
+ *                     - id_medico: 1
+ *                       nome: "Dra. Ana Souza"
+ *                       especialidade: "Cardiologista"
+ *                       id_departamento: 1
+ *                       data_consulta: "2025-11-10"
+ *                       hora_inicio: "08:00"
+ *                       duracao_min: 30
+ *       400:
+ *         description: Parâmetros de busca inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "O período da busca não pode ultrapassar 31 dias."
+ *       500:
+ *         description: Erro interno ao buscar horários livres.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro interno ao buscar horários livres."
+ */
+
+router.get("/horarios-livres", async (req, res) => {
+    const { de, ate, especialidade, id_departamento, limit } = req.query;
+
+    const erroPeriodo = validaPeriodoBusca(de, ate);
+    if (erroPeriodo) {
+        return res.status(400).json({ msg: erroPeriodo });
+    }
+
+    if (id_departamento !== undefined && (!Number.isInteger(Number(id_departamento)) || Number(id_departamento) <= 0)) {
+        return res.status(400).json({ msg: "id_departamento inválido." });
+    }
+
+    const qtd = limit === undefined ? 20 : Number(limit);
+    if (!Number.isInteger(qtd) || qtd < 1 || qtd > LIMITE_MAXIMO) {
+        return res.status(400).json({ msg: `limit deve ser um número inteiro entre 1 e ${LIMITE_MAXIMO}.` });
+    }
+
+    try {
+        const livres = await buscaHorariosLivres({
+            especialidade: especialidade || null,
+            id_departamento: id_departamento === undefined ? null : Number(id_departamento),
+            de,
+            ate,
+            limite: qtd,
+        });
+
+        return res.status(200).json({ msg: livres });
+    } catch (error) {
+        console.error("Erro ao buscar horários livres:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar horários livres." });
+    }
+});
+
 /**
  * @swagger
  * /medico/{id}:
@@ -218,7 +562,7 @@ router.get("/:id", async (req, res) => {
  *                     data_contratacao: "2023-05-12"
  *                     id_departamento: 3
  *       400:
- *         description: Campos inválidos, CRM duplicado ou departamento inexistente.
+ *         description: Campos inválidos ou departamento inexistente.
  *         content:
  *           application/json:
  *             schema:
@@ -229,10 +573,18 @@ router.get("/:id", async (req, res) => {
  *             examples:
  *               campo_ausente:
  *                 value: { msg: "Campos obrigatórios ausentes. Envie nome, crm, especialidade, data_contratacao e id_departamento." }
- *               crm_duplicado:
- *                 value: { msg: "CRM informado já está cadastrado." }
  *               dept_inexistente:
  *                 value: { msg: "id_departamento informado não existe." }
+ *       409:
+ *         description: CRM já cadastrado para outro médico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "CRM informado já está cadastrado para outro médico."
  *       500:
  *         description: Erro ao cadastrar médico.
  *         content:
@@ -263,20 +615,17 @@ router.post("/", async (req,res) => {
     }
 
     try {
-        const dept = await db.query("SELECT 1 FROM departamento WHERE id_departamento = $1", [id_departamento]);
-        if (dept.rowCount === 0) {
-            return res.status(400).json({ msg: "id_departamento informado não existe." });
-        }
-
-        const crmExist = await db.query("SELECT 1 FROM medico WHERE crm = $1", [crm]);
-        if (crmExist.rowCount > 0) {
-            return res.status(400).json({ msg: "CRM informado já está cadastrado." });
-        }
-
+        // Departamento inexistente e CRM repetido são verificados pelas restrições do banco na própria
+        // inserção, sem janela entre a verificação e a gravação.
         const insert = await db.query("INSERT INTO medico(nome, crm, especialidade, data_contratacao, id_departamento) VALUES($1, $2, $3, $4, $5) RETURNING *", [nome, crm, especialidade, data_contratacao, id_departamento]);
 
         return res.status(201).json({ msg: insert.rows[0] });
     } catch (error) {
+        const erro = erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
         console.error("Erro ao inserir médico:", error);
         return res.status(500).json({ msg: "Erro interno ao cadastrar médico." });
     }
@@ -288,7 +637,7 @@ router.post("/", async (req,res) => {
  * /medico/{id}:
  *   delete:
  *     summary: Remove um médico do sistema.
- *     description: Exclui o registro de um médico existente com base no ID informado na URL.
+ *     description: Exclui o registro de um médico existente com base no ID informado na URL. Médicos que solicitaram exames ou emitiram receitas não podem ser removidos.
  *     tags: [Médicos]
  *     parameters:
  *       - in: path
@@ -344,6 +693,19 @@ router.post("/", async (req,res) => {
  *               exemplo:
  *                 value:
  *                   msg: "Médico não cadastrado no banco."
+ *       409:
+ *         description: Médico possui receitas ou exames solicitados, que fazem parte do prontuário.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *             examples:
+ *               exemplo:
+ *                 value:
+ *                   msg: "Médico possui receitas emitidas e não pode ser removido."
  *       500:
  *         description: Erro interno ao remover médico.
  *         content:
@@ -377,8 +739,13 @@ router.delete("/:id", async (req, res) => {
 
         return res.status(200).json({ msg: del.rows[0] });
     } catch (error) {
+        const erro = erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
         console.error("Erro ao deletar médico:", error);
-        return res.status(500).json({ msg: error.message });
+        return res.status(500).json({ msg: "Erro ao deletar médico." });
     }
 });
 
@@ -448,7 +815,7 @@ router.delete("/:id", async (req, res) => {
  *                     data_contratacao: "2021-08-20"
  *                     id_departamento: 1
  *       400:
- *         description: Dados inválidos, campos obrigatórios ausentes, CRM duplicado, data inválida ou departamento inexistente.
+ *         description: Dados inválidos, campos obrigatórios ausentes, data inválida ou departamento inexistente.
  *         content:
  *           application/json:
  *             schema:
@@ -463,9 +830,6 @@ router.delete("/:id", async (req, res) => {
  *               campos_faltando:
  *                 value:
  *                   msg: "Campos obrigatórios ausentes. Envie nome, crm, especialidade, data_contratacao e id_departamento."
- *               crm_duplicado:
- *                 value:
- *                   msg: "CRM já cadastrado para outro médico."
  *               data_invalida:
  *                 value:
  *                   msg: "Data de contratação inválida."
@@ -485,6 +849,16 @@ router.delete("/:id", async (req, res) => {
  *               medico_nao_encontrado:
  *                 value:
  *                   msg: "Médico não cadastrado no banco."
+ *       409:
+ *         description: CRM já cadastrado para outro médico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "CRM informado já está cadastrado para outro médico."
  *       500:
  *         description: Erro interno ao atualizar médico.
  *         content:
@@ -522,29 +896,544 @@ router.put("/:id", async (req, res) => {
     }
 
     try {
-        const busca = await db.query("SELECT * FROM MEDICO WHERE id_medico = $1", [id]);
+        const update = await db.query("UPDATE MEDICO SET nome = $1, crm = $2, especialidade = $3, data_contratacao = $4, id_departamento = $5 WHERE id_medico = $6 RETURNING *", [nome, crm, especialidade, data_contratacao, id_departamento, id]);
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Médico não cadastrado no banco." });
+        }
+
+        return res.status(200).json({ msg: update.rows[0] });
+    } catch (error) {
+        const erro = erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
+        console.error("Erro ao atualizar médico:", error);
+        return res.status(500).json({ msg: "Erro ao atualizar médico no banco." });
+    }
+});
+
+/**
+ * @swagger
+ * /medico/{id}/horarios:
+ *   get:
+ *     summary: Retorna a jornada semanal de um médico.
+ *     description: Lista as faixas de atendimento do médico por dia da semana (0 = domingo ... 6 = sábado), com a duração de cada slot de consulta.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Jornada retornada com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MedicoHorario'
+ *             examples:
+ *               exemplo:
+ *                 value:
+ *                   msg:
+ *                     - id_horario: 1
+ *                       id_medico: 1
+ *                       dia_semana: 1
+ *                       hora_inicio: "08:00:00"
+ *                       hora_fim: "12:00:00"
+ *                       duracao_slot_min: 30
+ *       400:
+ *         description: ID do médico inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_medico válido."
+ *       404:
+ *         description: Médico não encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Médico não cadastrado no banco."
+ *       500:
+ *         description: Erro interno ao buscar a jornada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro interno ao buscar horários do médico."
+ */
+
+router.get("/:id/horarios", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_medico válido." });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM medico WHERE id_medico = $1", [id]);
         if (busca.rowCount === 0) {
             return res.status(404).json({ msg: "Médico não cadastrado no banco." });
         }
 
-        const dept = await db.query("SELECT 1 FROM DEPARTAMENTO WHERE id_departamento = $1", [id_departamento]);
-        if (dept.rowCount === 0) {
-            return res.status(400).json({ msg: "id_departamento informado não existe." });
+        const horarios = await db.query("SELECT * FROM medico_horario WHERE id_medico = $1 ORDER BY dia_semana, hora_inicio", [id]);
+
+        return res.status(200).json({ msg: horarios.rows });
+    } catch (error) {
+        console.error("Erro ao buscar horários do médico:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar horários do médico." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /medico/{id}/horarios:
+ *   put:
+ *     summary: Define a jornada semanal de um médico.
+ *     description: Substitui todas as faixas de atendimento do médico pelas informadas. Os horários usam o formato HH:MM, `hora_fim` deve ser posterior a `hora_inicio` e faixas do mesmo dia não podem se sobrepor. Enviar uma lista vazia remove a jornada.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - horarios
+ *             properties:
+ *               horarios:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - dia_semana
+ *                     - hora_inicio
+ *                     - hora_fim
+ *                     - duracao_slot_min
+ *                   properties:
+ *                     dia_semana:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                       example: 1
+ *                     hora_inicio:
+ *                       type: string
+ *                       example: "08:00"
+ *                     hora_fim:
+ *                       type: string
+ *                       example: "12:00"
+ *                     duracao_slot_min:
+ *                       type: integer
+ *                       minimum: 1
+ *                       example: 30
+ *     responses:
+ *       200:
+ *         description: Jornada atualizada com sucesso.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MedicoHorario'
+ *       400:
+ *         description: Parâmetros inválidos ou faixas sobrepostas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *             examples:
+ *               faixa_invalida:
+ *                 value:
+ *                   msg: "Faixa 1: hora_fim deve ser posterior a hora_inicio."
+ *               sobreposicao:
+ *                 value:
+ *                   msg: "Existem faixas sobrepostas no mesmo dia da semana."
+ *       404:
+ *         description: Médico não encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Médico não cadastrado no banco."
+ *       500:
+ *         description: Erro interno ao atualizar a jornada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao atualizar horários do médico no banco."
+ */
+
+router.put("/:id/horarios", async (req, res) => {
+    const id = Number(req.params.id);
+    const horarios = req.body?.horarios;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_medico válido." });
+    }
+
+    if (!Array.isArray(horarios)) {
+        return res.status(400).json({ msg: "Envie a jornada no campo horarios (lista de faixas)." });
+    }
+
+    for (const [i, faixa] of horarios.entries()) {
+        const { dia_semana, hora_inicio, hora_fim, duracao_slot_min } = faixa ?? {};
+        const n = i + 1;
+
+        if (!Number.isInteger(dia_semana) || dia_semana < 0 || dia_semana > 6) {
+            return res.status(400).json({ msg: `Faixa ${n}: dia_semana deve ser um inteiro entre 0 (domingo) e 6 (sábado).` });
         }
 
-        const crmExist = await db.query("SELECT * FROM MEDICO WHERE crm = $1 AND id_medico <> $2", [crm, id]);
-        if (crmExist.rowCount > 0) {
-            return res.status(400).json({ msg: "CRM já cadastrado para outro médico." });
+        if (!isValidHora(String(hora_inicio)) || !isValidHora(String(hora_fim))) {
+            return res.status(400).json({ msg: `Faixa ${n}: horários inválidos. Use HH:MM.` });
         }
 
-        const update = await db.query("UPDATE MEDICO SET nome = $1, crm = $2, especialidade = $3, data_contratacao = $4, id_departamento = $5 WHERE id_medico = $6 RETURNING *", [nome, crm, especialidade, data_contratacao, id_departamento, id]);
+        if (hora_fim <= hora_inicio) {
+            return res.status(400).json({ msg: `Faixa ${n}: hora_fim deve ser posterior a hora_inicio.` });
+        }
 
-        return res.status(200).json({ msg: update.rows[0] });
+        if (!Number.isInteger(duracao_slot_min) || duracao_slot_min <= 0) {
+            return res.status(400).json({ msg: `Faixa ${n}: duracao_slot_min deve ser um número inteiro positivo.` });
+        }
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT 1 FROM medico WHERE id_medico = $1 FOR UPDATE", [id]);
+            if (busca.rowCount === 0) return null;
+
+            await conexao.query("DELETE FROM medico_horario WHERE id_medico = $1", [id]);
+
+            for (const { dia_semana, hora_inicio, hora_fim, duracao_slot_min } of horarios) {
+                await conexao.query(
+                    "INSERT INTO medico_horario(id_medico, dia_semana, hora_inicio, hora_fim, duracao_slot_min) VALUES($1, $2, $3, $4, $5)",
+                    [id, dia_semana, hora_inicio, hora_fim, duracao_slot_min]
+                );
+            }
+
+            const atualizados = await conexao.query("SELECT * FROM medico_horario WHERE id_medico = $1 ORDER BY dia_semana, hora_inicio", [id]);
+            return atualizados.rows;
+        });
+
+        if (resultado === null) {
+            return res.status(404).json({ msg: "Médico não cadastrado no banco." });
+        }
+
+        return res.status(200).json({ msg: resultado });
     } catch (error) {
-        console.error("Erro ao atualizar médico:", error);
-        return res.status(500).json({ msg: "Erro ao atualizar médico no banco." });
+        if (error.code === "23P01") {
+            return res.status(400).json({ msg: "Existem faixas sobrepostas no mesmo dia da semana." });
+        }
+
+        console.error("Erro ao atualizar horários do médico:", error);
+        return res.status(500).json({ msg: "Erro ao atualizar horários do médico no banco." });
     }
 });
 
 
+/**
+ * @swagger
+ * /medico/{id}/horarios-livres:
+ *   get:
+ *     summary: Retorna os horários livres de um médico.
+ *     description: Calcula os slots livres do médico no período informado a partir da sua jornada semanal, descontando horários já passados e os que se sobrepõem a consultas existentes. Cada item pode ser enviado diretamente para `POST /consulta`. O período não pode ultrapassar 31 dias.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: de
+ *         required: true
+ *         description: Data inicial da busca (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-10"
+ *       - in: query
+ *         name: ate
+ *         required: true
+ *         description: Data final da busca (YYYY-MM-DD).
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-14"
+ *     responses:
+ *       200:
+ *         description: Horários livres do médico.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HorarioLivre'
+ *             examples:
+ *               exemplo:
+ *                 value:
+ *                   msg:
+ *                     - id_medico: 1
+ *                       nome: "Dra. Ana Souza"
+ *                       especialidade: "Cardiologista"
+ *                       id_departamento: 1
+ *                       data_consulta: "2025-11-10"
+ *                       hora_inicio: "08:30"
+ *                       duracao_min: 30
+ *       400:
+ *         description: ID ou período inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe o período da busca com os parâmetros de e ate (YYYY-MM-DD)."
+ *       404:
+ *         description: Médico não encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Médico não cadastrado no banco."
+ *       500:
+ *         description: Erro interno ao buscar horários livres.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro interno ao buscar horários livres."
+ */
+
+router.get("/:id/horarios-livres", async (req, res) => {
+    const id = Number(req.params.id);
+    const { de, ate } = req.query;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_medico válido." });
+    }
+
+    const erroPeriodo = validaPeriodoBusca(de, ate);
+    if (erroPeriodo) {
+        return res.status(400).json({ msg: erroPeriodo });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM medico WHERE id_medico = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Médico não cadastrado no banco." });
+        }
+
+        const livres = await buscaHorariosLivres({ id_medico: id, de, ate });
+
+        return res.status(200).json({ msg: livres });
+    } catch (error) {
+        console.error("Erro ao buscar horários livres:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar horários livres." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /medico/{id}/agenda.ics:
+ *   get:
+ *     summary: Feed iCalendar com a agenda do médico.
+ *     description: |
+ *       Retorna as consultas do médico (a partir de 30 dias atrás) no formato iCalendar (RFC 5545), para assinatura em aplicativos de calendário.
+ *       Cada consulta gera um evento com UID estável, de modo que alterações substituem o evento existente; consultas canceladas são enviadas com STATUS:CANCELLED.
+ *       O feed só é acessível com o token gerado em /medico/{id}/agenda-token, informado no parâmetro token.
+ *       Os eventos trazem apenas horário, médico e status; o nome do paciente e as observações da consulta não são publicados.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         description: Token secreto da agenda.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendário no formato iCalendar.
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_medico válido."
+ *       403:
+ *         description: Token ausente, inválido ou ainda não gerado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Token da agenda inválido."
+ *       404:
+ *         description: Médico não encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Médico não cadastrado no banco."
+ *       500:
+ *         description: Erro interno ao gerar a agenda.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro interno ao gerar a agenda do médico."
+ */
+
+router.get("/:id/agenda.ics", (req, res) => enviaAgenda(req, res, "medico"));
+
+/**
+ * @swagger
+ * /medico/{id}/agenda-token:
+ *   post:
+ *     summary: Gera um novo token para o feed iCalendar do médico.
+ *     description: Cria ou substitui o token secreto da agenda. O feed só é acessível com o token informado na URL; ao gerar um novo, os links antigos deixam de funcionar.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       201:
+ *         description: Token gerado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       example: "9f1c2a7d0e6b4c3a8f5e2d1c0b9a8f7e6d5c4b3a2f1e0d9c"
+ *                     url:
+ *                       type: string
+ *                       example: "/medico/1/agenda.ics?token=9f1c2a7d0e6b4c3a8f5e2d1c0b9a8f7e6d5c4b3a2f1e0d9c"
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Médico não encontrado.
+ *       500:
+ *         description: Erro interno ao gerar o token.
+ *   delete:
+ *     summary: Remove o token do feed iCalendar do médico.
+ *     description: Revoga o acesso ao feed iCalendar. A agenda deixa de ser publicada até que um novo token seja gerado.
+ *     tags: [Médicos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do médico.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Token removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Token da agenda removido."
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Médico ou token não encontrado.
+ *       500:
+ *         description: Erro interno ao remover o token.
+ */
+
+router.post("/:id/agenda-token", (req, res) => criaTokenAgenda(req, res, "medico"));
+
+router.delete("/:id/agenda-token", (req, res) => removeTokenAgenda(req, res, "medico"));
+
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,566 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp } = require("../erros");
+
+// Similaridade mínima padrão entre os nomes, sem acentos, para dois pacientes serem comparados.
+const SIMILARIDADE_NOME_PADRAO = 0.5;
+
+// Similaridade a partir da qual dois endereços são considerados o mesmo.
+const SIMILARIDADE_ENDERECO = 0.5;
+
+// Tabelas cujos registros passam do paciente duplicado para o que permanece, além de consulta,
+// contatos, alergias e responsáveis, que têm restrições de unicidade por paciente e são tratados à parte.
+const TABELAS_PACIENTE = [
+    "consulta_serie",
+    "paciente_condicao",
+    "paciente_medicamento_uso",
+    "anexo",
+    "documento",
+    "encaminhamento",
+    "lista_espera",
+    "paciente_mesclagem",
+    "paciente_contato_emergencia",
+    "paciente_plano",
+];
+
+// Status de consultas com registro clínico (atendimento iniciado), que nunca são canceladas na mesclagem.
+const STATUS_CLINICOS = ["em_atendimento", "realizada"];
+
+const GRAVIDADES = ["leve", "moderada", "grave"];
+
+function respondeErro(res, error, contexto) {
+    if (error instanceof ErroHttp) {
+        return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+// Consultas do duplicado que, transferidas, violariam uq_consulta_unica (mesmo médico e mesma data de
+// uma consulta não cancelada do paciente que permanece). Em cada par, mantém a consulta com registro
+// clínico ou, se nenhuma tiver, a do paciente que permanece; a outra é cancelada. Se as duas tiverem
+// registro clínico, a mesclagem é recusada para que o atendimento seja conferido antes.
+async function resolveConsultasRepetidas(conexao, id_paciente, id_duplicado, responsavel) {
+    const pares = await conexao.query(
+        `SELECT d.id_consulta AS id_consulta_duplicado, d.status AS status_duplicado,
+                s.id_consulta AS id_consulta_paciente, s.status AS status_paciente,
+                d.id_medico, to_char(d.data_consulta, 'YYYY-MM-DD') AS data_consulta
+           FROM consulta d
+           JOIN consulta s ON s.id_paciente = $1 AND s.id_medico = d.id_medico
+                          AND s.data_consulta = d.data_consulta AND s.status <> 'cancelada'
+          WHERE d.id_paciente = $2 AND d.status <> 'cancelada'
+          ORDER BY d.data_consulta, d.id_consulta
+            FOR UPDATE OF d, s`,
+        [id_paciente, id_duplicado]
+    );
+
+    const clinicas = pares.rows.filter((p) => STATUS_CLINICOS.includes(p.status_duplicado) && STATUS_CLINICOS.includes(p.status_paciente));
+    if (clinicas.length > 0) {
+        throw new ErroHttp(409, "Os dois pacientes têm consultas atendidas com o mesmo médico na mesma data. Revise esses atendimentos antes de mesclar.", { conflitos: clinicas });
+    }
+
+    const canceladas = [];
+
+    for (const par of pares.rows) {
+        const mantemDuplicado = STATUS_CLINICOS.includes(par.status_duplicado);
+        const cancelada = mantemDuplicado
+            ? { id_consulta: par.id_consulta_paciente, status_anterior: par.status_paciente, id_consulta_mantida: par.id_consulta_duplicado }
+            : { id_consulta: par.id_consulta_duplicado, status_anterior: par.status_duplicado, id_consulta_mantida: par.id_consulta_paciente };
+
+        await conexao.query("UPDATE consulta SET status = 'cancelada' WHERE id_consulta = $1", [cancelada.id_consulta]);
+
+        await conexao.query(
+            `INSERT INTO consulta_status_historico(id_consulta, status_anterior, status_novo, responsavel, motivo)
+             VALUES ($1, $2, 'cancelada', $3, $4)`,
+            [cancelada.id_consulta, cancelada.status_anterior, responsavel,
+             `Consulta em duplicidade com a consulta ${cancelada.id_consulta_mantida}, cancelada na mesclagem dos pacientes ${id_paciente} e ${id_duplicado}.`]
+        );
+
+        // O paciente continua com a outra consulta no mesmo dia, por isso não recebe aviso de cancelamento;
+        // apenas os lembretes pendentes da consulta cancelada são descartados.
+        await conexao.query(
+            "UPDATE notificacao SET status = 'descartada' WHERE id_consulta = $1 AND evento = 'lembrete' AND status = 'pendente'",
+            [cancelada.id_consulta]
+        );
+
+        canceladas.push(cancelada);
+    }
+
+    return canceladas;
+}
+
+// Contatos do duplicado iguais a um do paciente que permanece são descartados, e as notificações
+// enviadas por eles passam a apontar para o contato mantido.
+async function descartaContatosRepetidos(conexao, id_paciente, id_duplicado) {
+    const repetidos = await conexao.query(
+        `SELECT d.*, s.id_contato AS id_contato_mantido
+           FROM paciente_contato d
+           JOIN paciente_contato s ON s.id_paciente = $1 AND s.tipo = d.tipo AND s.valor = d.valor
+          WHERE d.id_paciente = $2`,
+        [id_paciente, id_duplicado]
+    );
+
+    for (const contato of repetidos.rows) {
+        await conexao.query("UPDATE notificacao SET id_contato = $1 WHERE id_contato = $2", [contato.id_contato_mantido, contato.id_contato]);
+        await conexao.query(
+            "UPDATE paciente_contato SET recebe_notificacoes = recebe_notificacoes OR $2 WHERE id_contato = $1",
+            [contato.id_contato_mantido, contato.recebe_notificacoes]
+        );
+        await conexao.query("DELETE FROM paciente_contato WHERE id_contato = $1", [contato.id_contato]);
+    }
+
+    // Só pode haver um e-mail e um telefone preferencial por paciente: prevalecem os do paciente que permanece
+    await conexao.query(
+        `UPDATE paciente_contato d
+            SET preferencial = FALSE
+          WHERE d.id_paciente = $2
+            AND d.preferencial
+            AND EXISTS (SELECT 1
+                          FROM paciente_contato s
+                         WHERE s.id_paciente = $1
+                           AND s.preferencial
+                           AND (s.tipo = 'email') = (d.tipo = 'email'))`,
+        [id_paciente, id_duplicado]
+    );
+
+    return repetidos.rows;
+}
+
+// Alergias do duplicado à mesma substância de uma alergia do paciente que permanece são descartadas.
+// A alergia mantida fica com a maior das duas gravidades e, se não tiver, com a reação descrita no duplicado.
+async function descartaAlergiasRepetidas(conexao, id_paciente, id_duplicado) {
+    const repetidas = await conexao.query(
+        `SELECT d.*, s.id_alergia AS id_alergia_mantida
+           FROM paciente_alergia d
+           JOIN paciente_alergia s ON s.id_paciente = $1 AND f_unaccent(lower(s.substancia)) = f_unaccent(lower(d.substancia))
+          WHERE d.id_paciente = $2`,
+        [id_paciente, id_duplicado]
+    );
+
+    for (const alergia of repetidas.rows) {
+        await conexao.query(
+            `UPDATE paciente_alergia
+                SET gravidade = CASE WHEN array_position($3::varchar[], $2::varchar) > array_position($3::varchar[], gravidade)
+                                     THEN $2 ELSE gravidade END,
+                    reacao = COALESCE(reacao, $4)
+              WHERE id_alergia = $1`,
+            [alergia.id_alergia_mantida, alergia.gravidade, GRAVIDADES, alergia.reacao]
+        );
+        await conexao.query("DELETE FROM paciente_alergia WHERE id_alergia = $1", [alergia.id_alergia]);
+    }
+
+    return repetidas.rows;
+}
+
+// Vínculos de responsável legal do duplicado que repetem os do paciente que permanece são descartados, assim
+// como os vínculos entre os dois cadastros. Os dependentes do duplicado passam a ter como responsável o
+// paciente que permanece (a restrição fk_paciente_responsavel_responsavel impediria a remoção do duplicado).
+async function descartaResponsaveisRepetidos(conexao, id_paciente, id_duplicado) {
+    const descartados = await conexao.query(
+        `DELETE FROM paciente_responsavel d
+          WHERE (d.id_paciente = $1 AND d.id_paciente_responsavel = $2)
+             OR (d.id_paciente = $2 AND d.id_paciente_responsavel = $1)
+             OR (d.id_paciente = $2 AND EXISTS (SELECT 1
+                                                  FROM paciente_responsavel s
+                                                 WHERE s.id_paciente = $1
+                                                   AND (s.id_paciente_responsavel = d.id_paciente_responsavel OR s.cpf = d.cpf)))
+             OR (d.id_paciente_responsavel = $2 AND EXISTS (SELECT 1
+                                                              FROM paciente_responsavel s
+                                                             WHERE s.id_paciente = d.id_paciente
+                                                               AND s.id_paciente_responsavel = $1))
+          RETURNING d.*`,
+        [id_paciente, id_duplicado]
+    );
+
+    await conexao.query("UPDATE paciente_responsavel SET id_paciente_responsavel = $1 WHERE id_paciente_responsavel = $2", [id_paciente, id_duplicado]);
+
+    return descartados.rows;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PacienteMesclagem:
+ *       type: object
+ *       properties:
+ *         id_mesclagem:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           description: Paciente que permaneceu.
+ *           example: 1
+ *         id_paciente_removido:
+ *           type: integer
+ *           example: 4
+ *         paciente_removido:
+ *           type: object
+ *           description: Cadastro do paciente removido, como estava antes da mesclagem.
+ *           example: { "id_paciente": 4, "nome": "Joao da Silva", "cpf": "11144477735", "data_nascimento": "1985-04-23", "endereco": "R. das Flores, 123" }
+ *         registros_movidos:
+ *           type: object
+ *           description: Quantidade de registros transferidos, por tabela.
+ *           example: { "consulta": 2, "paciente_contato": 0, "paciente_alergia": 0, "anexo": 1 }
+ *         descartados:
+ *           type: object
+ *           description: Contatos, alergias e vínculos de responsável legal repetidos que foram descartados e consultas em duplicidade que foram canceladas.
+ *           example: { "consultas_canceladas": [{ "id_consulta": 9, "status_anterior": "agendada", "id_consulta_mantida": 7 }], "contatos": [], "alergias": [], "responsaveis": [] }
+ *         responsavel:
+ *           type: string
+ *           example: "Recepção - Carla"
+ *         motivo:
+ *           type: string
+ *           nullable: true
+ *           example: "Paciente cadastrado duas vezes."
+ *         mesclado_em:
+ *           type: string
+ *           example: "2025-11-10T09:00:00.000Z"
+ */
+
+/**
+ * @swagger
+ * /paciente/duplicados:
+ *   get:
+ *     summary: Relatório de pacientes possivelmente cadastrados em duplicidade.
+ *     description: Compara os pacientes com nomes semelhantes (sem diferenciar acentos e maiúsculas) e lista os pares que também têm a mesma data de nascimento, um contato em comum ou endereços semelhantes. Os pares com mais coincidências vêm primeiro.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: query
+ *         name: similaridade_minima
+ *         required: false
+ *         description: Similaridade mínima entre os nomes, de 0.1 a 1 (padrão 0.5).
+ *         schema:
+ *           type: number
+ *           example: 0.5
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Pares de pacientes candidatos a duplicidade.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       paciente_a:
+ *                         type: object
+ *                         example: { "id_paciente": 1, "nome": "João da Silva", "cpf": "12345678900", "data_nascimento": "1985-04-23", "endereco": "Rua das Flores, 123" }
+ *                       paciente_b:
+ *                         type: object
+ *                         example: { "id_paciente": 4, "nome": "Joao da Silva", "cpf": "11144477735", "data_nascimento": "1985-04-23", "endereco": "R. das Flores, 123" }
+ *                       similaridade_nome:
+ *                         type: number
+ *                         example: 1
+ *                       motivos:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [mesma_data_nascimento, mesmo_contato, endereco_semelhante]
+ *                         example: ["mesma_data_nascimento", "mesmo_contato", "endereco_semelhante"]
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Similaridade ou paginação inválidas.
+ *       500:
+ *         description: Erro interno ao buscar duplicidades.
+ */
+
+router.get("/duplicados", async (req, res) => {
+    const similaridade = req.query.similaridade_minima === undefined ? SIMILARIDADE_NOME_PADRAO : Number(req.query.similaridade_minima);
+
+    if (Number.isNaN(similaridade) || similaridade < 0.1 || similaridade > 1) {
+        return res.status(400).json({ msg: "similaridade_minima deve ser um número entre 0.1 e 1." });
+    }
+
+    // Os pares são sempre ordenados pela quantidade de coincidências e pela semelhança dos nomes.
+    const paginacao = lePaginacao({ limit: req.query.limit, offset: req.query.offset, direcao: "desc" }, { relevancia: ["coincidencias", "similaridade_nome"] }, "relevancia");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    // O operador "%" compara com pg_trgm.similarity_threshold e usa o índice ix_paciente_nome_trgm.
+    const pares = `
+        SELECT to_jsonb(a) AS paciente_a, to_jsonb(b) AS paciente_b,
+               round(similarity(f_unaccent(lower(a.nome)), f_unaccent(lower(b.nome)))::numeric, 2)::float8 AS similaridade_nome,
+               array_remove(ARRAY[
+                   CASE WHEN a.data_nascimento = b.data_nascimento THEN 'mesma_data_nascimento' END,
+                   CASE WHEN EXISTS (
+                            SELECT 1
+                              FROM paciente_contato ca
+                              JOIN paciente_contato cb ON cb.tipo = ca.tipo AND cb.valor = ca.valor
+                             WHERE ca.id_paciente = a.id_paciente AND cb.id_paciente = b.id_paciente
+                        ) THEN 'mesmo_contato' END,
+                   CASE WHEN similarity(f_unaccent(lower(a.endereco)), f_unaccent(lower(b.endereco))) >= $1
+                        THEN 'endereco_semelhante' END
+               ], NULL) AS motivos
+          FROM paciente a
+          JOIN paciente b ON b.id_paciente > a.id_paciente
+                         AND f_unaccent(lower(b.nome)) % f_unaccent(lower(a.nome))`;
+    const candidatos = `
+        SELECT *, cardinality(motivos) AS coincidencias
+          FROM (${pares}) p
+         WHERE cardinality(motivos) > 0`;
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            await conexao.query("SELECT set_config('pg_trgm.similarity_threshold', $1, true)", [String(similaridade)]);
+
+            const total = await conexao.query(`SELECT COUNT(*)::int AS total FROM (${candidatos}) c`, [SIMILARIDADE_ENDERECO]);
+
+            const result = await conexao.query(
+                `SELECT paciente_a, paciente_b, similaridade_nome, motivos
+                   FROM (${candidatos}) c
+                  ORDER BY ${paginacao.ordem}, (paciente_a->>'id_paciente')::int, (paciente_b->>'id_paciente')::int
+                  LIMIT $2 OFFSET $3`,
+                [SIMILARIDADE_ENDERECO, paginacao.limit, paginacao.offset]
+            );
+
+            return { data: result.rows, total: total.rows[0].total };
+        });
+
+        return res.status(200).json({ ...resultado, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        return respondeErro(res, error, "buscar pacientes duplicados");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/mesclar:
+ *   post:
+ *     summary: Mescla um cadastro duplicado no paciente informado.
+ *     description: |
+ *       Em uma única transação, transfere para o paciente `id` as consultas, séries, contatos, contatos de emergência, responsáveis legais e dependentes, alergias, condições, medicamentos em uso, carteirinhas de convênio, anexos, documentos, encaminhamentos e a lista de espera do paciente `id_paciente_duplicado`, e remove o cadastro duplicado. A data de nascimento, o nome social, o sexo, a identidade de gênero e o endereço ausentes no paciente que permanece são preenchidos com os do duplicado. Se os dois tiverem e-mail ou telefone preferencial, prevalece o do paciente que permanece.
+ *
+ *       - Consultas com o mesmo médico na mesma data (uma por dia é permitida) são resolvidas mantendo a que já teve atendimento ou, se nenhuma teve, a do paciente que permanece; a outra é cancelada e a transição fica no histórico. Se as duas tiveram atendimento, a mesclagem é recusada.
+ *       - Contatos iguais e alergias à mesma substância não são duplicados; a alergia mantida fica com a maior gravidade.
+ *
+ *       A mesclagem é registrada para auditoria com o cadastro removido, a quantidade de registros transferidos e o que foi descartado ou cancelado (ver GET /paciente/{id}/mesclagens).
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Paciente que permanece.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_paciente_duplicado
+ *               - responsavel
+ *             properties:
+ *               id_paciente_duplicado:
+ *                 type: integer
+ *                 description: Paciente que será removido.
+ *                 example: 4
+ *               responsavel:
+ *                 type: string
+ *                 example: "Recepção - Carla"
+ *               motivo:
+ *                 type: string
+ *                 example: "Paciente cadastrado duas vezes."
+ *     responses:
+ *       200:
+ *         description: Pacientes mesclados.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paciente:
+ *                       type: object
+ *                       description: Cadastro do paciente que permaneceu.
+ *                     mesclagem:
+ *                       $ref: '#/components/schemas/PacienteMesclagem'
+ *       400:
+ *         description: IDs inválidos ou iguais, ou responsável ausente.
+ *       404:
+ *         description: Um dos pacientes não foi encontrado.
+ *       409:
+ *         description: Os dois pacientes têm consultas atendidas com o mesmo médico na mesma data.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                 conflitos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       500:
+ *         description: Erro interno ao mesclar pacientes.
+ */
+
+router.post("/:id/mesclar", async (req, res) => {
+    const id = Number(req.params.id);
+    const { id_paciente_duplicado, responsavel, motivo } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (!Number.isInteger(id_paciente_duplicado) || id_paciente_duplicado <= 0) {
+        return res.status(400).json({ msg: "Informe o id_paciente_duplicado." });
+    }
+
+    if (id_paciente_duplicado === id) {
+        return res.status(400).json({ msg: "O paciente duplicado deve ser diferente do paciente que permanece." });
+    }
+
+    if (!responsavel || String(responsavel).trim() === "") {
+        return res.status(400).json({ msg: "Informe o responsável pela mesclagem." });
+    }
+
+    const autor = String(responsavel).trim();
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            // Bloqueia os dois cadastros sempre na mesma ordem, para mesclagens simultâneas não se travarem
+            const pacientes = await conexao.query(
+                "SELECT * FROM paciente WHERE id_paciente = ANY($1) ORDER BY id_paciente FOR UPDATE",
+                [[id, id_paciente_duplicado]]
+            );
+
+            const paciente = pacientes.rows.find((p) => p.id_paciente === id);
+            const duplicado = pacientes.rows.find((p) => p.id_paciente === id_paciente_duplicado);
+
+            if (!paciente || !duplicado) {
+                throw new ErroHttp(404, `Paciente ${paciente ? id_paciente_duplicado : id} não cadastrado no banco.`);
+            }
+
+            const consultas_canceladas = await resolveConsultasRepetidas(conexao, id, id_paciente_duplicado, autor);
+            const contatos = await descartaContatosRepetidos(conexao, id, id_paciente_duplicado);
+            const alergias = await descartaAlergiasRepetidas(conexao, id, id_paciente_duplicado);
+            const responsaveis = await descartaResponsaveisRepetidos(conexao, id, id_paciente_duplicado);
+
+            const registros_movidos = {};
+            for (const tabela of ["consulta", "paciente_contato", "paciente_alergia", "paciente_responsavel", ...TABELAS_PACIENTE]) {
+                const update = await conexao.query(`UPDATE ${tabela} SET id_paciente = $1 WHERE id_paciente = $2`, [id, id_paciente_duplicado]);
+                registros_movidos[tabela] = update.rowCount;
+            }
+
+            // O endereço do duplicado só é aproveitado por inteiro, para não misturar partes de dois endereços
+            const endereco = paciente.endereco === null ? duplicado : paciente;
+            const atualizado = await conexao.query(
+                `UPDATE paciente
+                    SET data_nascimento = COALESCE(data_nascimento, $2),
+                        nome_social = COALESCE(nome_social, $3),
+                        sexo = COALESCE(sexo, $4),
+                        identidade_genero = COALESCE(identidade_genero, $5),
+                        endereco = $6, cep = $7, logradouro = $8, numero = $9,
+                        complemento = $10, bairro = $11, cidade = $12, uf = $13
+                  WHERE id_paciente = $1
+                  RETURNING *`,
+                [
+                    id, duplicado.data_nascimento, duplicado.nome_social, duplicado.sexo, duplicado.identidade_genero,
+                    endereco.endereco, endereco.cep, endereco.logradouro, endereco.numero,
+                    endereco.complemento, endereco.bairro, endereco.cidade, endereco.uf,
+                ]
+            );
+
+            const removido = await conexao.query("DELETE FROM paciente WHERE id_paciente = $1 RETURNING to_jsonb(paciente) AS dados", [id_paciente_duplicado]);
+
+            const mesclagem = await conexao.query(
+                `INSERT INTO paciente_mesclagem(id_paciente, id_paciente_removido, paciente_removido, registros_movidos, descartados, responsavel, motivo)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [id, id_paciente_duplicado, removido.rows[0].dados, registros_movidos, { consultas_canceladas, contatos, alergias, responsaveis }, autor, motivo ?? null]
+            );
+
+            return { paciente: atualizado.rows[0], mesclagem: mesclagem.rows[0] };
+        });
+
+        return res.status(200).json({ data: resultado });
+    } catch (error) {
+        return respondeErro(res, error, "mesclar pacientes");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/mesclagens:
+ *   get:
+ *     summary: Lista as mesclagens de cadastros duplicados no paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Mesclagens registradas, da mais recente para a mais antiga.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PacienteMesclagem'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar as mesclagens.
+ */
+
+router.get("/:id/mesclagens", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const result = await db.query(
+            "SELECT * FROM paciente_mesclagem WHERE id_paciente = $1 ORDER BY mesclado_em DESC, id_mesclagem DESC",
+            [id]
+        );
+
+        return res.status(200).json({ data: result.rows });
+    } catch (error) {
+        return respondeErro(res, error, "buscar mesclagens do paciente");
+    }
+});
+
+module.exports = router;
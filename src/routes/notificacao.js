@@ -0,0 +1,278 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+
+const STATUS_NOTIFICACAO = ["pendente", "enviada", "falhou", "descartada"];
+
+const EVENTOS_NOTIFICACAO = ["agendada", "remarcada", "cancelada", "lembrete"];
+
+// Campos aceitos em "ordenar" na listagem de notificações.
+const ORDENACAO_NOTIFICACAO = {
+    criado_em: ["n.criado_em", "n.id_notificacao"],
+    enviar_em: ["n.enviar_em", "n.id_notificacao"],
+    id_notificacao: ["n.id_notificacao"],
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notificacao:
+ *       type: object
+ *       properties:
+ *         id_notificacao:
+ *           type: integer
+ *           example: 1
+ *         id_consulta:
+ *           type: integer
+ *           nullable: true
+ *           example: 4
+ *         id_contato:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         evento:
+ *           type: string
+ *           enum: [agendada, remarcada, cancelada, lembrete]
+ *           example: "lembrete"
+ *         canal:
+ *           type: string
+ *           enum: [email, sms]
+ *           example: "email"
+ *         destino:
+ *           type: string
+ *           example: "joao.silva@example.com"
+ *         assunto:
+ *           type: string
+ *           example: "Lembrete de consulta"
+ *         mensagem:
+ *           type: string
+ *           example: "Olá, João da Silva. Lembrete: você tem consulta com Dra. Ana Souza em 01/12/2025 às 09:00."
+ *         status:
+ *           type: string
+ *           enum: [pendente, enviada, falhou, descartada]
+ *           description: "pendente: aguardando envio ou nova tentativa; falhou: tentativas esgotadas; descartada: deixou de ser necessária (consulta remarcada, cancelada ou removida, ou contato removido)."
+ *           example: "pendente"
+ *         tentativas:
+ *           type: integer
+ *           example: 0
+ *         enviar_em:
+ *           type: string
+ *           description: Momento previsto para o próximo envio.
+ *           example: "2025-11-30T09:00:00"
+ *         ultimo_erro:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         enviada_em:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-10T14:32:00"
+ */
+
+/**
+ * @swagger
+ * /notificacao:
+ *   get:
+ *     summary: Lista as notificações da fila de saída.
+ *     description: Mostra a situação de entrega dos avisos de consulta agendada, remarcada e cancelada e dos lembretes enviados 24 horas antes. As notificações são enviadas em segundo plano; falhas são reenviadas com espera crescente até o limite de tentativas.
+ *     tags: [Notificações]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pendente, enviada, falhou, descartada]
+ *       - in: query
+ *         name: evento
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [agendada, remarcada, cancelada, lembrete]
+ *       - in: query
+ *         name: id_consulta
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: id_paciente
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão criado_em).
+ *         schema:
+ *           type: string
+ *           enum: [criado_em, enviar_em, id_notificacao]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Notificações encontradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notificacao'
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "status inválido."
+ *       500:
+ *         description: Erro interno ao buscar notificações.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar notificações."
+ */
+
+router.get("/", async (req, res) => {
+    const { status, evento, id_consulta, id_paciente } = req.query;
+
+    if (status && !STATUS_NOTIFICACAO.includes(status)) {
+        return res.status(400).json({ msg: "status inválido." });
+    }
+
+    if (evento && !EVENTOS_NOTIFICACAO.includes(evento)) {
+        return res.status(400).json({ msg: "evento inválido." });
+    }
+
+    if ([id_consulta, id_paciente].some((id) => id !== undefined && !(Number.isInteger(Number(id)) && Number(id) > 0))) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_NOTIFICACAO, "criado_em");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtros = `
+              LEFT JOIN consulta c ON c.id_consulta = n.id_consulta
+              WHERE ($1::varchar IS NULL OR n.status = $1)
+                AND ($2::varchar IS NULL OR n.evento = $2)
+                AND ($3::int IS NULL OR n.id_consulta = $3)
+                AND ($4::int IS NULL OR c.id_paciente = $4)`;
+    const params = [status ?? null, evento ?? null, id_consulta ?? null, id_paciente ?? null];
+
+    try {
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM notificacao n ${filtros}`, params);
+
+        const result = await db.query(
+            `SELECT n.* FROM notificacao n ${filtros} ORDER BY ${paginacao.ordem} LIMIT $5 OFFSET $6`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        return res.status(200).json({ data: result.rows, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        console.error("Erro ao buscar notificações:", error);
+        return res.status(500).json({ msg: "Erro ao buscar notificações." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /notificacao/{id}/reenviar:
+ *   post:
+ *     summary: Reenvia uma notificação que falhou.
+ *     description: Volta a notificação para a fila com as tentativas zeradas. Apenas notificações com status `falhou` podem ser reenviadas.
+ *     tags: [Notificações]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Notificação recolocada na fila.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Notificacao'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Notificação não encontrada.
+ *       409:
+ *         description: A notificação não está com status falhou.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Apenas notificações com status 'falhou' podem ser reenviadas."
+ *       500:
+ *         description: Erro interno ao reenviar notificação.
+ */
+
+router.post("/:id/reenviar", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_notificacao válido." });
+    }
+
+    try {
+        const update = await db.query(
+            `UPDATE notificacao
+                SET status = 'pendente', tentativas = 0, enviar_em = LOCALTIMESTAMP, ultimo_erro = NULL
+              WHERE id_notificacao = $1 AND status = 'falhou'
+              RETURNING *`,
+            [id]
+        );
+
+        if (update.rowCount === 0) {
+            const busca = await db.query("SELECT 1 FROM notificacao WHERE id_notificacao = $1", [id]);
+            if (busca.rowCount === 0) {
+                return res.status(404).json({ msg: "Notificação não encontrada." });
+            }
+
+            return res.status(409).json({ msg: "Apenas notificações com status 'falhou' podem ser reenviadas." });
+        }
+
+        return res.status(200).json({ data: update.rows[0] });
+    } catch (error) {
+        console.error("Erro ao reenviar notificação:", error);
+        return res.status(500).json({ msg: "Erro ao reenviar notificação." });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp, erroDeRestricao } = require("../erros");
+const { MAIORIDADE, idadeSql } = require("../services/responsavel");
 
 function isValidISODate(dateStr) {
     
@@ -47,13 +50,398 @@ function validaCPF(cpf) {
     return true;
 }
 
+// CPF na forma gravada no banco: apenas os 11 dígitos, sem pontuação.
+function normalizaCPF(cpf) {
+    return String(cpf).replace(/\D/g, "");
+}
+
+// Mensagens das violações de restrição de paciente (ver erroDeRestricao).
+const MENSAGENS_RESTRICAO = {
+    uq_paciente_cpf: "CPF já cadastrado para outro paciente.",
+    uq_paciente_responsavel_paciente: "Responsável já vinculado a este paciente.",
+    uq_paciente_responsavel_cpf: "Responsável já vinculado a este paciente.",
+    fk_paciente_responsavel_responsavel: "id_paciente_responsavel informado não existe.",
+};
+
+// Normaliza e valida o valor de um contato conforme o tipo. Retorna o valor normalizado ou null se inválido.
+function normalizaContato(tipo, valor) {
+    if (typeof valor !== "string") return null;
+
+    if (tipo === "email") {
+        const email = valor.trim().toLowerCase();
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+    }
+
+    if (tipo === "sms" || tipo === "telefone") {
+        const telefone = valor.replace(/[\s().-]/g, "");
+        return /^\+?\d{10,15}$/.test(telefone) ? telefone : null;
+    }
+
+    return null;
+}
+
+const TIPOS_CONTATO = ["email", "sms", "telefone"];
+
+const SEXOS = ["feminino", "masculino", "intersexo"];
+
+const IDENTIDADES_GENERO = ["mulher_cisgenero", "homem_cisgenero", "mulher_transgenero", "homem_transgenero", "nao_binario", "outro"];
+
+const UFS = ["AC", "AL", "AP", "AM", "BA", "CE", "DF", "ES", "GO", "MA", "MT", "MS", "MG", "PA",
+    "PB", "PR", "PE", "PI", "RJ", "RN", "RS", "RO", "RR", "SC", "SP", "SE", "TO"];
+
+// Campos do endereço estruturado, na ordem das colunas de PACIENTE.
+const CAMPOS_ENDERECO = ["cep", "logradouro", "numero", "complemento", "bairro", "cidade", "uf"];
+
+// CEP com ou sem hífen, gravado apenas com os 8 dígitos. Retorna null se o formato for inválido.
+function normalizaCEP(cep) {
+    const texto = String(cep).trim();
+    return /^\d{5}-?\d{3}$/.test(texto) ? texto.replace("-", "") : null;
+}
+
+// Endereço em texto, como é impresso: "Logradouro, número - complemento - bairro, cidade/UF, CEP 00000-000".
+function formataEndereco(e) {
+    const partes = [`${e.logradouro}, ${e.numero}`, e.complemento, e.bairro].filter(Boolean).join(" - ");
+    const cep = e.cep ? `, CEP ${e.cep.slice(0, 5)}-${e.cep.slice(5)}` : "";
+
+    return `${partes}, ${e.cidade}/${e.uf}${cep}`;
+}
+
+// Lê o endereço do paciente, enviado como texto livre ou como objeto com os campos de CAMPOS_ENDERECO.
+// Com um CEP cadastrado na base local, os campos não informados são completados e a UF é conferida.
+// Retorna { erro } ou { endereco } com o texto e os campos estruturados (nulos quando o endereço é texto livre).
+async function leEndereco(valor) {
+    const vazio = Object.fromEntries(CAMPOS_ENDERECO.map((campo) => [campo, null]));
+
+    if (typeof valor === "string") {
+        return valor.trim() === "" ? { erro: "Informe o endereço." } : { endereco: { ...vazio, endereco: valor.trim() } };
+    }
+
+    if (!valor || typeof valor !== "object" || Array.isArray(valor)) {
+        return { erro: "endereco deve ser um texto ou um objeto com cep, logradouro, numero, complemento, bairro, cidade e uf." };
+    }
+
+    const campos = { ...vazio };
+    for (const campo of CAMPOS_ENDERECO) {
+        if (valor[campo] === undefined || valor[campo] === null || String(valor[campo]).trim() === "") continue;
+
+        if (typeof valor[campo] !== "string" && !(campo === "numero" && Number.isInteger(valor[campo]))) {
+            return { erro: `${campo} do endereço deve ser um texto.` };
+        }
+
+        campos[campo] = String(valor[campo]).trim();
+    }
+
+    if (campos.cep) {
+        campos.cep = normalizaCEP(campos.cep);
+        if (!campos.cep) {
+            return { erro: "CEP inválido. Use o formato 00000-000." };
+        }
+
+        const busca = await db.query("SELECT * FROM cep WHERE cep = $1", [campos.cep]);
+        const base = busca.rows[0];
+
+        if (base) {
+            if (campos.uf && campos.uf.toUpperCase() !== base.uf) {
+                return { erro: `O CEP ${valor.cep} pertence a ${base.cidade}/${base.uf}.` };
+            }
+
+            for (const campo of ["logradouro", "bairro", "cidade", "uf"]) {
+                campos[campo] = campos[campo] ?? base[campo];
+            }
+        }
+    }
+
+    if (!campos.logradouro || !campos.numero || !campos.cidade || !campos.uf) {
+        return { erro: "Endereço incompleto. Informe logradouro, numero, cidade e uf (logradouro, cidade e uf podem vir de um CEP cadastrado)." };
+    }
+
+    campos.uf = campos.uf.toUpperCase();
+    if (!UFS.includes(campos.uf)) {
+        return { erro: "uf inválida. Use a sigla do estado (ex.: SP)." };
+    }
+
+    return { endereco: { ...campos, endereco: formataEndereco(campos) } };
+}
+
+// Valida nome social, sexo e identidade de gênero, todos opcionais. Retorna a mensagem de erro ou null.
+function validaIdentificacao({ nome_social, sexo, identidade_genero }) {
+    if (nome_social !== undefined && nome_social !== null && typeof nome_social !== "string") {
+        return "nome_social deve ser um texto.";
+    }
+
+    if (sexo !== undefined && sexo !== null && !SEXOS.includes(sexo)) {
+        return `sexo inválido. Valores aceitos: ${SEXOS.join(", ")}.`;
+    }
+
+    if (identidade_genero !== undefined && identidade_genero !== null && !IDENTIDADES_GENERO.includes(identidade_genero)) {
+        return `identidade_genero inválida. Valores aceitos: ${IDENTIDADES_GENERO.join(", ")}.`;
+    }
+
+    return null;
+}
+
+// Desmarca o contato preferencial do paciente no grupo do tipo informado (e-mail ou telefone), antes de
+// marcar outro; a restrição uq_paciente_contato_preferencial admite um preferencial por grupo.
+async function desmarcaPreferencial(conexao, id_paciente, tipo) {
+    await conexao.query(
+        "UPDATE paciente_contato SET preferencial = FALSE WHERE id_paciente = $1 AND preferencial AND (tipo = 'email') = ($2 = 'email')",
+        [id_paciente, tipo]
+    );
+}
+
+// Lê o responsável legal enviado: outro paciente ({ id_paciente_responsavel, parentesco }) ou uma pessoa
+// sem cadastro ({ nome, cpf, parentesco }). Retorna { erro } ou { responsavel } com o CPF normalizado.
+function leResponsavel(valor) {
+    if (!valor || typeof valor !== "object" || Array.isArray(valor)) {
+        return { erro: "responsavel deve ser um objeto com id_paciente_responsavel (ou nome e cpf) e parentesco." };
+    }
+
+    const { id_paciente_responsavel, nome, cpf, parentesco } = valor;
+
+    if (!parentesco || typeof parentesco !== "string" || parentesco.trim() === "") {
+        return { erro: "Informe o parentesco do responsável legal." };
+    }
+
+    if (parentesco.trim().length > 50) {
+        return { erro: "parentesco deve ter no máximo 50 caracteres." };
+    }
+
+    if (id_paciente_responsavel !== undefined && id_paciente_responsavel !== null) {
+        if (nome || cpf) {
+            return { erro: "Informe id_paciente_responsavel ou nome e cpf do responsável legal, não ambos." };
+        }
+
+        if (!Number.isInteger(id_paciente_responsavel) || id_paciente_responsavel <= 0) {
+            return { erro: "id_paciente_responsavel deve ser um número inteiro positivo." };
+        }
+
+        return { responsavel: { id_paciente_responsavel, nome: null, cpf: null, parentesco: parentesco.trim() } };
+    }
+
+    if (!nome || typeof nome !== "string" || nome.trim() === "" || !cpf) {
+        return { erro: "Informe id_paciente_responsavel ou nome e cpf do responsável legal." };
+    }
+
+    if (!validaCPF(cpf)) {
+        return { erro: "CPF do responsável legal inválido." };
+    }
+
+    return { responsavel: { id_paciente_responsavel: null, nome: nome.trim(), cpf: normalizaCPF(cpf), parentesco: parentesco.trim() } };
+}
+
+// Responsáveis legais com nome e CPF, tirados do cadastro quando o responsável também é paciente.
+const SQL_RESPONSAVEIS = `
+    SELECT r.id_responsavel, r.id_paciente, r.id_paciente_responsavel,
+           COALESCE(pr.nome, r.nome) AS nome, COALESCE(pr.cpf, r.cpf) AS cpf, r.parentesco, r.criado_em
+      FROM paciente_responsavel r
+      LEFT JOIN paciente pr ON pr.id_paciente = r.id_paciente_responsavel`;
+
+// Vincula o responsável legal ao paciente. Ninguém é responsável por si mesmo e um paciente
+// só pode ser responsável se for maior de idade.
+async function gravaResponsavel(conexao, paciente, { id_paciente_responsavel, nome, cpf, parentesco }) {
+    if (id_paciente_responsavel === paciente.id_paciente || cpf === paciente.cpf) {
+        throw new ErroHttp(400, "O paciente não pode ser o próprio responsável legal.");
+    }
+
+    if (id_paciente_responsavel) {
+        const busca = await conexao.query(`SELECT ${idadeSql()} AS idade FROM paciente WHERE id_paciente = $1`, [id_paciente_responsavel]);
+
+        if (busca.rowCount === 0) {
+            throw new ErroHttp(400, "id_paciente_responsavel informado não existe.");
+        }
+
+        if (busca.rows[0].idade !== null && busca.rows[0].idade < MAIORIDADE) {
+            throw new ErroHttp(400, "O responsável legal precisa ser maior de idade.");
+        }
+    }
+
+    const insert = await conexao.query(
+        `INSERT INTO paciente_responsavel(id_paciente, id_paciente_responsavel, nome, cpf, parentesco)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id_responsavel`,
+        [paciente.id_paciente, id_paciente_responsavel, nome, cpf, parentesco]
+    );
+
+    const vinculo = await conexao.query(`${SQL_RESPONSAVEIS} WHERE r.id_responsavel = $1`, [insert.rows[0].id_responsavel]);
+    return vinculo.rows[0];
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EnderecoPaciente:
+ *       type: object
+ *       description: Endereço estruturado. Com um CEP da base local, logradouro, bairro, cidade e uf podem ser omitidos.
+ *       required:
+ *         - numero
+ *       properties:
+ *         cep:
+ *           type: string
+ *           description: Com ou sem hífen; gravado apenas com os dígitos.
+ *           example: "01310-100"
+ *         logradouro:
+ *           type: string
+ *           example: "Avenida Paulista"
+ *         numero:
+ *           type: string
+ *           example: "999"
+ *         complemento:
+ *           type: string
+ *           example: "apto 42"
+ *         bairro:
+ *           type: string
+ *           example: "Bela Vista"
+ *         cidade:
+ *           type: string
+ *           example: "São Paulo"
+ *         uf:
+ *           type: string
+ *           example: "SP"
+ *     NovoResponsavel:
+ *       type: object
+ *       description: Responsável legal, informado por id_paciente_responsavel (outro paciente, maior de idade) ou por nome e cpf.
+ *       required:
+ *         - parentesco
+ *       properties:
+ *         id_paciente_responsavel:
+ *           type: integer
+ *           example: 2
+ *         nome:
+ *           type: string
+ *           example: "José Oliveira"
+ *         cpf:
+ *           type: string
+ *           example: "390.533.447-05"
+ *         parentesco:
+ *           type: string
+ *           example: "mãe"
+ *     Responsavel:
+ *       type: object
+ *       properties:
+ *         id_responsavel:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 5
+ *         id_paciente_responsavel:
+ *           type: integer
+ *           nullable: true
+ *           description: Preenchido quando o responsável também é paciente; nome e cpf vêm do cadastro dele.
+ *           example: 2
+ *         nome:
+ *           type: string
+ *           example: "Maria Oliveira"
+ *         cpf:
+ *           type: string
+ *           example: "98765432100"
+ *         parentesco:
+ *           type: string
+ *           example: "mãe"
+ *         criado_em:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-11-01T08:00:00"
+ *     Paciente:
+ *       type: object
+ *       properties:
+ *         id_paciente:
+ *           type: integer
+ *           example: 2
+ *         nome:
+ *           type: string
+ *           description: Nome civil.
+ *           example: "Maria Oliveira"
+ *         nome_social:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         cpf:
+ *           type: string
+ *           example: "98765432100"
+ *         data_nascimento:
+ *           type: string
+ *           example: "1992-11-10"
+ *         idade:
+ *           type: integer
+ *           description: Idade em anos completos, calculada a partir de data_nascimento.
+ *           example: 33
+ *         sexo:
+ *           type: string
+ *           nullable: true
+ *           enum: [feminino, masculino, intersexo]
+ *           example: "feminino"
+ *         identidade_genero:
+ *           type: string
+ *           nullable: true
+ *           enum: [mulher_cisgenero, homem_cisgenero, mulher_transgenero, homem_transgenero, nao_binario, outro]
+ *           example: null
+ *         endereco:
+ *           type: string
+ *           description: Endereço em texto, montado a partir dos campos estruturados quando eles são informados.
+ *           example: "Avenida Paulista, 999 - Bela Vista, São Paulo/SP, CEP 01310-100"
+ *         cep:
+ *           type: string
+ *           nullable: true
+ *           example: "01310100"
+ *         logradouro:
+ *           type: string
+ *           nullable: true
+ *           example: "Avenida Paulista"
+ *         numero:
+ *           type: string
+ *           nullable: true
+ *           example: "999"
+ *         complemento:
+ *           type: string
+ *           nullable: true
+ *           example: null
+ *         bairro:
+ *           type: string
+ *           nullable: true
+ *           example: "Bela Vista"
+ *         cidade:
+ *           type: string
+ *           nullable: true
+ *           example: "São Paulo"
+ *         uf:
+ *           type: string
+ *           nullable: true
+ *           example: "SP"
+ */
+
 /**
  * @swagger
  * /paciente:
  *   get:
- *     summary: Retorna todos os pacientes cadastrados.
- *     description: Busca todos os registros da tabela PACIENTE.
+ *     summary: Retorna os pacientes cadastrados.
+ *     description: Busca os registros da tabela PACIENTE de forma paginada, com filtros opcionais e ordenação. A resposta inclui o total de registros que atendem aos filtros.
  *     tags: [Pacientes]
+ *     parameters:
+ *       - in: query
+ *         name: nome
+ *         required: false
+ *         description: Trecho do nome (sem diferenciar maiúsculas de minúsculas).
+ *         schema:
+ *           type: string
+ *           example: "silva"
+ *       - in: query
+ *         name: cpf
+ *         required: false
+ *         description: CPF completo, com ou sem pontuação.
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão id_paciente).
+ *         schema:
+ *           type: string
+ *           enum: [id_paciente, nome, data_nascimento]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
  *     responses:
  *       200:
  *         description: Lista de pacientes retornada com sucesso.
@@ -65,10 +453,20 @@ function validaCPF(cpf) {
  *                 msg:
  *                   oneOf:
  *                     - type: string
- *                       example: "Nenhum paciente cadastrado."
+ *                       example: "Nenhum paciente encontrado."
  *                     - type: array
  *                       items:
  *                         $ref: '#/components/schemas/Paciente'
+ *                 total:
+ *                   type: integer
+ *                   description: Total de registros que atendem aos filtros.
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
  *             examples:
  *               com_pacientes:
  *                 value:
@@ -80,7 +478,17 @@ function validaCPF(cpf) {
  *                       endereco: "Rua das Flores, 123"
  *               vazio:
  *                 value:
- *                   msg: "Nenhum paciente cadastrado."
+ *                   msg: "Nenhum paciente encontrado."
+ *       400:
+ *         description: Filtro, ordenação ou paginação inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "ordenar deve ser um dos campos: id_paciente, nome, data_nascimento."
  *       500:
  *         description: Erro ao buscar pacientes.
  *         content:
@@ -96,15 +504,195 @@ function validaCPF(cpf) {
  *                   msg: "Erro ao buscar pacientes."
  */
 
+// Campos aceitos em "ordenar" na listagem de pacientes.
+const ORDENACAO_PACIENTE = {
+    id_paciente: ["id_paciente"],
+    nome: ["nome"],
+    data_nascimento: ["data_nascimento"],
+};
+
 router.get("/", async (req, res) => {
+    const { nome, cpf } = req.query;
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_PACIENTE, "id_paciente");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtros = `
+              WHERE ($1::text IS NULL OR nome ILIKE '%' || $1 || '%')
+                AND ($2::text IS NULL OR cpf = $2)`;
+    const params = [nome || null, cpf ? normalizaCPF(cpf) : null];
+
     try {
-        const result = await db.query("SELECT * FROM PACIENTE ORDER BY id_paciente");
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM PACIENTE ${filtros}`, params);
+
+        const result = await db.query(
+            `SELECT *, ${idadeSql()} AS idade FROM PACIENTE ${filtros} ORDER BY ${paginacao.ordem}, id_paciente LIMIT $3 OFFSET $4`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        const pagina = { total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset };
 
         if (result.rowCount === 0) {
-            return res.status(200).json({ msg: "Nenhum paciente cadastrado." });
+            return res.status(200).json({ msg: "Nenhum paciente encontrado.", ...pagina });
+        }
+
+        return res.status(200).json({ msg: result.rows, ...pagina });
+    } catch (error) {
+        console.error("Erro ao buscar pacientes:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar pacientes." });
+    }
+});
+
+
+// Separa os termos de "q" da busca de pacientes: datas (YYYY-MM-DD ou DD/MM/AAAA) filtram a data de
+// nascimento, números com 3 ou mais dígitos (com ou sem pontuação) filtram o CPF e o restante é o nome.
+function leTermosBusca(q) {
+    const termos = { nome: [], cpf: null, data_nascimento: null };
+
+    for (const termo of q.trim().split(/\s+/)) {
+        const data = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(termo);
+        const iso = data ? `${data[3]}-${data[2]}-${data[1]}` : termo;
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(iso)) {
+            if (!isValidISODate(iso)) return { erro: "Data de nascimento inválida na busca." };
+            termos.data_nascimento = iso;
+        } else if (/^[\d.-]+$/.test(termo) && normalizaCPF(termo).length >= 3) {
+            termos.cpf = normalizaCPF(termo);
+        } else {
+            termos.nome.push(termo);
         }
+    }
+
+    termos.nome = termos.nome.join(" ") || null;
+
+    if (termos.nome && termos.nome.length < 2 && !termos.cpf && !termos.data_nascimento) {
+        return { erro: "Informe ao menos 2 caracteres do nome." };
+    }
+
+    return termos;
+}
+
+/**
+ * @swagger
+ * /paciente/busca:
+ *   get:
+ *     summary: Busca pacientes por nome, CPF ou data de nascimento.
+ *     description: |
+ *       Os termos de `q` são combinados (todos precisam ser atendidos):
+ *       - datas (`1985-04-23` ou `23/04/1985`) filtram a data de nascimento;
+ *       - números com 3 ou mais dígitos, com ou sem pontuação, filtram o início do CPF;
+ *       - o restante é procurado no nome, sem diferenciar acentos nem maiúsculas e tolerando erros de digitação (similaridade por trigramas).
+ *
+ *       Os resultados vêm do mais para o menos relevante. A relevância é 1 para nomes que contêm o texto buscado e, nos demais, a similaridade entre o texto e as palavras do nome.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "joao silva"
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Pacientes encontrados, em ordem de relevância.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id_paciente:
+ *                         type: integer
+ *                         example: 1
+ *                       nome:
+ *                         type: string
+ *                         example: "João da Silva"
+ *                       cpf:
+ *                         type: string
+ *                         example: "12345678900"
+ *                       data_nascimento:
+ *                         type: string
+ *                         example: "1985-04-23"
+ *                       endereco:
+ *                         type: string
+ *                         example: "Rua das Flores, 123"
+ *                       relevancia:
+ *                         type: number
+ *                         example: 1
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Busca vazia, curta demais, com data inválida ou paginação inválida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe o texto da busca em q."
+ *       500:
+ *         description: Erro interno ao buscar pacientes.
+ */
+
+router.get("/busca", async (req, res) => {
+    const q = req.query.q === undefined ? "" : String(req.query.q);
+
+    if (q.trim() === "") {
+        return res.status(400).json({ msg: "Informe o texto da busca em q." });
+    }
+
+    const termos = leTermosBusca(q);
+    if (termos.erro) {
+        return res.status(400).json({ msg: termos.erro });
+    }
+
+    // A busca é sempre ordenada por relevância, por isso "ordenar" e "direcao" não são aceitos.
+    const paginacao = lePaginacao({ limit: req.query.limit, offset: req.query.offset, direcao: "desc" }, { relevancia: ["relevancia"] }, "relevancia");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    // Nome buscado e nome do paciente sem acentos e em minúsculas; "<%" usa o índice ix_paciente_nome_trgm.
+    const termo = "f_unaccent(lower($1::text))";
+    const nome = "f_unaccent(lower(p.nome))";
+    const busca = `
+        SELECT p.*,
+               ${idadeSql()} AS idade,
+               CASE
+                   WHEN $1::text IS NULL OR ${nome} LIKE '%' || ${termo} || '%' THEN 1
+                   ELSE round(word_similarity(${termo}, ${nome})::numeric, 2)::float8
+               END AS relevancia
+          FROM paciente p
+         WHERE ($1::text IS NULL OR ${nome} LIKE '%' || ${termo} || '%' OR ${termo} <% ${nome})
+           AND ($2::text IS NULL OR p.cpf LIKE $2 || '%')
+           AND ($3::date IS NULL OR p.data_nascimento = $3)`;
+    const params = [termos.nome, termos.cpf, termos.data_nascimento];
+
+    try {
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM (${busca}) b`, params);
 
-        return res.status(200).json({ msg: result.rows });
+        const result = await db.query(
+            `SELECT * FROM (${busca}) b ORDER BY ${paginacao.ordem}, nome, id_paciente LIMIT $4 OFFSET $5`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        return res.status(200).json({ data: result.rows, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
     } catch (error) {
         console.error("Erro ao buscar pacientes:", error);
         return res.status(500).json({ msg: "Erro interno ao buscar pacientes." });
@@ -112,6 +700,79 @@ router.get("/", async (req, res) => {
 });
 
 
+/**
+ * @swagger
+ * /paciente/cep/{cep}:
+ *   get:
+ *     summary: Consulta um CEP na base local.
+ *     description: Retorna logradouro, bairro, cidade e UF do CEP, para preencher o endereço do paciente. CEPs gerais de cidade não têm logradouro nem bairro.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: cep
+ *         required: true
+ *         description: Com ou sem hífen.
+ *         schema:
+ *           type: string
+ *           example: "01310-100"
+ *     responses:
+ *       200:
+ *         description: CEP encontrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cep:
+ *                       type: string
+ *                       example: "01310100"
+ *                     logradouro:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "Avenida Paulista"
+ *                     bairro:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "Bela Vista"
+ *                     cidade:
+ *                       type: string
+ *                       example: "São Paulo"
+ *                     uf:
+ *                       type: string
+ *                       example: "SP"
+ *       400:
+ *         description: CEP em formato inválido.
+ *       404:
+ *         description: CEP não encontrado na base local.
+ *       500:
+ *         description: Erro interno ao consultar o CEP.
+ */
+
+router.get("/cep/:cep", async (req, res) => {
+    const cep = normalizaCEP(req.params.cep);
+
+    if (!cep) {
+        return res.status(400).json({ msg: "CEP inválido. Use o formato 00000-000." });
+    }
+
+    try {
+        const busca = await db.query("SELECT * FROM cep WHERE cep = $1", [cep]);
+
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "CEP não encontrado na base local." });
+        }
+
+        return res.status(200).json({ data: busca.rows[0] });
+    } catch (error) {
+        console.error("Erro ao consultar CEP:", error);
+        return res.status(500).json({ msg: "Erro interno ao consultar CEP." });
+    }
+});
+
+
 /**
  * @swagger
  * /paciente/{id}:
@@ -196,7 +857,7 @@ router.get("/:id", async (req, res) => {
     }
 
     try {
-        const busca = await db.query("SELECT * FROM PACIENTE WHERE id_paciente = $1", [id]);
+        const busca = await db.query(`SELECT *, ${idadeSql()} AS idade FROM PACIENTE WHERE id_paciente = $1`, [id]);
 
         if (busca.rowCount === 0) {
             return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
@@ -215,7 +876,7 @@ router.get("/:id", async (req, res) => {
  * /paciente:
  *   post:
  *     summary: Cadastra um novo paciente.
- *     description: Insere um novo registro na tabela PACIENTE. Campos obrigatórios nome, cpf, data_nascimento, endereco. O CPF deve ser único.
+ *     description: Insere um novo registro na tabela PACIENTE. Campos obrigatórios nome, cpf, data_nascimento, endereco. O CPF pode ser enviado com ou sem pontuação, é gravado apenas com os dígitos e deve ser único. O endereço pode ser um texto livre ou estruturado (CEP, logradouro, número, complemento, bairro, cidade e UF); com um CEP da base local, os campos não informados são completados e a UF é conferida. Pacientes menores de 18 anos só são cadastrados com um responsável legal (`responsavel`), que é outro paciente maior de idade ou uma pessoa identificada por nome e CPF.
  *     tags: [Pacientes]
  *     requestBody:
  *       required: true
@@ -234,14 +895,31 @@ router.get("/:id", async (req, res) => {
  *                 example: "Maria Souza"
  *               cpf:
  *                 type: string
- *                 example: "98765432100"
+ *                 description: Com ou sem pontuação; gravado apenas com os dígitos.
+ *                 example: "987.654.321-00"
  *               data_nascimento:
  *                 type: string
  *                 format: date
  *                 example: "1985-09-12"
- *               endereco:
+ *               nome_social:
+ *                 type: string
+ *                 description: Nome pelo qual a pessoa quer ser chamada.
+ *               sexo:
  *                 type: string
- *                 example: "Av. Central, 45"
+ *                 enum: [feminino, masculino, intersexo]
+ *               identidade_genero:
+ *                 type: string
+ *                 enum: [mulher_cisgenero, homem_cisgenero, mulher_transgenero, homem_transgenero, nao_binario, outro]
+ *               endereco:
+ *                 description: Texto livre ou endereço estruturado.
+ *                 oneOf:
+ *                   - type: string
+ *                     example: "Av. Central, 45"
+ *                   - $ref: '#/components/schemas/EnderecoPaciente'
+ *               responsavel:
+ *                 description: Obrigatório para menores de 18 anos.
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/NovoResponsavel'
  *     responses:
  *       201:
  *         description: Paciente cadastrado com sucesso.
@@ -252,6 +930,10 @@ router.get("/:id", async (req, res) => {
  *               properties:
  *                 msg:
  *                   $ref: '#/components/schemas/Paciente'
+ *                 responsavel:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Responsavel'
  *             examples:
  *               sucesso:
  *                 value:
@@ -262,7 +944,7 @@ router.get("/:id", async (req, res) => {
  *                     data_nascimento: "1985-09-12"
  *                     endereco: "Av. Central, 45"
  *       400:
- *         description: Dados inválidos ou CPF já cadastrado.
+ *         description: Dados inválidos.
  *         content:
  *           application/json:
  *             schema:
@@ -274,12 +956,25 @@ router.get("/:id", async (req, res) => {
  *               campos_faltando:
  *                 value:
  *                   msg: "Campos obrigatórios ausentes. Envie nome, cpf, data_nascimento e endereco."
- *               cpf_duplicado:
- *                 value:
- *                   msg: "CPF já cadastrado para outro paciente."
  *               data_invalida:
  *                 value:
  *                   msg: "Data de nascimento inválida."
+ *               cep_invalido:
+ *                 value:
+ *                   msg: "CEP inválido. Use o formato 00000-000."
+ *               menor_sem_responsavel:
+ *                 value:
+ *                   msg: "Paciente menor de idade (9 anos). Envie o responsável legal em responsavel, com id_paciente_responsavel (ou nome e cpf) e parentesco."
+ *       409:
+ *         description: CPF já cadastrado para outro paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "CPF já cadastrado para outro paciente."
  *       500:
  *         description: Erro interno ao cadastrar paciente.
  *         content:
@@ -296,7 +991,7 @@ router.get("/:id", async (req, res) => {
  */
 
 router.post("/", async (req, res) => {
-    const { nome, cpf, data_nascimento, endereco } = req.body;
+    const { nome, nome_social, cpf, data_nascimento, sexo, identidade_genero, endereco, responsavel } = req.body;
 
     if (!nome || !cpf || !data_nascimento || !endereco) {
         return res.status(400).json({
@@ -312,19 +1007,55 @@ router.post("/", async (req, res) => {
         return res.status(400).json({ msg: "Data de nascimento inválida." });
     }
 
+    const erroIdentificacao = validaIdentificacao(req.body);
+    if (erroIdentificacao) {
+        return res.status(400).json({ msg: erroIdentificacao });
+    }
+
+    const lidoResponsavel = responsavel === undefined || responsavel === null ? null : leResponsavel(responsavel);
+    if (lidoResponsavel?.erro) {
+        return res.status(400).json({ msg: lidoResponsavel.erro });
+    }
+
     try {
-        const cpfExist = await db.query("SELECT 1 FROM PACIENTE WHERE cpf = $1", [cpf]);
-        if (cpfExist.rowCount > 0) {
-            return res.status(400).json({ msg: "CPF já cadastrado para outro paciente." });
+        const lido = await leEndereco(endereco);
+        if (lido.erro) {
+            return res.status(400).json({ msg: lido.erro });
         }
 
-        const insert = await db.query(
-            "INSERT INTO PACIENTE(nome, cpf, data_nascimento, endereco) VALUES($1, $2, $3, $4) RETURNING *",
-            [nome, cpf, data_nascimento, endereco]
-        );
+        const e = lido.endereco;
 
-        return res.status(201).json({ msg: insert.rows[0] });
+        const resultado = await db.transaction(async (conexao) => {
+            // CPF repetido é verificado pela restrição uq_paciente_cpf na própria inserção.
+            const insert = await conexao.query(
+                `INSERT INTO PACIENTE(nome, nome_social, cpf, data_nascimento, sexo, identidade_genero,
+                                      endereco, cep, logradouro, numero, complemento, bairro, cidade, uf)
+                 VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+                 RETURNING *, ${idadeSql()} AS idade`,
+                [nome, nome_social?.trim() || null, normalizaCPF(cpf), data_nascimento, sexo ?? null, identidade_genero ?? null,
+                 e.endereco, e.cep, e.logradouro, e.numero, e.complemento, e.bairro, e.cidade, e.uf]
+            );
+
+            const paciente = insert.rows[0];
+
+            if (!lidoResponsavel) {
+                if (paciente.idade < MAIORIDADE) {
+                    throw new ErroHttp(400, `Paciente menor de idade (${paciente.idade} anos). Envie o responsável legal em responsavel, com id_paciente_responsavel (ou nome e cpf) e parentesco.`);
+                }
+
+                return { paciente, responsavel: null };
+            }
+
+            return { paciente, responsavel: await gravaResponsavel(conexao, paciente, lidoResponsavel.responsavel) };
+        });
+
+        return res.status(201).json({ msg: resultado.paciente, responsavel: resultado.responsavel });
     } catch (error) {
+        const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
         console.error("Erro ao cadastrar paciente:", error);
         return res.status(500).json({ msg: "Erro interno ao cadastrar paciente." });
     }
@@ -390,6 +1121,19 @@ router.post("/", async (req, res) => {
  *               nao_encontrado:
  *                 value:
  *                   msg: "Paciente não cadastrado no banco."
+ *       409:
+ *         description: Paciente possui receitas assinadas, que não podem ser removidas, ou é responsável legal de outros pacientes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *             examples:
+ *               receitas_assinadas:
+ *                 value:
+ *                   msg: "Paciente possui receitas assinadas e não pode ser removido."
  *       500:
  *         description: Erro interno ao remover paciente.
  *         content:
@@ -423,6 +1167,15 @@ router.delete("/:id", async (req, res) => {
 
         return res.status(200).json({ msg: del.rows[0] });
     } catch (error) {
+        // Receitas assinadas são imutáveis (tg_receita_imutavel) e bloqueiam a remoção em cascata
+        if (error.code === "55000") {
+            return res.status(409).json({ msg: "Paciente possui receitas assinadas e não pode ser removido." });
+        }
+
+        if (error.constraint === "fk_paciente_responsavel_responsavel") {
+            return res.status(409).json({ msg: "Paciente é responsável legal de outros pacientes e não pode ser removido." });
+        }
+
         console.error("Erro ao deletar paciente:", error);
         return res.status(500).json({ msg: "Erro ao remover paciente do banco." });
     }
@@ -433,7 +1186,7 @@ router.delete("/:id", async (req, res) => {
  * /paciente/{id}:
  *   put:
  *     summary: Atualiza os dados de um paciente existente.
- *     description: Atualiza as informações de um paciente já cadastrado no sistema. O ID do paciente deve ser informado na URL.
+ *     description: Atualiza as informações de um paciente já cadastrado no sistema. O ID do paciente deve ser informado na URL. O cadastro é substituído por completo, por isso nome social, sexo, identidade de gênero e os campos do endereço que não forem enviados ficam em branco. O endereço segue as mesmas regras do cadastro. Se a nova data de nascimento tornar o paciente menor de idade, ele precisa ter um responsável legal cadastrado em /paciente/{id}/responsaveis.
  *     tags: [Pacientes]
  *     parameters:
  *       - in: path
@@ -460,14 +1213,27 @@ router.delete("/:id", async (req, res) => {
  *                 example: "Maria Souza"
  *               cpf:
  *                 type: string
- *                 example: "98765432100"
+ *                 description: Com ou sem pontuação; gravado apenas com os dígitos.
+ *                 example: "987.654.321-00"
  *               data_nascimento:
  *                 type: string
  *                 format: date
  *                 example: "1985-09-12"
- *               endereco:
+ *               nome_social:
+ *                 type: string
+ *                 description: Nome pelo qual a pessoa quer ser chamada.
+ *               sexo:
  *                 type: string
- *                 example: "Rua Nova, 789"
+ *                 enum: [feminino, masculino, intersexo]
+ *               identidade_genero:
+ *                 type: string
+ *                 enum: [mulher_cisgenero, homem_cisgenero, mulher_transgenero, homem_transgenero, nao_binario, outro]
+ *               endereco:
+ *                 description: Texto livre ou endereço estruturado.
+ *                 oneOf:
+ *                   - type: string
+ *                     example: "Rua Nova, 789"
+ *                   - $ref: '#/components/schemas/EnderecoPaciente'
  *     responses:
  *       200:
  *         description: Paciente atualizado com sucesso.
@@ -488,7 +1254,7 @@ router.delete("/:id", async (req, res) => {
  *                     data_nascimento: "1985-09-12"
  *                     endereco: "Rua Nova, 789"
  *       400:
- *         description: Dados inválidos, campos obrigatórios ausentes, CPF inválido ou CPF duplicado.
+ *         description: Dados inválidos, campos obrigatórios ausentes ou CPF inválido.
  *         content:
  *           application/json:
  *             schema:
@@ -506,13 +1272,16 @@ router.delete("/:id", async (req, res) => {
  *               cpf_invalido:
  *                 value:
  *                   msg: "CPF inválido."
- *               cpf_duplicado:
- *                 value:
- *                   msg: "CPF já cadastrado para outro paciente."
  *               data_invalida:
  *                 value:
  *                   msg: "Data de nascimento inválida."
- *       404:
+ *               cep_invalido:
+ *                 value:
+ *                   msg: "CEP inválido. Use o formato 00000-000."
+ *               menor_sem_responsavel:
+ *                 value:
+ *                   msg: "Paciente menor de idade (17 anos) sem responsável legal cadastrado. Cadastre o responsável em /paciente/2/responsaveis antes de alterar a data de nascimento."
+ *       404:
  *         description: Paciente não encontrado.
  *         content:
  *           application/json:
@@ -525,6 +1294,16 @@ router.delete("/:id", async (req, res) => {
  *               nao_encontrado:
  *                 value:
  *                   msg: "Paciente não cadastrado no banco."
+ *       409:
+ *         description: CPF já cadastrado para outro paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "CPF já cadastrado para outro paciente."
  *       500:
  *         description: Erro interno ao atualizar paciente.
  *         content:
@@ -542,7 +1321,7 @@ router.delete("/:id", async (req, res) => {
 
 router.put("/:id", async (req, res) => {
     const id = Number(req.params.id);
-    const { nome, cpf, data_nascimento, endereco } = req.body;
+    const { nome, nome_social, cpf, data_nascimento, sexo, identidade_genero, endereco } = req.body;
 
     if (Number.isNaN(id) || id <= 0) {
         return res.status(400).json({ msg: "Informe um id_paciente válido." });
@@ -560,25 +1339,1103 @@ router.put("/:id", async (req, res) => {
         return res.status(400).json({ msg: "Data de nascimento inválida." });
     }
 
+    const erroIdentificacao = validaIdentificacao(req.body);
+    if (erroIdentificacao) {
+        return res.status(400).json({ msg: erroIdentificacao });
+    }
+
     try {
-        const busca = await db.query("SELECT * FROM PACIENTE WHERE id_paciente = $1", [id]);
+        const lido = await leEndereco(endereco);
+        if (lido.erro) {
+            return res.status(400).json({ msg: lido.erro });
+        }
+
+        const e = lido.endereco;
+
+        const paciente = await db.transaction(async (conexao) => {
+            const update = await conexao.query(
+                `UPDATE PACIENTE
+                    SET nome = $1, nome_social = $2, cpf = $3, data_nascimento = $4, sexo = $5, identidade_genero = $6,
+                        endereco = $7, cep = $8, logradouro = $9, numero = $10, complemento = $11, bairro = $12, cidade = $13, uf = $14
+                  WHERE id_paciente = $15
+                  RETURNING *, ${idadeSql()} AS idade`,
+                [nome, nome_social?.trim() || null, normalizaCPF(cpf), data_nascimento, sexo ?? null, identidade_genero ?? null,
+                 e.endereco, e.cep, e.logradouro, e.numero, e.complemento, e.bairro, e.cidade, e.uf, id]
+            );
+            if (update.rowCount === 0) {
+                throw new ErroHttp(404, "Paciente não cadastrado no banco.");
+            }
+
+            // O UPDATE bloqueia a linha do paciente, então a remoção simultânea do último responsável espera por esta verificação
+            const atualizado = update.rows[0];
+            if (atualizado.idade < MAIORIDADE) {
+                const responsaveis = await conexao.query("SELECT 1 FROM paciente_responsavel WHERE id_paciente = $1", [id]);
+                if (responsaveis.rowCount === 0) {
+                    throw new ErroHttp(400, `Paciente menor de idade (${atualizado.idade} anos) sem responsável legal cadastrado. Cadastre o responsável em /paciente/${id}/responsaveis antes de alterar a data de nascimento.`);
+                }
+            }
+
+            return atualizado;
+        });
+
+        return res.status(200).json({ msg: paciente });
+    } catch (error) {
+        const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
+        console.error("Erro ao atualizar paciente:", error);
+        return res.status(500).json({ msg: "Erro ao atualizar paciente no banco." });
+    }
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PacienteContato:
+ *       type: object
+ *       properties:
+ *         id_contato:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         tipo:
+ *           type: string
+ *           enum: [email, sms, telefone]
+ *           description: sms é o celular, que pode receber notificações; telefone é um número fixo ou sem SMS, apenas para contato.
+ *           example: "email"
+ *         valor:
+ *           type: string
+ *           description: Endereço de e-mail ou telefone com DDD (apenas dígitos, opcionalmente com +).
+ *           example: "joao.silva@example.com"
+ *         recebe_notificacoes:
+ *           type: boolean
+ *           description: Se o contato recebe avisos e lembretes de consulta. Sempre falso para o tipo telefone.
+ *           example: true
+ *         preferencial:
+ *           type: boolean
+ *           description: E-mail ou telefone preferencial do paciente (um de cada).
+ *           example: true
+ *         criado_em:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-11-01T08:00:00"
+ */
+
+/**
+ * @swagger
+ * /paciente/{id}/contatos:
+ *   get:
+ *     summary: Lista os contatos do paciente.
+ *     description: Retorna os e-mails e telefones do paciente, com os preferenciais primeiro. Os que recebem notificações são usados para enviar avisos e lembretes de consulta.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do paciente.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Contatos do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PacienteContato'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar contatos.
+ *   post:
+ *     summary: Cadastra um contato do paciente.
+ *     description: E-mails são gravados em minúsculas e telefones apenas com dígitos (e o + inicial, se houver). Marcar o contato como preferencial desmarca o preferencial anterior do mesmo grupo (e-mail ou telefone).
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID do paciente.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tipo
+ *               - valor
+ *             properties:
+ *               tipo:
+ *                 type: string
+ *                 enum: [email, sms, telefone]
+ *                 example: "sms"
+ *               valor:
+ *                 type: string
+ *                 example: "+55 (11) 98888-7777"
+ *               recebe_notificacoes:
+ *                 type: boolean
+ *                 description: Padrão true, exceto para o tipo telefone, que não recebe notificações.
+ *               preferencial:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Contato cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   $ref: '#/components/schemas/PacienteContato'
+ *       400:
+ *         description: Dados inválidos ou contato já cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "valor inválido para o tipo sms."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao cadastrar contato.
+ */
+
+router.get("/:id/contatos", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM PACIENTE WHERE id_paciente = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const contatos = await db.query("SELECT * FROM paciente_contato WHERE id_paciente = $1 ORDER BY preferencial DESC, id_contato", [id]);
+
+        return res.status(200).json({ msg: contatos.rows });
+    } catch (error) {
+        console.error("Erro ao buscar contatos do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar contatos do paciente." });
+    }
+});
+
+router.post("/:id/contatos", async (req, res) => {
+    const id = Number(req.params.id);
+    const { tipo, valor, recebe_notificacoes, preferencial = false } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (!TIPOS_CONTATO.includes(tipo)) {
+        return res.status(400).json({ msg: `tipo deve ser ${TIPOS_CONTATO.join(", ")}.` });
+    }
+
+    const valorNormalizado = normalizaContato(tipo, valor);
+    if (!valorNormalizado) {
+        return res.status(400).json({ msg: `valor inválido para o tipo ${tipo}.` });
+    }
+
+    if (recebe_notificacoes !== undefined && typeof recebe_notificacoes !== "boolean") {
+        return res.status(400).json({ msg: "recebe_notificacoes deve ser true ou false." });
+    }
+
+    if (tipo === "telefone" && recebe_notificacoes === true) {
+        return res.status(400).json({ msg: "Contatos do tipo telefone não recebem notificações. Use o tipo sms para celulares." });
+    }
+
+    if (typeof preferencial !== "boolean") {
+        return res.status(400).json({ msg: "preferencial deve ser true ou false." });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM PACIENTE WHERE id_paciente = $1", [id]);
         if (busca.rowCount === 0) {
             return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
         }
 
-        const cpfExist = await db.query("SELECT * FROM PACIENTE WHERE cpf = $1 AND id_paciente <> $2", [cpf, id]);
-        if (cpfExist.rowCount > 0) {
-            return res.status(400).json({ msg: "CPF já cadastrado para outro paciente." });
+        const contato = await db.transaction(async (conexao) => {
+            if (preferencial) {
+                await desmarcaPreferencial(conexao, id, tipo);
+            }
+
+            const insert = await conexao.query(
+                "INSERT INTO paciente_contato(id_paciente, tipo, valor, recebe_notificacoes, preferencial) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+                [id, tipo, valorNormalizado, recebe_notificacoes ?? tipo !== "telefone", preferencial]
+            );
+
+            return insert.rows[0];
+        });
+
+        return res.status(201).json({ msg: contato });
+    } catch (error) {
+        if (error.code === "23505") {
+            return res.status(400).json({ msg: "Contato já cadastrado para este paciente." });
         }
 
-        const update = await db.query("UPDATE PACIENTE SET nome = $1, cpf = $2, data_nascimento = $3, endereco = $4 WHERE id_paciente = $5 RETURNING *", [nome, cpf, data_nascimento, endereco, id]);
+        console.error("Erro ao cadastrar contato do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao cadastrar contato do paciente." });
+    }
+});
 
-        return res.status(200).json({ msg: update.rows[0] });
+/**
+ * @swagger
+ * /paciente/{id}/contatos/{id_contato}:
+ *   put:
+ *     summary: Atualiza um contato do paciente.
+ *     description: Permite corrigir o valor do contato, ativar/desativar o recebimento de notificações ou torná-lo o preferencial. Notificações pendentes passam a usar o novo valor, ou são descartadas se o contato deixar de receber notificações.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_contato
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               valor:
+ *                 type: string
+ *                 example: "joao@example.com"
+ *               recebe_notificacoes:
+ *                 type: boolean
+ *                 example: false
+ *               preferencial:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Contato atualizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   $ref: '#/components/schemas/PacienteContato'
+ *       400:
+ *         description: Dados inválidos ou contato já cadastrado.
+ *       404:
+ *         description: Contato não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao atualizar contato.
+ *   delete:
+ *     summary: Remove um contato do paciente.
+ *     description: Notificações pendentes para o contato são descartadas; as já enviadas são mantidas no histórico.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_contato
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Contato removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Contato removido com sucesso."
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Contato não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao remover contato.
+ */
+
+router.put("/:id/contatos/:id_contato", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_contato = Number(req.params.id_contato);
+    const { valor, recebe_notificacoes, preferencial } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_contato) || id_contato <= 0) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_contato válidos." });
+    }
+
+    if (valor === undefined && recebe_notificacoes === undefined && preferencial === undefined) {
+        return res.status(400).json({ msg: "Envie valor, recebe_notificacoes e/ou preferencial." });
+    }
+
+    if (recebe_notificacoes !== undefined && typeof recebe_notificacoes !== "boolean") {
+        return res.status(400).json({ msg: "recebe_notificacoes deve ser true ou false." });
+    }
+
+    if (preferencial !== undefined && typeof preferencial !== "boolean") {
+        return res.status(400).json({ msg: "preferencial deve ser true ou false." });
+    }
+
+    try {
+        const busca = await db.query("SELECT * FROM paciente_contato WHERE id_contato = $1 AND id_paciente = $2", [id_contato, id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Contato não cadastrado para este paciente." });
+        }
+
+        const contato = busca.rows[0];
+        let valorNormalizado = contato.valor;
+
+        if (contato.tipo === "telefone" && recebe_notificacoes === true) {
+            return res.status(400).json({ msg: "Contatos do tipo telefone não recebem notificações. Use o tipo sms para celulares." });
+        }
+
+        if (valor !== undefined) {
+            valorNormalizado = normalizaContato(contato.tipo, valor);
+            if (!valorNormalizado) {
+                return res.status(400).json({ msg: `valor inválido para o tipo ${contato.tipo}.` });
+            }
+        }
+
+        const atualizado = await db.transaction(async (conexao) => {
+            if (preferencial && !contato.preferencial) {
+                await desmarcaPreferencial(conexao, id, contato.tipo);
+            }
+
+            const update = await conexao.query(
+                "UPDATE paciente_contato SET valor = $1, recebe_notificacoes = $2, preferencial = $3 WHERE id_contato = $4 RETURNING *",
+                [valorNormalizado, recebe_notificacoes ?? contato.recebe_notificacoes, preferencial ?? contato.preferencial, id_contato]
+            );
+
+            // Notificações ainda não enviadas seguem o contato: vão para o novo valor ou são descartadas.
+            await conexao.query(
+                "UPDATE notificacao SET destino = $2, status = CASE WHEN $3 THEN status ELSE 'descartada' END WHERE id_contato = $1 AND status = 'pendente'",
+                [id_contato, update.rows[0].valor, update.rows[0].recebe_notificacoes]
+            );
+
+            return update.rows[0];
+        });
+
+        return res.status(200).json({ msg: atualizado });
     } catch (error) {
-        console.error("Erro ao atualizar paciente:", error);
-        return res.status(500).json({ msg: "Erro ao atualizar paciente no banco." });
+        if (error.code === "23505") {
+            return res.status(400).json({ msg: "Contato já cadastrado para este paciente." });
+        }
+
+        console.error("Erro ao atualizar contato do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao atualizar contato do paciente." });
+    }
+});
+
+router.delete("/:id/contatos/:id_contato", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_contato = Number(req.params.id_contato);
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_contato) || id_contato <= 0) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_contato válidos." });
+    }
+
+    try {
+        const remocao = await db.transaction(async (conexao) => {
+            await conexao.query(
+                `UPDATE notificacao n
+                    SET status = 'descartada'
+                   FROM paciente_contato pc
+                  WHERE pc.id_contato = n.id_contato AND pc.id_contato = $1 AND pc.id_paciente = $2 AND n.status = 'pendente'`,
+                [id_contato, id]
+            );
+
+            return conexao.query("DELETE FROM paciente_contato WHERE id_contato = $1 AND id_paciente = $2", [id_contato, id]);
+        });
+
+        if (remocao.rowCount === 0) {
+            return res.status(404).json({ msg: "Contato não cadastrado para este paciente." });
+        }
+
+        return res.status(200).json({ msg: "Contato removido com sucesso." });
+    } catch (error) {
+        console.error("Erro ao remover contato do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao remover contato do paciente." });
+    }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContatoEmergencia:
+ *       type: object
+ *       properties:
+ *         id_contato_emergencia:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         nome:
+ *           type: string
+ *           example: "Ana da Silva"
+ *         parentesco:
+ *           type: string
+ *           nullable: true
+ *           example: "cônjuge"
+ *         telefone:
+ *           type: string
+ *           description: Telefone com DDD (apenas dígitos, opcionalmente com +).
+ *           example: "11977776666"
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *           example: "Ligar após as 18h."
+ *         criado_em:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-11-01T08:00:00"
+ */
+
+/**
+ * @swagger
+ * /paciente/{id}/contatos-emergencia:
+ *   get:
+ *     summary: Lista os contatos de emergência do paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Contatos de emergência do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContatoEmergencia'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar contatos de emergência.
+ *   post:
+ *     summary: Cadastra um contato de emergência do paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - telefone
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Ana da Silva"
+ *               parentesco:
+ *                 type: string
+ *                 example: "cônjuge"
+ *               telefone:
+ *                 type: string
+ *                 example: "(11) 97777-6666"
+ *               observacoes:
+ *                 type: string
+ *                 example: "Ligar após as 18h."
+ *     responses:
+ *       201:
+ *         description: Contato de emergência cadastrado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   $ref: '#/components/schemas/ContatoEmergencia'
+ *       400:
+ *         description: Dados inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Telefone inválido. Informe o DDD e o número."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao cadastrar contato de emergência.
+ */
+
+// Valida e normaliza os dados de um contato de emergência. Retorna { erro } ou { contato }.
+function leContatoEmergencia({ nome, parentesco, telefone, observacoes }) {
+    if (!nome || typeof nome !== "string" || nome.trim() === "" || !telefone) {
+        return { erro: "Campos obrigatórios ausentes. Envie nome e telefone." };
+    }
+
+    const telefoneNormalizado = normalizaContato("telefone", telefone);
+    if (!telefoneNormalizado) {
+        return { erro: "Telefone inválido. Informe o DDD e o número." };
+    }
+
+    if ([parentesco, observacoes].some((campo) => campo !== undefined && campo !== null && typeof campo !== "string")) {
+        return { erro: "parentesco e observacoes devem ser textos." };
+    }
+
+    return {
+        contato: {
+            nome: nome.trim(),
+            parentesco: parentesco?.trim() || null,
+            telefone: telefoneNormalizado,
+            observacoes: observacoes?.trim() || null,
+        },
+    };
+}
+
+router.get("/:id/contatos-emergencia", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM PACIENTE WHERE id_paciente = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const contatos = await db.query(
+            "SELECT * FROM paciente_contato_emergencia WHERE id_paciente = $1 ORDER BY id_contato_emergencia",
+            [id]
+        );
+
+        return res.status(200).json({ msg: contatos.rows });
+    } catch (error) {
+        console.error("Erro ao buscar contatos de emergência do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar contatos de emergência do paciente." });
+    }
+});
+
+router.post("/:id/contatos-emergencia", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    const lido = leContatoEmergencia(req.body ?? {});
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    const { nome, parentesco, telefone, observacoes } = lido.contato;
+
+    try {
+        const busca = await db.query("SELECT 1 FROM PACIENTE WHERE id_paciente = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO paciente_contato_emergencia(id_paciente, nome, parentesco, telefone, observacoes)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+            [id, nome, parentesco, telefone, observacoes]
+        );
+
+        return res.status(201).json({ msg: insert.rows[0] });
+    } catch (error) {
+        console.error("Erro ao cadastrar contato de emergência do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao cadastrar contato de emergência do paciente." });
+    }
+});
+
+/**
+ * @swagger
+ * /paciente/{id}/contatos-emergencia/{id_contato_emergencia}:
+ *   put:
+ *     summary: Atualiza um contato de emergência do paciente.
+ *     description: O contato é substituído por completo; parentesco e observações não enviados ficam em branco.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_contato_emergencia
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nome
+ *               - telefone
+ *             properties:
+ *               nome:
+ *                 type: string
+ *                 example: "Ana da Silva"
+ *               parentesco:
+ *                 type: string
+ *                 example: "cônjuge"
+ *               telefone:
+ *                 type: string
+ *                 example: "(11) 97777-6666"
+ *               observacoes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contato de emergência atualizado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   $ref: '#/components/schemas/ContatoEmergencia'
+ *       400:
+ *         description: Dados inválidos.
+ *       404:
+ *         description: Contato de emergência não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao atualizar contato de emergência.
+ *   delete:
+ *     summary: Remove um contato de emergência do paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_contato_emergencia
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Contato de emergência removido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Contato de emergência removido com sucesso."
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Contato de emergência não encontrado para o paciente.
+ *       500:
+ *         description: Erro interno ao remover contato de emergência.
+ */
+
+router.put("/:id/contatos-emergencia/:id_contato_emergencia", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_contato_emergencia = Number(req.params.id_contato_emergencia);
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_contato_emergencia) || id_contato_emergencia <= 0) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_contato_emergencia válidos." });
+    }
+
+    const lido = leContatoEmergencia(req.body ?? {});
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    const { nome, parentesco, telefone, observacoes } = lido.contato;
+
+    try {
+        const update = await db.query(
+            `UPDATE paciente_contato_emergencia
+                SET nome = $1, parentesco = $2, telefone = $3, observacoes = $4
+              WHERE id_contato_emergencia = $5 AND id_paciente = $6
+              RETURNING *`,
+            [nome, parentesco, telefone, observacoes, id_contato_emergencia, id]
+        );
+
+        if (update.rowCount === 0) {
+            return res.status(404).json({ msg: "Contato de emergência não cadastrado para este paciente." });
+        }
+
+        return res.status(200).json({ msg: update.rows[0] });
+    } catch (error) {
+        console.error("Erro ao atualizar contato de emergência do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao atualizar contato de emergência do paciente." });
+    }
+});
+
+router.delete("/:id/contatos-emergencia/:id_contato_emergencia", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_contato_emergencia = Number(req.params.id_contato_emergencia);
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_contato_emergencia) || id_contato_emergencia <= 0) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_contato_emergencia válidos." });
+    }
+
+    try {
+        const remocao = await db.query(
+            "DELETE FROM paciente_contato_emergencia WHERE id_contato_emergencia = $1 AND id_paciente = $2",
+            [id_contato_emergencia, id]
+        );
+
+        if (remocao.rowCount === 0) {
+            return res.status(404).json({ msg: "Contato de emergência não cadastrado para este paciente." });
+        }
+
+        return res.status(200).json({ msg: "Contato de emergência removido com sucesso." });
+    } catch (error) {
+        console.error("Erro ao remover contato de emergência do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao remover contato de emergência do paciente." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/responsaveis:
+ *   get:
+ *     summary: Lista os responsáveis legais do paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *     responses:
+ *       200:
+ *         description: Responsáveis legais do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Responsavel'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar responsáveis.
+ *   post:
+ *     summary: Vincula um responsável legal ao paciente.
+ *     description: O responsável é outro paciente, maior de idade, ou uma pessoa sem cadastro identificada por nome e CPF.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NovoResponsavel'
+ *     responses:
+ *       201:
+ *         description: Responsável vinculado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   $ref: '#/components/schemas/Responsavel'
+ *       400:
+ *         description: Dados inválidos, responsável inexistente, menor de idade ou o próprio paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "O responsável legal precisa ser maior de idade."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       409:
+ *         description: Responsável já vinculado a este paciente.
+ *       500:
+ *         description: Erro interno ao vincular responsável.
+ */
+
+router.get("/:id/responsaveis", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const busca = await db.query("SELECT 1 FROM PACIENTE WHERE id_paciente = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const responsaveis = await db.query(`${SQL_RESPONSAVEIS} WHERE r.id_paciente = $1 ORDER BY r.id_responsavel`, [id]);
+
+        return res.status(200).json({ msg: responsaveis.rows });
+    } catch (error) {
+        console.error("Erro ao buscar responsáveis do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar responsáveis do paciente." });
+    }
+});
+
+router.post("/:id/responsaveis", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    const lido = leResponsavel(req.body);
+    if (lido.erro) {
+        return res.status(400).json({ msg: lido.erro });
+    }
+
+    try {
+        const responsavel = await db.transaction(async (conexao) => {
+            const busca = await conexao.query("SELECT id_paciente, cpf FROM PACIENTE WHERE id_paciente = $1 FOR NO KEY UPDATE", [id]);
+            if (busca.rowCount === 0) {
+                throw new ErroHttp(404, "Paciente não cadastrado no banco.");
+            }
+
+            return gravaResponsavel(conexao, busca.rows[0], lido.responsavel);
+        });
+
+        return res.status(201).json({ msg: responsavel });
+    } catch (error) {
+        const erro = error instanceof ErroHttp ? error : erroDeRestricao(error, MENSAGENS_RESTRICAO);
+        if (erro) {
+            return res.status(erro.status).json({ msg: erro.message });
+        }
+
+        console.error("Erro ao vincular responsável ao paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao vincular responsável ao paciente." });
+    }
+});
+
+/**
+ * @swagger
+ * /paciente/{id}/responsaveis/{id_responsavel}:
+ *   delete:
+ *     summary: Desvincula um responsável legal do paciente.
+ *     description: Um paciente menor de idade precisa manter ao menos um responsável; cadastre o novo antes de remover o último.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *       - in: path
+ *         name: id_responsavel
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Responsável desvinculado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Responsável removido com sucesso."
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Responsável não vinculado a este paciente.
+ *       409:
+ *         description: Último responsável de um paciente menor de idade.
+ *       500:
+ *         description: Erro interno ao remover responsável.
+ */
+
+router.delete("/:id/responsaveis/:id_responsavel", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_responsavel = Number(req.params.id_responsavel);
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_responsavel) || id_responsavel <= 0) {
+        return res.status(400).json({ msg: "Informe id_paciente e id_responsavel válidos." });
+    }
+
+    try {
+        await db.transaction(async (conexao) => {
+            // Bloqueia o paciente para que duas remoções simultâneas não deixem um menor sem responsável
+            const paciente = await conexao.query(`SELECT ${idadeSql()} AS idade FROM PACIENTE WHERE id_paciente = $1 FOR NO KEY UPDATE`, [id]);
+
+            const remocao = await conexao.query(
+                "DELETE FROM paciente_responsavel WHERE id_responsavel = $1 AND id_paciente = $2",
+                [id_responsavel, id]
+            );
+
+            if (remocao.rowCount === 0) {
+                throw new ErroHttp(404, "Responsável não vinculado a este paciente.");
+            }
+
+            const restantes = await conexao.query("SELECT 1 FROM paciente_responsavel WHERE id_paciente = $1", [id]);
+            if (restantes.rowCount === 0 && paciente.rows[0].idade < MAIORIDADE) {
+                throw new ErroHttp(409, "O paciente é menor de idade e precisa de ao menos um responsável legal. Cadastre o novo responsável antes de remover este.");
+            }
+        });
+
+        return res.status(200).json({ msg: "Responsável removido com sucesso." });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message });
+        }
+
+        console.error("Erro ao remover responsável do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao remover responsável do paciente." });
+    }
+});
+
+/**
+ * @swagger
+ * /paciente/{id}/dependentes:
+ *   get:
+ *     summary: Lista os pacientes dos quais o paciente é responsável legal.
+ *     description: Inclui os vínculos em que o responsável foi cadastrado apenas por nome e CPF, quando o CPF é o do paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Dependentes do paciente, em ordem alfabética.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Paciente'
+ *                       - type: object
+ *                         properties:
+ *                           id_responsavel:
+ *                             type: integer
+ *                             example: 1
+ *                           parentesco:
+ *                             type: string
+ *                             example: "mãe"
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar dependentes.
+ */
+
+router.get("/:id/dependentes", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    try {
+        const busca = await db.query("SELECT cpf FROM PACIENTE WHERE id_paciente = $1", [id]);
+        if (busca.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const dependentes = await db.query(
+            `SELECT d.*, ${idadeSql()} AS idade, r.id_responsavel, r.parentesco
+               FROM paciente_responsavel r
+               JOIN paciente d ON d.id_paciente = r.id_paciente
+              WHERE r.id_paciente_responsavel = $1 OR r.cpf = $2
+              ORDER BY d.nome, d.id_paciente`,
+            [id, busca.rows[0].cpf]
+        );
+
+        return res.status(200).json({ msg: dependentes.rows });
+    } catch (error) {
+        console.error("Erro ao buscar dependentes do paciente:", error);
+        return res.status(500).json({ msg: "Erro interno ao buscar dependentes do paciente." });
     }
 });
 
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,300 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+
+const TIPOS_EVENTO = ["consulta", "receita", "exame", "sinais_vitais", "anexo", "alergia"];
+
+// Campos aceitos em "ordenar" no prontuário (apenas a ordem cronológica, em qualquer direção).
+const ORDENACAO_PRONTUARIO = {
+    data: ["t.ocorrido_em", "t.tipo", "t.id_evento"],
+};
+
+// Eventos clínicos do paciente $1, um por linha: tipo, id_evento (ID no registro de origem),
+// ocorrido_em, id_consulta (NULL para eventos sem consulta, como alergias) e detalhes próprios de cada tipo.
+const EVENTOS_PACIENTE = `
+    SELECT 'consulta' AS tipo, c.id_consulta AS id_evento, c.data_consulta + c.hora_inicio AS ocorrido_em, c.id_consulta,
+           json_build_object(
+               'status', c.status,
+               'duracao_min', c.duracao_min,
+               'diagnostico', c.diagnostico,
+               'observacoes', c.observacoes,
+               'cids', COALESCE((
+                   SELECT json_agg(json_build_object('codigo', cc.codigo, 'descricao', cd.descricao, 'principal', cc.principal)
+                                   ORDER BY cc.principal DESC, cc.codigo)
+                     FROM consulta_cid cc
+                     JOIN cid10 cd ON cd.codigo = cc.codigo
+                    WHERE cc.id_consulta = c.id_consulta
+               ), '[]')
+           ) AS detalhes
+      FROM consulta c
+     WHERE c.id_paciente = $1
+    UNION ALL
+    SELECT 'receita', r.id_receita, COALESCE(r.assinada_em, r.criado_em), r.id_consulta,
+           json_build_object(
+               'status', r.status,
+               'observacoes', r.observacoes,
+               'itens', COALESCE((
+                   SELECT json_agg(json_build_object('medicamento', md.nome, 'concentracao', md.concentracao,
+                                                     'dose', i.dose, 'via', i.via, 'frequencia', i.frequencia,
+                                                     'duracao_dias', i.duracao_dias)
+                                   ORDER BY i.id_item)
+                     FROM receita_item i
+                     JOIN medicamento md ON md.id_medicamento = i.id_medicamento
+                    WHERE i.id_receita = r.id_receita
+               ), '[]')
+           )
+      FROM receita r
+      JOIN consulta c ON c.id_consulta = r.id_consulta
+     WHERE c.id_paciente = $1
+    UNION ALL
+    SELECT 'exame', e.id_exame, e.criado_em, e.id_consulta,
+           json_build_object(
+               'nome', e.nome,
+               'tipo', e.tipo,
+               'urgencia', e.urgencia,
+               'status', e.status,
+               'laudado_em', e.laudado_em,
+               'laudo', e.laudo,
+               'possui_anormal', EXISTS (SELECT 1 FROM exame_resultado er WHERE er.id_exame = e.id_exame AND er.anormal)
+           )
+      FROM exame e
+      JOIN consulta c ON c.id_consulta = e.id_consulta
+     WHERE c.id_paciente = $1
+    UNION ALL
+    SELECT 'sinais_vitais', a.id_afericao, a.medido_em, a.id_consulta,
+           json_build_object(
+               'responsavel', a.responsavel,
+               'pressao_sistolica', a.pressao_sistolica,
+               'pressao_diastolica', a.pressao_diastolica,
+               'frequencia_cardiaca', a.frequencia_cardiaca,
+               'temperatura', a.temperatura,
+               'saturacao_o2', a.saturacao_o2,
+               'peso', a.peso,
+               'altura', a.altura
+           )
+      FROM sinal_vital a
+      JOIN consulta c ON c.id_consulta = a.id_consulta
+     WHERE c.id_paciente = $1
+    UNION ALL
+    SELECT 'anexo', an.id_anexo, an.enviado_em, an.id_consulta,
+           json_build_object('nome_arquivo', an.nome_arquivo, 'tipo_mime', an.tipo_mime, 'descricao', an.descricao, 'enviado_por', an.enviado_por)
+      FROM anexo an
+     WHERE an.id_paciente = $1 AND an.removido_em IS NULL
+    UNION ALL
+    SELECT 'alergia', al.id_alergia, al.registrado_em, NULL,
+           json_build_object('substancia', al.substancia, 'gravidade', al.gravidade, 'reacao', al.reacao)
+      FROM paciente_alergia al
+     WHERE al.id_paciente = $1`;
+
+function isValidISODate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EventoProntuario:
+ *       type: object
+ *       properties:
+ *         tipo:
+ *           type: string
+ *           enum: [consulta, receita, exame, sinais_vitais, anexo, alergia]
+ *           example: "consulta"
+ *         id_evento:
+ *           type: integer
+ *           description: ID do registro de origem (id_consulta, id_receita, id_exame, id_afericao, id_anexo ou id_alergia, conforme o tipo).
+ *           example: 4
+ *         ocorrido_em:
+ *           type: string
+ *           description: Início da consulta, assinatura da receita (ou criação do rascunho), solicitação do exame, momento da aferição, envio do anexo ou registro da alergia.
+ *           example: "2025-08-01T08:00:00"
+ *         id_consulta:
+ *           type: integer
+ *           nullable: true
+ *           description: Consulta do evento. Nulo para alergias e anexos enviados diretamente ao paciente.
+ *           example: 4
+ *         id_medico:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         nome_medico:
+ *           type: string
+ *           nullable: true
+ *           example: "Dr. João Silva"
+ *         id_departamento:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         nome_departamento:
+ *           type: string
+ *           nullable: true
+ *           example: "Cardiologia"
+ *         detalhes:
+ *           type: object
+ *           description: Dados próprios do tipo. Consulta traz status, diagnóstico, observações e CIDs; receita, status e itens; exame, nome, status e laudo; sinais vitais, as medidas; anexo, nome, tipo e descrição do arquivo; alergia, substância, gravidade e reação.
+ *           example: { "status": "realizada", "duracao_min": 30, "diagnostico": "Hipertensão arterial", "observacoes": null, "cids": [{ "codigo": "I10", "descricao": "Hipertensão essencial (primária)", "principal": true }] }
+ */
+
+/**
+ * @swagger
+ * /paciente/{id}/prontuario:
+ *   get:
+ *     summary: Linha do tempo do prontuário do paciente.
+ *     description: Reúne em ordem cronológica as consultas (com médico, departamento, diagnósticos e observações), receitas, exames, aferições de sinais vitais, anexos e alergias registradas do paciente. Os filtros por médico e departamento consideram a consulta do evento, por isso excluem as alergias e os anexos enviados diretamente ao paciente.
+ *     tags: [Pacientes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: de
+ *         required: false
+ *         description: Data inicial (inclusive), YYYY-MM-DD.
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *       - in: query
+ *         name: ate
+ *         required: false
+ *         description: Data final (inclusive), YYYY-MM-DD.
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-12-31"
+ *       - in: query
+ *         name: id_medico
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: id_departamento
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: tipo
+ *         required: false
+ *         description: Tipos de evento separados por vírgula.
+ *         schema:
+ *           type: string
+ *           example: "consulta,exame"
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Eventos do prontuário.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EventoProntuario'
+ *                 total:
+ *                   type: integer
+ *                   description: Total de eventos que atendem aos filtros.
+ *                   example: 12
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: Filtro ou paginação inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Data inválida. Use o formato YYYY-MM-DD."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar o prontuário.
+ */
+
+router.get("/:id/prontuario", async (req, res) => {
+    const id = Number(req.params.id);
+    const { de, ate, id_medico, id_departamento } = req.query;
+    const tipos = req.query.tipo ? String(req.query.tipo).split(",") : null;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if ([id_medico, id_departamento].some((id) => id !== undefined && !(Number.isInteger(Number(id)) && Number(id) > 0))) {
+        return res.status(400).json({ msg: "IDs devem ser números inteiros positivos." });
+    }
+
+    if ((de && !isValidISODate(String(de))) || (ate && !isValidISODate(String(ate)))) {
+        return res.status(400).json({ msg: "Data inválida. Use o formato YYYY-MM-DD." });
+    }
+
+    if (tipos && tipos.some((t) => !TIPOS_EVENTO.includes(t))) {
+        return res.status(400).json({ msg: `tipo inválido. Valores aceitos: ${TIPOS_EVENTO.join(", ")}.` });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_PRONTUARIO, "data");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const eventos = `
+        SELECT ev.tipo, ev.id_evento, ev.ocorrido_em, ev.id_consulta,
+               c.id_medico, m.nome AS nome_medico, m.id_departamento, d.nome AS nome_departamento,
+               ev.detalhes
+          FROM (${EVENTOS_PACIENTE}) ev
+          LEFT JOIN consulta c ON c.id_consulta = ev.id_consulta
+          LEFT JOIN medico m ON m.id_medico = c.id_medico
+          LEFT JOIN departamento d ON d.id_departamento = m.id_departamento
+         WHERE ($2::date IS NULL OR ev.ocorrido_em >= $2::date)
+           AND ($3::date IS NULL OR ev.ocorrido_em < $3::date + 1)
+           AND ($4::int IS NULL OR c.id_medico = $4)
+           AND ($5::int IS NULL OR m.id_departamento = $5)
+           AND ($6::varchar[] IS NULL OR ev.tipo = ANY($6))`;
+    const params = [id, de ?? null, ate ?? null, id_medico ?? null, id_departamento ?? null, tipos];
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const total = await db.query(`SELECT COUNT(*)::int AS total FROM (${eventos}) t`, params);
+
+        const result = await db.query(
+            `SELECT * FROM (${eventos}) t ORDER BY ${paginacao.ordem} LIMIT $7 OFFSET $8`,
+            [...params, paginacao.limit, paginacao.offset]
+        );
+
+        return res.status(200).json({ data: result.rows, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        console.error("Erro ao buscar prontuário:", error);
+        return res.status(500).json({ msg: "Erro ao buscar prontuário." });
+    }
+});
+
+module.exports = router;
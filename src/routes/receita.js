@@ -0,0 +1,949 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { lePaginacao } = require("../paginacao");
+const { ErroHttp } = require("../erros");
+const { verificaAlergias, bloqueiaAlergiasGraves } = require("../services/alergia");
+
+// Vias de administração aceitas (mesma lista de ck_receita_item_via).
+const VIAS_ADMINISTRACAO = [
+    "oral", "sublingual", "topica", "transdermica", "inalatoria", "nasal",
+    "oftalmica", "otologica", "retal", "vaginal",
+    "intramuscular", "intravenosa", "subcutanea",
+];
+
+// Receitas só podem ser emitidas durante o atendimento ou depois dele.
+const STATUS_PERMITE_RECEITA = ["em_atendimento", "realizada"];
+
+const STATUS_RECEITA = ["rascunho", "assinada"];
+
+const MSG_RECEITA_ASSINADA = "A receita já foi assinada e não pode ser alterada.";
+
+// Campos aceitos em "ordenar" na listagem de receitas do paciente.
+const ORDENACAO_RECEITA = {
+    criado_em: ["r.criado_em", "r.id_receita"],
+    assinada_em: ["r.assinada_em", "r.id_receita"],
+    id_receita: ["r.id_receita"],
+};
+
+// Valida a lista de itens enviada e devolve os itens normalizados, ou { erro } com a mensagem.
+function leItens(itens) {
+    if (!Array.isArray(itens) || itens.length === 0) {
+        return { erro: "Informe ao menos um item em itens." };
+    }
+
+    const normalizados = [];
+
+    for (const [i, item] of itens.entries()) {
+        const { id_medicamento, dose, via, frequencia, duracao_dias, quantidade, orientacoes } = item ?? {};
+
+        if (!id_medicamento || !dose || !via || !frequencia || !quantidade) {
+            return { erro: `itens[${i}]: campos obrigatórios ausentes. Envie id_medicamento, dose, via, frequencia e quantidade.` };
+        }
+
+        if (!Number.isInteger(id_medicamento) || id_medicamento <= 0) {
+            return { erro: `itens[${i}]: id_medicamento deve ser um número inteiro positivo.` };
+        }
+
+        if (!VIAS_ADMINISTRACAO.includes(via)) {
+            return { erro: `itens[${i}]: via inválida. Use uma das vias: ${VIAS_ADMINISTRACAO.join(", ")}.` };
+        }
+
+        if (duracao_dias !== undefined && duracao_dias !== null && (!Number.isInteger(duracao_dias) || duracao_dias <= 0)) {
+            return { erro: `itens[${i}]: duracao_dias deve ser um número inteiro positivo (ou null para uso contínuo).` };
+        }
+
+        normalizados.push({
+            id_medicamento,
+            dose: String(dose),
+            via,
+            frequencia: String(frequencia),
+            duracao_dias: duracao_dias ?? null,
+            quantidade: String(quantidade),
+            orientacoes: orientacoes || null,
+        });
+    }
+
+    return { itens: normalizados };
+}
+
+// Garante que todos os medicamentos dos itens existem no catálogo e estão ativos.
+async function validaMedicamentos(conexao, itens) {
+    const ids = [...new Set(itens.map((item) => item.id_medicamento))];
+    const result = await conexao.query("SELECT id_medicamento, ativo FROM medicamento WHERE id_medicamento = ANY($1)", [ids]);
+    const catalogo = new Map(result.rows.map((r) => [r.id_medicamento, r.ativo]));
+
+    const inexistentes = ids.filter((id) => !catalogo.has(id));
+    if (inexistentes.length > 0) {
+        throw new ErroHttp(400, "Medicamento não encontrado no catálogo.", { inexistentes });
+    }
+
+    const inativos = ids.filter((id) => !catalogo.get(id));
+    if (inativos.length > 0) {
+        throw new ErroHttp(400, "Medicamento inativo no catálogo não pode ser prescrito.", { inativos });
+    }
+}
+
+async function gravaItens(conexao, id_receita, itens) {
+    await conexao.query("DELETE FROM receita_item WHERE id_receita = $1", [id_receita]);
+
+    for (const item of itens) {
+        await conexao.query(
+            `INSERT INTO receita_item(id_receita, id_medicamento, dose, via, frequencia, duracao_dias, quantidade, orientacoes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [id_receita, item.id_medicamento, item.dose, item.via, item.frequencia, item.duracao_dias, item.quantidade, item.orientacoes]
+        );
+    }
+}
+
+// Trava a consulta e confere se o médico informado é o da consulta e se o status permite prescrever.
+// Retorna o id_paciente da consulta.
+async function bloqueiaConsultaDoMedico(conexao, id_consulta, id_medico) {
+    const result = await conexao.query("SELECT id_paciente, id_medico, status FROM consulta WHERE id_consulta = $1 FOR NO KEY UPDATE", [id_consulta]);
+
+    if (result.rowCount === 0) {
+        throw new ErroHttp(404, "Consulta não cadastrada no banco");
+    }
+
+    const consulta = result.rows[0];
+
+    if (consulta.id_medico !== id_medico) {
+        throw new ErroHttp(403, "Apenas o médico da consulta pode emitir receitas para ela.");
+    }
+
+    if (!STATUS_PERMITE_RECEITA.includes(consulta.status)) {
+        throw new ErroHttp(409, "Receitas só podem ser emitidas com a consulta em atendimento ou realizada.");
+    }
+
+    return consulta.id_paciente;
+}
+
+// Confronta os itens e textos da receita com as alergias do paciente (ver verificaAlergias).
+async function verificaAlergiasReceita(conexao, id_paciente, observacoes, itens, confirmar_alergias) {
+    const textos = { observacoes };
+    itens.forEach((item, i) => { textos[`itens[${i}].orientacoes`] = item.orientacoes; });
+
+    const alertas = await verificaAlergias(conexao, id_paciente, {
+        medicamentos: itens.map((item, i) => ({ id_medicamento: item.id_medicamento, origem: `itens[${i}]` })),
+        textos,
+    });
+
+    bloqueiaAlergiasGraves(alertas, confirmar_alergias);
+
+    return alertas;
+}
+
+// Trava a receita da consulta para alteração; apenas rascunhos do próprio médico podem ser alterados.
+async function bloqueiaRascunho(conexao, id_consulta, id_receita, id_medico) {
+    const result = await conexao.query(
+        "SELECT id_medico, status FROM receita WHERE id_receita = $1 AND id_consulta = $2 FOR UPDATE",
+        [id_receita, id_consulta]
+    );
+
+    if (result.rowCount === 0) {
+        throw new ErroHttp(404, "Receita não encontrada para essa consulta.");
+    }
+
+    if (result.rows[0].id_medico !== id_medico) {
+        throw new ErroHttp(403, "Apenas o médico que emitiu a receita pode alterá-la.");
+    }
+
+    if (result.rows[0].status === "assinada") {
+        throw new ErroHttp(409, MSG_RECEITA_ASSINADA);
+    }
+}
+
+// Receitas com o nome do médico e os itens (com os dados do medicamento). "filtro" é o trecho do WHERE.
+async function buscaReceitas(conexao, filtro, params, sufixo = "ORDER BY r.criado_em, r.id_receita") {
+    const result = await conexao.query(
+        `SELECT r.*, m.nome AS nome_medico, c.id_paciente, c.data_consulta,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                               'id_item', i.id_item,
+                               'id_medicamento', i.id_medicamento,
+                               'medicamento', md.nome,
+                               'concentracao', md.concentracao,
+                               'forma_farmaceutica', md.forma_farmaceutica,
+                               'controlado', md.controlado,
+                               'dose', i.dose,
+                               'via', i.via,
+                               'frequencia', i.frequencia,
+                               'duracao_dias', i.duracao_dias,
+                               'quantidade', i.quantidade,
+                               'orientacoes', i.orientacoes
+                           ) ORDER BY i.id_item)
+                      FROM receita_item i
+                      JOIN medicamento md ON md.id_medicamento = i.id_medicamento
+                     WHERE i.id_receita = r.id_receita
+                ), '[]') AS itens
+           FROM receita r
+           JOIN consulta c ON c.id_consulta = r.id_consulta
+           JOIN medico m ON m.id_medico = r.id_medico
+          WHERE ${filtro}
+          ${sufixo}`,
+        params
+    );
+
+    return result.rows;
+}
+
+// Responde os erros das rotas de receita: ErroHttp, receita assinada alterada em paralelo (gatilho
+// tg_receita_imutavel) ou erro interno.
+function respondeErro(res, error, contexto) {
+    if (error instanceof ErroHttp) {
+        return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+    }
+
+    if (error.code === "55000") {
+        return res.status(409).json({ msg: MSG_RECEITA_ASSINADA });
+    }
+
+    console.error(`Erro ao ${contexto}:`, error);
+    return res.status(500).json({ msg: `Erro ao ${contexto}.` });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReceitaItem:
+ *       type: object
+ *       properties:
+ *         id_item:
+ *           type: integer
+ *           example: 1
+ *         id_medicamento:
+ *           type: integer
+ *           example: 1
+ *         medicamento:
+ *           type: string
+ *           example: "Losartana potássica"
+ *         concentracao:
+ *           type: string
+ *           nullable: true
+ *           example: "50 mg"
+ *         forma_farmaceutica:
+ *           type: string
+ *           example: "comprimido"
+ *         controlado:
+ *           type: boolean
+ *           example: false
+ *         dose:
+ *           type: string
+ *           example: "1 comprimido"
+ *         via:
+ *           type: string
+ *           enum: [oral, sublingual, topica, transdermica, inalatoria, nasal, oftalmica, otologica, retal, vaginal, intramuscular, intravenosa, subcutanea]
+ *           example: "oral"
+ *         frequencia:
+ *           type: string
+ *           example: "a cada 12 horas"
+ *         duracao_dias:
+ *           type: integer
+ *           nullable: true
+ *           description: Duração do tratamento em dias; null indica uso contínuo.
+ *           example: null
+ *         quantidade:
+ *           type: string
+ *           example: "60 comprimidos"
+ *         orientacoes:
+ *           type: string
+ *           nullable: true
+ *           example: "Tomar pela manhã e à noite."
+ *     ReceitaItemEntrada:
+ *       type: object
+ *       required:
+ *         - id_medicamento
+ *         - dose
+ *         - via
+ *         - frequencia
+ *         - quantidade
+ *       properties:
+ *         id_medicamento:
+ *           type: integer
+ *           example: 1
+ *         dose:
+ *           type: string
+ *           example: "1 comprimido"
+ *         via:
+ *           type: string
+ *           enum: [oral, sublingual, topica, transdermica, inalatoria, nasal, oftalmica, otologica, retal, vaginal, intramuscular, intravenosa, subcutanea]
+ *           example: "oral"
+ *         frequencia:
+ *           type: string
+ *           example: "a cada 12 horas"
+ *         duracao_dias:
+ *           type: integer
+ *           nullable: true
+ *           description: Omitir ou enviar null para uso contínuo.
+ *           example: null
+ *         quantidade:
+ *           type: string
+ *           example: "60 comprimidos"
+ *         orientacoes:
+ *           type: string
+ *           example: "Tomar pela manhã e à noite."
+ *     Receita:
+ *       type: object
+ *       properties:
+ *         id_receita:
+ *           type: integer
+ *           example: 1
+ *         id_consulta:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         data_consulta:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-03"
+ *         id_medico:
+ *           type: integer
+ *           example: 1
+ *         nome_medico:
+ *           type: string
+ *           example: "Dr. Carlos Mendes"
+ *         status:
+ *           type: string
+ *           enum: [rascunho, assinada]
+ *           description: Receitas assinadas não podem mais ser alteradas nem removidas.
+ *           example: "assinada"
+ *         observacoes:
+ *           type: string
+ *           nullable: true
+ *           example: "Retornar em 30 dias com exames."
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-03T08:25:00"
+ *         assinada_em:
+ *           type: string
+ *           nullable: true
+ *           example: "2025-11-03T08:27:00"
+ *         itens:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReceitaItem'
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/receitas:
+ *   get:
+ *     summary: Lista as receitas de uma consulta.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Receitas da consulta, da mais antiga para a mais recente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Receita'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       500:
+ *         description: Erro interno ao buscar receitas.
+ */
+
+router.get("/consulta/:id/receitas", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const consulta = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const receitas = await buscaReceitas(db, "r.id_consulta = $1", [id]);
+
+        return res.status(200).json({ data: receitas });
+    } catch (error) {
+        return respondeErro(res, error, "buscar receitas");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/receitas:
+ *   post:
+ *     summary: Emite uma receita para a consulta.
+ *     description: Apenas o médico da consulta pode emitir receitas, e somente com a consulta em atendimento ou realizada. A receita é criada como rascunho, que pode ser alterado até a assinatura; com `assinar` igual a true ela já é criada assinada. Os medicamentos e textos são confrontados com as alergias do paciente; conflitos com alergias graves bloqueiam a receita até serem confirmados com `confirmar_alergias`, e os demais voltam em `alertas`.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_medico
+ *               - itens
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 description: Médico que emite a receita; deve ser o médico da consulta.
+ *                 example: 1
+ *               observacoes:
+ *                 type: string
+ *                 example: "Retornar em 30 dias com exames."
+ *               assinar:
+ *                 type: boolean
+ *                 default: false
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 description: Confirma a prescrição mesmo com conflito com alergia grave do paciente.
+ *                 default: false
+ *               itens:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ReceitaItemEntrada'
+ *     responses:
+ *       201:
+ *         description: Receita emitida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Receita'
+ *                 alertas:
+ *                   type: array
+ *                   description: Conflitos com alergias leves ou moderadas do paciente (ou graves confirmadas).
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: Dados inválidos ou medicamento inexistente/inativo no catálogo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Medicamento não encontrado no catálogo."
+ *                 inexistentes:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [99]
+ *       403:
+ *         description: O médico informado não é o médico da consulta.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Apenas o médico da consulta pode emitir receitas para ela."
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Status da consulta não permite emitir receitas, ou há conflito com alergia grave do paciente não confirmado com `confirmar_alergias`.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Conflito com alergia grave registrada para o paciente. Envie confirmar_alergias: true para prosseguir mesmo assim."
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       500:
+ *         description: Erro interno ao emitir receita.
+ */
+
+router.post("/consulta/:id/receitas", async (req, res) => {
+    const id = Number(req.params.id);
+    const { id_medico, observacoes, assinar, itens, confirmar_alergias } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!Number.isInteger(id_medico) || id_medico <= 0) {
+        return res.status(400).json({ msg: "Informe o id_medico que emite a receita." });
+    }
+
+    if (assinar !== undefined && typeof assinar !== "boolean") {
+        return res.status(400).json({ msg: "assinar deve ser true ou false." });
+    }
+
+    const lidos = leItens(itens);
+    if (lidos.erro) {
+        return res.status(400).json({ msg: lidos.erro });
+    }
+
+    try {
+        const { receita, alertas } = await db.transaction(async (conexao) => {
+            const id_paciente = await bloqueiaConsultaDoMedico(conexao, id, id_medico);
+            await validaMedicamentos(conexao, lidos.itens);
+            const alertas = await verificaAlergiasReceita(conexao, id_paciente, observacoes, lidos.itens, confirmar_alergias);
+
+            const insert = await conexao.query(
+                "INSERT INTO receita(id_consulta, id_medico, observacoes) VALUES ($1, $2, $3) RETURNING id_receita",
+                [id, id_medico, observacoes || null]
+            );
+            const id_receita = insert.rows[0].id_receita;
+
+            await gravaItens(conexao, id_receita, lidos.itens);
+
+            // Assina depois de gravar os itens: o gatilho impede incluir itens em receita assinada
+            if (assinar) {
+                await conexao.query(
+                    "UPDATE receita SET status = 'assinada', assinada_em = LOCALTIMESTAMP WHERE id_receita = $1",
+                    [id_receita]
+                );
+            }
+
+            const [criada] = await buscaReceitas(conexao, "r.id_receita = $1", [id_receita]);
+            return { receita: criada, alertas };
+        });
+
+        return res.status(201).json({ data: receita, alertas });
+    } catch (error) {
+        return respondeErro(res, error, "emitir receita");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/receitas/{id_receita}:
+ *   put:
+ *     summary: Altera um rascunho de receita.
+ *     description: Substitui as observações e os itens da receita. Apenas rascunhos podem ser alterados, e somente pelo médico que os emitiu.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_receita
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_medico
+ *               - itens
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 example: 1
+ *               observacoes:
+ *                 type: string
+ *                 example: "Retornar em 30 dias com exames."
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 description: Confirma a prescrição mesmo com conflito com alergia grave do paciente.
+ *                 default: false
+ *               itens:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ReceitaItemEntrada'
+ *     responses:
+ *       200:
+ *         description: Receita alterada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Receita'
+ *                 alertas:
+ *                   type: array
+ *                   description: Conflitos com alergias leves ou moderadas do paciente (ou graves confirmadas).
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: Dados inválidos ou medicamento inexistente/inativo no catálogo.
+ *       403:
+ *         description: O médico informado não emitiu a receita.
+ *       404:
+ *         description: Receita não encontrada para a consulta.
+ *       409:
+ *         description: A receita já foi assinada, o status da consulta não permite alterá-la ou há conflito com alergia grave não confirmado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "A receita já foi assinada e não pode ser alterada."
+ *       500:
+ *         description: Erro interno ao alterar receita.
+ */
+
+router.put("/consulta/:id/receitas/:id_receita", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_receita = Number(req.params.id_receita);
+    const { id_medico, observacoes, itens, confirmar_alergias } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_receita) || id_receita <= 0) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!Number.isInteger(id_medico) || id_medico <= 0) {
+        return res.status(400).json({ msg: "Informe o id_medico que emitiu a receita." });
+    }
+
+    const lidos = leItens(itens);
+    if (lidos.erro) {
+        return res.status(400).json({ msg: lidos.erro });
+    }
+
+    try {
+        const { receita, alertas } = await db.transaction(async (conexao) => {
+            const id_paciente = await bloqueiaConsultaDoMedico(conexao, id, id_medico);
+            await bloqueiaRascunho(conexao, id, id_receita, id_medico);
+            await validaMedicamentos(conexao, lidos.itens);
+            const alertas = await verificaAlergiasReceita(conexao, id_paciente, observacoes, lidos.itens, confirmar_alergias);
+
+            await conexao.query("UPDATE receita SET observacoes = $1 WHERE id_receita = $2", [observacoes || null, id_receita]);
+            await gravaItens(conexao, id_receita, lidos.itens);
+
+            const [alterada] = await buscaReceitas(conexao, "r.id_receita = $1", [id_receita]);
+            return { receita: alterada, alertas };
+        });
+
+        return res.status(200).json({ data: receita, alertas });
+    } catch (error) {
+        return respondeErro(res, error, "alterar receita");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/receitas/{id_receita}/assinar:
+ *   post:
+ *     summary: Assina um rascunho de receita.
+ *     description: Depois de assinada, a receita e os seus itens não podem mais ser alterados nem removidos.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_receita
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_medico
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 example: 1
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 description: Confirma a prescrição mesmo com conflito com alergia grave do paciente.
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Receita assinada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Receita'
+ *                 alertas:
+ *                   type: array
+ *                   description: Conflitos com alergias leves ou moderadas do paciente (ou graves confirmadas).
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: id_medico ausente ou inválido.
+ *       403:
+ *         description: O médico informado não emitiu a receita.
+ *       404:
+ *         description: Receita não encontrada para a consulta.
+ *       409:
+ *         description: A receita já foi assinada, o status da consulta não permite assiná-la ou há conflito com alergia grave não confirmado (as alergias são verificadas de novo na assinatura).
+ *       500:
+ *         description: Erro interno ao assinar receita.
+ */
+
+router.post("/consulta/:id/receitas/:id_receita/assinar", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_receita = Number(req.params.id_receita);
+    const { id_medico, confirmar_alergias } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_receita) || id_receita <= 0) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!Number.isInteger(id_medico) || id_medico <= 0) {
+        return res.status(400).json({ msg: "Informe o id_medico que emitiu a receita." });
+    }
+
+    try {
+        const { receita, alertas } = await db.transaction(async (conexao) => {
+            const id_paciente = await bloqueiaConsultaDoMedico(conexao, id, id_medico);
+            await bloqueiaRascunho(conexao, id, id_receita, id_medico);
+
+            // Verifica de novo: alergias podem ter sido registradas depois do rascunho
+            const [rascunho] = await buscaReceitas(conexao, "r.id_receita = $1", [id_receita]);
+            const alertas = await verificaAlergiasReceita(conexao, id_paciente, rascunho.observacoes, rascunho.itens, confirmar_alergias);
+
+            await conexao.query(
+                "UPDATE receita SET status = 'assinada', assinada_em = LOCALTIMESTAMP WHERE id_receita = $1",
+                [id_receita]
+            );
+
+            const [assinada] = await buscaReceitas(conexao, "r.id_receita = $1", [id_receita]);
+            return { receita: assinada, alertas };
+        });
+
+        return res.status(200).json({ data: receita, alertas });
+    } catch (error) {
+        return respondeErro(res, error, "assinar receita");
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/receitas/{id_receita}:
+ *   delete:
+ *     summary: Descarta um rascunho de receita.
+ *     description: Receitas assinadas não podem ser removidas.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_receita
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_medico
+ *             properties:
+ *               id_medico:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Rascunho descartado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Receita'
+ *       400:
+ *         description: id_medico ausente ou inválido.
+ *       403:
+ *         description: O médico informado não emitiu a receita.
+ *       404:
+ *         description: Receita não encontrada para a consulta.
+ *       409:
+ *         description: A receita já foi assinada.
+ *       500:
+ *         description: Erro interno ao descartar receita.
+ */
+
+router.delete("/consulta/:id/receitas/:id_receita", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_receita = Number(req.params.id_receita);
+    const { id_medico } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_receita) || id_receita <= 0) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!Number.isInteger(id_medico) || id_medico <= 0) {
+        return res.status(400).json({ msg: "Informe o id_medico que emitiu a receita." });
+    }
+
+    try {
+        const receita = await db.transaction(async (conexao) => {
+            await bloqueiaRascunho(conexao, id, id_receita, id_medico);
+
+            const [descartada] = await buscaReceitas(conexao, "r.id_receita = $1", [id_receita]);
+            await conexao.query("DELETE FROM receita WHERE id_receita = $1", [id_receita]);
+
+            return descartada;
+        });
+
+        return res.status(200).json({ data: receita });
+    } catch (error) {
+        return respondeErro(res, error, "descartar receita");
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/receitas:
+ *   get:
+ *     summary: Lista as receitas de um paciente.
+ *     description: Reúne as receitas de todas as consultas do paciente, com os itens prescritos.
+ *     tags: [Receitas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: status
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [rascunho, assinada]
+ *       - in: query
+ *         name: ordenar
+ *         required: false
+ *         description: Campo de ordenação (padrão criado_em).
+ *         schema:
+ *           type: string
+ *           enum: [criado_em, assinada_em, id_receita]
+ *       - $ref: '#/components/parameters/Direcao'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Offset'
+ *     responses:
+ *       200:
+ *         description: Receitas do paciente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Receita'
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 50
+ *                 offset:
+ *                   type: integer
+ *                   example: 0
+ *       400:
+ *         description: ID ou filtro inválido.
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar receitas.
+ */
+
+router.get("/paciente/:id/receitas", async (req, res) => {
+    const id = Number(req.params.id);
+    const { status } = req.query;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (status && !STATUS_RECEITA.includes(status)) {
+        return res.status(400).json({ msg: "status inválido." });
+    }
+
+    const paginacao = lePaginacao(req.query, ORDENACAO_RECEITA, "criado_em");
+    if (paginacao.erro) {
+        return res.status(400).json({ msg: paginacao.erro });
+    }
+
+    const filtro = "c.id_paciente = $1 AND ($2::varchar IS NULL OR r.status = $2)";
+    const params = [id, status ?? null];
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const total = await db.query(
+            `SELECT COUNT(*)::int AS total FROM receita r JOIN consulta c ON c.id_consulta = r.id_consulta WHERE ${filtro}`,
+            params
+        );
+
+        const receitas = await buscaReceitas(
+            db,
+            filtro,
+            [...params, paginacao.limit, paginacao.offset],
+            `ORDER BY ${paginacao.ordem} LIMIT $3 OFFSET $4`
+        );
+
+        return res.status(200).json({ data: receitas, total: total.rows[0].total, limit: paginacao.limit, offset: paginacao.offset });
+    } catch (error) {
+        return respondeErro(res, error, "buscar receitas");
+    }
+});
+
+module.exports = router;
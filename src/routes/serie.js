@@ -0,0 +1,942 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+const { ErroHttp } = require("../erros");
+const { ofertaVagaDaConsulta, buscaReservasAtivas } = require("../services/listaEspera");
+const { enfileiraNotificacoes } = require("../services/notificacao");
+const { identificaAlteracaoNota } = require("../services/nota");
+const { exigeResponsavel } = require("../services/responsavel");
+const { MSG_CONFLITO_PACIENTE, buscaConflitosPaciente } = require("../services/agenda");
+const { validaPlanoConsulta } = require("../services/convenio");
+const { verificaAlergias, bloqueiaAlergiasGraves } = require("../services/alergia");
+
+function isValidISODate(dateStr) {
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+function isValidHora(horaStr) {
+    if (!/^\d{2}:\d{2}$/.test(horaStr)) return false;
+
+    const [h, m] = horaStr.split(":").map(Number);
+
+    return h < 24 && m < 60;
+}
+
+// Quantidade máxima de ocorrências geradas por uma série.
+const MAX_OCORRENCIAS = 52;
+
+const INTERVALO_DIAS = { semanal: 7, quinzenal: 14 };
+
+const FREQUENCIAS = ["semanal", "quinzenal", "mensal"];
+
+const MOTIVO_RESERVA = "Horário reservado para um paciente da lista de espera.";
+
+const MOTIVOS_CONFLITO = {
+    "23P01": "O médico já possui consulta nesse horário.",
+    "23505": "O paciente já possui consulta com esse médico nessa data.",
+};
+
+// Gera as datas (YYYY-MM-DD) das ocorrências a partir da regra de recorrência. Na frequência mensal,
+// meses sem o dia de início (ex.: 31) usam o último dia do mês. Gera no máximo MAX_OCORRENCIAS + 1
+// datas, para que quem chama consiga detectar séries acima do limite.
+function geraDatasSerie(dataInicio, frequencia, dataFim, quantidade) {
+    const [y, m, d] = dataInicio.split("-").map(Number);
+    const limite = Math.min(quantidade ?? Infinity, MAX_OCORRENCIAS + 1);
+    const datas = [];
+
+    for (let n = 0; datas.length < limite; n++) {
+        let data;
+
+        if (frequencia === "mensal") {
+            const ultimoDia = new Date(Date.UTC(y, m + n, 0)).getUTCDate();
+            data = new Date(Date.UTC(y, m - 1 + n, Math.min(d, ultimoDia)));
+        } else {
+            data = new Date(Date.UTC(y, m - 1, d + n * INTERVALO_DIAS[frequencia]));
+        }
+
+        const iso = data.toISOString().slice(0, 10);
+
+        if (dataFim && iso > dataFim) break;
+
+        datas.push(iso);
+    }
+
+    return datas;
+}
+
+// Executa a operação dentro de um SAVEPOINT para que um conflito de agenda descarte apenas a
+// ocorrência, e não a transação inteira. Retorna o resultado da operação ou o motivo do conflito.
+async function executaOcorrencia(conexao, operar) {
+    await conexao.query("SAVEPOINT ocorrencia");
+
+    try {
+        const result = await operar();
+        await conexao.query("RELEASE SAVEPOINT ocorrencia");
+        return { result };
+    } catch (error) {
+        const conflito = MOTIVOS_CONFLITO[error.code];
+        if (!conflito) throw error;
+
+        await conexao.query("ROLLBACK TO SAVEPOINT ocorrencia");
+        return { conflito };
+    }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConsultaSerie:
+ *       type: object
+ *       properties:
+ *         id_serie:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 3
+ *         id_medico:
+ *           type: integer
+ *           example: 3
+ *         frequencia:
+ *           type: string
+ *           enum: [semanal, quinzenal, mensal]
+ *           example: "semanal"
+ *         data_inicio:
+ *           type: string
+ *           example: "2025-11-12"
+ *         hora_inicio:
+ *           type: string
+ *           example: "14:00:00"
+ *         duracao_min:
+ *           type: integer
+ *           example: 40
+ *         data_fim:
+ *           type: string
+ *           nullable: true
+ *           example: "2026-02-25"
+ *         quantidade:
+ *           type: integer
+ *           nullable: true
+ *           example: null
+ *         observacoes:
+ *           type: string
+ *           example: "Fisioterapia pós-operatória do joelho."
+ *         criado_em:
+ *           type: string
+ *           example: "2025-11-05T14:45:00.000Z"
+ *     ConflitoOcorrencia:
+ *       type: object
+ *       properties:
+ *         data_consulta:
+ *           type: string
+ *           example: "2025-11-26"
+ *         hora_inicio:
+ *           type: string
+ *           example: "14:00"
+ *         motivo:
+ *           type: string
+ *           example: "O médico já possui consulta nesse horário."
+ */
+
+/**
+ * @swagger
+ * /consulta/serie:
+ *   post:
+ *     summary: Cria uma série de consultas recorrentes.
+ *     description: Gera as ocorrências a partir da regra de recorrência (semanal, quinzenal ou mensal, até `data_fim` e/ou até `quantidade` ocorrências, no máximo 52) e agenda todas em uma única transação. Se alguma ocorrência conflitar com a agenda do médico, com um horário reservado para a lista de espera, com outra consulta do paciente com o mesmo médico no dia ou com outra consulta do paciente em horário sobreposto (a menos que `permitir_sobreposicao` seja verdadeiro), nada é criado e os conflitos são listados, a menos que `ignorar_conflitos` seja verdadeiro, caso em que apenas as ocorrências livres são agendadas. As observações são confrontadas com as alergias do paciente, como no cadastro de uma consulta. Menção a substância com alergia grave bloqueia a série até ser confirmada com `confirmar_alergias`, e os demais conflitos voltam em `alertas`.
+ *     tags: [Consultas]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id_paciente
+ *               - id_medico
+ *               - frequencia
+ *               - data_inicio
+ *               - hora_inicio
+ *               - duracao_min
+ *             properties:
+ *               id_paciente:
+ *                 type: integer
+ *                 example: 3
+ *               id_medico:
+ *                 type: integer
+ *                 example: 3
+ *               frequencia:
+ *                 type: string
+ *                 enum: [semanal, quinzenal, mensal]
+ *                 example: "semanal"
+ *               data_inicio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-12"
+ *               hora_inicio:
+ *                 type: string
+ *                 example: "14:00"
+ *               duracao_min:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 40
+ *               data_fim:
+ *                 type: string
+ *                 format: date
+ *                 description: Última data possível da série. Obrigatória se `quantidade` não for informada.
+ *                 example: "2026-02-25"
+ *               quantidade:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 52
+ *                 description: Número de ocorrências. Obrigatória se `data_fim` não for informada.
+ *                 example: 10
+ *               observacoes:
+ *                 type: string
+ *                 example: "Fisioterapia pós-operatória do joelho."
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Confirma o registro mesmo com conflito com alergia grave do paciente.
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Agenda as ocorrências mesmo que o paciente tenha outra consulta em horário sobreposto.
+ *                 example: false
+ *               ignorar_conflitos:
+ *                 type: boolean
+ *                 default: false
+ *                 example: false
+ *     responses:
+ *       201:
+ *         description: Série criada. `conflitos` lista as ocorrências ignoradas quando `ignorar_conflitos` é verdadeiro.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     serie:
+ *                       $ref: '#/components/schemas/ConsultaSerie'
+ *                     consultas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Consulta'
+ *                     conflitos:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConflitoOcorrencia'
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: Parâmetros inválidos ou paciente/médico inexistente.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *             examples:
+ *               frequencia_invalida:
+ *                 value:
+ *                   msg: "frequencia deve ser semanal, quinzenal ou mensal."
+ *               sem_termino:
+ *                 value:
+ *                   msg: "Informe data_fim e/ou quantidade para definir o término da série."
+ *               limite:
+ *                 value:
+ *                   msg: "A série não pode ter mais de 52 ocorrências."
+ *       409:
+ *         description: Ocorrências em conflito com a agenda, paciente menor de idade na data de início sem responsável legal cadastrado, ou observações em conflito com alergia grave não confirmada (detalhes em `alertas`). Nenhuma consulta foi criada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Algumas ocorrências da série conflitam com a agenda. Nenhuma consulta foi criada."
+ *                 conflitos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConflitoOcorrencia'
+ *       500:
+ *         description: Erro interno ao criar a série.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao criar série de consultas."
+ */
+
+router.post("/", async (req, res) => {
+    const { id_paciente, id_medico, frequencia, data_inicio, hora_inicio, duracao_min, data_fim, quantidade, observacoes, permitir_sobreposicao, ignorar_conflitos, confirmar_alergias } = req.body ?? {};
+
+    if (!id_paciente || !id_medico || !frequencia || !data_inicio || !hora_inicio || !duracao_min) {
+        return res.status(400).json({ msg: "Campos obrigatórios ausentes. Envie id_paciente, id_medico, frequencia, data_inicio, hora_inicio e duracao_min." });
+    }
+
+    if (isNaN(Number(id_paciente)) || isNaN(Number(id_medico))) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    if (!FREQUENCIAS.includes(frequencia)) {
+        return res.status(400).json({ msg: "frequencia deve ser semanal, quinzenal ou mensal." });
+    }
+
+    if (!isValidISODate(String(data_inicio))) {
+        return res.status(400).json({ msg: "data_inicio inválida. Use YYYY-MM-DD." });
+    }
+
+    if (!isValidHora(String(hora_inicio))) {
+        return res.status(400).json({ msg: "Horário inválido. Use HH:MM." });
+    }
+
+    if (!Number.isInteger(Number(duracao_min)) || Number(duracao_min) <= 0) {
+        return res.status(400).json({ msg: "duracao_min deve ser um número inteiro positivo." });
+    }
+
+    if (!data_fim && !quantidade) {
+        return res.status(400).json({ msg: "Informe data_fim e/ou quantidade para definir o término da série." });
+    }
+
+    if (data_fim && (!isValidISODate(String(data_fim)) || data_fim < data_inicio)) {
+        return res.status(400).json({ msg: "data_fim inválida. Use YYYY-MM-DD, igual ou posterior a data_inicio." });
+    }
+
+    if (quantidade && (!Number.isInteger(Number(quantidade)) || Number(quantidade) <= 0)) {
+        return res.status(400).json({ msg: "quantidade deve ser um número inteiro positivo." });
+    }
+
+    const datas = geraDatasSerie(data_inicio, frequencia, data_fim ?? null, quantidade ? Number(quantidade) : null);
+
+    if (datas.length > MAX_OCORRENCIAS) {
+        return res.status(400).json({ msg: `A série não pode ter mais de ${MAX_OCORRENCIAS} ocorrências.` });
+    }
+
+    try {
+        const { resultado, alertas } = await db.transaction(async (conexao) => {
+            const paciente = await conexao.query("SELECT 1 FROM paciente WHERE id_paciente = $1 FOR NO KEY UPDATE", [id_paciente]);
+            if (paciente.rowCount === 0) {
+                throw new ErroHttp(400, "id_paciente informado não existe.");
+            }
+
+            await exigeResponsavel(conexao, id_paciente, data_inicio);
+
+            const medico = await conexao.query("SELECT 1 FROM medico WHERE id_medico = $1", [id_medico]);
+            if (medico.rowCount === 0) {
+                throw new ErroHttp(400, "id_medico informado não existe.");
+            }
+
+            // As observações são as mesmas em todas as ocorrências, então a conferência é feita uma vez só
+            const alertas = await verificaAlergias(conexao, id_paciente, { textos: { observacoes } });
+            bloqueiaAlergiasGraves(alertas, confirmar_alergias);
+
+            const serie = await conexao.query(
+                `INSERT INTO consulta_serie(id_paciente, id_medico, frequencia, data_inicio, hora_inicio, duracao_min, data_fim, quantidade, observacoes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                 RETURNING *`,
+                [id_paciente, id_medico, frequencia, data_inicio, hora_inicio, Number(duracao_min), data_fim ?? null, quantidade ? Number(quantidade) : null, observacoes ?? null]
+            );
+
+            const id_serie = serie.rows[0].id_serie;
+            const consultas = [];
+            const conflitos = [];
+
+            for (const data_consulta of datas) {
+                if (permitir_sobreposicao !== true) {
+                    const conflitosPaciente = await buscaConflitosPaciente(conexao, id_paciente, data_consulta, hora_inicio, Number(duracao_min));
+                    if (conflitosPaciente.length > 0) {
+                        conflitos.push({ data_consulta, hora_inicio, motivo: MSG_CONFLITO_PACIENTE });
+                        continue;
+                    }
+                }
+
+                const reservas = await buscaReservasAtivas(conexao, id_medico, data_consulta, hora_inicio, Number(duracao_min));
+                if (reservas.length > 0) {
+                    conflitos.push({ data_consulta, hora_inicio, motivo: MOTIVO_RESERVA });
+                    continue;
+                }
+
+                const { result, conflito } = await executaOcorrencia(conexao, () => conexao.query(
+                    `INSERT INTO consulta(id_paciente, id_medico, data_consulta, hora_inicio, duracao_min, observacoes, id_serie)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7)
+                     RETURNING *`,
+                    [id_paciente, id_medico, data_consulta, hora_inicio, Number(duracao_min), observacoes ?? null, id_serie]
+                ));
+
+                if (conflito) {
+                    conflitos.push({ data_consulta, hora_inicio, motivo: conflito });
+                } else {
+                    await enfileiraNotificacoes(conexao, result.rows[0].id_consulta, "agendada");
+                    consultas.push(result.rows[0]);
+                }
+            }
+
+            if (conflitos.length > 0 && ignorar_conflitos !== true) {
+                throw new ErroHttp(409, "Algumas ocorrências da série conflitam com a agenda. Nenhuma consulta foi criada.", { conflitos });
+            }
+
+            if (consultas.length === 0) {
+                throw new ErroHttp(409, "Nenhuma ocorrência da série pôde ser agendada.", { conflitos });
+            }
+
+            return { resultado: { serie: serie.rows[0], consultas, conflitos }, alertas };
+        });
+
+        return res.status(201).json({ data: resultado, alertas });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao criar série de consultas:", error);
+        return res.status(500).json({ msg: "Erro ao criar série de consultas." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/serie/{id}:
+ *   get:
+ *     summary: Retorna uma série e suas ocorrências.
+ *     description: Busca a regra de recorrência da série e todas as consultas geradas por ela, em ordem cronológica.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da série.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Série encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     serie:
+ *                       $ref: '#/components/schemas/ConsultaSerie'
+ *                     consultas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Consulta'
+ *       400:
+ *         description: ID inválido.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe um id_serie válido."
+ *       404:
+ *         description: Série não encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Série não cadastrada no banco."
+ *       500:
+ *         description: Erro interno ao buscar a série.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao buscar série de consultas."
+ */
+
+router.get("/:id", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_serie válido." });
+    }
+
+    try {
+        const serie = await db.query("SELECT * FROM consulta_serie WHERE id_serie = $1", [id]);
+        if (serie.rowCount === 0) {
+            return res.status(404).json({ msg: "Série não cadastrada no banco." });
+        }
+
+        const consultas = await db.query("SELECT * FROM consulta WHERE id_serie = $1 ORDER BY data_consulta, hora_inicio", [id]);
+
+        return res.status(200).json({ data: { serie: serie.rows[0], consultas: consultas.rows } });
+    } catch (error) {
+        console.error("Erro ao buscar série de consultas:", error);
+        return res.status(500).json({ msg: "Erro ao buscar série de consultas." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/serie/{id}:
+ *   put:
+ *     summary: Altera esta e as próximas ocorrências de uma série.
+ *     description: Aplica o novo horário, duração, médico e/ou observações a todas as ocorrências agendadas ou confirmadas da série a partir de `a_partir_de` (inclusive), e atualiza a regra da série. Campos não enviados são mantidos. Se alguma ocorrência passar a conflitar com a agenda do médico, com um horário reservado para a lista de espera ou, ao mudar o horário ou a duração, com outra consulta do paciente (a menos que `permitir_sobreposicao` seja verdadeiro), ou se o novo médico não aceitar o plano de uma ocorrência paga pelo convênio, nada é alterado, a menos que `ignorar_conflitos` seja verdadeiro, caso em que as ocorrências em conflito permanecem como estavam. Novas observações são confrontadas com as alergias do paciente da mesma forma que no cadastro da série.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da série.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - a_partir_de
+ *             properties:
+ *               a_partir_de:
+ *                 type: string
+ *                 format: date
+ *                 description: Data da primeira ocorrência afetada.
+ *                 example: "2025-12-03"
+ *               hora_inicio:
+ *                 type: string
+ *                 example: "15:00"
+ *               duracao_min:
+ *                 type: integer
+ *                 example: 30
+ *               id_medico:
+ *                 type: integer
+ *                 example: 3
+ *               observacoes:
+ *                 type: string
+ *                 description: Nova versão das observações de cada ocorrência. Exige `responsavel` e `motivo`.
+ *                 example: "Sessões reduzidas após evolução."
+ *               responsavel:
+ *                 type: string
+ *                 description: Autor da nova versão das observações. Obrigatório com `observacoes`.
+ *                 example: "Dra. Carla Mendes"
+ *               motivo:
+ *                 type: string
+ *                 description: Motivo da alteração das observações. Obrigatório com `observacoes`.
+ *                 example: "Redução da frequência das sessões."
+ *               confirmar_alergias:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Confirma as novas observações mesmo com conflito com alergia grave do paciente.
+ *               permitir_sobreposicao:
+ *                 type: boolean
+ *                 default: false
+ *               ignorar_conflitos:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Ocorrências alteradas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     serie:
+ *                       $ref: '#/components/schemas/ConsultaSerie'
+ *                     consultas:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Consulta'
+ *                     conflitos:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConflitoOcorrencia'
+ *                 alertas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AlertaAlergia'
+ *       400:
+ *         description: Parâmetros inválidos ou observações sem responsável e motivo.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe a_partir_de no formato YYYY-MM-DD."
+ *       404:
+ *         description: Série não encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Série não cadastrada no banco."
+ *       409:
+ *         description: Ocorrências em conflito com a agenda ou com o plano do convênio, ou novas observações em conflito com alergia grave não confirmada (detalhes em `alertas`). Nada foi alterado.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Algumas ocorrências conflitam com a agenda. Nenhuma consulta foi alterada."
+ *                 conflitos:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConflitoOcorrencia'
+ *       500:
+ *         description: Erro interno ao alterar a série.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao alterar série de consultas."
+ */
+
+router.put("/:id", async (req, res) => {
+    const id = Number(req.params.id);
+    const { a_partir_de, hora_inicio, duracao_min, id_medico, observacoes, responsavel, motivo, permitir_sobreposicao, ignorar_conflitos, confirmar_alergias } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_serie válido." });
+    }
+
+    if (!a_partir_de || !isValidISODate(String(a_partir_de))) {
+        return res.status(400).json({ msg: "Informe a_partir_de no formato YYYY-MM-DD." });
+    }
+
+    if (hora_inicio === undefined && duracao_min === undefined && id_medico === undefined && observacoes === undefined) {
+        return res.status(400).json({ msg: "Envie ao menos um campo para alterar: hora_inicio, duracao_min, id_medico ou observacoes." });
+    }
+
+    if (hora_inicio !== undefined && !isValidHora(String(hora_inicio))) {
+        return res.status(400).json({ msg: "Horário inválido. Use HH:MM." });
+    }
+
+    if (duracao_min !== undefined && (!Number.isInteger(Number(duracao_min)) || Number(duracao_min) <= 0)) {
+        return res.status(400).json({ msg: "duracao_min deve ser um número inteiro positivo." });
+    }
+
+    if (id_medico !== undefined && (isNaN(Number(id_medico)) || Number(id_medico) <= 0)) {
+        return res.status(400).json({ msg: "id_medico inválido." });
+    }
+
+    // Alterar as observações gera uma nova versão da nota de cada ocorrência, que precisa de autor e motivo
+    if (observacoes !== undefined && (!responsavel || String(responsavel).trim() === "" || !motivo || String(motivo).trim() === "")) {
+        return res.status(400).json({ msg: "Informe responsavel e motivo para alterar as observações das consultas da série." });
+    }
+
+    try {
+        const { resultado, alertas } = await db.transaction(async (conexao) => {
+            const serie = await conexao.query("SELECT id_paciente FROM consulta_serie WHERE id_serie = $1 FOR UPDATE", [id]);
+            if (serie.rowCount === 0) {
+                throw new ErroHttp(404, "Série não cadastrada no banco.");
+            }
+
+            const { id_paciente } = serie.rows[0];
+            await conexao.query("SELECT 1 FROM paciente WHERE id_paciente = $1 FOR NO KEY UPDATE", [id_paciente]);
+
+            if (id_medico !== undefined) {
+                const medico = await conexao.query("SELECT 1 FROM medico WHERE id_medico = $1", [id_medico]);
+                if (medico.rowCount === 0) {
+                    throw new ErroHttp(400, "id_medico informado não existe.");
+                }
+            }
+
+            const ocorrencias = await conexao.query(
+                `SELECT id_consulta, to_char(data_consulta, 'YYYY-MM-DD') AS data_consulta, to_char(hora_inicio, 'HH24:MI') AS hora_inicio, duracao_min, id_medico, pagador, id_paciente_plano
+                   FROM consulta
+                  WHERE id_serie = $1 AND data_consulta >= $2 AND status IN ('agendada', 'confirmada')
+                  ORDER BY data_consulta
+                    FOR UPDATE`,
+                [id, a_partir_de]
+            );
+
+            const consultas = [];
+            const conflitos = [];
+            let alertas = [];
+
+            if (observacoes !== undefined) {
+                alertas = await verificaAlergias(conexao, id_paciente, { textos: { observacoes } });
+                bloqueiaAlergiasGraves(alertas, confirmar_alergias);
+
+                await identificaAlteracaoNota(conexao, responsavel, motivo);
+            }
+
+            for (const ocorrencia of ocorrencias.rows) {
+                const nova = {
+                    hora_inicio: hora_inicio ?? ocorrencia.hora_inicio,
+                    duracao_min: Number(duracao_min ?? ocorrencia.duracao_min),
+                    id_medico: Number(id_medico ?? ocorrencia.id_medico),
+                };
+
+                if ((hora_inicio !== undefined || duracao_min !== undefined) && permitir_sobreposicao !== true) {
+                    const conflitosPaciente = await buscaConflitosPaciente(conexao, id_paciente, ocorrencia.data_consulta, nova.hora_inicio, nova.duracao_min, ocorrencia.id_consulta);
+                    if (conflitosPaciente.length > 0) {
+                        conflitos.push({ id_consulta: ocorrencia.id_consulta, data_consulta: ocorrencia.data_consulta, hora_inicio: nova.hora_inicio, motivo: MSG_CONFLITO_PACIENTE });
+                        continue;
+                    }
+                }
+
+                if (hora_inicio !== undefined || duracao_min !== undefined || id_medico !== undefined) {
+                    const reservas = await buscaReservasAtivas(conexao, nova.id_medico, ocorrencia.data_consulta, nova.hora_inicio, nova.duracao_min);
+                    if (reservas.length > 0) {
+                        conflitos.push({ id_consulta: ocorrencia.id_consulta, data_consulta: ocorrencia.data_consulta, hora_inicio: nova.hora_inicio, motivo: MOTIVO_RESERVA });
+                        continue;
+                    }
+                }
+
+                if (id_medico !== undefined && ocorrencia.pagador === "convenio") {
+                    try {
+                        await validaPlanoConsulta(conexao, { ...ocorrencia, id_paciente, id_medico: nova.id_medico });
+                    } catch (error) {
+                        if (!(error instanceof ErroHttp)) throw error;
+
+                        conflitos.push({ id_consulta: ocorrencia.id_consulta, data_consulta: ocorrencia.data_consulta, hora_inicio: nova.hora_inicio, motivo: error.message });
+                        continue;
+                    }
+                }
+
+                const { result, conflito } = await executaOcorrencia(conexao, () => conexao.query(
+                    `UPDATE consulta
+                        SET hora_inicio = COALESCE($1, hora_inicio),
+                            duracao_min = COALESCE($2, duracao_min),
+                            id_medico = COALESCE($3, id_medico),
+                            observacoes = COALESCE($4, observacoes)
+                      WHERE id_consulta = $5
+                      RETURNING *`,
+                    [hora_inicio ?? null, duracao_min ?? null, id_medico ?? null, observacoes ?? null, ocorrencia.id_consulta]
+                ));
+
+                if (conflito) {
+                    conflitos.push({ id_consulta: ocorrencia.id_consulta, data_consulta: ocorrencia.data_consulta, hora_inicio: hora_inicio ?? null, motivo: conflito });
+                    continue;
+                }
+
+                if (nova.hora_inicio !== ocorrencia.hora_inicio || nova.duracao_min !== ocorrencia.duracao_min || nova.id_medico !== ocorrencia.id_medico) {
+                    await enfileiraNotificacoes(conexao, ocorrencia.id_consulta, "remarcada");
+                }
+
+                consultas.push(result.rows[0]);
+            }
+
+            if (conflitos.length > 0 && ignorar_conflitos !== true) {
+                throw new ErroHttp(409, "Algumas ocorrências conflitam com a agenda. Nenhuma consulta foi alterada.", { conflitos });
+            }
+
+            const atualizada = await conexao.query(
+                `UPDATE consulta_serie
+                    SET hora_inicio = COALESCE($1, hora_inicio),
+                        duracao_min = COALESCE($2, duracao_min),
+                        id_medico = COALESCE($3, id_medico),
+                        observacoes = COALESCE($4, observacoes)
+                  WHERE id_serie = $5
+                  RETURNING *`,
+                [hora_inicio ?? null, duracao_min ?? null, id_medico ?? null, observacoes ?? null, id]
+            );
+
+            return { resultado: { serie: atualizada.rows[0], consultas, conflitos }, alertas };
+        });
+
+        return res.status(200).json({ data: resultado, alertas });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao alterar série de consultas:", error);
+        return res.status(500).json({ msg: "Erro ao alterar série de consultas." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/serie/{id}/cancelar:
+ *   post:
+ *     summary: Cancela esta e as próximas ocorrências de uma série.
+ *     description: Altera para `cancelada` todas as ocorrências agendadas ou confirmadas da série a partir de `a_partir_de` (inclusive), registrando cada transição no histórico de status da consulta. Os horários liberados são oferecidos à lista de espera.
+ *     tags: [Consultas]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID da série.
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - a_partir_de
+ *               - responsavel
+ *               - motivo
+ *             properties:
+ *               a_partir_de:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-12-03"
+ *               responsavel:
+ *                 type: string
+ *                 example: "Recepção - Carla"
+ *               motivo:
+ *                 type: string
+ *                 example: "Alta do tratamento."
+ *     responses:
+ *       200:
+ *         description: Ocorrências canceladas.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Consulta'
+ *                 ofertas_lista_espera:
+ *                   type: array
+ *                   description: Reservas criadas para pacientes da lista de espera com os horários liberados.
+ *                   items:
+ *                     $ref: '#/components/schemas/OfertaVaga'
+ *       400:
+ *         description: Parâmetros inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Informe o responsável e o motivo do cancelamento."
+ *       404:
+ *         description: Série não encontrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Série não cadastrada no banco."
+ *       500:
+ *         description: Erro interno ao cancelar a série.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "Erro ao cancelar série de consultas."
+ */
+
+router.post("/:id/cancelar", async (req, res) => {
+    const id = Number(req.params.id);
+    const { a_partir_de, responsavel, motivo } = req.body ?? {};
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_serie válido." });
+    }
+
+    if (!a_partir_de || !isValidISODate(String(a_partir_de))) {
+        return res.status(400).json({ msg: "Informe a_partir_de no formato YYYY-MM-DD." });
+    }
+
+    if (!responsavel || !motivo) {
+        return res.status(400).json({ msg: "Informe o responsável e o motivo do cancelamento." });
+    }
+
+    try {
+        const resultado = await db.transaction(async (conexao) => {
+            const serie = await conexao.query("SELECT 1 FROM consulta_serie WHERE id_serie = $1", [id]);
+            if (serie.rowCount === 0) {
+                throw new ErroHttp(404, "Série não cadastrada no banco.");
+            }
+
+            const canceladas = await conexao.query(
+                `UPDATE consulta c
+                    SET status = 'cancelada'
+                   FROM (SELECT id_consulta, status
+                           FROM consulta
+                          WHERE id_serie = $1 AND data_consulta >= $2 AND status IN ('agendada', 'confirmada')
+                            FOR UPDATE) anterior
+                  WHERE c.id_consulta = anterior.id_consulta
+                  RETURNING c.*, anterior.status AS status_anterior`,
+                [id, a_partir_de]
+            );
+
+            const ofertas = [];
+
+            for (const consulta of canceladas.rows) {
+                await conexao.query(
+                    `INSERT INTO consulta_status_historico(id_consulta, status_anterior, status_novo, responsavel, motivo)
+                     VALUES ($1, $2, 'cancelada', $3, $4)`,
+                    [consulta.id_consulta, consulta.status_anterior, responsavel, motivo]
+                );
+
+                await enfileiraNotificacoes(conexao, consulta.id_consulta, "cancelada");
+
+                const oferta = await ofertaVagaDaConsulta(conexao, consulta.id_consulta);
+                if (oferta) ofertas.push(oferta);
+            }
+
+            return { consultas: canceladas.rows.map(({ status_anterior, ...consulta }) => consulta), ofertas };
+        });
+
+        return res.status(200).json({ data: resultado.consultas, ofertas_lista_espera: resultado.ofertas });
+    } catch (error) {
+        if (error instanceof ErroHttp) {
+            return res.status(error.status).json({ msg: error.message, ...error.detalhes });
+        }
+
+        console.error("Erro ao cancelar série de consultas:", error);
+        return res.status(500).json({ msg: "Erro ao cancelar série de consultas." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,619 @@
+const express = require("express");
+const router = express.Router();
+const db = require("../db");
+
+// Medidas aceitas em uma aferição. Cada uma é gravada na unidade canônica ("unidade"); os valores
+// podem ser enviados em qualquer unidade de "conversoes" e precisam estar na faixa plausível [min, max]
+// (a mesma das restrições ck_sinal_vital_* do banco).
+const MEDIDAS = {
+    pressao_sistolica: { unidade: "mmHg", conversoes: { mmHg: (v) => v }, min: 50, max: 300, casas: 0 },
+    pressao_diastolica: { unidade: "mmHg", conversoes: { mmHg: (v) => v }, min: 20, max: 200, casas: 0 },
+    frequencia_cardiaca: { unidade: "bpm", conversoes: { bpm: (v) => v }, min: 20, max: 250, casas: 0 },
+    temperatura: {
+        unidade: "°C",
+        conversoes: { "°C": (v) => v, C: (v) => v, "°F": (v) => (v - 32) * 5 / 9, F: (v) => (v - 32) * 5 / 9 },
+        min: 30,
+        max: 45,
+        casas: 1,
+    },
+    saturacao_o2: { unidade: "%", conversoes: { "%": (v) => v }, min: 50, max: 100, casas: 0 },
+    peso: { unidade: "kg", conversoes: { kg: (v) => v, g: (v) => v / 1000, lb: (v) => v * 0.45359237 }, min: 0.3, max: 500, casas: 2 },
+    altura: { unidade: "cm", conversoes: { cm: (v) => v, m: (v) => v * 100 }, min: 20, max: 260, casas: 1 },
+};
+
+// Séries aceitas em GET /paciente/:id/sinais-vitais?tipo= e a unidade de cada uma.
+const TIPOS_SERIE = {
+    pressao_arterial: "mmHg",
+    frequencia_cardiaca: "bpm",
+    temperatura: "°C",
+    saturacao_o2: "%",
+    peso: "kg",
+    altura: "cm",
+    imc: "kg/m²",
+};
+
+function isValidISODate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+
+    const [y, m, d] = dateStr.split("-").map(Number);
+
+    const date = new Date(dateStr);
+
+    if (isNaN(date.getTime())) return false;
+
+    return (date.getFullYear() === y && date.getMonth() + 1 === m && date.getDate() === d);
+}
+
+// Data e hora no formato AAAA-MM-DDTHH:MM (ou com espaço no lugar do T).
+function isValidDataHora(valor) {
+    const partes = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/.exec(valor ?? "");
+    if (!partes) return false;
+
+    const [y, m, d, h, min] = partes.slice(1).map(Number);
+    const data = new Date(y, m - 1, d);
+
+    return data.getFullYear() === y && data.getMonth() + 1 === m && data.getDate() === d && h < 24 && min < 60;
+}
+
+// Lê as medidas do corpo da requisição. Cada medida pode ser um número (na unidade canônica) ou
+// { valor, unidade }. Retorna { erro } ou { medidas } com os valores convertidos e arredondados.
+function leMedidas(body) {
+    const medidas = {};
+
+    for (const [campo, regra] of Object.entries(MEDIDAS)) {
+        const entrada = body[campo];
+        if (entrada === undefined || entrada === null) continue;
+
+        const { valor, unidade } = typeof entrada === "object" ? entrada : { valor: entrada, unidade: regra.unidade };
+
+        if (typeof valor !== "number" || !Number.isFinite(valor)) {
+            return { erro: `${campo} deve ser numérico.` };
+        }
+
+        const converte = regra.conversoes[unidade];
+        if (!converte) {
+            return { erro: `Unidade inválida para ${campo}. Use: ${Object.keys(regra.conversoes).join(", ")}.` };
+        }
+
+        const fator = 10 ** regra.casas;
+        const convertido = Math.round(converte(valor) * fator) / fator;
+
+        if (convertido < regra.min || convertido > regra.max) {
+            return { erro: `${campo} fora da faixa plausível (${regra.min} a ${regra.max} ${regra.unidade}).` };
+        }
+
+        medidas[campo] = convertido;
+    }
+
+    if (Object.keys(medidas).length === 0) {
+        return { erro: `Informe ao menos uma medida: ${Object.keys(MEDIDAS).join(", ")}.` };
+    }
+
+    if (("pressao_sistolica" in medidas) !== ("pressao_diastolica" in medidas)) {
+        return { erro: "Informe pressao_sistolica e pressao_diastolica juntas." };
+    }
+
+    if (medidas.pressao_sistolica <= medidas.pressao_diastolica) {
+        return { erro: "pressao_sistolica deve ser maior que pressao_diastolica." };
+    }
+
+    return { medidas };
+}
+
+// Aferições com o IMC. Sem altura na própria aferição, usa a última altura do paciente medida até
+// aquele momento. "filtro" é o trecho do WHERE.
+async function buscaAfericoes(conexao, filtro, params) {
+    const result = await conexao.query(
+        `SELECT a.id_afericao, a.id_consulta, c.id_paciente, a.medido_em, a.responsavel,
+                a.pressao_sistolica, a.pressao_diastolica, a.frequencia_cardiaca, a.temperatura::float8 AS temperatura,
+                a.saturacao_o2, a.peso::float8 AS peso, a.altura::float8 AS altura,
+                ROUND(a.peso / (COALESCE(a.altura, h.altura) / 100) ^ 2, 1)::float8 AS imc
+           FROM sinal_vital a
+           JOIN consulta c ON c.id_consulta = a.id_consulta
+           LEFT JOIN LATERAL (
+                SELECT s.altura
+                  FROM sinal_vital s
+                  JOIN consulta cs ON cs.id_consulta = s.id_consulta
+                 WHERE cs.id_paciente = c.id_paciente AND s.altura IS NOT NULL AND s.medido_em <= a.medido_em
+                 ORDER BY s.medido_em DESC
+                 LIMIT 1
+           ) h ON a.altura IS NULL
+          WHERE ${filtro}
+          ORDER BY a.medido_em, a.id_afericao`,
+        params
+    );
+
+    return result.rows;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SinaisVitais:
+ *       type: object
+ *       description: Valores nas unidades canônicas (mmHg, bpm, °C, %, kg e cm).
+ *       properties:
+ *         id_afericao:
+ *           type: integer
+ *           example: 4
+ *         id_consulta:
+ *           type: integer
+ *           example: 1
+ *         id_paciente:
+ *           type: integer
+ *           example: 1
+ *         medido_em:
+ *           type: string
+ *           example: "2025-11-01T07:50:00"
+ *         responsavel:
+ *           type: string
+ *           example: "Enf. Marta Alves"
+ *         pressao_sistolica:
+ *           type: integer
+ *           nullable: true
+ *           example: 128
+ *         pressao_diastolica:
+ *           type: integer
+ *           nullable: true
+ *           example: 82
+ *         frequencia_cardiaca:
+ *           type: integer
+ *           nullable: true
+ *           example: 72
+ *         temperatura:
+ *           type: number
+ *           nullable: true
+ *           example: 36.6
+ *         saturacao_o2:
+ *           type: integer
+ *           nullable: true
+ *           example: 98
+ *         peso:
+ *           type: number
+ *           nullable: true
+ *           example: 83
+ *         altura:
+ *           type: number
+ *           nullable: true
+ *           example: null
+ *         imc:
+ *           type: number
+ *           nullable: true
+ *           description: Índice de massa corporal (kg/m²). Sem altura na aferição, usa a última altura registrada para o paciente até aquele momento.
+ *           example: 28.1
+ *     MedidaComUnidade:
+ *       type: object
+ *       required:
+ *         - valor
+ *         - unidade
+ *       properties:
+ *         valor:
+ *           type: number
+ *           example: 98.6
+ *         unidade:
+ *           type: string
+ *           example: "°F"
+ */
+
+/**
+ * @swagger
+ * /consulta/{id}/sinais-vitais:
+ *   get:
+ *     summary: Lista as aferições de sinais vitais da consulta.
+ *     tags: [Sinais vitais]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Aferições da consulta, em ordem cronológica.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SinaisVitais'
+ *       400:
+ *         description: ID inválido.
+ *       404:
+ *         description: Consulta não encontrada.
+ *       500:
+ *         description: Erro interno ao buscar sinais vitais.
+ */
+
+router.get("/consulta/:id/sinais-vitais", async (req, res) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    try {
+        const consulta = await db.query("SELECT 1 FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        const afericoes = await buscaAfericoes(db, "a.id_consulta = $1", [id]);
+
+        return res.status(200).json({ data: afericoes });
+    } catch (error) {
+        console.error("Erro ao buscar sinais vitais:", error);
+        return res.status(500).json({ msg: "Erro ao buscar sinais vitais." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/sinais-vitais:
+ *   post:
+ *     summary: Registra uma aferição de sinais vitais na consulta.
+ *     description: |
+ *       Envie ao menos uma medida. Cada medida pode ser um número na unidade canônica ou um objeto `{ valor, unidade }`:
+ *       - `pressao_sistolica` e `pressao_diastolica` (enviadas juntas): mmHg
+ *       - `frequencia_cardiaca`: bpm
+ *       - `temperatura`: °C (padrão) ou °F
+ *       - `saturacao_o2`: %
+ *       - `peso`: kg (padrão), g ou lb
+ *       - `altura`: cm (padrão) ou m
+ *
+ *       Os valores são convertidos para a unidade canônica e recusados se estiverem fora da faixa fisiologicamente plausível. Consultas canceladas ou com falta não aceitam aferições.
+ *     tags: [Sinais vitais]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - responsavel
+ *             properties:
+ *               responsavel:
+ *                 type: string
+ *                 description: Profissional que realizou a aferição.
+ *                 example: "Enf. Marta Alves"
+ *               medido_em:
+ *                 type: string
+ *                 description: Momento da aferição (AAAA-MM-DDTHH:MM). Padrão, o momento atual.
+ *                 example: "2025-11-01T07:50"
+ *               pressao_sistolica:
+ *                 type: integer
+ *                 example: 128
+ *               pressao_diastolica:
+ *                 type: integer
+ *                 example: 82
+ *               frequencia_cardiaca:
+ *                 type: integer
+ *                 example: 72
+ *               temperatura:
+ *                 oneOf:
+ *                   - type: number
+ *                   - $ref: '#/components/schemas/MedidaComUnidade'
+ *                 example: { "valor": 97.9, "unidade": "°F" }
+ *               saturacao_o2:
+ *                 type: integer
+ *                 example: 98
+ *               peso:
+ *                 oneOf:
+ *                   - type: number
+ *                   - $ref: '#/components/schemas/MedidaComUnidade'
+ *                 example: 83
+ *               altura:
+ *                 oneOf:
+ *                   - type: number
+ *                   - $ref: '#/components/schemas/MedidaComUnidade'
+ *                 example: { "valor": 1.72, "unidade": "m" }
+ *     responses:
+ *       201:
+ *         description: Aferição registrada.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SinaisVitais'
+ *       400:
+ *         description: Medida ausente, unidade inválida ou valor fora da faixa plausível.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "temperatura fora da faixa plausível (30 a 45 °C)."
+ *       404:
+ *         description: Consulta não encontrada.
+ *       409:
+ *         description: Consulta cancelada ou com falta.
+ *       500:
+ *         description: Erro interno ao registrar sinais vitais.
+ */
+
+router.post("/consulta/:id/sinais-vitais", async (req, res) => {
+    const id = Number(req.params.id);
+    const body = req.body ?? {};
+    const { responsavel, medido_em } = body;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_consulta válido." });
+    }
+
+    if (!responsavel || String(responsavel).trim() === "") {
+        return res.status(400).json({ msg: "Informe o responsável pela aferição." });
+    }
+
+    if (medido_em !== undefined && !isValidDataHora(medido_em)) {
+        return res.status(400).json({ msg: "medido_em deve estar no formato AAAA-MM-DDTHH:MM." });
+    }
+
+    const lidas = leMedidas(body);
+    if (lidas.erro) {
+        return res.status(400).json({ msg: lidas.erro });
+    }
+
+    const { medidas } = lidas;
+
+    try {
+        const consulta = await db.query("SELECT status FROM consulta WHERE id_consulta = $1", [id]);
+
+        if (consulta.rowCount === 0) {
+            return res.status(404).json({ msg: "Consulta não cadastrada no banco" });
+        }
+
+        if (["cancelada", "faltou"].includes(consulta.rows[0].status)) {
+            return res.status(409).json({ msg: `Consultas com status '${consulta.rows[0].status}' não aceitam aferições.` });
+        }
+
+        const insert = await db.query(
+            `INSERT INTO sinal_vital(id_consulta, medido_em, responsavel, pressao_sistolica, pressao_diastolica,
+                                     frequencia_cardiaca, temperatura, saturacao_o2, peso, altura)
+             VALUES ($1, COALESCE($2::timestamp, LOCALTIMESTAMP), $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id_afericao`,
+            [
+                id, medido_em ?? null, String(responsavel).trim(),
+                medidas.pressao_sistolica ?? null, medidas.pressao_diastolica ?? null, medidas.frequencia_cardiaca ?? null,
+                medidas.temperatura ?? null, medidas.saturacao_o2 ?? null, medidas.peso ?? null, medidas.altura ?? null,
+            ]
+        );
+
+        const [afericao] = await buscaAfericoes(db, "a.id_afericao = $1", [insert.rows[0].id_afericao]);
+
+        return res.status(201).json({ data: afericao });
+    } catch (error) {
+        console.error("Erro ao registrar sinais vitais:", error);
+        return res.status(500).json({ msg: "Erro ao registrar sinais vitais." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /consulta/{id}/sinais-vitais/{id_afericao}:
+ *   delete:
+ *     summary: Remove uma aferição registrada por engano.
+ *     tags: [Sinais vitais]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: path
+ *         name: id_afericao
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 4
+ *     responses:
+ *       200:
+ *         description: Aferição removida.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SinaisVitais'
+ *       400:
+ *         description: IDs inválidos.
+ *       404:
+ *         description: Aferição não encontrada para a consulta.
+ *       500:
+ *         description: Erro interno ao remover aferição.
+ */
+
+router.delete("/consulta/:id/sinais-vitais/:id_afericao", async (req, res) => {
+    const id = Number(req.params.id);
+    const id_afericao = Number(req.params.id_afericao);
+
+    if (Number.isNaN(id) || id <= 0 || Number.isNaN(id_afericao) || id_afericao <= 0) {
+        return res.status(400).json({ msg: "IDs devem ser números" });
+    }
+
+    try {
+        const [afericao] = await buscaAfericoes(db, "a.id_afericao = $1 AND a.id_consulta = $2", [id_afericao, id]);
+
+        if (!afericao) {
+            return res.status(404).json({ msg: "Aferição não encontrada para essa consulta." });
+        }
+
+        await db.query("DELETE FROM sinal_vital WHERE id_afericao = $1", [id_afericao]);
+
+        return res.status(200).json({ data: afericao });
+    } catch (error) {
+        console.error("Erro ao remover aferição:", error);
+        return res.status(500).json({ msg: "Erro ao remover aferição." });
+    }
+});
+
+
+/**
+ * @swagger
+ * /paciente/{id}/sinais-vitais:
+ *   get:
+ *     summary: Série temporal dos sinais vitais do paciente.
+ *     description: Reúne as aferições de todas as consultas do paciente em ordem cronológica. Com `tipo`, devolve apenas os pontos da medida escolhida (aferições sem essa medida são omitidas); na pressão arterial, cada ponto traz sistólica e diastólica.
+ *     tags: [Sinais vitais]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - in: query
+ *         name: tipo
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pressao_arterial, frequencia_cardiaca, temperatura, saturacao_o2, peso, altura, imc]
+ *           example: "pressao_arterial"
+ *       - in: query
+ *         name: de
+ *         required: false
+ *         description: Data inicial (inclusive), YYYY-MM-DD.
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-01"
+ *       - in: query
+ *         name: ate
+ *         required: false
+ *         description: Data final (inclusive), YYYY-MM-DD.
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-11-30"
+ *     responses:
+ *       200:
+ *         description: Série encontrada. Sem `tipo`, os itens seguem o schema SinaisVitais.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tipo:
+ *                   type: string
+ *                   example: "pressao_arterial"
+ *                 unidade:
+ *                   type: string
+ *                   example: "mmHg"
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       medido_em:
+ *                         type: string
+ *                         example: "2025-11-01T07:50:00"
+ *                       id_consulta:
+ *                         type: integer
+ *                         example: 1
+ *                       id_afericao:
+ *                         type: integer
+ *                         example: 4
+ *                       valor:
+ *                         type: number
+ *                         description: Ausente na pressão arterial.
+ *                         example: 72
+ *                       sistolica:
+ *                         type: integer
+ *                         description: Apenas na pressão arterial.
+ *                         example: 128
+ *                       diastolica:
+ *                         type: integer
+ *                         description: Apenas na pressão arterial.
+ *                         example: 82
+ *       400:
+ *         description: ID, tipo ou datas inválidos.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 msg:
+ *                   type: string
+ *                   example: "tipo inválido. Use: pressao_arterial, frequencia_cardiaca, temperatura, saturacao_o2, peso, altura, imc."
+ *       404:
+ *         description: Paciente não encontrado.
+ *       500:
+ *         description: Erro interno ao buscar sinais vitais.
+ */
+
+router.get("/paciente/:id/sinais-vitais", async (req, res) => {
+    const id = Number(req.params.id);
+    const { tipo, de, ate } = req.query;
+
+    if (Number.isNaN(id) || id <= 0) {
+        return res.status(400).json({ msg: "Informe um id_paciente válido." });
+    }
+
+    if (tipo && !Object.hasOwn(TIPOS_SERIE, tipo)) {
+        return res.status(400).json({ msg: `tipo inválido. Use: ${Object.keys(TIPOS_SERIE).join(", ")}.` });
+    }
+
+    if ((de && !isValidISODate(de)) || (ate && !isValidISODate(ate))) {
+        return res.status(400).json({ msg: "de e ate devem estar no formato YYYY-MM-DD." });
+    }
+
+    if (de && ate && de > ate) {
+        return res.status(400).json({ msg: "de deve ser anterior ou igual a ate." });
+    }
+
+    try {
+        const paciente = await db.query("SELECT 1 FROM paciente WHERE id_paciente = $1", [id]);
+
+        if (paciente.rowCount === 0) {
+            return res.status(404).json({ msg: "Paciente não cadastrado no banco." });
+        }
+
+        const afericoes = await buscaAfericoes(
+            db,
+            `c.id_paciente = $1
+             AND ($2::date IS NULL OR a.medido_em >= $2::date)
+             AND ($3::date IS NULL OR a.medido_em < $3::date + 1)`,
+            [id, de ?? null, ate ?? null]
+        );
+
+        if (!tipo) {
+            return res.status(200).json({ data: afericoes });
+        }
+
+        const pontos = afericoes
+            .filter((a) => (tipo === "pressao_arterial" ? a.pressao_sistolica !== null : a[tipo] !== null))
+            .map((a) => {
+                const ponto = { medido_em: a.medido_em, id_consulta: a.id_consulta, id_afericao: a.id_afericao };
+
+                return tipo === "pressao_arterial"
+                    ? { ...ponto, sistolica: a.pressao_sistolica, diastolica: a.pressao_diastolica }
+                    : { ...ponto, valor: a[tipo] };
+            });
+
+        return res.status(200).json({ tipo, unidade: TIPOS_SERIE[tipo], data: pontos });
+    } catch (error) {
+        console.error("Erro ao buscar sinais vitais:", error);
+        return res.status(500).json({ msg: "Erro ao buscar sinais vitais." });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const MSG_CONFLITO_PACIENTE = "O paciente já possui consulta em horário sobreposto. Envie permitir_sobreposicao: true para agendar mesmo assim.";
+
+// Busca consultas não canceladas do paciente, com qualquer médico, cujo intervalo se sobrepõe ao informado.
+async function buscaConflitosPaciente(conexao, id_paciente, data_consulta, hora_inicio, duracao_min, idIgnorado = null) {
+    const result = await conexao.query(
+        `SELECT c.id_consulta, c.id_medico, m.nome AS nome_medico, c.data_consulta, c.hora_inicio, c.duracao_min, c.status
+           FROM consulta c
+           JOIN medico m ON m.id_medico = c.id_medico
+          WHERE c.id_paciente = $1
+            AND c.periodo && tsrange($2::date + $3::time, $2::date + $3::time + $4 * INTERVAL '1 minute')
+            AND ($5::int IS NULL OR c.id_consulta <> $5)
+            AND c.status <> 'cancelada'
+          ORDER BY c.data_consulta, c.hora_inicio`,
+        [id_paciente, data_consulta, hora_inicio, duracao_min, idIgnorado]
+    );
+
+    return result.rows;
+}
+
+module.exports = { MSG_CONFLITO_PACIENTE, buscaConflitosPaciente };
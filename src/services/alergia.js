@@ -0,0 +1,88 @@
+const { ErroHttp } = require("../erros");
+
+// Minúsculas e sem acentos, para comparar "Dipirona" com "dipirona sódica" ou "ANTI-INFLAMATÓRIO" com "anti-inflamatorio".
+function normaliza(texto) {
+    return String(texto ?? "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+// Verdadeiro se "termo" aparece em "texto" no início de uma palavra (aceita plural e sufixos:
+// "penicilina" encontra "penicilinas", mas "dor" não encontra "condor").
+function contemTermo(texto, termo) {
+    const t = normaliza(termo);
+    if (!t) return false;
+
+    const escapado = t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9])${escapado}`).test(normaliza(texto));
+}
+
+function montaAlerta(alergia, origem, medicamento = null) {
+    const reacao = alergia.reacao ? ` (${alergia.reacao})` : "";
+    const onde = medicamento ? `${medicamento} em ${origem}` : origem;
+
+    return {
+        id_alergia: alergia.id_alergia,
+        substancia: alergia.substancia,
+        gravidade: alergia.gravidade,
+        reacao: alergia.reacao,
+        origem,
+        medicamento,
+        motivo: `Paciente com alergia ${alergia.gravidade} a ${alergia.substancia}${reacao}: conflito com ${onde}.`,
+    };
+}
+
+// Confronta as alergias do paciente com os medicamentos do catálogo e os textos livres informados.
+// "medicamentos" é uma lista de { id_medicamento, origem } e "textos" um objeto { origem: texto }
+// (ex.: { observacoes: "..." }). Um medicamento conflita quando é o medicamento da alergia ou quando
+// a substância aparece no nome ou na classe terapêutica; um texto, quando menciona a substância.
+// Retorna a lista de alertas, vazia se não houver conflito.
+async function verificaAlergias(conexao, id_paciente, { medicamentos = [], textos = {} } = {}) {
+    const alergias = await conexao.query("SELECT * FROM paciente_alergia WHERE id_paciente = $1 ORDER BY id_alergia", [id_paciente]);
+
+    if (alergias.rowCount === 0) return [];
+
+    const ids = [...new Set(medicamentos.map((m) => m.id_medicamento))];
+    const catalogo = await conexao.query(
+        "SELECT id_medicamento, nome, classe_terapeutica FROM medicamento WHERE id_medicamento = ANY($1)",
+        [ids]
+    );
+    const porId = new Map(catalogo.rows.map((m) => [m.id_medicamento, m]));
+
+    const alertas = [];
+
+    for (const { id_medicamento, origem } of medicamentos) {
+        const medicamento = porId.get(id_medicamento);
+        if (!medicamento) continue;
+
+        for (const alergia of alergias.rows) {
+            const conflita = alergia.id_medicamento === id_medicamento
+                || contemTermo(medicamento.nome, alergia.substancia)
+                || contemTermo(medicamento.classe_terapeutica, alergia.substancia);
+
+            if (conflita) {
+                alertas.push(montaAlerta(alergia, origem, medicamento.nome));
+            }
+        }
+    }
+
+    for (const [origem, texto] of Object.entries(textos)) {
+        if (!texto) continue;
+
+        for (const alergia of alergias.rows) {
+            if (contemTermo(texto, alergia.substancia)) {
+                alertas.push(montaAlerta(alergia, origem));
+            }
+        }
+    }
+
+    return alertas;
+}
+
+// Alergias graves bloqueiam a operação, a menos que o médico confirme que está ciente
+// (confirmar_alergias: true). As leves e moderadas apenas geram alerta na resposta.
+function bloqueiaAlergiasGraves(alertas, confirmado) {
+    if (confirmado === true || !alertas.some((a) => a.gravidade === "grave")) return;
+
+    throw new ErroHttp(409, "Conflito com alergia grave registrada para o paciente. Envie confirmar_alergias: true para prosseguir mesmo assim.", { alertas });
+}
+
+module.exports = { verificaAlergias, bloqueiaAlergiasGraves };
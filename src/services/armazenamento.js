@@ -0,0 +1,52 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Armazenamentos de anexos. Cada fábrica devolve um objeto com salva(chave, conteudo), le(chave) e
+// remove(chave), onde "conteudo" é um Buffer. A chave é gerada pela aplicação e gravada em anexo.chave.
+const ARMAZENAMENTOS = {
+    // Arquivos em um diretório local (ANEXOS_DIRETORIO), um arquivo por chave.
+    local: () => {
+        const diretorio = path.resolve(process.env.ANEXOS_DIRETORIO || "anexos");
+        const caminho = (chave) => path.join(diretorio, path.basename(chave));
+
+        return {
+            async salva(chave, conteudo) {
+                await fs.mkdir(diretorio, { recursive: true });
+                await fs.writeFile(caminho(chave), conteudo, { flag: "wx" });
+            },
+
+            async le(chave) {
+                return fs.readFile(caminho(chave));
+            },
+
+            async remove(chave) {
+                await fs.rm(caminho(chave), { force: true });
+            },
+        };
+    },
+};
+
+let instancia = null;
+
+// Devolve o armazenamento configurado em ANEXOS_ARMAZENAMENTO (padrão "local").
+function armazenamentoDeAnexos() {
+    if (!instancia) {
+        const nome = process.env.ANEXOS_ARMAZENAMENTO || "local";
+        const fabrica = ARMAZENAMENTOS[nome];
+
+        if (!fabrica) {
+            throw new Error(`Armazenamento de anexos desconhecido: ${nome}`);
+        }
+
+        instancia = fabrica();
+    }
+
+    return instancia;
+}
+
+// Permite registrar novos armazenamentos (ou substituir os existentes) antes do primeiro uso.
+function registraArmazenamento(nome, fabrica) {
+    ARMAZENAMENTOS[nome] = fabrica;
+}
+
+module.exports = { armazenamentoDeAnexos, registraArmazenamento };
@@ -0,0 +1,83 @@
+const { ErroHttp } = require("../erros");
+
+// Normaliza um código CID-10 para o formato do catálogo ("a000", "A00.0" e " A00.0 " viram "A00.0").
+// Retorna null se o valor não tiver o formato de categoria (A00) ou subcategoria (A00.0).
+function normalizaCodigoCid(codigo) {
+    if (typeof codigo !== "string") return null;
+
+    const limpo = codigo.trim().toUpperCase().replace(".", "");
+
+    if (!/^[A-Z]\d{2}\d?$/.test(limpo)) return null;
+
+    return limpo.length === 4 ? `${limpo.slice(0, 3)}.${limpo[3]}` : limpo;
+}
+
+// Valida o CID principal e a lista de secundários enviados para uma consulta e devolve os códigos
+// normalizados. Lança ErroHttp(400) para formato inválido, código repetido, secundários sem principal
+// ou código ausente do catálogo.
+async function validaCids(conexao, cid_principal, cids_secundarios) {
+    const secundarios = cids_secundarios ?? [];
+
+    if (!Array.isArray(secundarios)) {
+        throw new ErroHttp(400, "cids_secundarios deve ser uma lista de códigos CID-10.");
+    }
+
+    if (!cid_principal && secundarios.length > 0) {
+        throw new ErroHttp(400, "Informe o cid_principal para registrar CIDs secundários.");
+    }
+
+    if (!cid_principal) return { principal: null, secundarios: [] };
+
+    const codigos = [cid_principal, ...secundarios].map((codigo) => ({ original: codigo, normalizado: normalizaCodigoCid(codigo) }));
+
+    const invalidos = codigos.filter((c) => !c.normalizado).map((c) => c.original);
+    if (invalidos.length > 0) {
+        throw new ErroHttp(400, "Código CID-10 em formato inválido. Use, por exemplo, I10 ou J11.1.", { invalidos });
+    }
+
+    const normalizados = codigos.map((c) => c.normalizado);
+
+    if (new Set(normalizados).size !== normalizados.length) {
+        throw new ErroHttp(400, "O mesmo código CID-10 foi informado mais de uma vez.");
+    }
+
+    const catalogo = await conexao.query("SELECT codigo FROM cid10 WHERE codigo = ANY($1)", [normalizados]);
+    const existentes = new Set(catalogo.rows.map((r) => r.codigo));
+
+    const inexistentes = normalizados.filter((codigo) => !existentes.has(codigo));
+    if (inexistentes.length > 0) {
+        throw new ErroHttp(400, "Código CID-10 não encontrado no catálogo.", { inexistentes });
+    }
+
+    return { principal: normalizados[0], secundarios: normalizados.slice(1) };
+}
+
+// Substitui os CIDs da consulta pelos informados (já validados por validaCids).
+async function gravaCids(conexao, id_consulta, { principal, secundarios }) {
+    await conexao.query("DELETE FROM consulta_cid WHERE id_consulta = $1", [id_consulta]);
+
+    if (!principal) return;
+
+    await conexao.query(
+        `INSERT INTO consulta_cid(id_consulta, codigo, principal)
+         SELECT $1, codigo, ordem = 1
+           FROM unnest($2::varchar[]) WITH ORDINALITY AS c(codigo, ordem)`,
+        [id_consulta, [principal, ...secundarios]]
+    );
+}
+
+// CIDs da consulta com a descrição do catálogo, o principal primeiro.
+async function buscaCidsConsulta(conexao, id_consulta) {
+    const result = await conexao.query(
+        `SELECT cc.codigo, c.descricao, cc.principal
+           FROM consulta_cid cc
+           JOIN cid10 c ON c.codigo = cc.codigo
+          WHERE cc.id_consulta = $1
+          ORDER BY cc.principal DESC, cc.codigo`,
+        [id_consulta]
+    );
+
+    return result.rows;
+}
+
+module.exports = { normalizaCodigoCid, validaCids, gravaCids, buscaCidsConsulta };
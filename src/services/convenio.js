@@ -0,0 +1,70 @@
+const { ErroHttp } = require("../erros");
+
+const PAGADORES = ["sus", "particular", "convenio"];
+
+// Lê o pagador da consulta (padrão particular). A carteirinha (id_paciente_plano) é obrigatória no
+// convênio e não é aceita nos demais. Retorna { erro } ou { pagador, id_paciente_plano }.
+function lePagador({ pagador = "particular", id_paciente_plano } = {}) {
+    if (!PAGADORES.includes(pagador)) {
+        return { erro: `pagador inválido. Valores aceitos: ${PAGADORES.join(", ")}.` };
+    }
+
+    if (pagador !== "convenio") {
+        if (id_paciente_plano !== undefined && id_paciente_plano !== null) {
+            return { erro: "id_paciente_plano só é informado quando o pagador é o convênio." };
+        }
+
+        return { pagador, id_paciente_plano: null };
+    }
+
+    if (!Number.isInteger(id_paciente_plano) || id_paciente_plano <= 0) {
+        return { erro: "Informe em id_paciente_plano a carteirinha do paciente usada na consulta." };
+    }
+
+    return { pagador, id_paciente_plano };
+}
+
+// Confere a carteirinha usada na consulta pelo convênio: precisa ser do paciente, de um plano e convênio
+// ativos, estar vigente na data da consulta e o plano ser aceito pelo médico ou pelo departamento dele.
+async function validaPlanoConsulta(conexao, { id_paciente_plano, id_paciente, id_medico, data_consulta }) {
+    const busca = await conexao.query(
+        `SELECT pp.numero_carteirinha,
+                to_char(pp.validade_inicio, 'DD/MM/YYYY') AS inicio,
+                to_char(pp.validade_fim, 'DD/MM/YYYY') AS fim,
+                $4::date BETWEEN pp.validade_inicio AND COALESCE(pp.validade_fim, 'infinity') AS vigente,
+                pl.nome AS plano, pl.ativo AS plano_ativo, c.nome AS convenio, c.ativo AS convenio_ativo,
+                EXISTS (SELECT 1
+                          FROM plano_aceite a
+                          JOIN medico m ON m.id_medico = $3
+                         WHERE a.id_plano = pp.id_plano
+                           AND (a.id_medico = m.id_medico OR a.id_departamento = m.id_departamento)) AS aceito
+           FROM paciente_plano pp
+           JOIN plano pl ON pl.id_plano = pp.id_plano
+           JOIN convenio c ON c.id_convenio = pl.id_convenio
+          WHERE pp.id_paciente_plano = $1
+            AND pp.id_paciente = $2`,
+        [id_paciente_plano, id_paciente, id_medico, data_consulta]
+    );
+
+    if (busca.rowCount === 0) {
+        throw new ErroHttp(400, "A carteirinha informada em id_paciente_plano não é do paciente da consulta.");
+    }
+
+    const carteirinha = busca.rows[0];
+    const plano = `${carteirinha.convenio} ${carteirinha.plano}`;
+
+    if (!carteirinha.convenio_ativo || !carteirinha.plano_ativo) {
+        throw new ErroHttp(409, `O plano ${plano} está inativo.`);
+    }
+
+    if (!carteirinha.vigente) {
+        const validade = carteirinha.fim ? `de ${carteirinha.inicio} a ${carteirinha.fim}` : `a partir de ${carteirinha.inicio}`;
+        throw new ErroHttp(409, `A carteirinha ${carteirinha.numero_carteirinha} do plano ${plano} não é válida na data da consulta (validade ${validade}).`);
+    }
+
+    if (!carteirinha.aceito) {
+        throw new ErroHttp(409, `O plano ${plano} não é aceito pelo médico nem pelo departamento dele.`);
+    }
+}
+
+module.exports = { PAGADORES, lePagador, validaPlanoConsulta };
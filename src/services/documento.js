@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const { ErroHttp } = require("../erros");
+const { buscaCidsConsulta } = require("./cid");
+const { armazenamentoDeAnexos } = require("./armazenamento");
+
+const HOSPITAL_NOME = process.env.HOSPITAL_NOME || "Hospital";
+const HOSPITAL_ENDERECO = process.env.HOSPITAL_ENDERECO || "";
+// Endereço público da API, impresso no rodapé para a conferência do código (ex.: https://hospital.example.com)
+const URL_VERIFICACAO = `${process.env.DOCUMENTOS_URL_BASE || ""}/documentos/verificar/`;
+
+// Sem I, O, 0 e 1, para o código poder ser digitado a partir do papel sem ambiguidade.
+const ALFABETO_CODIGO = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+const TITULOS = { resumo: "Resumo de consulta", atestado: "Atestado médico" };
+
+// Código de verificação no formato XXXX-XXXX-XXXX.
+function geraCodigoVerificacao() {
+    const letras = [...crypto.randomBytes(12)].map((byte) => ALFABETO_CODIGO[byte % ALFABETO_CODIGO.length]).join("");
+    return letras.match(/.{4}/g).join("-");
+}
+
+// Aceita o código com ou sem hífens e em minúsculas. Retorna null se não tiver o formato esperado.
+function normalizaCodigoVerificacao(codigo) {
+    const letras = String(codigo ?? "").toUpperCase().replace(/[\s-]/g, "");
+    if (letras.length !== 12 || [...letras].some((c) => !ALFABETO_CODIGO.includes(c))) return null;
+
+    return letras.match(/.{4}/g).join("-");
+}
+
+function formataNumero(ano, numero) {
+    return `${ano}/${String(numero).padStart(6, "0")}`;
+}
+
+// Dados impressos nos documentos da consulta, com datas e horários já formatados.
+async function buscaDadosConsulta(conexao, id_consulta) {
+    const result = await conexao.query(
+        `SELECT c.id_consulta, c.id_paciente, c.id_medico, c.status, c.duracao_min, c.diagnostico, c.observacoes,
+                to_char(c.data_consulta, 'DD/MM/YYYY') AS data_consulta,
+                to_char(c.hora_inicio, 'HH24:MI') AS hora_inicio,
+                to_char(c.hora_inicio + c.duracao_min * INTERVAL '1 minute', 'HH24:MI') AS hora_fim,
+                p.nome AS nome_paciente, p.cpf, to_char(p.data_nascimento, 'DD/MM/YYYY') AS data_nascimento,
+                m.nome AS nome_medico, m.crm, m.especialidade, d.nome AS nome_departamento
+           FROM consulta c
+           JOIN paciente p ON p.id_paciente = c.id_paciente
+           JOIN medico m ON m.id_medico = c.id_medico
+           LEFT JOIN departamento d ON d.id_departamento = m.id_departamento
+          WHERE c.id_consulta = $1`,
+        [id_consulta]
+    );
+
+    if (result.rowCount === 0) {
+        throw new ErroHttp(404, "Consulta não cadastrada no banco");
+    }
+
+    const consulta = result.rows[0];
+
+    if (!["em_atendimento", "realizada"].includes(consulta.status)) {
+        throw new ErroHttp(409, `Documentos só podem ser emitidos para consultas em atendimento ou realizadas (status atual: '${consulta.status}').`);
+    }
+
+    return { ...consulta, cids: await buscaCidsConsulta(conexao, id_consulta) };
+}
+
+// CPF gravado apenas com dígitos, impresso no formato 000.000.000-00.
+function formataCpf(cpf) {
+    return String(cpf ?? "").replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, "$1.$2.$3-$4");
+}
+
+function textoDiagnostico(dados) {
+    const cids = dados.cids.map((c) => `${c.codigo} - ${c.descricao}`).join("; ");
+    return [dados.diagnostico, cids && `CID-10: ${cids}`].filter(Boolean).join("\n") || "Não registrado.";
+}
+
+function desenhaCampo(pdf, rotulo, valor) {
+    pdf.font("Helvetica-Bold").text(`${rotulo}: `, { continued: true }).font("Helvetica").text(valor ?? "-");
+}
+
+function desenhaSecao(pdf, titulo) {
+    pdf.moveDown().font("Helvetica-Bold").fontSize(12).text(titulo).fontSize(10).moveDown(0.3);
+}
+
+function desenhaResumo(pdf, dados) {
+    desenhaSecao(pdf, "Paciente");
+    desenhaCampo(pdf, "Nome", dados.nome_paciente);
+    desenhaCampo(pdf, "CPF", formataCpf(dados.cpf));
+    desenhaCampo(pdf, "Data de nascimento", dados.data_nascimento);
+
+    desenhaSecao(pdf, "Atendimento");
+    desenhaCampo(pdf, "Data", dados.data_consulta);
+    desenhaCampo(pdf, "Horário", `${dados.hora_inicio} às ${dados.hora_fim} (${dados.duracao_min} minutos)`);
+    desenhaCampo(pdf, "Departamento", dados.nome_departamento);
+    desenhaCampo(pdf, "Médico(a)", `${dados.nome_medico} - ${dados.crm}`);
+
+    desenhaSecao(pdf, "Diagnóstico");
+    pdf.font("Helvetica").text(textoDiagnostico(dados));
+
+    if (dados.observacoes) {
+        desenhaSecao(pdf, "Observações");
+        pdf.font("Helvetica").text(dados.observacoes);
+    }
+}
+
+function desenhaAtestado(pdf, dados) {
+    const afastamento = dados.dias_afastamento > 0
+        ? `, devendo permanecer afastado(a) de suas atividades por ${dados.dias_afastamento} dia(s) a partir desta data`
+        : "";
+
+    pdf.moveDown(2).font("Helvetica").fontSize(12).text(
+        `Atesto, para os devidos fins, que ${dados.nome_paciente}, CPF ${formataCpf(dados.cpf)}, esteve sob atendimento médico ` +
+        `neste serviço (${dados.nome_departamento ?? "ambulatório"}) no dia ${dados.data_consulta}, das ${dados.hora_inicio} ` +
+        `às ${dados.hora_fim} (${dados.duracao_min} minutos)${afastamento}.`,
+        { align: "justify", lineGap: 4 }
+    );
+
+    if (dados.incluir_diagnostico) {
+        pdf.moveDown().text(`Diagnóstico, informado com autorização do(a) paciente: ${textoDiagnostico(dados).replace(/\n/g, "; ")}`, { align: "justify" });
+    }
+
+    pdf.moveDown(4).fontSize(10).text("_________________________________________", { align: "center" });
+    pdf.text(dados.nome_medico, { align: "center" });
+    pdf.text(`${dados.crm}${dados.especialidade ? ` - ${dados.especialidade}` : ""}`, { align: "center" });
+}
+
+// Gera o PDF do documento e devolve o conteúdo como Buffer.
+function geraPdf(documento) {
+    return new Promise((resolve, reject) => {
+        const pdf = new PDFDocument({
+            size: "A4",
+            margin: 50,
+            info: { Title: `${TITULOS[documento.tipo]} ${documento.numero}`, Author: HOSPITAL_NOME },
+        });
+
+        const partes = [];
+        pdf.on("data", (parte) => partes.push(parte));
+        pdf.on("end", () => resolve(Buffer.concat(partes)));
+        pdf.on("error", reject);
+
+        pdf.font("Helvetica-Bold").fontSize(16).text(HOSPITAL_NOME, { align: "center" });
+        if (HOSPITAL_ENDERECO) {
+            pdf.font("Helvetica").fontSize(9).text(HOSPITAL_ENDERECO, { align: "center" });
+        }
+        pdf.moveTo(50, pdf.y + 5).lineTo(pdf.page.width - 50, pdf.y + 5).stroke();
+
+        pdf.moveDown(1.5).font("Helvetica-Bold").fontSize(14).text(TITULOS[documento.tipo].toUpperCase(), { align: "center" });
+        pdf.font("Helvetica").fontSize(9).text(`Documento nº ${documento.numero} - emitido em ${documento.emitido_em}`, { align: "center" });
+        pdf.fontSize(10);
+
+        if (documento.tipo === "resumo") {
+            desenhaResumo(pdf, documento.dados);
+        } else {
+            desenhaAtestado(pdf, documento.dados);
+        }
+
+        const rodape = `Código de verificação ${documento.codigo_verificacao}. Confira a autenticidade em ${URL_VERIFICACAO}${documento.codigo_verificacao}`;
+        pdf.fontSize(8).text(rodape, 50, pdf.page.height - 70, { align: "center", width: pdf.page.width - 100 });
+
+        pdf.end();
+    });
+}
+
+// Emite um documento da consulta: numera (sequência anual), gera o código de verificação e o PDF,
+// guarda o PDF no armazenamento de anexos e registra o documento. "extras" são dados próprios do
+// tipo (ex.: dias_afastamento no atestado). Deve ser chamada dentro de db.transaction.
+async function emiteDocumento(conexao, tipo, id_consulta, extras = {}, emitido_por = null) {
+    const consulta = await buscaDadosConsulta(conexao, id_consulta);
+    const { id_paciente, id_medico, status, ...impressos } = consulta;
+    const dados = { ...impressos, ...extras };
+
+    // Serializa a numeração entre emissões simultâneas até o fim da transação
+    await conexao.query("SELECT pg_advisory_xact_lock(hashtext('documento_numero'))");
+
+    const proximo = await conexao.query(
+        `SELECT EXTRACT(YEAR FROM LOCALTIMESTAMP)::int AS ano,
+                COALESCE(MAX(numero), 0) + 1 AS numero,
+                to_char(LOCALTIMESTAMP, 'DD/MM/YYYY HH24:MI') AS emitido_em
+           FROM documento
+          WHERE ano = EXTRACT(YEAR FROM LOCALTIMESTAMP)`
+    );
+    const { ano, numero, emitido_em } = proximo.rows[0];
+    const codigo_verificacao = geraCodigoVerificacao();
+
+    const conteudo = await geraPdf({ tipo, numero: formataNumero(ano, numero), codigo_verificacao, emitido_em, dados });
+    const sha256 = crypto.createHash("sha256").update(conteudo).digest("hex");
+
+    const armazenamento = armazenamentoDeAnexos();
+    const chave = crypto.randomUUID();
+    await armazenamento.salva(chave, conteudo);
+
+    try {
+        await conexao.query(
+            `INSERT INTO documento(tipo, ano, numero, codigo_verificacao, id_consulta, id_paciente, id_medico, dados, sha256, chave, emitido_por)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [tipo, ano, numero, codigo_verificacao, id_consulta, id_paciente, id_medico, dados, sha256, chave, emitido_por]
+        );
+    } catch (error) {
+        await armazenamento.remove(chave).catch((erroRemocao) => console.error("Erro ao apagar PDF de documento não gravado:", erroRemocao));
+        throw error;
+    }
+
+    return { numero: formataNumero(ano, numero), codigo_verificacao, sha256, conteudo };
+}
+
+module.exports = { emiteDocumento, normalizaCodigoVerificacao, formataNumero };
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const db = require("../db");
+
+// Domínio usado nos UIDs dos eventos. O UID não muda entre exportações, então o calendário do
+// cliente substitui o evento existente em vez de duplicá-lo.
+const DOMINIO_UID = process.env.AGENDA_ICS_DOMINIO || "clinica.local";
+
+// Quantos dias para trás o feed inclui consultas já passadas.
+const DIAS_HISTORICO = 30;
+
+// Escapa texto conforme RFC 5545 (3.3.11).
+function escapaTexto(texto) {
+    return String(texto)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+// Quebra linhas maiores que 75 octetos (RFC 5545, 3.1), sem partir caracteres multibyte.
+function dobraLinha(linha) {
+    const partes = [];
+    let atual = "";
+    let octetos = 0;
+
+    for (const caractere of linha) {
+        const tamanho = Buffer.byteLength(caractere);
+        const limite = partes.length === 0 ? 75 : 74;
+
+        if (octetos + tamanho > limite) {
+            partes.push(atual);
+            atual = "";
+            octetos = 0;
+        }
+
+        atual += caractere;
+        octetos += tamanho;
+    }
+
+    partes.push(atual);
+
+    return partes.join("\r\n ");
+}
+
+// Formata data/hora local sem fuso (horário "flutuante"), como são gravadas as consultas.
+function formataDataHora(data) {
+    const p = (n) => String(n).padStart(2, "0");
+
+    return `${data.getFullYear()}${p(data.getMonth() + 1)}${p(data.getDate())}T${p(data.getHours())}${p(data.getMinutes())}${p(data.getSeconds())}`;
+}
+
+function formataUtc(data) {
+    return data.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+const STATUS_EVENTO = {
+    agendada: "TENTATIVE",
+    confirmada: "CONFIRMED",
+    em_atendimento: "CONFIRMED",
+    realizada: "CONFIRMED",
+    faltou: "CONFIRMED",
+    cancelada: "CANCELLED",
+};
+
+// Monta um VCALENDAR com um VEVENT por consulta. Cada consulta deve trazer inicio e fim
+// (timestamps sem fuso), atualizado_em, versao, status e o nome do médico. O feed é lido por aplicativos
+// de calendário fora da clínica, por isso não leva dados do paciente nem textos clínicos.
+function montaCalendario(nomeCalendario, consultas) {
+    const agora = formataUtc(new Date());
+    const linhas = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//express-backend-postgres//Agenda de consultas//PT-BR",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapaTexto(nomeCalendario)}`,
+    ];
+
+    for (const c of consultas) {
+        const descricao = [`Médico: ${c.nome_medico}`, `Status: ${c.status}`];
+
+        linhas.push(
+            "BEGIN:VEVENT",
+            `UID:consulta-${c.id_consulta}@${DOMINIO_UID}`,
+            `DTSTAMP:${agora}`,
+            `LAST-MODIFIED:${formataUtc(c.atualizado_em)}`,
+            `SEQUENCE:${c.versao}`,
+            `DTSTART:${formataDataHora(c.inicio)}`,
+            `DTEND:${formataDataHora(c.fim)}`,
+            `SUMMARY:${escapaTexto(`Consulta - ${c.nome_medico}`)}`,
+            `DESCRIPTION:${escapaTexto(descricao.join("\n"))}`,
+            `STATUS:${STATUS_EVENTO[c.status] ?? "CONFIRMED"}`,
+            "END:VEVENT"
+        );
+    }
+
+    linhas.push("END:VCALENDAR");
+
+    return linhas.map(dobraLinha).join("\r\n") + "\r\n";
+}
+
+// Busca as consultas a partir de DIAS_HISTORICO dias atrás, incluindo as canceladas para que os
+// calendários removam os eventos correspondentes. "filtro" é "medico" ou "departamento".
+async function buscaConsultasAgenda(filtro, id) {
+    const coluna = filtro === "medico" ? "c.id_medico" : "m.id_departamento";
+
+    const result = await db.query(
+        `SELECT c.id_consulta, c.status, c.versao, c.atualizado_em,
+                lower(c.periodo) AS inicio, upper(c.periodo) AS fim,
+                m.nome AS nome_medico
+           FROM consulta c
+           JOIN medico m ON m.id_medico = c.id_medico
+          WHERE ${coluna} = $1
+            AND c.data_consulta >= CURRENT_DATE - $2::int
+          ORDER BY c.data_consulta, c.hora_inicio, c.id_consulta`,
+        [id, DIAS_HISTORICO]
+    );
+
+    return result.rows;
+}
+
+// Gera um novo token secreto para o feed.
+function geraToken() {
+    return crypto.randomBytes(24).toString("hex");
+}
+
+// Compara o token informado com o cadastrado em tempo constante.
+function tokenConfere(esperado, informado) {
+    if (typeof informado !== "string") return false;
+
+    const a = Buffer.from(esperado);
+    const b = Buffer.from(informado);
+
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { montaCalendario, buscaConsultasAgenda, geraToken, tokenConfere };
@@ -0,0 +1,121 @@
+const db = require("../db");
+
+// Tempo, em minutos, que o paciente da lista de espera tem para aceitar um horário reservado.
+const PRAZO_OFERTA_MIN = Number(process.env.OFERTA_VAGA_PRAZO_MIN) || 120;
+
+// Reserva o horário liberado para o paciente da lista de espera que melhor atende a ele: primeiro quem
+// aguarda aquele médico específico, depois quem aguarda a especialidade; entre eles, maior prioridade e
+// inscrição mais antiga. Ignora pacientes que já receberam oferta desse horário, que tenham outra consulta
+// sobreposta ou que já tenham consulta com o médico no dia. A reserva expira em PRAZO_OFERTA_MIN ou no
+// início da consulta, o que vier primeiro. Deve ser chamada dentro de uma transação.
+// Retorna a oferta criada ou null se o horário já passou, foi ocupado ou não há candidatos.
+async function ofertaVaga(conexao, { id_consulta_origem, id_medico, data_consulta, hora_inicio, duracao_min }) {
+    const slot = await conexao.query(
+        `SELECT s.inicio > LOCALTIMESTAMP AS futuro,
+                EXISTS (SELECT 1
+                          FROM consulta c
+                         WHERE c.id_medico = $1 AND c.status <> 'cancelada' AND c.periodo && s.periodo) AS ocupado
+           FROM (SELECT $2::date + $3::time AS inicio,
+                        tsrange($2::date + $3::time, $2::date + $3::time + $4 * INTERVAL '1 minute') AS periodo) s`,
+        [id_medico, data_consulta, hora_inicio, duracao_min]
+    );
+
+    if (!slot.rows[0].futuro || slot.rows[0].ocupado) return null;
+
+    const candidato = await conexao.query(
+        `SELECT le.id_espera
+           FROM lista_espera le
+           JOIN medico m ON m.id_medico = $1
+          WHERE le.status = 'aguardando'
+            AND (le.id_medico = m.id_medico OR (le.id_medico IS NULL AND lower(le.especialidade) = lower(m.especialidade)))
+            AND $2::date BETWEEN le.data_inicio AND le.data_fim
+            AND le.id_paciente IS DISTINCT FROM (SELECT id_paciente FROM consulta WHERE id_consulta = $5)
+            AND NOT EXISTS (SELECT 1 FROM oferta_vaga o WHERE o.id_espera = le.id_espera AND o.id_consulta_origem = $5)
+            AND NOT EXISTS (SELECT 1
+                              FROM consulta c
+                             WHERE c.id_paciente = le.id_paciente
+                               AND c.status <> 'cancelada'
+                               AND (c.periodo && tsrange($2::date + $3::time, $2::date + $3::time + $4 * INTERVAL '1 minute')
+                                    OR (c.id_medico = $1 AND c.data_consulta = $2::date)))
+          ORDER BY (le.id_medico IS NOT NULL) DESC, le.prioridade DESC, le.criado_em, le.id_espera
+          LIMIT 1
+            FOR UPDATE OF le SKIP LOCKED`,
+        [id_medico, data_consulta, hora_inicio, duracao_min, id_consulta_origem]
+    );
+
+    if (candidato.rowCount === 0) return null;
+
+    const id_espera = candidato.rows[0].id_espera;
+
+    const oferta = await conexao.query(
+        `INSERT INTO oferta_vaga(id_espera, id_consulta_origem, id_medico, data_consulta, hora_inicio, duracao_min, expira_em)
+         VALUES ($1, $2, $3, $4, $5, $6, LEAST(LOCALTIMESTAMP + $7 * INTERVAL '1 minute', $4::date + $5::time))
+         RETURNING *`,
+        [id_espera, id_consulta_origem, id_medico, data_consulta, hora_inicio, duracao_min, PRAZO_OFERTA_MIN]
+    );
+
+    await conexao.query("UPDATE lista_espera SET status = 'ofertado' WHERE id_espera = $1", [id_espera]);
+
+    return oferta.rows[0];
+}
+
+// Oferta à lista de espera o horário da consulta recém-cancelada.
+async function ofertaVagaDaConsulta(conexao, id_consulta) {
+    const consulta = await conexao.query(
+        `SELECT id_medico, to_char(data_consulta, 'YYYY-MM-DD') AS data_consulta, hora_inicio, duracao_min
+           FROM consulta
+          WHERE id_consulta = $1`,
+        [id_consulta]
+    );
+
+    return ofertaVaga(conexao, { id_consulta_origem: id_consulta, ...consulta.rows[0] });
+}
+
+// Devolve o paciente da oferta à fila e repassa o mesmo horário ao próximo candidato.
+async function repassaOferta(conexao, oferta) {
+    await conexao.query("UPDATE lista_espera SET status = 'aguardando' WHERE id_espera = $1 AND status = 'ofertado'", [oferta.id_espera]);
+
+    return ofertaVaga(conexao, {
+        id_consulta_origem: oferta.id_consulta_origem,
+        id_medico: oferta.id_medico,
+        data_consulta: oferta.data_consulta,
+        hora_inicio: oferta.hora_inicio,
+        duracao_min: oferta.duracao_min,
+    });
+}
+
+// Marca como expiradas as reservas pendentes cujo prazo acabou e repassa cada horário ao próximo
+// paciente da lista. Retorna a quantidade de reservas expiradas.
+async function expiraOfertas() {
+    return db.transaction(async (conexao) => {
+        const expiradas = await conexao.query(
+            `UPDATE oferta_vaga
+                SET status = 'expirada', respondido_em = LOCALTIMESTAMP
+              WHERE status = 'pendente' AND expira_em <= LOCALTIMESTAMP
+              RETURNING id_espera, id_consulta_origem, id_medico, to_char(data_consulta, 'YYYY-MM-DD') AS data_consulta, hora_inicio, duracao_min`
+        );
+
+        for (const oferta of expiradas.rows) {
+            await repassaOferta(conexao, oferta);
+        }
+
+        return expiradas.rowCount;
+    });
+}
+
+// Busca reservas pendentes e não expiradas do médico que se sobrepõem ao intervalo informado.
+async function buscaReservasAtivas(conexao, id_medico, data_consulta, hora_inicio, duracao_min) {
+    const result = await conexao.query(
+        `SELECT id_oferta, data_consulta, hora_inicio, duracao_min, expira_em
+           FROM oferta_vaga
+          WHERE id_medico = $1
+            AND status = 'pendente'
+            AND expira_em > LOCALTIMESTAMP
+            AND periodo && tsrange($2::date + $3::time, $2::date + $3::time + $4 * INTERVAL '1 minute')`,
+        [id_medico, data_consulta, hora_inicio, duracao_min]
+    );
+
+    return result.rows;
+}
+
+module.exports = { ofertaVaga, ofertaVagaDaConsulta, repassaOferta, expiraOfertas, buscaReservasAtivas };
@@ -0,0 +1,97 @@
+// Diagnóstico e observações da consulta são versionados pelo gatilho tg_consulta_nota_versao:
+// cada alteração desses textos grava uma nova versão em consulta_nota_versao.
+
+// Define o autor e o motivo das versões gravadas na transação atual. Deve ser chamada dentro de
+// db.transaction, antes do INSERT/UPDATE da consulta; sem autor, a versão fica com o médico da consulta.
+async function identificaAlteracaoNota(conexao, autor, motivo) {
+    await conexao.query(
+        "SELECT set_config('app.nota_autor', $1, true), set_config('app.nota_motivo', $2, true)",
+        [autor ? String(autor).trim() : "", motivo ? String(motivo).trim() : ""]
+    );
+}
+
+// Versão atual (a mais recente) da nota da consulta, ou null se ainda não houver texto registrado.
+async function buscaVersaoAtual(conexao, id_consulta) {
+    const result = await conexao.query(
+        `SELECT id_versao, numero, autor, motivo, criado_em
+           FROM consulta_nota_versao
+          WHERE id_consulta = $1
+          ORDER BY numero DESC
+          LIMIT 1`,
+        [id_consulta]
+    );
+
+    return result.rows[0] ?? null;
+}
+
+// Diferença palavra a palavra entre dois textos, como trechos { tipo, texto } em ordem, onde tipo é
+// "igual", "removido" ou "inserido". Usa a maior subsequência comum das palavras (e espaços).
+function diferencas(anterior, atual) {
+    const a = String(anterior ?? "").split(/(\s+)/).filter(Boolean);
+    const b = String(atual ?? "").split(/(\s+)/).filter(Boolean);
+
+    // lcs[i][j] = tamanho da maior subsequência comum entre a[i..] e b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const trechos = [];
+    const adiciona = (tipo, texto) => {
+        const ultimo = trechos[trechos.length - 1];
+        if (ultimo && ultimo.tipo === tipo) {
+            ultimo.texto += texto;
+        } else {
+            trechos.push({ tipo, texto });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            adiciona("igual", a[i]);
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            adiciona("removido", a[i]);
+            i++;
+        } else {
+            adiciona("inserido", b[j]);
+            j++;
+        }
+    }
+
+    return trechos;
+}
+
+// Todas as versões da nota da consulta em ordem, cada uma com as alterações em relação à anterior
+// ("alteracoes" traz apenas os campos que mudaram).
+async function buscaHistoricoNota(conexao, id_consulta) {
+    const result = await conexao.query(
+        `SELECT id_versao, id_consulta, numero, id_versao_anterior, diagnostico, observacoes, autor, motivo, criado_em
+           FROM consulta_nota_versao
+          WHERE id_consulta = $1
+          ORDER BY numero`,
+        [id_consulta]
+    );
+
+    let anterior = { diagnostico: null, observacoes: null };
+
+    return result.rows.map((versao) => {
+        const alteracoes = {};
+
+        for (const campo of ["diagnostico", "observacoes"]) {
+            if (versao[campo] !== anterior[campo]) {
+                alteracoes[campo] = { anterior: anterior[campo], atual: versao[campo], diff: diferencas(anterior[campo], versao[campo]) };
+            }
+        }
+
+        anterior = versao;
+        return { ...versao, alteracoes };
+    });
+}
+
+module.exports = { identificaAlteracaoNota, buscaVersaoAtual, buscaHistoricoNota };
@@ -0,0 +1,149 @@
+const db = require("../db");
+const { transporteDoCanal } = require("./transportes");
+
+// Número máximo de tentativas de envio antes de marcar a notificação como "falhou".
+const MAX_TENTATIVAS = Number(process.env.NOTIFICACAO_MAX_TENTATIVAS) || 5;
+
+// Antecedência, em horas, do lembrete de consulta.
+const ANTECEDENCIA_LEMBRETE_H = 24;
+
+// Quantidade de notificações processadas por execução do worker.
+const LOTE = 20;
+
+// Tempo, em minutos, durante o qual uma notificação em envio fica reservada para o worker que a pegou.
+// Se o processo cair no meio do envio, ela volta a ser processada depois desse prazo.
+const PRAZO_PROCESSAMENTO_MIN = 5;
+
+// Espera antes da próxima tentativa: 1, 2, 4, 8... minutos, limitada a 1 hora.
+function atrasoTentativaMin(tentativas) {
+    return Math.min(2 ** (tentativas - 1), 60);
+}
+
+function formataData(data) {
+    const [ano, mes, dia] = data.split("-");
+    return `${dia}/${mes}/${ano}`;
+}
+
+const ASSUNTOS = {
+    agendada: "Consulta agendada",
+    remarcada: "Consulta remarcada",
+    cancelada: "Consulta cancelada",
+    lembrete: "Lembrete de consulta",
+};
+
+function montaMensagem(evento, c) {
+    const quando = `${formataData(c.data_consulta)} às ${c.hora}`;
+
+    switch (evento) {
+        case "agendada":
+            return `Olá, ${c.nome_paciente}. Sua consulta com ${c.nome_medico} foi agendada para ${quando}.`;
+        case "remarcada":
+            return `Olá, ${c.nome_paciente}. Sua consulta com ${c.nome_medico} foi remarcada para ${quando}.`;
+        case "cancelada":
+            return `Olá, ${c.nome_paciente}. Sua consulta com ${c.nome_medico} em ${quando} foi cancelada.`;
+        case "lembrete":
+            return `Olá, ${c.nome_paciente}. Lembrete: você tem consulta com ${c.nome_medico} em ${quando}.`;
+    }
+}
+
+// Enfileira as notificações de um evento da consulta ("agendada", "remarcada" ou "cancelada") para todos os
+// contatos do paciente que recebem notificações. Ao remarcar ou cancelar, descarta os lembretes pendentes;
+// ao agendar ou remarcar, programa um novo lembrete ANTECEDENCIA_LEMBRETE_H horas antes do início, se
+// ainda houver tempo. Deve ser chamada na mesma transação que alterou a consulta.
+async function enfileiraNotificacoes(conexao, id_consulta, evento) {
+    const consulta = await conexao.query(
+        `SELECT to_char(c.data_consulta, 'YYYY-MM-DD') AS data_consulta, to_char(c.hora_inicio, 'HH24:MI') AS hora,
+                (lower(c.periodo) - $2 * INTERVAL '1 hour')::text AS lembrar_em,
+                lower(c.periodo) - $2 * INTERVAL '1 hour' > LOCALTIMESTAMP AS lembrete_possivel,
+                c.id_paciente, p.nome AS nome_paciente, m.nome AS nome_medico
+           FROM consulta c
+           JOIN paciente p ON p.id_paciente = c.id_paciente
+           JOIN medico m ON m.id_medico = c.id_medico
+          WHERE c.id_consulta = $1`,
+        [id_consulta, ANTECEDENCIA_LEMBRETE_H]
+    );
+
+    const c = consulta.rows[0];
+
+    if (evento !== "agendada") {
+        await conexao.query(
+            "UPDATE notificacao SET status = 'descartada' WHERE id_consulta = $1 AND evento = 'lembrete' AND status = 'pendente'",
+            [id_consulta]
+        );
+    }
+
+    const contatos = await conexao.query(
+        "SELECT id_contato, tipo, valor FROM paciente_contato WHERE id_paciente = $1 AND recebe_notificacoes",
+        [c.id_paciente]
+    );
+
+    const envios = [{ evento, enviar_em: null }];
+    if (evento !== "cancelada" && c.lembrete_possivel) {
+        envios.push({ evento: "lembrete", enviar_em: c.lembrar_em });
+    }
+
+    for (const contato of contatos.rows) {
+        for (const envio of envios) {
+            await conexao.query(
+                `INSERT INTO notificacao(id_consulta, id_contato, evento, canal, destino, assunto, mensagem, enviar_em)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8::timestamp, LOCALTIMESTAMP))`,
+                [id_consulta, contato.id_contato, envio.evento, contato.tipo, contato.valor, ASSUNTOS[envio.evento], montaMensagem(envio.evento, c), envio.enviar_em]
+            );
+        }
+    }
+}
+
+// Envia as notificações pendentes cujo horário chegou. Falhas são reagendadas com espera crescente até
+// MAX_TENTATIVAS. Lembretes de consultas que não estão mais agendadas ou confirmadas são descartados,
+// assim como os que ficaram sem consulta (id_consulta nulo após a remoção da consulta, do médico ou do paciente).
+// Retorna a quantidade de notificações processadas.
+async function processaNotificacoes() {
+    await db.query(
+        `UPDATE notificacao n
+            SET status = 'descartada'
+          WHERE n.evento = 'lembrete'
+            AND n.status = 'pendente'
+            AND NOT EXISTS (SELECT 1
+                              FROM consulta c
+                             WHERE c.id_consulta = n.id_consulta
+                               AND c.status IN ('agendada', 'confirmada'))`
+    );
+
+    const lote = await db.query(
+        `UPDATE notificacao
+            SET tentativas = tentativas + 1,
+                enviar_em = LOCALTIMESTAMP + $2 * INTERVAL '1 minute'
+          WHERE id_notificacao IN (SELECT id_notificacao
+                                     FROM notificacao
+                                    WHERE status = 'pendente' AND enviar_em <= LOCALTIMESTAMP
+                                    ORDER BY enviar_em, id_notificacao
+                                    LIMIT $1
+                                      FOR UPDATE SKIP LOCKED)
+          RETURNING *`,
+        [LOTE, PRAZO_PROCESSAMENTO_MIN]
+    );
+
+    for (const notificacao of lote.rows) {
+        try {
+            await transporteDoCanal(notificacao.canal).envia(notificacao);
+
+            await db.query(
+                "UPDATE notificacao SET status = 'enviada', enviada_em = LOCALTIMESTAMP, ultimo_erro = NULL WHERE id_notificacao = $1",
+                [notificacao.id_notificacao]
+            );
+        } catch (error) {
+            const esgotou = notificacao.tentativas >= MAX_TENTATIVAS;
+
+            await db.query(
+                `UPDATE notificacao
+                    SET status = $2, ultimo_erro = $3, enviar_em = LOCALTIMESTAMP + $4 * INTERVAL '1 minute'
+                  WHERE id_notificacao = $1`,
+                [notificacao.id_notificacao, esgotou ? "falhou" : "pendente", String(error.message ?? error), atrasoTentativaMin(notificacao.tentativas)]
+            );
+        }
+    }
+
+    return lote.rowCount;
+}
+
+module.exports = { enfileiraNotificacoes, processaNotificacoes, MAX_TENTATIVAS };
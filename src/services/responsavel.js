@@ -0,0 +1,31 @@
+const { ErroHttp } = require("../erros");
+
+// Idade a partir da qual o paciente não precisa de responsável legal.
+const MAIORIDADE = 18;
+
+// Expressão SQL da idade em anos completos do paciente (coluna data_nascimento) na data informada.
+function idadeSql(data = "CURRENT_DATE") {
+    return `date_part('year', age(${data}, data_nascimento))::int`;
+}
+
+// Pacientes menores de idade na data da consulta só podem ser agendados com um responsável legal cadastrado.
+async function exigeResponsavel(conexao, id_paciente, data_consulta) {
+    const busca = await conexao.query(
+        `SELECT ${idadeSql("$2::date")} AS idade,
+                EXISTS (SELECT 1 FROM paciente_responsavel r WHERE r.id_paciente = p.id_paciente) AS tem_responsavel
+           FROM paciente p
+          WHERE p.id_paciente = $1`,
+        [id_paciente, data_consulta]
+    );
+
+    const paciente = busca.rows[0];
+
+    if (paciente && paciente.idade !== null && paciente.idade < MAIORIDADE && !paciente.tem_responsavel) {
+        throw new ErroHttp(
+            409,
+            `O paciente terá ${paciente.idade} anos na data da consulta e não tem responsável legal cadastrado. Cadastre o responsável em /paciente/${id_paciente}/responsaveis.`
+        );
+    }
+}
+
+module.exports = { MAIORIDADE, idadeSql, exigeResponsavel };
@@ -0,0 +1,92 @@
+const fs = require("fs/promises");
+const nodemailer = require("nodemailer");
+
+// Transportes de notificação. Cada fábrica recebe o canal ("email" ou "sms") e devolve um objeto com
+// envia(notificacao), que deve lançar erro quando a entrega falhar para que a notificação seja reenviada.
+const TRANSPORTES = {
+    // Apenas escreve a mensagem no log da aplicação. Útil em desenvolvimento.
+    console: () => ({
+        async envia({ canal, destino, assunto, mensagem }) {
+            console.log(`[notificacao:${canal}] para ${destino} - ${assunto}\n${mensagem}`);
+        },
+    }),
+
+    // Acrescenta cada mensagem, em JSON, ao arquivo NOTIFICACAO_ARQUIVO.
+    arquivo: () => {
+        const caminho = process.env.NOTIFICACAO_ARQUIVO || "notificacoes.log";
+
+        return {
+            async envia({ id_notificacao, canal, destino, assunto, mensagem }) {
+                const linha = JSON.stringify({ id_notificacao, canal, destino, assunto, mensagem, enviada_em: new Date() });
+                await fs.appendFile(caminho, linha + "\n");
+            },
+        };
+    },
+
+    smtp: () => {
+        const transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true",
+            auth: process.env.SMTP_USUARIO ? { user: process.env.SMTP_USUARIO, pass: process.env.SMTP_SENHA } : undefined,
+        });
+
+        return {
+            async envia({ destino, assunto, mensagem }) {
+                await transporter.sendMail({ from: process.env.SMTP_REMETENTE, to: destino, subject: assunto, text: mensagem });
+            },
+        };
+    },
+
+    // Gateway de SMS genérico: POST JSON { destino, mensagem } em SMS_GATEWAY_URL.
+    http: () => {
+        const url = process.env.SMS_GATEWAY_URL;
+        const token = process.env.SMS_GATEWAY_TOKEN;
+
+        return {
+            async envia({ destino, mensagem }) {
+                const headers = { "Content-Type": "application/json" };
+                if (token) headers.Authorization = `Bearer ${token}`;
+
+                const resposta = await fetch(url, {
+                    method: "POST",
+                    headers,
+                    body: JSON.stringify({ destino, mensagem }),
+                    signal: AbortSignal.timeout(10000),
+                });
+
+                if (!resposta.ok) {
+                    throw new Error(`Gateway de SMS respondeu ${resposta.status}: ${await resposta.text()}`);
+                }
+            },
+        };
+    },
+};
+
+// Transporte usado por canal quando a variável de ambiente correspondente não é definida.
+const TRANSPORTE_PADRAO = { email: "console", sms: "console" };
+
+const instancias = {};
+
+// Devolve o transporte configurado para o canal (NOTIFICACAO_TRANSPORTE_EMAIL / NOTIFICACAO_TRANSPORTE_SMS).
+function transporteDoCanal(canal) {
+    if (!instancias[canal]) {
+        const nome = process.env[`NOTIFICACAO_TRANSPORTE_${canal.toUpperCase()}`] || TRANSPORTE_PADRAO[canal];
+        const fabrica = TRANSPORTES[nome];
+
+        if (!fabrica) {
+            throw new Error(`Transporte de notificação desconhecido para ${canal}: ${nome}`);
+        }
+
+        instancias[canal] = fabrica(canal);
+    }
+
+    return instancias[canal];
+}
+
+// Permite registrar novos transportes (ou substituir os existentes) antes do primeiro envio.
+function registraTransporte(nome, fabrica) {
+    TRANSPORTES[nome] = fabrica;
+}
+
+module.exports = { transporteDoCanal, registraTransporte };
@@ -9,6 +9,32 @@ const options = {
       version: "1.0.0",
       description: "Documentação da API do Sistema de Gerenciamento Hospitalar",
     },
+    components: {
+      // Parâmetros de paginação e ordenação comuns às rotas de listagem (ver src/paginacao.js)
+      parameters: {
+        Limit: {
+          in: "query",
+          name: "limit",
+          required: false,
+          description: "Quantidade máxima de registros retornados (1 a 200, padrão 50).",
+          schema: { type: "integer", example: 50 },
+        },
+        Offset: {
+          in: "query",
+          name: "offset",
+          required: false,
+          description: "Quantidade de registros a pular antes do primeiro retornado (padrão 0).",
+          schema: { type: "integer", example: 0 },
+        },
+        Direcao: {
+          in: "query",
+          name: "direcao",
+          required: false,
+          description: "Direção da ordenação.",
+          schema: { type: "string", enum: ["asc", "desc"], example: "asc" },
+        },
+      },
+    },
   },
   apis: ["./src/routes/*.js"], // Caminho onde estão os arquivos de rotas a serem processados
 };
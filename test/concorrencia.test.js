@@ -0,0 +1,144 @@
+// Dispara requisições simultâneas contra a API para verificar que cadastros e agendamentos concorrentes
+// não geram duplicidades nem erros de chave estrangeira órfã.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { preparaAmbiente, requisicao, cpfValido } = require("./apoio");
+
+// Quantidade de requisições disparadas ao mesmo tempo em cada cenário.
+const SIMULTANEAS = 10;
+
+const ambiente = preparaAmbiente();
+
+// Executa todas as requisições ao mesmo tempo.
+function simultaneas(requisicoes) {
+    return Promise.all(requisicoes.map((fazer) => fazer()));
+}
+
+function contaStatus(respostas) {
+    const contagem = {};
+    for (const { status } of respostas) {
+        contagem[status] = (contagem[status] ?? 0) + 1;
+    }
+    return contagem;
+}
+
+test("POST /consulta simultâneos para o mesmo paciente, médico e horário criam uma única consulta", async () => {
+    const corpo = { id_paciente: 1, id_medico: 1, data_consulta: "2030-03-05", hora_inicio: "09:00", duracao_min: 30 };
+
+    const respostas = await simultaneas(Array.from({ length: SIMULTANEAS }, () => () => requisicao("POST", "/consulta", corpo)));
+
+    assert.deepEqual(contaStatus(respostas), { 201: 1, 409: SIMULTANEAS - 1 });
+
+    const gravadas = await ambiente.banco.query(
+        "SELECT COUNT(*)::int AS total FROM consulta WHERE id_paciente = 1 AND id_medico = 1 AND data_consulta = '2030-03-05'"
+    );
+    assert.equal(gravadas.rows[0].total, 1);
+});
+
+test("POST /consulta simultâneos de pacientes diferentes no mesmo horário do médico agendam apenas um", async () => {
+    const pacientes = [1, 2, 3, 4];
+
+    const respostas = await simultaneas(pacientes.map((id_paciente) => () => requisicao("POST", "/consulta", {
+        id_paciente, id_medico: 2, data_consulta: "2030-03-06", hora_inicio: "14:00", duracao_min: 30,
+    })));
+
+    assert.deepEqual(contaStatus(respostas), { 201: 1, 409: pacientes.length - 1 });
+
+    const gravadas = await ambiente.banco.query(
+        "SELECT COUNT(*)::int AS total FROM consulta WHERE id_medico = 2 AND data_consulta = '2030-03-06' AND status <> 'cancelada'"
+    );
+    assert.equal(gravadas.rows[0].total, 1);
+});
+
+test("PUT /consulta/:id simultâneos para o mesmo horário do médico remarcam apenas uma consulta", async () => {
+    const ids = [];
+    for (const [id_paciente, hora_inicio] of [[1, "08:00"], [2, "09:00"]]) {
+        const criada = await requisicao("POST", "/consulta", { id_paciente, id_medico: 3, data_consulta: "2030-03-07", hora_inicio, duracao_min: 30 });
+        assert.equal(criada.status, 201);
+        ids.push(criada.body.data.id_consulta);
+    }
+
+    const respostas = await simultaneas(ids.map((id, i) => () => requisicao("PUT", `/consulta/${id}`, {
+        id_paciente: i + 1, id_medico: 3, data_consulta: "2030-03-07", hora_inicio: "10:00", duracao_min: 30,
+    })));
+
+    assert.deepEqual(contaStatus(respostas), { 200: 1, 409: 1 });
+
+    const remarcadas = await ambiente.banco.query(
+        "SELECT COUNT(*)::int AS total FROM consulta WHERE id_medico = 3 AND data_consulta = '2030-03-07' AND hora_inicio = '10:00'"
+    );
+    assert.equal(remarcadas.rows[0].total, 1);
+});
+
+test("POST /paciente simultâneos com o mesmo CPF cadastram um único paciente", async () => {
+    const cpf = cpfValido(271828182);
+    const corpo = { nome: "Paciente Concorrente", cpf, data_nascimento: "1990-05-10", endereco: "Rua Teste, 10" };
+
+    const respostas = await simultaneas(Array.from({ length: SIMULTANEAS }, () => () => requisicao("POST", "/paciente", corpo)));
+
+    assert.deepEqual(contaStatus(respostas), { 201: 1, 409: SIMULTANEAS - 1 });
+
+    const gravados = await ambiente.banco.query("SELECT COUNT(*)::int AS total FROM paciente WHERE cpf = $1", [cpf]);
+    assert.equal(gravados.rows[0].total, 1);
+});
+
+test("POST /medico simultâneos com o mesmo CRM cadastram um único médico", async () => {
+    const corpo = { nome: "Dr. Concorrente", crm: "CRM-SP 314159", especialidade: "Clínica Geral", data_contratacao: "2024-02-01", id_departamento: 1 };
+
+    const respostas = await simultaneas(Array.from({ length: SIMULTANEAS }, () => () => requisicao("POST", "/medico", corpo)));
+
+    assert.deepEqual(contaStatus(respostas), { 201: 1, 409: SIMULTANEAS - 1 });
+
+    const gravados = await ambiente.banco.query("SELECT COUNT(*)::int AS total FROM medico WHERE crm = $1", [corpo.crm]);
+    assert.equal(gravados.rows[0].total, 1);
+});
+
+test("POST /medico simultâneo à remoção do departamento responde 201 ou 400, sem erro interno", async () => {
+    const departamento = await requisicao("POST", "/departamento", { nome: "Departamento Temporário" });
+    assert.equal(departamento.status, 201);
+    const id_departamento = departamento.body.msg.id_departamento;
+
+    const [remocao, ...cadastros] = await simultaneas([
+        () => requisicao("DELETE", `/departamento/${id_departamento}`),
+        ...Array.from({ length: SIMULTANEAS }, (_, i) => () => requisicao("POST", "/medico", {
+            nome: `Dr. Temporário ${i}`, crm: `CRM-RS 9${String(i).padStart(5, "0")}`, especialidade: "Clínica Geral", data_contratacao: "2024-02-01", id_departamento,
+        })),
+    ]);
+
+    assert.equal(remocao.status, 200);
+    for (const cadastro of cadastros) {
+        assert.ok([201, 400].includes(cadastro.status), `status inesperado ${cadastro.status}: ${JSON.stringify(cadastro.body)}`);
+    }
+
+    const orfaos = await ambiente.banco.query(
+        `SELECT COUNT(*)::int AS total
+           FROM medico m
+          WHERE m.id_departamento IS NOT NULL
+            AND NOT EXISTS (SELECT 1 FROM departamento d WHERE d.id_departamento = m.id_departamento)`
+    );
+    assert.equal(orfaos.rows[0].total, 0);
+});
+
+test("POST /consulta simultâneo à remoção do paciente responde 201 ou 400, sem erro interno", async () => {
+    const paciente = await requisicao("POST", "/paciente", {
+        nome: "Paciente Temporário", cpf: cpfValido(141421356), data_nascimento: "1980-01-01", endereco: "Rua Teste, 20",
+    });
+    assert.equal(paciente.status, 201);
+    const id_paciente = paciente.body.msg.id_paciente;
+
+    const medicos = [1, 2, 3];
+    const [remocao, ...agendamentos] = await simultaneas([
+        () => requisicao("DELETE", `/paciente/${id_paciente}`),
+        ...medicos.map((id_medico, i) => () => requisicao("POST", "/consulta", {
+            id_paciente, id_medico, data_consulta: "2030-03-08", hora_inicio: `1${i}:00`, duracao_min: 30,
+        })),
+    ]);
+
+    assert.equal(remocao.status, 200);
+    for (const agendamento of agendamentos) {
+        assert.ok([201, 400].includes(agendamento.status), `status inesperado ${agendamento.status}: ${JSON.stringify(agendamento.body)}`);
+    }
+
+    const restantes = await ambiente.banco.query("SELECT COUNT(*)::int AS total FROM consulta WHERE id_paciente = $1", [id_paciente]);
+    assert.equal(restantes.rows[0].total, 0);
+});
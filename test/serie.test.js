@@ -0,0 +1,55 @@
+// Confere que as observações das séries de consultas passam pela mesma verificação de alergias do cadastro
+// de uma consulta avulsa. No banco inicial, o paciente 2 tem alergia grave a dipirona.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { preparaAmbiente, requisicao } = require("./apoio");
+
+const ambiente = preparaAmbiente();
+
+const SERIE = {
+    id_paciente: 2, id_medico: 2, frequencia: "semanal", data_inicio: "2031-04-01", hora_inicio: "10:00", duracao_min: 30, quantidade: 3,
+};
+
+async function contaSeries(id_paciente) {
+    const series = await ambiente.banco.query("SELECT COUNT(*)::int AS total FROM consulta_serie WHERE id_paciente = $1", [id_paciente]);
+    return series.rows[0].total;
+}
+
+test("POST /consulta/serie com observação que cita alergia grave é recusado sem confirmar_alergias", async () => {
+    const antes = await contaSeries(2);
+
+    const resposta = await requisicao("POST", "/consulta/serie", { ...SERIE, observacoes: "Usar dipirona se houver dor." });
+
+    assert.equal(resposta.status, 409);
+    assert.equal(resposta.body.alertas[0].substancia, "Dipirona");
+    assert.equal(await contaSeries(2), antes);
+});
+
+test("POST /consulta/serie com confirmar_alergias cria a série e devolve os alertas", async () => {
+    const resposta = await requisicao("POST", "/consulta/serie", {
+        ...SERIE, data_inicio: "2031-05-06", observacoes: "Usar dipirona se houver dor.", confirmar_alergias: true,
+    });
+
+    assert.equal(resposta.status, 201);
+    assert.equal(resposta.body.data.consultas.length, 3);
+    assert.equal(resposta.body.alertas[0].gravidade, "grave");
+});
+
+test("PUT /consulta/serie/:id com novas observações que citam alergia grave exige confirmar_alergias", async () => {
+    const criada = await requisicao("POST", "/consulta/serie", { ...SERIE, data_inicio: "2031-06-03", observacoes: "Sessões de acompanhamento." });
+    assert.equal(criada.status, 201);
+    const { id_serie } = criada.body.data.serie;
+
+    const alteracao = { a_partir_de: "2031-06-03", observacoes: "Prescrever dipirona.", responsavel: "Dr. Bruno Lima", motivo: "Ajuste da analgesia." };
+
+    const recusada = await requisicao("PUT", `/consulta/serie/${id_serie}`, alteracao);
+    assert.equal(recusada.status, 409);
+    assert.equal(recusada.body.alertas[0].substancia, "Dipirona");
+
+    const inalteradas = await ambiente.banco.query("SELECT COUNT(*)::int AS total FROM consulta WHERE id_serie = $1 AND observacoes = 'Sessões de acompanhamento.'", [id_serie]);
+    assert.equal(inalteradas.rows[0].total, 3);
+
+    const confirmada = await requisicao("PUT", `/consulta/serie/${id_serie}`, { ...alteracao, confirmar_alergias: true });
+    assert.equal(confirmada.status, 200);
+    assert.equal(confirmada.body.alertas.length, 1);
+});